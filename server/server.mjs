@@ -0,0 +1,382 @@
+/**
+ * LOCAL MULTIPLAYER GAME SERVER
+ * 
+ * A small WebSocket server that lets two browsers play the same
+ * Tic-Tac-Toe or Connect Four game, with any number of spectators.
+ * Meant for local testing: run `npm run server` and choose "Online" in a game.
+ * 
+ * The server is authoritative: every move is checked with the same engine
+ * rules the apps use (src/engine), and clients only ever draw the moves
+ * the server sends back.
+ * 
+ * Rooms:
+ * - Created by one player, who takes the first seat (X / red)
+ * - Joined with a four-letter code; the second joiner takes the other
+ *   seat and everyone after that spectates
+ * - Seats belong to a client id (kept in the browser's sessionStorage),
+ *   so a dropped connection can reconnect and get its seat back
+ * - Removed ROOM_TIMEOUT after the last connection closes
+ * 
+ * Message protocol (JSON):
+ * Client -> server:
+ *   { type: "create", game, config, clientId }   game is "ttt" or "c4"
+ *   { type: "join", code, clientId, spectate }
+ *   { type: "move", move }                      square index or column
+ *   { type: "restart" }
+ *   { type: "leave" }
+ * Server -> client:
+ *   { type: "state", role, room: { code, game, config, moves, seats, spectators } }
+ *   { type: "error", message }
+ */
+
+import WebSocket from "ws";
+
+// The engine files have no imports of their own, so Node can load them
+// directly (see the "server" script in package.json)
+import * as ticTacToe from "../src/engine/ticTacToe.js";
+import * as connectFour from "../src/engine/connectFour.js";
+
+// ===== SERVER SETTINGS =====
+
+const PORT = Number(process.env.PORT) || 8080;
+const ROOM_TIMEOUT = 10 * 60 * 1000;      // Keep empty rooms for 10 minutes
+const HEARTBEAT_INTERVAL = 30 * 1000;     // Drop connections that stop answering pings
+
+/**
+ * SUPPORTED GAMES
+ * 
+ * engine: Rules module implementing the common engine interface
+ * limits: Allowed board sizes (the same limits as each app's custom board inputs)
+ */
+const GAMES = {
+  ttt: {
+    engine: ticTacToe,
+    limits: { rows: [3, 15], cols: [3, 15] },
+  },
+  c4: {
+    engine: connectFour,
+    limits: { rows: [4, 10], cols: [4, 12] },
+  },
+};
+
+// Room code -> room (see createRoom)
+const rooms = new Map();
+
+// ===== ROOM HELPERS =====
+
+/**
+ * CONFIG VALIDATION
+ * 
+ * @param {Object} game - Entry from GAMES
+ * @param {Object} config - { rows, cols, winLength } sent by the client
+ * @returns {Object|null} The config if it is within limits, otherwise null
+ */
+function validateConfig(game, config) {
+  if (!config) return game.engine.CLASSIC_CONFIG;
+
+  const { rows, cols, winLength } = config;
+  const inRange = (value, [min, max]) => Number.isInteger(value) && value >= min && value <= max;
+
+  if (!inRange(rows, game.limits.rows) || !inRange(cols, game.limits.cols)) return null;
+  if (!inRange(winLength, [3, Math.max(rows, cols)])) return null;
+  return { rows, cols, winLength };
+}
+
+/**
+ * ROOM CODE GENERATOR
+ * 
+ * Four capital letters, skipping I and O so codes are easy to read aloud.
+ * 
+ * @returns {string} A code not used by any current room
+ */
+function newRoomCode() {
+  const letters = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+  let code;
+  do {
+    code = Array.from({ length: 4 }, () => letters[Math.floor(Math.random() * letters.length)]).join("");
+  } while (rooms.has(code));
+  return code;
+}
+
+/**
+ * CREATE ROOM
+ * 
+ * @param {string} gameKey - "ttt" or "c4"
+ * @param {Object} config - Validated { rows, cols, winLength }
+ * @returns {Object} The new room:
+ *   - board: Current position, kept in sync with moves
+ *   - seats: Player symbol -> client id (or null while the seat is free)
+ *   - clients: Open connections in this room
+ */
+function createRoom(gameKey, config) {
+  const { engine } = GAMES[gameKey];
+  const room = {
+    code: newRoomCode(),
+    gameKey,
+    config,
+    moves: [],
+    board: engine.createInitialBoard(config),
+    seats: Object.fromEntries(engine.PLAYERS.map((player) => [player, null])),
+    clients: new Set(),
+    expiryTimer: null,
+  };
+  rooms.set(room.code, room);
+  return room;
+}
+
+/**
+ * ROLE LOOKUP
+ * 
+ * @param {Object} room - Room
+ * @param {string} clientId - Client to look up
+ * @returns {string} The client's player symbol, or "spectator"
+ */
+function roleOf(room, clientId) {
+  const seat = Object.keys(room.seats).find((player) => room.seats[player] === clientId);
+  return seat ?? "spectator";
+}
+
+/**
+ * ROOM SNAPSHOT
+ * 
+ * The part of a room sent to clients. Seats show whether each player is
+ * taken and currently connected, without revealing client ids.
+ * 
+ * @param {Object} room - Room
+ * @returns {Object} { code, game, config, moves, seats, spectators }
+ */
+function snapshot(room) {
+  const connectedIds = new Set([...room.clients].map((client) => client.clientId));
+  const seats = Object.fromEntries(
+    Object.entries(room.seats).map(([player, clientId]) => [
+      player,
+      { taken: clientId !== null, connected: clientId !== null && connectedIds.has(clientId) },
+    ])
+  );
+  const spectators = [...room.clients].filter((client) => roleOf(room, client.clientId) === "spectator").length;
+
+  return { code: room.code, game: room.gameKey, config: room.config, moves: room.moves, seats, spectators };
+}
+
+/**
+ * SEND HELPERS
+ */
+function send(socket, message) {
+  if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function sendError(socket, message) {
+  send(socket, { type: "error", message });
+}
+
+/**
+ * BROADCAST ROOM STATE
+ * 
+ * Sends the full room state to everyone in the room. Each client also
+ * learns its own role, so a reconnecting client is fully resynchronized
+ * by a single message.
+ * 
+ * @param {Object} room - Room that changed
+ */
+function broadcast(room) {
+  const state = snapshot(room);
+  for (const client of room.clients) {
+    send(client.socket, { type: "state", role: roleOf(room, client.clientId), room: state });
+  }
+}
+
+/**
+ * ENTER ROOM
+ * 
+ * Adds a connection to a room (leaving any previous room first) and
+ * cancels the room's expiry.
+ * 
+ * @param {Object} client - { socket, clientId, room }
+ * @param {Object} room - Room to enter
+ */
+function enterRoom(client, room) {
+  if (client.room && client.room !== room) exitRoom(client);
+
+  clearTimeout(room.expiryTimer);
+  room.expiryTimer = null;
+  room.clients.add(client);
+  client.room = room;
+}
+
+/**
+ * EXIT ROOM
+ * 
+ * Removes a connection from its room. The seat is kept (so the player can
+ * reconnect) unless freeSeat is true. Empty rooms expire after ROOM_TIMEOUT.
+ * 
+ * @param {Object} client - { socket, clientId, room }
+ * @param {boolean} [freeSeat] - Give up the seat as well (explicit "leave")
+ */
+function exitRoom(client, freeSeat = false) {
+  const { room } = client;
+  if (!room) return;
+
+  room.clients.delete(client);
+  client.room = null;
+
+  if (freeSeat) {
+    const role = roleOf(room, client.clientId);
+    if (role !== "spectator") room.seats[role] = null;
+  }
+
+  if (room.clients.size === 0) {
+    room.expiryTimer = setTimeout(() => rooms.delete(room.code), ROOM_TIMEOUT);
+  } else {
+    broadcast(room);
+  }
+}
+
+// ===== MESSAGE HANDLERS =====
+
+/**
+ * HANDLE CREATE
+ * 
+ * Creates a room and seats its creator as the first player.
+ */
+function handleCreate(client, { game: gameKey, config }) {
+  const game = GAMES[gameKey];
+  if (!game) return sendError(client.socket, "Unknown game.");
+
+  const validConfig = validateConfig(game, config);
+  if (!validConfig) return sendError(client.socket, "That board size is not supported.");
+
+  const room = createRoom(gameKey, validConfig);
+  room.seats[game.engine.PLAYERS[0]] = client.clientId;
+  enterRoom(client, room);
+  broadcast(room);
+}
+
+/**
+ * HANDLE JOIN
+ * 
+ * Joins (or rejoins) a room by code. A client that already holds a seat
+ * gets it back; otherwise it takes a free seat, or spectates if both are
+ * taken or it asked to watch.
+ */
+function handleJoin(client, { code, spectate }) {
+  const room = rooms.get(String(code).toUpperCase());
+  if (!room) return sendError(client.socket, `No room with code ${code}.`);
+
+  if (roleOf(room, client.clientId) === "spectator" && !spectate) {
+    const freeSeat = Object.keys(room.seats).find((player) => room.seats[player] === null);
+    if (freeSeat) room.seats[freeSeat] = client.clientId;
+  }
+
+  enterRoom(client, room);
+  broadcast(room);
+}
+
+/**
+ * HANDLE MOVE
+ * 
+ * Server-authoritative move validation:
+ * 1. The sender must hold the seat whose turn it is
+ * 2. The move must be legal under the engine rules (empty square or
+ *    non-full column, and the game must not be over)
+ */
+function handleMove(client, { move }) {
+  const { room } = client;
+  if (!room) return sendError(client.socket, "Join a room first.");
+
+  const { engine } = GAMES[room.gameKey];
+  const player = engine.PLAYERS[room.moves.length % engine.PLAYERS.length];
+
+  if (room.seats[player] !== client.clientId) {
+    return sendError(client.socket, "It is not your turn.");
+  }
+  if (!engine.getLegalMoves(room.board, room.config).includes(move)) {
+    return sendError(client.socket, "That move is not allowed.");
+  }
+
+  room.board = engine.applyMove(room.board, move, player, room.config).board;
+  room.moves.push(move);
+  broadcast(room);
+}
+
+/**
+ * HANDLE RESTART
+ * 
+ * Either player can clear the board and start a new game in the same room.
+ */
+function handleRestart(client) {
+  const { room } = client;
+  if (!room) return sendError(client.socket, "Join a room first.");
+  if (roleOf(room, client.clientId) === "spectator") {
+    return sendError(client.socket, "Spectators cannot restart the game.");
+  }
+
+  room.moves = [];
+  room.board = GAMES[room.gameKey].engine.createInitialBoard(room.config);
+  broadcast(room);
+}
+
+// ===== SERVER STARTUP =====
+
+// Bound to localhost only: this server is for local testing, not the internet
+const server = new WebSocket.Server({ host: "localhost", port: PORT });
+
+server.on("connection", (socket) => {
+  const client = { socket, clientId: null, room: null };
+
+  // HEARTBEAT: a connection that misses a ping round is terminated
+  socket.isAlive = true;
+  socket.on("pong", () => { socket.isAlive = true; });
+
+  socket.on("message", (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return sendError(socket, "Messages must be JSON.");
+    }
+    // Valid JSON can still be null, a number, a string or an array
+    if (!message || typeof message !== "object" || Array.isArray(message)) {
+      return sendError(socket, "Messages must be JSON objects.");
+    }
+
+    // Every create/join carries the client id that owns a seat
+    if (typeof message.clientId === "string" && message.clientId) {
+      client.clientId = message.clientId;
+    }
+    if (!client.clientId && message.type !== "leave") {
+      return sendError(socket, "Missing client id.");
+    }
+
+    switch (message.type) {
+      case "create":
+        return handleCreate(client, message);
+      case "join":
+        return handleJoin(client, message);
+      case "move":
+        return handleMove(client, message);
+      case "restart":
+        return handleRestart(client);
+      case "leave":
+        return exitRoom(client, true);
+      default:
+        return sendError(socket, `Unknown message type ${message.type}.`);
+    }
+  });
+
+  socket.on("close", () => exitRoom(client));
+});
+
+const heartbeat = setInterval(() => {
+  for (const socket of server.clients) {
+    if (!socket.isAlive) {
+      socket.terminate();
+      continue;
+    }
+    socket.isAlive = false;
+    socket.ping();
+  }
+}, HEARTBEAT_INTERVAL);
+
+server.on("close", () => clearInterval(heartbeat));
+
+console.log(`Game server listening on ws://localhost:${PORT}`);
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * GAME SERVER TESTS
+ *
+ * Starts the real server in a child process (on its own port) and talks
+ * to it over WebSocket, like the apps do. Run with `npm run test:server`.
+ */
+
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+
+// A port away from the default 8080, so a running dev server does not clash
+const PORT = 8090 + Math.floor(Math.random() * 100);
+
+let server;
+
+/**
+ * START SERVER
+ *
+ * Uses the same Node flags as the "server" script in package.json and
+ * resolves once the server logs that it is listening.
+ */
+before(async () => {
+  server = spawn(
+    process.execPath,
+    ["--experimental-detect-module", "--disable-warning=MODULE_TYPELESS_PACKAGE_JSON", "server/server.mjs"],
+    { env: { ...process.env, PORT: String(PORT) }, stdio: ["ignore", "pipe", "inherit"] }
+  );
+  const [output] = await once(server.stdout, "data");
+  assert.match(String(output), /listening/);
+});
+
+after(() => {
+  if (server.exitCode === null) server.kill();
+});
+
+/**
+ * CONNECT
+ *
+ * @returns {Promise<WebSocket>} An open connection to the test server
+ */
+async function connect() {
+  const socket = new WebSocket(`ws://localhost:${PORT}`);
+  await once(socket, "open");
+  return socket;
+}
+
+/**
+ * SEND AND WAIT FOR THE REPLY
+ *
+ * @param {WebSocket} socket - Open connection
+ * @param {string} frame - Raw text to send
+ * @returns {Promise<Object>} The server's next message
+ */
+async function request(socket, frame) {
+  const reply = once(socket, "message");
+  socket.send(frame);
+  const [data] = await reply;
+  return JSON.parse(data);
+}
+
+// ===== MALFORMED MESSAGES =====
+
+test("answers frames that are not JSON objects with an error", async () => {
+  const socket = await connect();
+
+  assert.deepEqual(await request(socket, "not json"), { type: "error", message: "Messages must be JSON." });
+  for (const frame of ["null", "5", "\"x\"", "[]", "true"]) {
+    assert.deepEqual(
+      await request(socket, frame),
+      { type: "error", message: "Messages must be JSON objects." },
+      `reply to ${frame}`
+    );
+  }
+
+  socket.close();
+});
+
+test("keeps serving after malformed frames", async () => {
+  const socket = await connect();
+  await request(socket, "null");
+
+  const reply = await request(socket, JSON.stringify({ type: "create", game: "ttt", clientId: "test-client" }));
+  assert.equal(reply.type, "state");
+  assert.equal(reply.role, "X");
+  assert.equal(server.exitCode, null);
+
+  socket.close();
+});
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * CONNECT FOUR COMPUTER OPPONENT WORKER
+ * 
+ * Runs the minimax search off the main thread so the board stays responsive
+ * (hover effects, buttons) while the computer is thinking.
+ * 
+ * Message protocol:
+ * - Computer move: receives { id, board, player, difficulty, config },
+ *   replies { id, col }
+ * - Post-game analysis: receives { id, type: "analyze", positions, config }
+ *   where positions is [{ board, player }, ...], replies { id, analysis }
+ *   with one analyzePosition result per position
+ * The id is echoed back so the component can ignore stale replies
+ * (for example after the game was restarted mid-search).
+ */
+
+/* eslint-env worker, es2020 */
+
+import { analyzePosition, findBestMove } from "../engine/connectFourAI";
+
+// The worker's global scope (self)
+const ctx = globalThis;
+
+ctx.onmessage = (event) => {
+    if (event.data.type === "analyze") {
+        const { id, positions, config } = event.data;
+        const analysis = positions.map(({ board, player }) => analyzePosition(board, player, config));
+        ctx.postMessage({ id, analysis });
+        return;
+    }
+
+    const { id, board, player, difficulty, config } = event.data;
+    const col = findBestMove(board, player, difficulty, config);
+    ctx.postMessage({ id, col });
+};
\ No newline at end of file
@@ -3,39 +3,292 @@
  * 
  * This is a fully functional Connect Four game built with React.
  * Features include:
- * - 6x7 game board (standard Connect Four dimensions)
+ * - 6x7 game board (standard Connect Four dimensions), plus larger boards,
+ *   Connect Five and custom sizes
  * - Two-player gameplay (red vs yellow)
+ * - "Play vs computer" mode with Easy/Medium/Hard difficulty
  * - Win detection in all directions (horizontal, vertical, diagonal)
+ * - Draw detection when the board fills up with no winner
+ * - Feedback when a piece is dropped into a full column
+ * - Move history with time travel, undo/redo and sortable move list
  * - Visual feedback (hover effects, winning piece highlighting)
+ * - Animated piece drops with a bounce (skipped when reduced motion is preferred)
+ * - Keyboard play (arrow keys, Enter/Space, number keys) and screen-reader announcements
+ * - Landing preview: a ghost piece in the cell a drop would land in, a
+ *   marker above the column and a warning tint for drops that let the
+ *   opponent win next move
+ * - Touch play: tap a column to preview and tap again to drop, or drag the
+ *   piece across the columns and lift to drop, with vibration feedback
+ * - Board scales down to fit phone screens
  * - Audio feedback for moves and wins
  * - Game reset functionality
+ * - Saved across page refreshes and shareable by link (URL fragment)
+ * - Scoreboard of finished games (wins, draws, streaks), kept between visits
+ * - Post-game analysis: the engine's score for every position, best columns
+ *   highlighted on the board and blunders flagged in the move list
+ * - Game records: export and import whole games as text ("4453..." column
+ *   sequences with PGN-style headers)
+ * - Replay player (play/pause, step, speed, slider) with drop and win sounds
+ * - Hints during play, with a per-game budget; assisted moves are marked
+ *   in the move list
+ * - Rule variants: PopOut (pop your own pieces out of the bottom row),
+ *   Pop Ten and 5-in-a-Row
+ * - Chess clocks (Fischer increment or a fixed time per move) with loss on
+ *   time, pause / resume and a low-time warning
+ * - Player profiles (name and avatar) for two-player games, shown in the
+ *   status and move list, with an option to swap sides between games
  * 
  * Learning concepts demonstrated:
- * - React functional components and hooks (useState)
+ * - React functional components and hooks (useState, useEffect, useRef, useId)
  * - Complex state management with nested arrays
- * - Event handling (onClick, onMouseEnter, onMouseLeave)
+ * - Event handling (onClick, onMouseEnter, onMouseLeave, pointer events)
  * - Conditional rendering and dynamic CSS classes
  * - Audio integration in React
- * - Game logic algorithms (win detection)
+ * - Game logic algorithms (win detection, minimax search)
+ * - Web Workers for running expensive work off the main thread
  * - Immutable state updates (important React principle)
  */
 
-// Import React library and the useState hook for managing component state
-import React, { useState } from "react";
+// Import React library and the hooks used for state, side effects and refs
+import React, { useEffect, useId, useRef, useState } from "react";
+// Import the shared, React-free Connect Four rules (see src/engine)
+import {
+    CLASSIC_CONFIG,
+    applyMove,
+    checkWinner,
+    findDropRow,
+    isDraw,
+    otherPlayer,
+} from "../engine/connectFour";
+// Import the engine namespace and history replay for restoring saved games,
+// and the rule variants (PopOut, Pop Ten, 5-in-a-Row)
+import { connectFour, connectFourVariants, replayMoves } from "../engine";
+// Import the blunder check for post-game analysis (the search itself runs in the worker)
+// and the risky drop check for the landing preview
+import { givesAwayWin, isBlunder } from "../engine/connectFourAI";
+// Import save/load helpers (localStorage and shareable URL fragment)
+import { isSameConfig, loadGame, saveGame } from "../shared/savedGames";
+// Import the shared screen-reader cell labels
+import { squareLabel } from "../shared/gridKeys";
+// Import the online play connection and room controls (see server/)
+import { useOnlineGame } from "../shared/onlineGame";
+import OnlinePanel from "../shared/onlinePanel";
+// Import the game record notation and export/import panel
+import { CONNECT_FOUR_NOTATION } from "../shared/gameRecord";
+import RecordPanel from "../shared/recordPanel";
+// Import the replay player for the move history
+import ReplayControls from "../shared/replayControls";
+// Import the shared sound manager (mute, volume, overlapping sounds)
+import { playSound, preloadSounds } from "../shared/sound";
+// Import the players' chosen piece colors (see src/shared/theme.js)
+import { pieceColorName, useAppearance } from "../shared/theme";
+// Import the saved scoreboard (wins, draws, streaks) and its display
+import { recordGame } from "../shared/stats";
+import Scoreboard from "../shared/scoreboard";
+// Import the chess clocks (time controls, turn timer) and their display
+import { TIME_CONTROLS, initialClock, timeAfterMove, useChessClock } from "../shared/chessClock";
+import ClockPanel from "../shared/clockPanel";
+// Import the player profiles (who plays red and yellow) and their picker
+import { profileName, startNextGame, useSeatedProfiles } from "../shared/profiles";
+import ProfilePanel from "../shared/profilePanel";
 // Import the CSS file that contains all styling for this Connect Four game
 import "./c4appstyles.css";
 
 // ===== AUDIO SETUP =====
-// Preload audio files for various game events
-// Using process.env.PUBLIC_URL ensures paths work correctly when deployed
-const pieceSound = new Audio(process.env.PUBLIC_URL + "/sounds/piece.mp3");  // Sound when dropping a piece
-const winXSound = new Audio(process.env.PUBLIC_URL + "/sounds/win-x.mp3");   // Sound when red player wins
-const winOSound = new Audio(process.env.PUBLIC_URL + "/sounds/win-o.mp3");   // Sound when yellow player wins
+// Sounds are played through the shared sound manager (see src/shared/sound.js),
+// which preloads them, lets them overlap and applies the global mute and volume:
+// "piece" when a piece lands, "winX" / "winO" when red / yellow wins,
+// "draw" when the board fills with no winner, "reject" for a full column,
+// "lowTime" when a chess clock runs low
+const GAME_SOUNDS = ["piece", "winX", "winO", "draw", "lowTime"];
 
-// ===== GAME CONSTANTS =====
-// Define the board dimensions as constants for easy modification and clarity
-const ROWS = 6;    // Standard Connect Four has 6 rows
-const COLS = 7;    // Standard Connect Four has 7 columns
+// How long a full column shakes after a rejected drop (matches the CSS animation)
+const REJECT_DURATION = 400;
+
+// ===== HAPTIC FEEDBACK =====
+// Vibration patterns in milliseconds for touch play: a tick when the
+// previewed column changes, a bump when a piece lands, a buzz for a full
+// column and a longer pattern for a win
+const HAPTICS = {
+    preview: 10,
+    drop: 25,
+    reject: [40, 40, 40],
+    win: [60, 40, 120],
+};
+
+/**
+ * VIBRATE
+ * 
+ * Uses the Vibration API where the device has it (most Android phones);
+ * elsewhere (iPhones, desktops) it does nothing.
+ * 
+ * @param {number|Array} pattern - One of HAPTICS
+ */
+const vibrate = (pattern) => {
+    if (typeof navigator.vibrate === "function") navigator.vibrate(pattern);
+};
+
+/**
+ * REDUCED MOTION CHECK
+ * 
+ * Users can ask their operating system to minimize animations.
+ * Checked on every drop, so changing the setting applies immediately.
+ * 
+ * @returns {boolean} - True when pieces should appear without falling
+ */
+const prefersReducedMotion = () =>
+    typeof window.matchMedia === "function" &&
+    window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
+// ===== BOARD SIZE PRESETS =====
+// Named board configurations offered in the "Board" dropdown
+// ("custom" keeps whatever rows, columns and win length were typed in)
+const BOARD_PRESETS = {
+    classic: { label: "Classic 7x6", config: CLASSIC_CONFIG },
+    large: { label: "8x7", config: { rows: 7, cols: 8, winLength: 4 } },
+    connectFive: { label: "Connect Five 9x6", config: { rows: 6, cols: 9, winLength: 5 } },
+};
+
+// Limits for custom boards (larger boards make the computer search too slow)
+const SIZE_LIMITS = {
+    rows: { min: 4, max: 10 },
+    cols: { min: 4, max: 12 },
+};
+
+/**
+ * CUSTOM CONFIG VALIDATION
+ * 
+ * Keeps typed-in values whole numbers within SIZE_LIMITS. The win length
+ * is at least 3 and never longer than the board's longest side.
+ * 
+ * @param {Object} config - { rows, cols, winLength } (possibly out of range)
+ * @returns {Object} - A playable { rows, cols, winLength }
+ */
+const clampConfig = ({ rows, cols, winLength }) => {
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, Math.round(value) || min));
+    const nextRows = clamp(rows, SIZE_LIMITS.rows.min, SIZE_LIMITS.rows.max);
+    const nextCols = clamp(cols, SIZE_LIMITS.cols.min, SIZE_LIMITS.cols.max);
+    return {
+        rows: nextRows,
+        cols: nextCols,
+        winLength: clamp(winLength, 3, Math.max(nextRows, nextCols)),
+    };
+};
+
+// ===== RULE VARIANTS =====
+// Rules offered in the "Rules" dropdown, each with its own board
+// (see src/engine/connectFourVariants.js)
+const { VARIANTS } = connectFourVariants;
+
+/**
+ * FIRST HISTORY ENTRY
+ * 
+ * The empty board (with its filled outer columns in 5-in-a-Row). Games
+ * with pops also keep the variant's game state in every history entry,
+ * since their turns do not simply alternate.
+ * 
+ * @param {string} variant - Key of VARIANTS
+ * @param {Object} config - { rows, cols, winLength }
+ * @returns {Object} - History entry for the start of the game
+ */
+const initialEntry = (variant, config) => {
+    const state = connectFourVariants.createInitialState(variant, config);
+    const entry = { board: state.board, position: [null, null] };
+    return VARIANTS[variant].hasPops ? { ...entry, state } : entry;
+};
+
+/**
+ * POSITION RESULT
+ * 
+ * Winner, winning line and draw for one history entry. With drops only,
+ * just the piece dropped by that move can complete a line. With pops the
+ * variant rules decide, and a position repeated too often is a draw.
+ * A player whose clock ran out (entry.flag) has lost, whatever the board.
+ * 
+ * @param {Array} history - History entries
+ * @param {number} move - Index of the entry to check
+ * @param {string} variant - Key of VARIANTS
+ * @param {Object} config - { rows, cols, winLength }
+ * @returns {Object} - { winner, winningCells, isDrawn, flagged }
+ */
+const positionResult = (history, move, variant, config) => {
+    const { board, position: [row, col], state, flag } = history[move];
+
+    if (flag) {
+        return { winner: otherPlayer(flag), winningCells: [], isDrawn: false, flagged: flag };
+    }
+
+    if (state) {
+        const { winner, winningCells, isDraw: isFullDraw } = connectFourVariants.getResult(state, variant, config);
+        const states = history.slice(0, move + 1).map((entry) => entry.state);
+        return { winner, winningCells, isDrawn: isFullDraw || (!winner && connectFourVariants.isRepetition(states)) };
+    }
+
+    // Red made the odd-numbered moves, yellow the even ones
+    const player = move % 2 === 1 ? "red" : "yellow";
+    const winningCells = (row !== null && checkWinner(board, row, col, player, config)) || [];
+    const winner = winningCells.length > 0 ? player : null;
+    return { winner, winningCells, isDrawn: !winner && isDraw(board, config) };
+};
+
+// ===== HINTS =====
+
+/**
+ * HINT BUDGET OPTIONS
+ * 
+ * Hints allowed per game -> label. Infinity means no limit.
+ */
+const HINT_BUDGETS = [
+    [0, "None"],
+    [1, "1"],
+    [3, "3"],
+    [5, "5"],
+    [Infinity, "Unlimited"],
+];
+
+// Columns highlighted when there is no hint
+const NO_HINT = [];
+
+// ===== SAVED GAMES =====
+// How this game is stored (see src/shared/savedGames.js): a move is a column
+const SAVE_FORMAT = {
+    key: "c4",
+    defaultConfig: CLASSIC_CONFIG,
+    moveRange: (config) => config.cols,
+};
+
+/**
+ * PRESET LOOKUP
+ * 
+ * @param {Object} config - { rows, cols, winLength }
+ * @returns {string} - Key of the matching BOARD_PRESETS entry, or "custom"
+ */
+const presetFor = (config) =>
+    Object.keys(BOARD_PRESETS).find((key) => isSameConfig(BOARD_PRESETS[key].config, config)) ?? "custom";
+
+/**
+ * RESTORE SAVED GAME
+ * 
+ * Rebuilds the board size and history from a shared link or the last
+ * visit. A saved board size outside SIZE_LIMITS is not trusted, and the
+ * classic empty board is used instead.
+ * 
+ * @returns {Object} - { boardPreset, config, history, currentMove }
+ */
+const restoreGame = () => {
+    let saved = loadGame(SAVE_FORMAT);
+    if (saved && !isSameConfig(clampConfig(saved.config), saved.config)) saved = null;
+
+    const config = saved ? saved.config : CLASSIC_CONFIG;
+    const history = replayMoves(connectFour, saved ? saved.moves : [], config);
+
+    return {
+        boardPreset: presetFor(config),
+        config,
+        history,
+        currentMove: saved ? Math.min(saved.cursor, history.length - 1) : 0,
+    };
+};
 
 /**
  * MAIN CONNECT FOUR COMPONENT
@@ -48,30 +301,41 @@ const ConnectFour = () => {
     // React useState hooks to manage all game state
 
     /**
-     * BOARD STATE
-     * Creates a 2D array representing the game board:
-     * - Array(ROWS) creates an array with 6 elements
-     * - .fill(null) fills each element with null
-     * - .map(() => Array(COLS).fill(null)) replaces each null with a new array of 7 nulls
-     * Result: [[null,null,null,null,null,null,null], [null,null,null,null,null,null,null], ...]
-     * This represents a 6x7 grid where null = empty space, "red"/"yellow" = player pieces
+     * RESTORED GAME
+     * Read once on mount from a shared link or the last visit.
+     * Provides the starting board size, history and current move below.
      */
-    const [board, setBoard] = useState(Array(ROWS).fill(null).map(() => Array(COLS).fill(null)));
+    const [savedGame] = useState(restoreGame);
 
     /**
-     * CURRENT PLAYER STATE
-     * Tracks whose turn it is. In Connect Four, red traditionally goes first.
-     * Will alternate between "red" and "yellow" after each move.
+     * GAME HISTORY STATE
+     * Same model as the Tic-Tac-Toe apps: one entry per position.
+     * Each entry contains:
+     * - board: rows x cols grid after the move (null = empty, "red"/"yellow" = pieces)
+     * - position: [row, col] of the piece dropped by that move
+     * Starts with the empty board, which has no move position
+     * (plus any moves restored from a saved game).
      */
-    const [currentPlayer, setCurrentPlayer] = useState("red");
+    const [history, setHistory] = useState(savedGame.history);
 
     /**
-     * WINNER STATE
-     * Tracks if there's a winner. Starts as null (no winner).
-     * When someone wins, this will be set to "red" or "yellow".
-     * Used to prevent further moves and display winner message.
+     * CURRENT MOVE STATE
+     * Index into the history array for the position being shown.
+     * Allows players to "time travel" through the game.
      */
-    const [winner, setWinner] = useState(null);
+    const [currentMove, setCurrentMove] = useState(savedGame.currentMove);
+
+    /**
+     * SELECTED MOVE STATE
+     * Remembers the last move jumped to, for the "restarted at move #" note.
+     */
+    const [selectedMove, setSelectedMove] = useState(null);
+
+    /**
+     * MOVE LIST ORDERING STATE
+     * Controls whether the move list is shown ascending (true) or descending (false).
+     */
+    const [isAscending, setIsAscending] = useState(true);
 
     /**
      * HOVERED COLUMN STATE
@@ -81,137 +345,1255 @@ const ConnectFour = () => {
     const [hoveredCol, setHoveredCol] = useState(null);
 
     /**
-     * WINNING CELLS STATE
-     * Stores the coordinates of the four pieces that won the game.
-     * Used to highlight the winning pieces with special styling.
-     * Format: [[row, col], [row, col], [row, col], [row, col]]
+     * TOUCH PREVIEW STATE
+     * True while a tapped (or dragged-to) column is previewed with the
+     * drag piece above it, waiting for a second tap to drop.
+     * On touch screens hoveredCol holds the previewed column.
+     */
+    const [touchPreview, setTouchPreview] = useState(false);
+
+    /**
+     * REJECTED COLUMN STATE
+     * Column that was just clicked while full, so it can shake briefly.
+     * null when no rejection is being shown.
+     */
+    const [rejectedCol, setRejectedCol] = useState(null);
+
+    /**
+     * FALLING PIECE STATE
+     * The piece currently animating down a column, or null.
+     * Format: { row, col, player, board } where board is the position after
+     * it lands. The move is only added to the history when the animation
+     * ends, and every other drop is ignored until then (input lock).
+     */
+    const [fallingPiece, setFallingPiece] = useState(null);
+
+    /**
+     * GAME MODE STATE
+     * "two-player": Two humans sharing one mouse (hot-seat)
+     * "computer": One human against the computer opponent
+     * "online": Against another browser through the local game server
+     */
+    const [gameMode, setGameMode] = useState("two-player");
+
+    /**
+     * HUMAN COLOR STATE
+     * Which color the human plays in "computer" mode.
+     * Red always moves first, so picking yellow lets the computer open.
+     */
+    const [humanColor, setHumanColor] = useState("red");
+
+    /**
+     * DIFFICULTY STATE
+     * Search depth for the computer opponent ("easy", "medium" or "hard").
+     */
+    const [difficulty, setDifficulty] = useState("medium");
+
+    /**
+     * RISKY DROP WARNING STATE
+     * When true, the landing preview turns to the warning color over a
+     * column that would let the opponent win on their next move.
+     */
+    const [warnRiskyDrops, setWarnRiskyDrops] = useState(true);
+
+    /**
+     * THINKING STATE
+     * True while the computer opponent is searching for its move.
+     */
+    const [isThinking, setIsThinking] = useState(false);
+
+    /**
+     * BOARD PRESET STATE
+     * Key into BOARD_PRESETS, or "custom" for user-entered dimensions.
+     */
+    const [boardPreset, setBoardPreset] = useState(savedGame.boardPreset);
+
+    /**
+     * RULES STATE
+     * Key of VARIANTS: "classic", "popOut", "popTen" or "fiveInARow".
+     * The variants are played on their own board.
+     */
+    const [variant, setVariant] = useState("classic");
+
+    /**
+     * PENDING POP STATE
+     * Pop Ten piece popped out but not yet dropped back in: { board, col },
+     * only shown while that board (the same array) is on screen.
+     */
+    const [pendingPop, setPendingPop] = useState(null);
+
+    /**
+     * BOARD CONFIGURATION STATE
+     * rows / cols: Board height and width in cells
+     * winLength: Pieces in a row needed to win (4 in classic Connect Four)
+     */
+    const [config, setConfig] = useState(savedGame.config);
+
+    /**
+     * TIME CONTROL STATE
+     * Key of TIME_CONTROLS ("off" for untimed games). Each history entry
+     * of a timed game keeps both players' time left after that move
+     * (entry.clock), and a player who ran out of time is entry.flag.
+     */
+    const [timeControl, setTimeControl] = useState("off");
+
+    /**
+     * APPEARANCE
+     * Piece colors come from CSS variables; colorName gives the matching
+     * player name ("Red", or "Orange" after a player picks orange).
+     */
+    const appearance = useAppearance();
+    const colorName = (player) => pieceColorName(appearance, player);
+
+    /**
+     * PLAYER PROFILES
+     * In two-player games the players can be named profiles (see
+     * src/shared/profiles.js): seatedName gives a profile's avatar and
+     * name, or null for a guest or another mode; sideName falls back to
+     * the piece color.
+     */
+    const seated = useSeatedProfiles(SAVE_FORMAT.key, ["red", "yellow"], "preferredColor");
+    const usesProfiles = gameMode === "two-player";
+    const seatedName = (player) => (usesProfiles && seated[player] ? profileName(seated[player], colorName(player)) : null);
+    const sideName = (player) => seatedName(player) ?? colorName(player);
+
+    /**
+     * ONLINE CONNECTION
+     * Room, seat and actions for online games (see src/shared/onlineGame.js).
+     * While in a room, the server's move list replaces the local history.
+     */
+    const online = useOnlineGame("c4");
+    const isOnline = gameMode === "online";
+
+    /**
+     * TOUCH REFERENCES
+     * isTouchRef: True when the latest pointer was a finger or pen (mouse
+     *             emulation events and clicks that follow a tap are ignored,
+     *             and only touch players get vibrations)
+     * gestureRef: The touch in progress: { col, moved, wasPreviewed }, or null
+     *             (its own column, since several moves can arrive before a re-render)
+     */
+    const isTouchRef = useRef(false);
+    const gestureRef = useRef(null);
+
+    /**
+     * SCOREBOARD FLAG
+     * True once the game in progress has been added to the scoreboard, so
+     * replaying a different ending after time travel does not count twice.
+     * Cleared only when a new game starts: resetGame (new game, mode,
+     * variant or board changes) or an online restart.
+     */
+    const statsRecordedRef = useRef(false);
+
+    /**
+     * ANALYSIS STATE
+     * isAnalyzing: True while a finished game is being reviewed
+     * analysis: One analyzePosition result per history entry (from the
+     *           analysis worker), or null while it is still searching
      */
-    const [winningCells, setWinningCells] = useState([]);
+    const [isAnalyzing, setIsAnalyzing] = useState(false);
+    const [analysis, setAnalysis] = useState(null);
+
+    /**
+     * REPLAY STATE
+     * True while the replay player is stepping through the history by
+     * itself (the board is locked meanwhile)
+     */
+    const [isReplaying, setIsReplaying] = useState(false);
+
+    /**
+     * HINT STATE
+     * hintBudget: Hints allowed in each game (a value from HINT_BUDGETS)
+     * hintsUsed: Hints taken in the current game
+     * hint: The last hint, { board, cols } - only shown while that board
+     *       (the same array) is on screen, so any move or jump clears it
+     * hintSearch: The board the worker is searching for a hint, or null
+     */
+    const [hintBudget, setHintBudget] = useState(3);
+    const [hintsUsed, setHintsUsed] = useState(0);
+    const [hint, setHint] = useState(null);
+    const [hintSearch, setHintSearch] = useState(null);
+
+    /**
+     * SAVE EFFECT
+     * Stores the game after every change, so a refresh restores it and the
+     * URL always links to the position being shown.
+     * Online games live on the server and are not saved; neither are rule
+     * variants (a save only holds the columns of classic drops).
+     */
+    useEffect(() => {
+        if (isOnline || variant !== "classic") return;
+        const moves = history.slice(1).map(({ position: [, col] }) => col);
+        saveGame(SAVE_FORMAT, { moves, cursor: currentMove, config });
+    }, [history, currentMove, config, isOnline, variant]);
+
+    /**
+     * AUDIO PRELOADING EFFECT
+     * Downloads and decodes the game's sounds once, so the first drop is not delayed.
+     */
+    useEffect(() => {
+        preloadSounds(GAME_SOUNDS);
+    }, []);
+
+    // ===== COMPUTER OPPONENT SETUP =====
+
+    /**
+     * WORKER REFERENCES
+     * workerRef: The Web Worker running the minimax search
+     * requestIdRef: Counter used to discard replies to outdated requests
+     */
+    const workerRef = useRef(null);
+    const requestIdRef = useRef(0);
+
+    /**
+     * WORKER LIFECYCLE EFFECT
+     * Creates the search worker on mount and terminates it on unmount.
+     * new URL(..., import.meta.url) lets the bundler emit the worker as its own file.
+     */
+    useEffect(() => {
+        const worker = new Worker(new URL("./c4ai.worker.js", import.meta.url));
+        workerRef.current = worker;
+        return () => {
+            worker.terminate();
+            workerRef.current = null;
+        };
+    }, []);
+
+    // ===== DERIVED STATE =====
+    // Everything below is recomputed from the selected history entry,
+    // so jumping to any move shows the correct turn, winner and highlights
+
+    /**
+     * CURRENT BOARD AND PLAYER
+     * Red moves on even move numbers (0, 2, 4...), yellow on odd ones,
+     * except in games with pops, whose state says whose turn it is.
+     */
+    const board = history[currentMove].board;
+    const variantState = history[currentMove].state ?? null;
+    const currentPlayer = variantState ? variantState.player : currentMove % 2 === 0 ? "red" : "yellow";
+    const rules = VARIANTS[variant];
+
+    /**
+     * WINNER, WINNING CELLS AND DRAW
+     * Format of winningCells: [[row, col], [row, col], ...] (winLength or more cells)
+     * A draw is a full board with no winner (or, with pops, a repeated position).
+     */
+    const { winner, winningCells, isDrawn, flagged } = positionResult(history, currentMove, variant, config);
+
+    // Player who made the move being shown (a Pop Ten player who set a piece aside moves again)
+    const lastPlayer = history[currentMove].player ?? otherPlayer(currentPlayer);
+
+    // True once the shown position is finished (won or drawn)
+    const isGameOver = winner !== null || isDrawn;
+
+    // True when the shown position is the newest one in the history
+    const isLatestMove = currentMove === history.length - 1;
+
+    // Color the computer plays (only meaningful in "computer" mode)
+    const computerColor = otherPlayer(humanColor);
+
+    // True when it is the computer's turn and the human must wait
+    const isComputerTurn = gameMode === "computer" && currentPlayer === computerColor && !isGameOver;
+
+    // True while a piece is falling (all input is locked)
+    const isDropping = fallingPiece !== null;
+
+    // True when an online game is waiting for the other player (or for the
+    // server, or this client is only watching); online moves are only made
+    // at the latest position
+    const isOpponentTurn = isOnline && !isGameOver && (online.role !== currentPlayer || !isLatestMove);
+
+    /**
+     * FINISHED GAME DETECTION
+     * Analysis is offered once the latest position is won or drawn.
+     * While it is shown, the board is for review only.
+     */
+    const latestResult = positionResult(history, history.length - 1, variant, config);
+    const isGameFinished = latestResult.winner !== null || latestResult.isDrawn;
+    const showAnalysis = isAnalyzing && isGameFinished;
+
+    // Analysis of the position being shown (null while searching or at the end)
+    const shownAnalysis = analysis?.[currentMove] ?? null;
+
+    /**
+     * CHESS CLOCKS
+     * The clock times the player to move at the latest position. It stands
+     * still while a piece falls, during time travel and replays, and once
+     * the game is over. Online games are untimed; entries without times
+     * (restored games) count as the starting times.
+     */
+    const clockControl = isOnline ? TIME_CONTROLS.off : TIME_CONTROLS[timeControl];
+    const latestEntry = history[history.length - 1];
+    const latestPlayer = latestEntry.state?.player ?? ((history.length - 1) % 2 === 0 ? "red" : "yellow");
+    const entryClock = (entry) => entry.clock ?? initialClock(clockControl, ["red", "yellow"]);
+    const clock = useChessClock({
+        control: clockControl,
+        turnKey: latestEntry,
+        remaining: entryClock(latestEntry)?.[latestPlayer] ?? 0,
+        isRunning: isLatestMove && !isGameFinished && !isDropping && !isReplaying,
+        onFlag: () => flagPlayer(),
+    });
+
+    // Times shown: counting down at the latest position, as recorded elsewhere
+    const shownClock = isLatestMove && !isGameFinished && clock.timeLeft !== null
+        ? { ...entryClock(latestEntry), [latestPlayer]: clock.timeLeft }
+        : entryClock(history[currentMove]);
+
+    // True while the board takes no drops: the computer or online opponent
+    // moves next, a piece is falling, a game is being analyzed or replayed,
+    // or the clocks are paused
+    const isBoardLocked = isComputerTurn || isOpponentTurn || isDropping || showAnalysis || isReplaying || clock.isPaused;
+
+    /**
+     * HINT AVAILABILITY
+     * A hint is for whoever may click the board right now. Online games
+     * have no hints: the server's move list has no room for the
+     * "hint used" marks.
+     */
+    const hintCols = hint?.board === board ? hint.cols : NO_HINT;
+    const isHinting = hintSearch === board;
+    const hintsLeft = hintBudget - hintsUsed;
+    const canHint = !isBoardLocked && !isGameOver && !isOnline && !rules.hasPops && !isHinting &&
+        hintsLeft > 0 && hintCols.length === 0;
+
+    // Columns highlighted on the board: the analysis' best moves, or the current hint
+    const bestCols = shownAnalysis ? shownAnalysis.bestMoves : hintCols;
+
+    // Moves made after a hint in the history being shown
+    const hintedMoves = history.filter((entry) => entry.hinted).length;
+
+    /**
+     * VARIANT MOVES
+     * Legal moves in games with pops (null otherwise). popCol is the
+     * column of a Pop Ten piece waiting to be dropped back in.
+     */
+    const legalMoves = variantState ? connectFourVariants.getLegalMoves(variantState, variant, config) : null;
+    const popCol = pendingPop?.board === board ? pendingPop.col : null;
+    const canPop = (col) => popCol === null && (legalMoves?.some((move) => move.type === "pop" && move.col === col) ?? false);
+    const mustPass = legalMoves?.length === 1 && legalMoves[0].type === "pass";
 
     /**
      * DROP PIECE FUNCTION
      * 
      * This function handles when a player clicks on a column to drop a piece.
-     * It implements the core Connect Four gameplay mechanics.
+     * It implements the core Connect Four gameplay mechanics: the landing
+     * row is found first, then the piece falls there (see landPiece).
      * 
-     * @param {number} col - The column index (0-6) where the player wants to drop their piece
+     * @param {number} col - The column index (0 to cols-1) where the player wants to drop their piece
      */
     const dropPiece = (col) => {
-        // GUARD CLAUSE: Prevent moves if game is already won
-        if (winner) return;
-
-        // FIND AVAILABLE ROW
-        // Loop through rows from bottom to top (ROWS-1 down to 0)
-        // This simulates gravity - pieces fall to the lowest available space
-        for (let row = ROWS - 1; row >= 0; row--) {
-            // Check if this position is empty (null means empty)
-            if (!board[row][col]) {
-                // IMMUTABLE STATE UPDATE
-                // Create a deep copy of the board to avoid mutating state directly
-                // This is crucial in React for proper re-rendering and debugging
-                const newBoard = board.map((r) => [...r]);  // Map creates new array, spread operator copies each row
-
-                // Place the current player's piece in the found position
-                newBoard[row][col] = currentPlayer;
-
-                // Update the board state with the new configuration
-                setBoard(newBoard);
-
-                // AUDIO FEEDBACK
-                // Create a new Audio instance to allow overlapping sounds
-                // Using .src ensures we get a fresh audio instance each time
-                const pieceSoundInstance = new Audio(pieceSound.src);
-                pieceSoundInstance.play().catch(console.error); // Handle potential audio play failures
-
-                // WIN DETECTION
-                // Check if this move resulted in a win
-                const winPositions = checkWinner(newBoard, row, col, currentPlayer);
-                if (winPositions) {
-                    // GAME WON
-                    setWinner(currentPlayer);           // Mark the current player as winner
-                    setWinningCells(winPositions);      // Store winning positions for highlighting
-
-                    // Play appropriate victory sound based on winner
-                    if (currentPlayer === "red") {
-                        const winXSoundInstance = new Audio(winXSound.src);
-                        winXSoundInstance.play().catch(console.error);
-                    } else {
-                        const winOSoundInstance = new Audio(winOSound.src);
-                        winOSoundInstance.play().catch(console.error);
-                    }
-                }
-
-                // SWITCH PLAYERS
-                // Use ternary operator to alternate between "red" and "yellow"
-                setCurrentPlayer(currentPlayer === "red" ? "yellow" : "red");
-
-                // EXIT FUNCTION
-                // Return here to stop checking higher rows once piece is placed
-                return;
-            }
+        // GUARD CLAUSE: Prevent moves if game is already won or drawn,
+        // or while another piece is still falling
+        if (isGameOver || isDropping) return;
+
+        // VARIANT RULES
+        // With pops the variant decides what is legal (and a popped Pop Ten
+        // piece is what gets dropped)
+        if (variantState) {
+            playVariantMove(popCol === null ? { type: "drop", col } : { type: "pop", col: popCol, dropCol: col });
+            return;
+        }
+
+        // APPLY MOVE
+        // The engine simulates gravity (piece falls to the lowest free row)
+        // and returns a new board, leaving the current state untouched
+        const result = applyMove(board, col, currentPlayer, config);
+
+        // FULL COLUMN REJECTION
+        // If the column is full (no empty spaces found), shake the column
+        // and buzz so the player knows the click was not ignored by accident
+        if (!result) {
+            rejectMove(col);
+            return;
+        }
+
+        // ONLINE MOVE
+        // The server checks the move and sends it back to both players;
+        // the room effect below then drops the piece
+        if (isOnline) {
+            online.sendMove(col);
+            return;
+        }
+
+        // START THE FALL
+        // With reduced motion the piece lands straight away
+        const [row] = result.position;
+        const piece = { row, col, player: currentPlayer, board: result.board };
+        if (prefersReducedMotion()) {
+            landPiece(piece);
+        } else {
+            setFallingPiece(piece);
         }
-        // If we reach here, the column is full (no empty spaces found)
-        // The function does nothing in this case (could add feedback in future)
     };
 
     /**
-     * WIN DETECTION ALGORITHM
+     * VARIANT MOVE FUNCTION
      * 
-     * This function checks if the last move resulted in a win.
-     * It only checks from the position of the last placed piece,
-     * making it efficient (O(1) instead of checking entire board).
+     * Plays a move in a game with pops. Drops fall like classic ones, pops
+     * (and a Pop Ten piece dropped back in) land straight away. Illegal
+     * moves, such as a setup drop outside the row being filled, are rejected.
      * 
-     * @param {Array} board - The current game board state
-     * @param {number} row - Row of the last placed piece
-     * @param {number} col - Column of the last placed piece  
-     * @param {string} player - The player who just moved ("red" or "yellow")
-     * @returns {Array|null} - Array of winning cell coordinates, or null if no win
+     * @param {Object} move - { type, col, dropCol } (see connectFourVariants.js)
      */
-    const checkWinner = (board, row, col, player) => {
-        // DIRECTION VECTORS
-        // Define the four possible winning directions in Connect Four:
-        // Each direction is represented by two vectors (positive and negative)
-        const directions = [
-            [[0, 1], [0, -1]],   // Horizontal: right and left
-            [[1, 0], [-1, 0]],   // Vertical: down and up  
-            [[1, 1], [-1, -1]],  // Diagonal \: down-right and up-left
-            [[1, -1], [-1, 1]],  // Diagonal /: down-left and up-right
+    const playVariantMove = (move) => {
+        const result = connectFourVariants.applyMove(variantState, move, variant, config);
+        if (!result) {
+            rejectMove(move.dropCol ?? move.col);
+            return;
+        }
+
+        setPendingPop(null);
+        const { state, position: [row, col] } = result;
+        const piece = { row, col, player: currentPlayer, board: state.board, entry: { state, move, player: currentPlayer } };
+        if (move.type === "drop" && !prefersReducedMotion()) {
+            setFallingPiece(piece);
+        } else {
+            landPiece(piece);
+        }
+    };
+
+    /**
+     * POP FUNCTION
+     * 
+     * Pops the current player's bottom piece out of a column. A Pop Ten
+     * piece that is not set aside waits (pendingPop) for the column it is
+     * dropped back into, unless only one column can take it.
+     * 
+     * @param {number} col - Column to pop
+     */
+    const popPiece = (col) => {
+        if (isGameOver || isDropping) return;
+
+        const pops = legalMoves.filter((move) => move.type === "pop" && move.col === col);
+        if (pops.length === 1) {
+            playVariantMove(pops[0]);
+        } else if (pops.length > 1) {
+            setPendingPop({ board, col });
+        } else {
+            rejectMove(col);
+        }
+    };
+
+    /**
+     * LAND PIECE FUNCTION
+     * 
+     * Called when a falling piece reaches its row (or immediately with
+     * reduced motion). Records the move and plays the landing sounds, so
+     * the sound matches the moment the piece hits.
+     * 
+     * @param {Object} piece - { row, col, player, board } from dropPiece, plus the
+     *                         entry's variant fields (state, move, player) with pops
+     */
+    const landPiece = ({ row, col, board: newBoard, entry }) => {
+        setFallingPiece(null);
+        const position = [row, col];
+
+        // CLOCK TIMES
+        // The mover's time when the piece was dropped (a move from an earlier
+        // position continues from that position's times), plus the increment
+        let clockTimes = null;
+        if (clockControl.type) {
+            const before = entryClock(history[currentMove]);
+            const timeLeft = isLatestMove ? clock.readTimeLeft() : before[currentPlayer];
+            clockTimes = { clock: { ...before, [currentPlayer]: timeAfterMove(clockControl, timeLeft) } };
+        }
+
+        // UPDATE HISTORY WITH NEW MOVE
+        // When playing from an earlier move, the "future" moves are discarded
+        const nextHistory = [
+            ...history.slice(0, currentMove + 1),      // Keep history up to current move
+            { board: newBoard, position, hinted: hint?.board === board, ...entry, ...clockTimes }   // Add new move (after a hint?)
         ];
+        setHistory(nextHistory);
+        setCurrentMove(nextHistory.length - 1);         // Jump to the new latest move
 
-        // CHECK EACH DIRECTION
-        for (let [[dr1, dc1], [dr2, dc2]] of directions) {
-            let count = 1;                    // Start with 1 (the piece just placed)
-            let winningCells = [[row, col]];  // Track all cells in this potential winning line
-
-            // CHECK BOTH DIRECTIONS FROM THE PLACED PIECE
-            // We check both positive and negative directions for each axis
-            for (let [dr, dc] of [[dr1, dc1], [dr2, dc2]]) {
-                let r = row + dr;  // Start from adjacent cell
-                let c = col + dc;
-
-                // TRAVERSE IN THIS DIRECTION
-                // Keep going while:
-                // 1. We're within board boundaries
-                // 2. The cell contains the same player's piece
-                while (r >= 0 && r < ROWS && c >= 0 && c < COLS && board[r][c] === player) {
-                    winningCells.push([r, c]);  // Add this cell to potential winning line
-                    count++;                     // Increment consecutive piece count
-
-                    // Move to next cell in this direction
-                    r += dr;
-                    c += dc;
-                }
-            }
+        // AUDIO FEEDBACK
+        // The sound manager lets this overlap a win sound or the next drop
+        playSound("piece");
+
+        // WIN DETECTION
+        // Check if this move resulted in a win (a pop can even make the opponent win)
+        const { winner: winnerNow, isDrawn: isDrawnNow } = positionResult(nextHistory, nextHistory.length - 1, variant, config);
+
+        // HAPTIC FEEDBACK (touch players feel every piece land)
+        if (isTouchRef.current) vibrate(winnerNow ? HAPTICS.win : HAPTICS.drop);
+        if (winnerNow) {
+            // GAME WON
+            // (winner and highlights are derived from history on the next render)
+            // Play appropriate victory sound based on winner
+            playSound(winnerNow === "red" ? "winX" : "winO");
+        } else if (isDrawnNow) {
+            // GAME DRAWN
+            // The last empty cell was filled without completing a line
+            playSound("draw");
+        }
+
+        // SCOREBOARD
+        // Each game counts once, when its final piece lands (spectators keep no score)
+        const moveCount = nextHistory.length - 1;
+        const isSpectating = isOnline && online.role === "spectator";
+        if ((winnerNow || isDrawnNow) && !statsRecordedRef.current && !isSpectating) {
+            recordGame(SAVE_FORMAT.key, winnerNow, moveCount);
+            statsRecordedRef.current = true;
+        }
+    };
+
+    /**
+     * FLAG FUNCTION
+     * 
+     * Called by the chess clock when the player to move runs out of time:
+     * the latest position becomes a loss on time for them, with the win
+     * sound and scoreboard entry of any other win.
+     */
+    const flagPlayer = () => {
+        const flaggedEntry = { ...latestEntry, flag: latestPlayer, clock: { ...entryClock(latestEntry), [latestPlayer]: 0 } };
+        setHistory([...history.slice(0, -1), flaggedEntry]);
+        setPendingPop(null);
+
+        const flagWinner = otherPlayer(latestPlayer);
+        playSound(flagWinner === "red" ? "winX" : "winO");
+        if (isTouchRef.current) vibrate(HAPTICS.win);
 
-            // CHECK FOR WIN CONDITION
-            // Connect Four requires 4 consecutive pieces
-            if (count >= 4) {
-                return winningCells;  // Return the coordinates of winning pieces
+        // SCOREBOARD
+        if (!statsRecordedRef.current) {
+            recordGame(SAVE_FORMAT.key, flagWinner, history.length - 1);
+            statsRecordedRef.current = true;
+        }
+    };
+
+    /**
+     * APPLY ROOM FUNCTION
+     * 
+     * Shows a room state sent by the server. The server's move list is
+     * always the whole game, so joining late or reconnecting needs nothing
+     * special:
+     * - One new move at the latest position falls like a local drop
+     * - Anything else (restart, new room, resync) replaces the history
+     * 
+     * @param {Object} room - Room state from the server ({ moves, config, ... })
+     */
+    const applyRoom = (room) => {
+        const nextHistory = replayMoves(connectFour, room.moves, room.config);
+        // An empty room is a new game (or the room's first), so it may be scored again
+        if (nextHistory.length === 1) statsRecordedRef.current = false;
+        const isNextMove = nextHistory.length === history.length + 1 &&
+            isLatestMove && !isDropping && isSameConfig(room.config, config);
+
+        if (isNextMove) {
+            const { board: nextBoard, position: [row, col] } = nextHistory[nextHistory.length - 1];
+            const piece = { row, col, player: currentPlayer, board: nextBoard };
+            if (prefersReducedMotion()) {
+                landPiece(piece);
+            } else {
+                setFallingPiece(piece);
             }
+            return;
+        }
+
+        setFallingPiece(null);
+        setConfig(room.config);
+        setBoardPreset(presetFor(room.config));
+        setHistory(nextHistory);
+        setCurrentMove(nextHistory.length - 1);
+        setSelectedMove(null);
+    };
+
+    // Latest applyRoom (it reads the current history) and the room it last showed
+    const applyRoomRef = useRef(applyRoom);
+    const appliedRoomRef = useRef(null);
+    useEffect(() => {
+        applyRoomRef.current = applyRoom;
+    });
+
+    /**
+     * ONLINE ROOM EFFECT
+     * 
+     * Runs whenever the server sends a new room state. Each state is shown
+     * once, so running the effect again for the same room (as React does
+     * in development) cannot drop the same piece twice.
+     */
+    useEffect(() => {
+        const room = online.room;
+        if (!room || room === appliedRoomRef.current) return;
+
+        appliedRoomRef.current = room;
+        applyRoomRef.current(room);
+    }, [online.room]);
+
+    /**
+     * REJECT MOVE FUNCTION
+     * 
+     * Gives visual and audible feedback for a drop into a full column.
+     * The column's "rejected" class is removed again once the shake
+     * animation has finished.
+     * 
+     * @param {number} col - The full column that was clicked
+     */
+    const rejectMove = (col) => {
+        setRejectedCol(col);
+        playSound("reject");
+        if (isTouchRef.current) vibrate(HAPTICS.reject);
+        setTimeout(() => setRejectedCol((current) => (current === col ? null : current)), REJECT_DURATION);
+    };
+
+    /**
+     * HUMAN CLICK HANDLER
+     * 
+     * Ignores clicks while the board is locked (the computer or online
+     * opponent is choosing its move, a piece is falling, a finished game is
+     * being analyzed or a replay is playing), otherwise drops the human's
+     * piece in the clicked column.
+     * 
+     * @param {number} col - The clicked column index (0 to cols-1)
+     */
+    const handleColumnClick = (col) => {
+        if (isBoardLocked) return;
+        dropPiece(col);
+    };
+
+    /**
+     * CELL CLICK HANDLER
+     * 
+     * With pops, clicking one of your own pieces in the bottom row pops it
+     * (clicking a popped Pop Ten piece again keeps it in place); every
+     * other click is a drop into the column.
+     * 
+     * @param {number} row - The clicked row index (0 at the top)
+     * @param {number} col - The clicked column index (0 to cols-1)
+     */
+    const handleCellClick = (row, col) => {
+        const isBottom = row === config.rows - 1;
+        if (isBottom && col === popCol) {
+            setPendingPop(null);
+        } else if (isBottom && canPop(col)) {
+            if (!isBoardLocked) popPiece(col);
+        } else {
+            handleColumnClick(col);
+        }
+    };
+
+    // ===== KEYBOARD CONTROLS =====
+
+    /**
+     * ELEMENT IDS
+     * useId gives ids that are unique on the page, used to point the board's
+     * aria-activedescendant at the selected cell.
+     */
+    const idPrefix = useId();
+    const cellId = (row, col) => `${idPrefix}-cell-${row}-${col}`;
+
+    /**
+     * KEYBOARD HANDLER
+     * 
+     * The board itself is focusable; the selected column reuses the hover
+     * highlight (hoveredCol).
+     * - Left / Right arrows: Select the neighboring column
+     * - Home / End: Select the first / last column
+     * - Enter / Space: Drop into the selected column
+     * - Number keys 1-9: Drop straight into that column
+     * - P: Pop your own piece out of the selected column (games with pops)
+     * - Escape: Keep a popped Pop Ten piece where it was
+     * 
+     * @param {KeyboardEvent} event - Key pressed while the board has focus
+     */
+    const handleBoardKeyDown = (event) => {
+        const selected = hoveredCol ?? Math.floor(config.cols / 2);   // Start in the middle
+        const lastCol = config.cols - 1;
+
+        // NUMBER KEYS
+        const number = Number(event.key);
+        if (Number.isInteger(number) && number >= 1 && number <= config.cols) {
+            event.preventDefault();
+            setHoveredCol(number - 1);
+            handleColumnClick(number - 1);
+            return;
+        }
+
+        switch (event.key) {
+            case "ArrowLeft":
+                setHoveredCol(Math.max(0, selected - 1));
+                break;
+            case "ArrowRight":
+                setHoveredCol(Math.min(lastCol, selected + 1));
+                break;
+            case "Home":
+                setHoveredCol(0);
+                break;
+            case "End":
+                setHoveredCol(lastCol);
+                break;
+            case "Enter":
+            case " ":
+                setHoveredCol(selected);
+                handleColumnClick(selected);
+                break;
+            case "p":
+            case "P":
+                if (!variantState || isBoardLocked) return;
+                setHoveredCol(selected);
+                popPiece(selected);
+                break;
+            case "Escape":
+                if (popCol === null) return;
+                setPendingPop(null);
+                break;
+            default:
+                return;     // Leave every other key alone
+        }
+        event.preventDefault();     // Stop arrows and Space from scrolling the page
+    };
+
+    // ===== TOUCH CONTROLS =====
+
+    /**
+     * COLUMN UNDER A POINTER
+     * 
+     * Worked out from the board's width rather than the element under the
+     * finger, so dragging over the gaps or past the edges still picks the
+     * nearest column.
+     * 
+     * @param {PointerEvent} event - Pointer event on the board
+     * @returns {number} Column index (0 to cols-1)
+     */
+    const columnAt = (event) => {
+        const rect = event.currentTarget.getBoundingClientRect();
+        const col = Math.floor(((event.clientX - rect.left) / rect.width) * config.cols);
+        return Math.min(config.cols - 1, Math.max(0, col));
+    };
+
+    /**
+     * ROW UNDER A POINTER
+     * Same idea as columnAt, for telling taps on the bottom row (pops) apart.
+     * 
+     * @param {PointerEvent} event - Pointer event on the board
+     * @returns {number} Row index (0 at the top)
+     */
+    const rowAt = (event) => {
+        const rect = event.currentTarget.getBoundingClientRect();
+        const row = Math.floor(((event.clientY - rect.top) / rect.height) * config.rows);
+        return Math.min(config.rows - 1, Math.max(0, row));
+    };
+
+    /**
+     * TOUCH PREVIEW
+     * Holds the player's piece above a column (with a vibration tick when
+     * the column changes).
+     * 
+     * @param {number} col - Column to preview
+     */
+    const previewColumn = (col) => {
+        if (col !== hoveredCol) vibrate(HAPTICS.preview);
+        setHoveredCol(col);
+        setTouchPreview(true);
+    };
+
+    /**
+     * POINTER HANDLERS
+     * 
+     * Mouse input keeps using the cells' hover and click handlers. A finger
+     * (or pen) can either:
+     * - Tap a column to preview it, then tap the same column again to drop
+     * - Press, drag the piece to another column and lift to drop there
+     * Pointer capture keeps the drag going when the finger leaves the board.
+     */
+    const handlePointerDown = (event) => {
+        isTouchRef.current = event.pointerType !== "mouse";
+        if (!isTouchRef.current || isBoardLocked) return;
+
+        const col = columnAt(event);
+        gestureRef.current = { col, moved: false, wasPreviewed: touchPreview && hoveredCol === col };
+        event.currentTarget.setPointerCapture(event.pointerId);
+        previewColumn(col);
+    };
+
+    const handlePointerMove = (event) => {
+        const gesture = gestureRef.current;
+        if (!gesture) return;
+
+        const col = columnAt(event);
+        if (col === gesture.col) return;
+        gesture.col = col;
+        gesture.moved = true;
+        previewColumn(col);
+    };
+
+    const handlePointerUp = (event) => {
+        const gesture = gestureRef.current;
+        if (!gesture) return;
+        gestureRef.current = null;
+
+        // A first tap only previews; a second tap or the end of a drag drops
+        // (or pops, when it ends on the player's own bottom piece)
+        if (gesture.moved || gesture.wasPreviewed) {
+            setTouchPreview(false);
+            handleCellClick(rowAt(event), gesture.col);
+        }
+    };
+
+    // The browser took over the touch (e.g. a system gesture): drop nothing
+    const handlePointerCancel = () => {
+        gestureRef.current = null;
+        setTouchPreview(false);
+        setHoveredCol(null);
+    };
+
+    // ===== LANDING PREVIEW =====
+
+    /**
+     * PREVIEW ROW AND WARNING
+     * Where a piece dropped into the hovered (or keyboard-selected, or
+     * tapped) column would land, shown as a ghost piece, and whether that
+     * drop hands the opponent an immediate win.
+     */
+    const previewRow = hoveredCol !== null && !isBoardLocked && !isGameOver
+        ? findDropRow(board, hoveredCol, config)
+        : null;
+    // (the check only knows drops, so games with pops get no warning)
+    const isRiskyDrop = warnRiskyDrops && !rules.hasPops && previewRow !== null &&
+        givesAwayWin(board, hoveredCol, currentPlayer, config);
+
+    /**
+     * ACTIVE CELL
+     * The cell screen readers treat as focused: where a piece dropped into
+     * the selected column would land (or its top cell if the column is full).
+     */
+    const activeRow = hoveredCol === null ? null : findDropRow(board, hoveredCol, config) ?? 0;
+
+    /**
+     * LATEST DROP FUNCTION
+     * dropPiece is recreated on every render. The computer's reply arrives
+     * some renders after its search started, so it is played through this
+     * ref, which always holds the newest dropPiece (and the state it sees).
+     */
+    const dropPieceRef = useRef(dropPiece);
+    useEffect(() => {
+        dropPieceRef.current = dropPiece;
+    });
+
+    /**
+     * COMPUTER MOVE EFFECT
+     * 
+     * Whenever it becomes the computer's turn at the latest move (and the
+     * clocks are not paused), send the board to the worker and play the
+     * column it replies with. Earlier positions are left alone so the
+     * history can be browsed.
+     */
+    useEffect(() => {
+        const worker = workerRef.current;
+        if (!isComputerTurn || !isLatestMove || clock.isPaused || !worker) return;
+
+        // Tag this request so replies from older searches (or a hint) are ignored
+        const requestId = ++requestIdRef.current;
+        let isCancelled = false;
+        setIsThinking(true);
+
+        worker.onmessage = (event) => {
+            if (isCancelled || event.data.id !== requestId) return;
+            setIsThinking(false);
+            if (event.data.col !== null) dropPieceRef.current(event.data.col);
+        };
+        worker.postMessage({ id: requestId, board, player: computerColor, difficulty, config });
+
+        return () => {
+            // Ignore this request's reply (restart, mode change or unmount)
+            isCancelled = true;
+            setIsThinking(false);
+        };
+    }, [isComputerTurn, isLatestMove, clock.isPaused, board, computerColor, difficulty, config]);
+
+    /**
+     * ANALYSIS EFFECT
+     * 
+     * While analyzing, a separate worker scores every position of the game
+     * (a few seconds on big boards) so the computer opponent's worker and
+     * the page stay free. Stopping the analysis terminates it.
+     */
+    useEffect(() => {
+        if (!showAnalysis) return;
+
+        const worker = new Worker(new URL("./c4ai.worker.js", import.meta.url));
+        worker.onmessage = (event) => setAnalysis(event.data.analysis);
+
+        const positions = history.map(({ board: entryBoard }, move) => ({
+            board: entryBoard,
+            player: move % 2 === 0 ? "red" : "yellow",
+        }));
+        worker.postMessage({ id: 0, type: "analyze", positions, config });
+
+        return () => {
+            worker.terminate();
+            setAnalysis(null);
+        };
+    }, [showAnalysis, history, config]);
+
+    /**
+     * HINT FUNCTION
+     * 
+     * Asks the search worker for the best columns in the position being
+     * shown (the same search as the post-game analysis) and spends one
+     * hint from this game's budget. A reply for a position that is no
+     * longer shown is ignored.
+     */
+    const requestHint = () => {
+        const worker = workerRef.current;
+        if (!canHint || !worker) return;
+
+        const requestId = ++requestIdRef.current;
+        const hintBoard = board;
+        setHintSearch(hintBoard);
+        setHintsUsed(hintsUsed + 1);
+
+        worker.onmessage = (event) => {
+            if (event.data.id !== requestId) return;
+            setHintSearch(null);
+            setHint({ board: hintBoard, cols: event.data.analysis[0]?.bestMoves ?? [] });
+        };
+        worker.postMessage({
+            id: requestId,
+            type: "analyze",
+            positions: [{ board: hintBoard, player: currentPlayer }],
+            config,
+        });
+    };
+
+    /**
+     * TIME TRAVEL FUNCTION
+     * 
+     * Shows any earlier (or later) position from the history.
+     * 
+     * @param {number} nextMove - The move number to jump to (0 = empty board)
+     */
+    const jumpTo = (nextMove) => {
+        setFallingPiece(null);        // Cancel a drop in progress (it belongs to the old position)
+        setCurrentMove(nextMove);     // Update current viewing position
+        setSelectedMove(nextMove);    // Track jump for the "restarted at" note
+    };
+
+    /**
+     * REPLAY STEP FUNCTION
+     * 
+     * Shows the next position of a replay with the sounds of that drop
+     * (and the win or draw sound if it ended the game).
+     * 
+     * @param {number} nextMove - The move number to show
+     */
+    const replayMove = (nextMove) => {
+        setFallingPiece(null);
+        setCurrentMove(nextMove);
+
+        const { winner: replayWinner, isDrawn: replayDrawn } = positionResult(history, nextMove, variant, config);
+        playSound("piece");
+        if (replayWinner) {
+            playSound(replayWinner === "red" ? "winX" : "winO");
+        } else if (replayDrawn) {
+            playSound("draw");
+        }
+    };
+
+    /**
+     * RESUME FUNCTION
+     * 
+     * Drops the moves after the shown position so the computer continues
+     * the game from here (the computer only plays at the latest move).
+     */
+    const resumeFromHere = () => {
+        setFallingPiece(null);
+        setHistory(history.slice(0, currentMove + 1));
+    };
+
+    /**
+     * RESET GAME FUNCTION
+     * 
+     * Returns everything to initial values for a new game.
+     * 
+     * @param {Object} [nextConfig] - Board configuration for the new game (defaults to the current one)
+     * @param {string} [nextVariant] - Rules for the new game (defaults to the current ones)
+     */
+    const resetGame = (nextConfig = config, nextVariant = variant) => {
+        setHistory([initialEntry(nextVariant, nextConfig)]);  // Clear board and moves
+        setCurrentMove(0);                 // Back to the empty board (red to play)
+        setSelectedMove(null);             // Clear "restarted at" note
+        setHoveredCol(null);              // Clear hover state
+        setRejectedCol(null);             // Clear full-column feedback
+        setFallingPiece(null);            // Cancel a drop in progress
+        setIsAnalyzing(false);            // A new game has nothing to analyze
+        setHint(null);                    // Clear the hint and refill the budget
+        setHintsUsed(0);
+        setHintSearch(null);
+        setIsReplaying(false);            // Nothing left to replay
+        setPendingPop(null);              // No popped piece waiting
+        clock.setPaused(false);           // Fresh clocks start running
+        statsRecordedRef.current = false; // The new game has not been scored yet
+    };
+
+    /**
+     * RESTART BUTTON HANDLER
+     * 
+     * Starts over with the same settings. In two-player games where the
+     * players swap sides between games, the other player now takes red.
+     */
+    const playNextGame = () => {
+        if (usesProfiles && history.length > 1) startNextGame(SAVE_FORMAT.key);
+        resetGame();
+    };
+
+    /**
+     * GAME RECORD LOAD HANDLER
+     * 
+     * Replaces the game with an imported record (see RecordPanel) and shows
+     * its final position; every move can then be revisited with time travel.
+     * Imported games continue as two-player games, so the computer does not
+     * join in halfway through someone else's game.
+     * 
+     * @param {Object} record - parseRecord result: { config, history, ... }
+     * @returns {string|undefined} Why the record was refused, if it was
+     */
+    const loadRecord = ({ config: recordConfig, history: entries }) => {
+        if (!isSameConfig(clampConfig(recordConfig), recordConfig)) {
+            return `Boards must have ${SIZE_LIMITS.cols.min}-${SIZE_LIMITS.cols.max} columns and ` +
+                `${SIZE_LIMITS.rows.min}-${SIZE_LIMITS.rows.max} rows, with at least 3 in a row.`;
+        }
+
+        if (gameMode === "computer") setGameMode("two-player");
+        setConfig(recordConfig);
+        setBoardPreset(presetFor(recordConfig));
+        resetGame(recordConfig);
+        setHistory(entries);
+        setCurrentMove(entries.length - 1);
+    };
+
+    /**
+     * GAME MODE CHANGE HANDLER
+     * 
+     * Starts a new game in the chosen mode. Leaving online mode also leaves
+     * the room, which frees the seat for someone else.
+     * 
+     * @param {string} mode - "two-player", "computer" or "online"
+     */
+    const changeGameMode = (mode) => {
+        if (isOnline) online.leaveRoom();
+        setGameMode(mode);
+        resetGame();
+    };
+
+    /**
+     * RULES CHANGE HANDLER
+     * 
+     * Starts a new game with the chosen rules on that variant's board.
+     * The computer only knows how to drop, so games with pops are for two
+     * players at one screen.
+     * 
+     * @param {string} nextVariant - Key of VARIANTS
+     */
+    const changeVariant = (nextVariant) => {
+        const nextConfig = VARIANTS[nextVariant].config;
+        if (VARIANTS[nextVariant].hasPops && gameMode === "computer") setGameMode("two-player");
+
+        setVariant(nextVariant);
+        setConfig(nextConfig);
+        setBoardPreset(presetFor(nextConfig));
+        resetGame(nextConfig, nextVariant);
+    };
+
+    /**
+     * TIME CONTROL CHANGE HANDLER
+     * 
+     * Starts a new game with both clocks at the chosen time control.
+     * 
+     * @param {string} nextControl - Key of TIME_CONTROLS
+     */
+    const changeTimeControl = (nextControl) => {
+        setTimeControl(nextControl);
+        resetGame();
+    };
+
+    /**
+     * BOARD PRESET CHANGE HANDLER
+     * 
+     * Loads a named preset and starts a new game on it. Picking "custom"
+     * keeps the current board so its dimensions can be edited.
+     * 
+     * @param {string} preset - Key into BOARD_PRESETS, or "custom"
+     */
+    const changeBoardPreset = (preset) => {
+        setBoardPreset(preset);
+        if (preset === "custom") return;
+
+        setConfig(BOARD_PRESETS[preset].config);
+        resetGame(BOARD_PRESETS[preset].config);
+    };
+
+    /**
+     * CUSTOM DIMENSION CHANGE HANDLER
+     * 
+     * @param {string} field - "rows", "cols" or "winLength"
+     * @param {string} value - Raw value from the number input
+     */
+    const changeBoardDimension = (field, value) => {
+        const nextConfig = clampConfig({ ...config, [field]: Number(value) });
+        setConfig(nextConfig);
+        resetGame(nextConfig);
+    };
+
+    // ===== MOVE HISTORY GENERATION =====
+
+    /**
+     * MOVE TEXT
+     * 
+     * What a move did, e.g. "dropped in column 4, row 1" or "popped column 4".
+     * Rows are counted from the bottom (row 1 is where the first piece in a
+     * column lands), columns from the left.
+     * 
+     * @param {Object} entry - History entry after the move
+     * @returns {string} - Description of the move
+     */
+    const moveText = ({ position: [row, col], move }) => {
+        if (move?.type === "pass") return "passed";
+        if (move?.type === "pop" && move.dropCol === null) return `popped column ${move.col + 1} and set the piece aside`;
+        if (move?.type === "pop" && move.dropCol !== undefined) {
+            return `popped column ${move.col + 1} and dropped the piece in column ${col + 1}, row ${config.rows - row}`;
+        }
+        if (move?.type === "pop") return `popped column ${move.col + 1}`;
+        return `dropped in column ${col + 1}, row ${config.rows - row}`;
+    };
+
+    /**
+     * CREATE MOVE LIST
+     * 
+     * One entry per history position, in the same style as the Tic-Tac-Toe
+     * apps. Rows are counted from the bottom (row 1 is where the first piece
+     * in a column lands), columns from the left.
+     */
+    let moves = history.map((moveData, move) => {
+        const [row, col] = moveData.position;
+
+        // MOVE DESCRIPTION GENERATION
+        let description;
+        if (move === history.length - 1) {
+            description = `You are at move #${move}.`;     // Latest position
+        } else if (move > 0) {
+            description = `Go to move #${move}.`;          // Previous moves
+        } else {
+            description = "Go to game start.";             // Initial state
+        }
+
+        // PLAYER IDENTIFICATION
+        // Odd move numbers were made by red, even ones by yellow
+        // (games with pops record who moved, since turns can repeat)
+        const player = sideName(moveData.player ?? (move % 2 === 1 ? "red" : "yellow"));
+
+        // BLUNDER FLAG (analysis mode)
+        // Judged against the analysis of the position before the move
+        const before = analysis?.[move - 1];
+        const isBlunderMove = before && isBlunder(before, col);
+
+        return (
+            <li key={move} className={move === currentMove ? "current-move" : ""}>
+                {/* CONDITIONAL BUTTON RENDERING */}
+                {move === history.length - 1 ? (
+                    // LATEST MOVE (text only, no button)
+                    description
+                ) : (
+                    // EARLIER MOVES (clickable buttons)
+                    <button className="c4-move-button" onClick={() => jumpTo(move)}>
+                        {description}
+                    </button>
+                )}
+
+                {/* MOVE POSITION DISPLAY */}
+                {moveData.move ? ` (${player}: ${moveText(moveData)})` : ""}
+                {!moveData.move && row !== null ? ` (${player}: column ${col + 1}, row ${config.rows - row})` : ""}
+                {moveData.hinted && <span className="hint-used"> (hint used)</span>}
+                {isBlunderMove && <span className="blunder"> ?? blunder</span>}
+            </li>
+        );
+    });
+
+    // APPLY SORTING PREFERENCE
+    if (!isAscending) {
+        moves.reverse();
+    }
+
+    // ===== SCREEN READER ANNOUNCEMENT =====
+    /**
+     * LIVE REGION TEXT
+     * 
+     * Describes the position being shown (the latest drop and its result),
+     * or a rejected drop into a full column. The aria-live region reads it
+     * out whenever it changes. Rows are counted from the bottom, as in the
+     * move list.
+     */
+    const playerName = (player) =>
+        sideName(player) +
+        (gameMode === "computer" && player === computerColor ? " (computer)" : "") +
+        (isOnline && player === online.role ? " (you)" : "");
+
+    let announcement = `Game start. ${playerName("red")} to play.`;
+    if (rejectedCol !== null) {
+        announcement = board[0][rejectedCol] !== null
+            ? `Column ${rejectedCol + 1} is full.`
+            : `Column ${rejectedCol + 1} cannot be played now.`;
+    } else if (flagged) {
+        announcement = `${playerName(flagged)} ran out of time. ${playerName(winner)} wins!`;
+    } else if (currentMove > 0) {
+        announcement = `${playerName(lastPlayer)} ${moveText(history[currentMove])}.`;
+        if (winner) {
+            announcement += ` ${playerName(winner)} wins!`;
+        } else if (isDrawn) {
+            announcement += " Draw!";
+        } else {
+            announcement += ` ${playerName(currentPlayer)} to play.`;
+        }
+    }
+
+    // ===== ANALYSIS TEXT =====
+    /**
+     * EVALUATION TEXT
+     * 
+     * Describes the engine's view of the position being shown, e.g.
+     * "Red is better (+12). Best: column 4." Positive scores favor the
+     * player to move; forced results are reported in moves.
+     */
+    let evaluation = null;
+    if (showAnalysis && !analysis) {
+        evaluation = "Analyzing...";
+    } else if (shownAnalysis) {
+        const { score, outcome, distance, bestMoves } = shownAnalysis;
+        const movesText = `${distance} ${distance === 1 ? "move" : "moves"}`;
+
+        if (outcome === "win") {
+            evaluation = `${colorName(currentPlayer)} to move can force a win in ${movesText}.`;
+        } else if (outcome === "loss") {
+            evaluation = `${colorName(currentPlayer)} to move loses in ${movesText} against best play.`;
+        } else if (score === 0) {
+            evaluation = "The position is even.";
+        } else {
+            const leader = score > 0 ? currentPlayer : otherPlayer(currentPlayer);
+            evaluation = `${colorName(leader)} is better (+${Math.abs(score)}).`;
         }
 
-        // NO WIN FOUND
-        return null;
+        const columns = bestMoves.map((bestCol) => bestCol + 1).join(", ");
+        evaluation += ` Best: ${bestMoves.length === 1 ? "column" : "columns"} ${columns}.`;
+    }
+    if (evaluation) announcement += ` ${evaluation}`;
+
+    // ===== GAME RECORD =====
+    /**
+     * RECORD CONTENTS
+     * The whole game (not just up to the position shown), with the players
+     * named after the current mode, e.g. "You" and "Computer (hard)".
+     */
+    const computerName = `Computer (${difficulty})`;
+    const recordPlayers = {
+        "two-player": [seated.red?.name || "Player 1", seated.yellow?.name || "Player 2"],
+        computer: humanColor === "red" ? ["You", computerName] : [computerName, "You"],
+        online: online.role === "red" ? ["You", "Opponent"] : online.role === "yellow" ? ["Opponent", "You"] : ["?", "?"],
+    };
+    const gameRecord = {
+        moves: history.slice(1).map(({ position: [, col] }) => col),
+        config,
+        players: recordPlayers[gameMode],
+        variant: boardPreset === "custom" ? "Custom" : BOARD_PRESETS[boardPreset].label,
     };
 
     // ===== COMPONENT RENDER =====
@@ -219,104 +1601,538 @@ const ConnectFour = () => {
      * JSX RETURN
      * 
      * This renders the entire Connect Four game interface.
-     * Includes game status, board, and restart button.
+     * Includes game settings, game status, board and restart button on the left,
+     * and the move history with undo/redo on the right.
      */
     return (
-        <div>
-            {/* GAME STATUS DISPLAY */}
-            <div className="c4-status">
-                <h3>
-                    {/* CONDITIONAL RENDERING: Show different content based on game state */}
-                    {winner ? (
-                        // WINNER ANNOUNCEMENT
-                        <span className="player-indicator">
-                            Winner:
-                            {/* Visual piece indicator showing winner's color */}
-                            <span className={`piece ${winner}`}></span>
-                        </span>
-                    ) : (
-                        // CURRENT TURN INDICATOR  
-                        <span className="player-indicator">
-                            Next player:
-                            {/* Visual piece indicator showing current player's color */}
-                            <span className={`piece ${currentPlayer}`}></span>
-                        </span>
+        <div className="game c4-game">
+            {/* GAME BOARD SECTION */}
+            <div className="c4-game-board">
+                    {/* GAME SETTINGS */}
+                    {/* Changing mode or color starts a new game; difficulty applies immediately */}
+                    <div className="c4-controls">
+                        <label>
+                            Mode:
+                            <select value={gameMode} onChange={(e) => changeGameMode(e.target.value)}>
+                                <option value="two-player">Two players</option>
+                                <option value="computer" disabled={rules.hasPops}>Play vs computer</option>
+                                <option value="online" disabled={variant !== "classic"}>Online</option>
+                            </select>
+                        </label>
+
+                        <label>
+                            Rules:
+                            {/* Online rooms play the classic rules; each variant has its own board */}
+                            <select value={variant} onChange={(e) => changeVariant(e.target.value)} disabled={isOnline}>
+                                {Object.entries(VARIANTS).map(([key, { label }]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                        </label>
+
+                        <label>
+                            Clock:
+                            {/* Online games are untimed */}
+                            <select value={timeControl} onChange={(e) => changeTimeControl(e.target.value)} disabled={isOnline}>
+                                {Object.entries(TIME_CONTROLS).map(([key, { label }]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                        </label>
+
+                        <label>
+                            Board:
+                            {/* The board size of an online room (or a rule variant) cannot be changed */}
+                            <select
+                                value={boardPreset}
+                                onChange={(e) => changeBoardPreset(e.target.value)}
+                                disabled={online.room !== null || variant !== "classic"}
+                            >
+                                {Object.entries(BOARD_PRESETS).map(([key, { label }]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                                <option value="custom">Custom</option>
+                            </select>
+                        </label>
+
+                        {gameMode === "computer" && (
+                            <>
+                                <label>
+                                    You play:
+                                    <select
+                                        value={humanColor}
+                                        onChange={(e) => { setHumanColor(e.target.value); resetGame(); }}
+                                    >
+                                        <option value="red">{colorName("red")} (first)</option>
+                                        <option value="yellow">{colorName("yellow")} (second)</option>
+                                    </select>
+                                </label>
+                                <label>
+                                    Difficulty:
+                                    <select value={difficulty} onChange={(e) => setDifficulty(e.target.value)}>
+                                        <option value="easy">Easy</option>
+                                        <option value="medium">Medium</option>
+                                        <option value="hard">Hard</option>
+                                    </select>
+                                </label>
+                            </>
+                        )}
+
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={warnRiskyDrops}
+                                onChange={(e) => setWarnRiskyDrops(e.target.checked)}
+                            />
+                            Warn about risky drops
+                        </label>
+                    </div>
+
+                    {/* HINTS */}
+                    {/* The budget applies to each new game; hinted columns are outlined on the board */}
+                    {/* (the search only knows drops, so games with pops have no hints) */}
+                    {!isOnline && !rules.hasPops && (
+                        <div className="c4-controls">
+                            <label>
+                                Hints per game:
+                                <select value={String(hintBudget)} onChange={(e) => setHintBudget(Number(e.target.value))}>
+                                    {HINT_BUDGETS.map(([value, label]) => (
+                                        <option key={label} value={String(value)}>{label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <button className="c4-move-button" onClick={requestHint} disabled={!canHint}>
+                                {isHinting
+                                    ? "Thinking..."
+                                    : `Hint (${hintsLeft === Infinity ? "unlimited" : `${Math.max(0, hintsLeft)} left`})`}
+                            </button>
+                        </div>
+                    )}
+
+                    {/* PLAYERS (two-player games: profiles for red and yellow, swapping sides between games) */}
+                    {usesProfiles && (
+                        <ProfilePanel
+                            gameKey={SAVE_FORMAT.key}
+                            sides={{ red: colorName("red"), yellow: colorName("yellow") }}
+                            preferenceKey="preferredColor"
+                            className="profile-panel"
+                            buttonClassName="c4-move-button"
+                        />
+                    )}
+
+                    {/* ONLINE ROOM CONTROLS */}
+                    {/* A new room uses the board chosen above */}
+                    {isOnline && (
+                        <div className="c4-controls">
+                            <OnlinePanel
+                                online={online}
+                                config={config}
+                                playerNames={{ red: colorName("red"), yellow: colorName("yellow") }}
+                                buttonClassName="c4-move-button"
+                            />
+                        </div>
+                    )}
+
+                    {/* CUSTOM BOARD SIZE */}
+                    {/* Any change starts a new game on the resized board */}
+                    {boardPreset === "custom" && online.room === null && (
+                        <div className="c4-controls">
+                            <label>
+                                Columns:
+                                <input
+                                    type="number"
+                                    min={SIZE_LIMITS.cols.min}
+                                    max={SIZE_LIMITS.cols.max}
+                                    value={config.cols}
+                                    onChange={(e) => changeBoardDimension("cols", e.target.value)}
+                                />
+                            </label>
+                            <label>
+                                Rows:
+                                <input
+                                    type="number"
+                                    min={SIZE_LIMITS.rows.min}
+                                    max={SIZE_LIMITS.rows.max}
+                                    value={config.rows}
+                                    onChange={(e) => changeBoardDimension("rows", e.target.value)}
+                                />
+                            </label>
+                            <label>
+                                In a row:
+                                <input
+                                    type="number"
+                                    min={3}
+                                    max={Math.max(config.rows, config.cols)}
+                                    value={config.winLength}
+                                    onChange={(e) => changeBoardDimension("winLength", e.target.value)}
+                                />
+                            </label>
+                        </div>
+                    )}
+
+                    {/* GAME STATUS DISPLAY */}
+                    <div className="c4-status">
+                        <h3>
+                            {/* CONDITIONAL RENDERING: Show different content based on game state */}
+                            {winner ? (
+                                // WINNER ANNOUNCEMENT
+                                <span className="player-indicator">
+                                    Winner:
+                                    {/* Visual piece indicator showing winner's color */}
+                                    <span className={`piece ${winner}`}></span>
+                                    {seatedName(winner)}
+                                    {flagged && " on time"}
+                                </span>
+                            ) : isDrawn ? (
+                                // DRAW ANNOUNCEMENT
+                                <span className="player-indicator">Draw!</span>
+                            ) : clock.isPaused ? (
+                                // PAUSED CLOCKS
+                                <span className="player-indicator">
+                                    Paused:
+                                    <span className={`piece ${currentPlayer}`}></span>
+                                    {seatedName(currentPlayer)}
+                                </span>
+                            ) : isOpponentTurn ? (
+                                // ONLINE WAITING INDICATOR
+                                <span className="player-indicator">
+                                    {online.role === "spectator" ? "Watching:" : online.room ? "Waiting for opponent:" : "Not connected:"}
+                                    <span className={`piece ${currentPlayer}`}></span>
+                                </span>
+                            ) : isThinking ? (
+                                // COMPUTER THINKING INDICATOR
+                                <span className="player-indicator">
+                                    Computer is thinking...
+                                    <span className={`piece ${currentPlayer}`}></span>
+                                </span>
+                            ) : (
+                                // CURRENT TURN INDICATOR
+                                <span className="player-indicator">
+                                    Next player:
+                                    {/* Visual piece indicator showing current player's color (and name) */}
+                                    <span className={`piece ${currentPlayer}`}></span>
+                                    {seatedName(currentPlayer)}
+                                </span>
+                            )}
+                        </h3>
+                    </div>
+
+                    {/* CHESS CLOCKS (when a time control is chosen) */}
+                    {clockControl.type && (
+                        <ClockPanel
+                            times={shownClock}
+                            playerNames={{ red: sideName("red"), yellow: sideName("yellow") }}
+                            activePlayer={isLatestMove && !isGameFinished ? latestPlayer : null}
+                            isLow={clock.isLow}
+                            flagged={flagged ?? null}
+                            isPaused={clock.isPaused}
+                            canPause={isLatestMove && !isGameFinished}
+                            onPauseChange={clock.setPaused}
+                            className="clock-panel"
+                            buttonClassName="c4-move-button"
+                        />
                     )}
-                </h3>
-            </div>
 
-            {/* GAME BOARD RENDERING */}
-            <div className="c4board">
-                {/* 
-                MAP OVER ROWS
-                board.map creates a React element for each row
-                rowIndex is automatically provided by map function
-                */}
-                {board.map((row, rowIndex) => (
-                    <div key={rowIndex} className="row">
+                    {/* VARIANT STATUS: pieces set aside (Pop Ten) and what to do next */}
+                    {variantState && (
+                        <p className="c4-variant-status">
+                            {rules.setAsideTarget && `Set aside: ${colorName("red")} ${variantState.setAside.red}, ` +
+                                `${colorName("yellow")} ${variantState.setAside.yellow} (${rules.setAsideTarget} to win). `}
+                            {variantState.isSetup && "Setup: fill the board one row at a time. "}
+                            {!isGameOver && !variantState.isSetup && popCol === null &&
+                                "Click one of your own pieces in the bottom row to pop it out."}
+                            {popCol !== null && "Drop the popped piece into any column (its own included), or click it again to keep it."}
+                        </p>
+                    )}
+
+                    {/* PASS BUTTON (no piece of your own to pop and nothing else to play) */}
+                    {mustPass && !isGameOver && !isBoardLocked && (
+                        <button className="c4-move-button" onClick={() => playVariantMove({ type: "pass" })}>
+                            Pass
+                        </button>
+                    )}
+
+                    {/* ANALYSIS EVALUATION (best columns are outlined on the board) */}
+                    {evaluation && <p className="c4-analysis-eval">{evaluation}</p>}
+
+                    {/* GAME BOARD RENDERING */}
+                    {/* 
+                    ACCESSIBILITY
+                    The board is an ARIA grid and a single tab stop. Keyboard
+                    selection is exposed through aria-activedescendant.
+                    */}
+                    <div
+                        className="c4board"
+                        role="grid"
+                        aria-label="Connect Four board"
+                        aria-describedby={`${idPrefix}-instructions`}
+                        aria-activedescendant={activeRow === null ? undefined : cellId(activeRow, hoveredCol)}
+                        tabIndex={0}
+                        onKeyDown={handleBoardKeyDown}
+
+                        // TOUCH INPUT (see POINTER HANDLERS) and the column count for the responsive cell size
+                        onPointerDown={handlePointerDown}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        onPointerCancel={handlePointerCancel}
+                        style={{ "--board-cols": config.cols }}
+                    >
                         {/* 
-                        MAP OVER COLUMNS IN EACH ROW
-                        Creates individual cells for the game board
+                        MAP OVER ROWS
+                        board.map creates a React element for each row
+                        rowIndex is automatically provided by map function
                         */}
-                        {row.map((cell, colIndex) => {
-                            // HOVER DETECTION
-                            // Check if this column is currently being hovered
-                            const isHovered = hoveredCol === colIndex;
-
-                            return (
-                                <div
-                                    key={colIndex}
-                                    // DYNAMIC CSS CLASSES
-                                    // Combines base class with conditional classes based on cell state
-                                    className={`cell ${cell || (isHovered ? "hovered" : "empty")}`}
-
-                                    // MOUSE EVENT HANDLERS
-                                    // Provide visual feedback when hovering over columns
-                                    onMouseEnter={() => setHoveredCol(colIndex)}  // Set hover state
-                                    onMouseLeave={() => setHoveredCol(null)}      // Clear hover state
-
-                                    // CLICK HANDLER
-                                    // Attempt to drop piece in this column when clicked
-                                    onClick={() => dropPiece(colIndex)}
-                                >
-                                    {/* 
-                                    PIECE RENDERING
-                                    Only render a piece if the cell contains one
-                                    Also check if this piece is part of the winning line
-                                    */}
-                                    {cell && (
+                        {board.map((row, rowIndex) => (
+                            <div key={rowIndex} className="row" role="row">
+                                {/* 
+                                MAP OVER COLUMNS IN EACH ROW
+                                Creates individual cells for the game board
+                                */}
+                                {row.map((cell, colIndex) => {
+                                    // COLUMN AVAILABILITY
+                                    // A column is closed once its top cell is filled or the game is over
+                                    const isColumnClosed = isGameOver || board[0][colIndex] !== null;
+
+                                    // HOVER DETECTION
+                                    // Check if this column is currently being hovered
+                                    // (no preview while the board is locked or in a closed column)
+                                    const isHoveredCol = hoveredCol === colIndex && !isBoardLocked;
+                                    const isHovered = isHoveredCol && !isColumnClosed;
+
+                                    // GHOST PIECE (landing preview)
+                                    const isGhost = isHovered && rowIndex === previewRow;
+
+                                    // BEST MOVE HIGHLIGHT (analysis mode or hint)
+                                    // The cell where a piece dropped into a best column would land
+                                    const isBestMove = bestCols.includes(colIndex) &&
+                                        findDropRow(board, colIndex, config) === rowIndex;
+
+                                    // POPS (games with pops)
+                                    // The current player's bottom pieces can be popped out
+                                    const isBottom = rowIndex === config.rows - 1;
+                                    const isPoppable = isBottom && canPop(colIndex) && !isBoardLocked && !isGameOver;
+                                    const isPopping = isBottom && colIndex === popCol;
+
+                                    return (
                                         <div
-                                            className={`piece ${cell} ${
-                                                // WINNING PIECE HIGHLIGHTING
-                                                // Check if this cell's coordinates match any winning cell
-                                                winningCells.some(c => c[0] === rowIndex && c[1] === colIndex)
-                                                    ? 'winning'
-                                                    : ''
-                                                }`}
-                                        ></div>
-                                    )}
-                                </div>
-                            );
-                        })}
+                                            key={colIndex}
+                                            // DYNAMIC CSS CLASSES
+                                            // Combines base class with conditional classes based on cell state:
+                                            // - "disabled": hovered column that cannot take another piece
+                                            // - "rejected": full column that was just clicked (shakes briefly)
+                                            // - "best-move": landing cell of a best column (post-game analysis or hint)
+                                            // - "poppable" / "popping": own bottom piece that can be / was just popped
+                                            className={`cell ${cell || (isHovered ? "hovered" : "empty")}${
+                                                isHoveredCol && isColumnClosed && !isPoppable ? " disabled" : ""}${
+                                                rejectedCol === colIndex ? " rejected" : ""}${
+                                                isBestMove ? " best-move" : ""}${
+                                                isPoppable ? " poppable" : ""}${
+                                                isPopping ? " popping" : ""}`}
+
+                                            // MOUSE EVENT HANDLERS
+                                            // Provide visual feedback when hovering over columns
+                                            // (the mouse events browsers fake after a tap are ignored)
+                                            onMouseEnter={() => { if (!isTouchRef.current) setHoveredCol(colIndex); }}  // Set hover state
+                                            onMouseLeave={() => { if (!isTouchRef.current) setHoveredCol(null); }}      // Clear hover state
+
+                                            // CLICK HANDLER
+                                            // Attempt to drop piece in this column (or pop this piece) when clicked
+                                            // (taps are handled by the board's pointer handlers)
+                                            onClick={() => { if (!isTouchRef.current) handleCellClick(rowIndex, colIndex); }}
+
+                                            // ACCESSIBILITY
+                                            // Labelled grid cell, rows counted from the bottom (as in the move list)
+                                            role="gridcell"
+                                            id={cellId(rowIndex, colIndex)}
+                                            // (the landing cell also warns about a risky drop)
+                                            aria-label={squareLabel(config.rows - rowIndex, colIndex + 1, cell) +
+                                                (isGhost && isRiskyDrop ? ", risky: the opponent could win next move" : "") +
+                                                (isPoppable ? ", can be popped" : "")}
+                                        >
+                                            {/* 
+                                            GHOST PIECE
+                                            Translucent piece in the current player's color where the drop
+                                            would land, tinted with the warning color when it is risky
+                                            */}
+                                            {isGhost && (
+                                                <div className={`ghost-piece ${currentPlayer}${isRiskyDrop ? " risky" : ""}`}></div>
+                                            )}
+
+                                            {/* 
+                                            PIECE RENDERING
+                                            Only render a piece if the cell contains one
+                                            Also check if this piece is part of the winning line
+                                            */}
+                                            {cell && (
+                                                <div
+                                                    className={`piece ${cell} ${
+                                                        // WINNING PIECE HIGHLIGHTING
+                                                        // Check if this cell's coordinates match any winning cell
+                                                        winningCells.some(c => c[0] === rowIndex && c[1] === colIndex)
+                                                            ? 'winning'
+                                                            : ''
+                                                        }`}
+                                                ></div>
+                                            )}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        ))}
+
+                        {/* 
+                        FALLING PIECE
+                        Absolutely positioned over the board; the CSS variables place it
+                        in its column and set how far it falls. The move is recorded
+                        when the animation ends.
+                        */}
+                        {fallingPiece && (
+                            <div
+                                className={`falling-piece ${fallingPiece.player}`}
+                                style={{ "--drop-col": fallingPiece.col, "--drop-row": fallingPiece.row }}
+                                onAnimationEnd={() => landPiece(fallingPiece)}
+                            ></div>
+                        )}
+
+                        {/* 
+                        COLUMN MARKER
+                        Arrow above the previewed column (touch play shows the drag piece there instead)
+                        */}
+                        {previewRow !== null && !touchPreview && (
+                            <div
+                                className={`column-marker ${currentPlayer}${isRiskyDrop ? " risky" : ""}`}
+                                style={{ "--drop-col": hoveredCol }}
+                            ></div>
+                        )}
+
+                        {/* 
+                        DRAG PIECE
+                        The current player's piece held above the previewed column
+                        during touch play (tap again, or lift after dragging, to drop)
+                        */}
+                        {touchPreview && hoveredCol !== null && !isBoardLocked && !isGameOver && (
+                            <div
+                                className={`drag-piece ${currentPlayer}`}
+                                style={{ "--drop-col": hoveredCol }}
+                            ></div>
+                        )}
                     </div>
-                ))}
+
+                    {/* KEYBOARD INSTRUCTIONS AND ANNOUNCEMENTS (visually hidden) */}
+                    <p className="sr-only" id={`${idPrefix}-instructions`}>
+                        Use the left and right arrow keys to choose a column and Enter or Space to drop a piece,
+                        or press a number from 1 to {Math.min(config.cols, 9)} to drop into that column.
+                        {rules.hasPops && " Press P to pop your own piece out of the bottom of the selected column."}
+                    </p>
+                    <p className="sr-only" aria-live="polite">{announcement}</p>
+
+                    {/* RESTART BUTTON */}
+                    {/* Online, the server clears the board for everyone in the room */}
+                    <button
+                        className="c4-button"
+                        onClick={() => (isOnline ? online.restartGame() : playNextGame())}
+                        disabled={isOnline && (!online.room || online.role === "spectator")}
+                    >
+                        Restart Game
+                    </button>
+
+                    {/* ANALYSIS TOGGLE */}
+                    {/* Offered once the game is over; step through the history to review each position */}
+                    {isGameFinished && !rules.hasPops && (
+                        <button
+                            className="c4-button c4-analyze-button"
+                            aria-pressed={showAnalysis}
+                            onClick={() => setIsAnalyzing(!showAnalysis)}
+                        >
+                            {showAnalysis ? "Stop analysis" : "Analyze game"}
+                        </button>
+                    )}
+
+                    {/* SAVED STATISTICS (all boards and opponents together) */}
+                    <Scoreboard
+                        gameKey={SAVE_FORMAT.key}
+                        playerNames={{ red: colorName("red"), yellow: colorName("yellow") }}
+                        className="scoreboard"
+                        buttonClassName="c4-move-button"
+                    />
+
+                    {/* GAME RECORD EXPORT / IMPORT (online games can be exported, not replaced) */}
+                    {/* The notation only has classic drops, so rule variants have no records */}
+                    {variant === "classic" && (
+                        <RecordPanel
+                            notation={CONNECT_FOUR_NOTATION}
+                            game={gameRecord}
+                            onLoad={loadRecord}
+                            canLoad={!isOnline}
+                            className="game-record"
+                            buttonClassName="c4-move-button"
+                        />
+                    )}
             </div>
 
-            {/* RESTART BUTTON */}
-            <button
-                className="c4-button"
-                onClick={() => {
-                    // RESET ALL GAME STATE
-                    // Return everything to initial values for a new game
-                    setBoard(Array(ROWS).fill(null).map(() => Array(COLS).fill(null)));  // Clear board
-                    setWinner(null);                   // Clear winner
-                    setCurrentPlayer("red");           // Reset to first player
-                    setWinningCells([]);              // Clear winning highlights
-                    setHoveredCol(null);              // Clear hover state
-                }}
-            >
-                Restart Game
-            </button>
+            {/* GAME CONTROLS AND HISTORY SECTION */}
+            <div className="c4-game-info">
+                {/* UNDO / REDO AND MOVE ORDER CONTROLS */}
+                <div className="c4-history-controls">
+                    <button
+                        className="c4-move-button"
+                        onClick={() => jumpTo(currentMove - 1)}
+                        disabled={currentMove === 0}
+                    >
+                        Undo
+                    </button>
+                    <button
+                        className="c4-move-button"
+                        onClick={() => jumpTo(currentMove + 1)}
+                        disabled={isLatestMove}
+                    >
+                        Redo
+                    </button>
+                    <button className="c4-move-button" onClick={() => setIsAscending(!isAscending)}>
+                        {isAscending ? "Show Descending" : "Show Ascending"}
+                    </button>
+                </div>
+
+                {/* REPLAY PLAYER */}
+                <ReplayControls
+                    currentMove={currentMove}
+                    lastMove={history.length - 1}
+                    isPlaying={isReplaying}
+                    onPlayingChange={setIsReplaying}
+                    onStep={replayMove}
+                    onJump={(move) => { setFallingPiece(null); setCurrentMove(move); }}
+                    className="replay-controls"
+                    buttonClassName="c4-move-button"
+                />
+
+                {/* RESUME BUTTON */}
+                {/* Shown when time travel lands on a position where the computer moves next */}
+                {isComputerTurn && !isLatestMove && !showAnalysis && (
+                    <button className="c4-move-button" onClick={resumeFromHere}>
+                        Resume vs computer from here
+                    </button>
+                )}
+
+                {/* HISTORY SECTION HEADER */}
+                <h4><u>History:</u></h4>
+
+                {/* ASSISTED GAME NOTE */}
+                {hintedMoves > 0 && (
+                    <p className="c4-move-info hint-used">
+                        Assisted game: {hintedMoves} {hintedMoves === 1 ? "move was" : "moves were"} made after a hint.
+                    </p>
+                )}
+
+                {/* MOVE LIST */}
+                <ul>{moves}</ul>
+
+                {/* JUMP FEEDBACK MESSAGE */}
+                {selectedMove !== null && (
+                    <p className="c4-move-info">
+                        <i><b>(restarted at move #{selectedMove})</b></i>
+                    </p>
+                )}
+            </div>
         </div>
     );
 };
@@ -0,0 +1,234 @@
+/**
+ * CONNECT FOUR RULES ENGINE
+ * 
+ * Pure, React-free implementation of the Connect Four rules used by the
+ * c4app component and by the computer opponent (which runs inside a
+ * Web Worker and cannot touch React or the DOM).
+ * 
+ * Board representation:
+ * - A 2D array of rows x cols cells, board[row][col], row 0 at the top
+ * - Each cell is "red", "yellow" or null (empty)
+ * 
+ * Implements the common engine interface (see ticTacToe.js), where a
+ * move is a column index and pieces fall to the lowest free row.
+ * Like tic-tac-toe, every function takes an optional config
+ * { rows, cols, winLength } as its last argument, so 8x7 boards or
+ * Connect Five use the same rules. The default is the classic 6x7 game.
+ */
+
+// ===== GAME CONSTANTS =====
+// Define the board dimensions as constants for easy modification and clarity
+export const ROWS = 6;    // Standard Connect Four has 6 rows
+export const COLS = 7;    // Standard Connect Four has 7 columns
+
+/**
+ * CLASSIC BOARD CONFIGURATION
+ * 
+ * rows / cols: Board height and width in cells
+ * winLength: How many pieces in a row are needed to win
+ */
+export const CLASSIC_CONFIG = { rows: ROWS, cols: COLS, winLength: 4 };
+
+/**
+ * Players in turn order (red traditionally goes first)
+ */
+export const PLAYERS = ["red", "yellow"];
+
+// ===== COMMON ENGINE INTERFACE =====
+
+/**
+ * INITIAL BOARD
+ * 
+ * Creates a 2D array representing the game board:
+ * - Array(rows) creates an array with one element per row (6 by default)
+ * - .fill(null) fills each element with null
+ * - .map(() => Array(cols).fill(null)) replaces each null with a new row of nulls
+ * Result: a grid where null = empty space, "red"/"yellow" = player pieces
+ * 
+ * @param {Object} [config] - { rows, cols, winLength } (classic 6x7 by default)
+ * @returns {Array} A new empty board
+ */
+export function createInitialBoard(config = CLASSIC_CONFIG) {
+  return Array(config.rows).fill(null).map(() => Array(config.cols).fill(null));
+}
+
+/**
+ * CURRENT PLAYER
+ * 
+ * Red moves first, so it is red's turn whenever both players have
+ * dropped the same number of pieces.
+ * 
+ * @param {Array} board - Board state
+ * @returns {string} "red" or "yellow"
+ */
+export function getCurrentPlayer(board) {
+  const filled = board.flat().filter((cell) => cell !== null).length;
+  return filled % 2 === 0 ? "red" : "yellow";
+}
+
+/**
+ * OPPONENT LOOKUP
+ * 
+ * @param {string} player - "red" or "yellow"
+ * @returns {string} - The opposing player
+ */
+export function otherPlayer(player) {
+  return player === "red" ? "yellow" : "red";
+}
+
+/**
+ * LEGAL MOVES
+ * 
+ * @param {Array} board - Board state
+ * @param {Object} [config] - { rows, cols, winLength }
+ * @returns {Array} Columns that still have room, or [] if the game is already won
+ */
+export function getLegalMoves(board, config = CLASSIC_CONFIG) {
+  if (getWinner(board, config)[0]) return [];
+  return Array.from({ length: config.cols }, (_, col) => col)
+    .filter((col) => findDropRow(board, col, config) !== null);
+}
+
+/**
+ * APPLY MOVE
+ * 
+ * Drops a piece without modifying the original board (immutable update).
+ * 
+ * @param {Array} board - Board state
+ * @param {number} col - Column to drop into
+ * @param {string} player - "red" or "yellow"
+ * @param {Object} [config] - { rows, cols, winLength }
+ * @returns {Object|null} { board, position } where position is the [row, col]
+ *                        the piece landed on, or null if the column is full
+ */
+export function applyMove(board, col, player, config = CLASSIC_CONFIG) {
+  const row = findDropRow(board, col, config);
+  if (row === null) return null;
+
+  // Create a deep copy of the board: map creates a new array, spread copies each row
+  const nextBoard = board.map((r) => [...r]);
+  nextBoard[row][col] = player;
+  return { board: nextBoard, position: [row, col] };
+}
+
+/**
+ * FULL-BOARD WIN DETECTION
+ * 
+ * Scans from every piece on the board. Use checkWinner instead when the
+ * last move is known - it only needs to look around that one piece.
+ * 
+ * @param {Array} board - Board state
+ * @param {Object} [config] - { rows, cols, winLength }
+ * @returns {Array} [winner, winningCells] where winner is "red"|"yellow"|null
+ *                  and winningCells is an array of [row, col] (or null)
+ */
+export function getWinner(board, config = CLASSIC_CONFIG) {
+  for (let row = 0; row < config.rows; row++) {
+    for (let col = 0; col < config.cols; col++) {
+      const player = board[row][col];
+      if (!player) continue;
+
+      const cells = checkWinner(board, row, col, player, config);
+      if (cells) return [player, cells];
+    }
+  }
+  return [null, null];
+}
+
+/**
+ * DRAW DETECTION
+ * 
+ * @param {Array} board - Board state
+ * @param {Object} [config] - { rows, cols, winLength }
+ * @returns {boolean} True when every cell is filled and nobody has won
+ */
+export function isDraw(board, config = CLASSIC_CONFIG) {
+  return board[0].every((cell) => cell !== null) && !getWinner(board, config)[0];
+}
+
+// ===== CONNECT FOUR HELPERS =====
+
+/**
+ * GRAVITY SIMULATION
+ * 
+ * Loops through rows from bottom to top (rows-1 down to 0).
+ * Pieces fall to the lowest available space in the column.
+ * 
+ * @param {Array} board - The current game board state
+ * @param {number} col - The column index
+ * @param {Object} [config] - { rows, cols, winLength }
+ * @returns {number|null} - Row where the piece would land, or null if the column is full
+ */
+export function findDropRow(board, col, config = CLASSIC_CONFIG) {
+  for (let row = config.rows - 1; row >= 0; row--) {
+    // Check if this position is empty (null means empty)
+    if (!board[row][col]) {
+      return row;
+    }
+  }
+  // Column is full (no empty spaces found)
+  return null;
+}
+
+/**
+ * WIN DETECTION ALGORITHM
+ * 
+ * This function checks if the last move resulted in a win.
+ * It only checks from the position of the last placed piece,
+ * making it efficient (O(1) instead of checking entire board).
+ * 
+ * @param {Array} board - The current game board state
+ * @param {number} row - Row of the last placed piece
+ * @param {number} col - Column of the last placed piece
+ * @param {string} player - The player who just moved ("red" or "yellow")
+ * @param {Object} [config] - { rows, cols, winLength }
+ * @returns {Array|null} - Array of winning cell coordinates, or null if no win
+ */
+export function checkWinner(board, row, col, player, config = CLASSIC_CONFIG) {
+  const { rows, cols, winLength } = config;
+
+  // DIRECTION VECTORS
+  // Define the four possible winning directions in Connect Four:
+  // Each direction is represented by two vectors (positive and negative)
+  const directions = [
+    [[0, 1], [0, -1]],   // Horizontal: right and left
+    [[1, 0], [-1, 0]],   // Vertical: down and up
+    [[1, 1], [-1, -1]],  // Diagonal \: down-right and up-left
+    [[1, -1], [-1, 1]],  // Diagonal /: down-left and up-right
+  ];
+
+  // CHECK EACH DIRECTION
+  for (let [[dr1, dc1], [dr2, dc2]] of directions) {
+    let count = 1;                    // Start with 1 (the piece just placed)
+    let winningCells = [[row, col]];  // Track all cells in this potential winning line
+
+    // CHECK BOTH DIRECTIONS FROM THE PLACED PIECE
+    // We check both positive and negative directions for each axis
+    for (let [dr, dc] of [[dr1, dc1], [dr2, dc2]]) {
+      let r = row + dr;  // Start from adjacent cell
+      let c = col + dc;
+
+      // TRAVERSE IN THIS DIRECTION
+      // Keep going while:
+      // 1. We're within board boundaries
+      // 2. The cell contains the same player's piece
+      while (r >= 0 && r < rows && c >= 0 && c < cols && board[r][c] === player) {
+        winningCells.push([r, c]);  // Add this cell to potential winning line
+        count++;                     // Increment consecutive piece count
+
+        // Move to next cell in this direction
+        r += dr;
+        c += dc;
+      }
+    }
+
+    // CHECK FOR WIN CONDITION
+    // Classic Connect Four requires 4 consecutive pieces (winLength)
+    if (count >= winLength) {
+      return winningCells;  // Return the coordinates of winning pieces
+    }
+  }
+
+  // NO WIN FOUND
+  return null;
+}
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * CONNECT FOUR RULES ENGINE TESTS
+ * 
+ * Boards are written as one string per row, top row first
+ * ("R" = red, "Y" = yellow, "." = empty), so each test shows the
+ * position it checks.
+ */
+
+import {
+  applyMove,
+  checkWinner,
+  createInitialBoard,
+  findDropRow,
+  getCurrentPlayer,
+  getLegalMoves,
+  getWinner,
+  isDraw,
+  otherPlayer,
+} from "./connectFour";
+
+// Cell letters used in the test boards
+const PIECES = { R: "red", Y: "yellow", ".": null };
+
+/**
+ * BOARD FROM ROWS
+ * 
+ * @param {Array} rows - One string per row, top row first, e.g. [".......", "RRR.YYY"]
+ * @returns {Array} Board state
+ */
+function board(rows) {
+  return rows.map((row) => [...row].map((cell) => PIECES[cell]));
+}
+
+// ===== WIN DETECTION =====
+
+describe("getWinner", () => {
+  test("finds no winner on an empty board", () => {
+    expect(getWinner(createInitialBoard())).toEqual([null, null]);
+  });
+
+  test("finds a horizontal line", () => {
+    const [winner, cells] = getWinner(board([
+      ".......",
+      ".......",
+      ".......",
+      ".......",
+      "YYY....",
+      "RRRR...",
+    ]));
+    expect(winner).toBe("red");
+    expect(cells).toHaveLength(4);
+    expect(cells).toEqual(expect.arrayContaining([[5, 0], [5, 1], [5, 2], [5, 3]]));
+  });
+
+  test("finds a vertical line", () => {
+    const [winner, cells] = getWinner(board([
+      ".......",
+      ".......",
+      "...Y...",
+      "...Y...",
+      "R..Y...",
+      "RR.Y...",
+    ]));
+    expect(winner).toBe("yellow");
+    expect(cells).toEqual(expect.arrayContaining([[2, 3], [3, 3], [4, 3], [5, 3]]));
+  });
+
+  test("finds both diagonals", () => {
+    expect(getWinner(board([
+      ".......",
+      ".......",
+      "...R...",
+      "..RY...",
+      ".RYY...",
+      "RYYR...",
+    ]))[0]).toBe("red");
+    expect(getWinner(board([
+      ".......",
+      ".......",
+      "Y......",
+      "RY.....",
+      "RRY....",
+      "RRYY...",
+    ]))[0]).toBe("yellow");
+  });
+
+  test("does not count three in a row", () => {
+    expect(getWinner(board([
+      ".......",
+      ".......",
+      ".......",
+      ".......",
+      "YYY....",
+      "RRR....",
+    ]))[0]).toBeNull();
+  });
+
+  test("uses the configured win length", () => {
+    const config = { rows: 6, cols: 7, winLength: 5 };
+    const rows = [
+      ".......",
+      ".......",
+      ".......",
+      ".......",
+      "YYY....",
+      "RRRR...",
+    ];
+    expect(getWinner(board(rows), config)[0]).toBeNull();
+    expect(getWinner(board(rows))[0]).toBe("red");
+  });
+
+  test("checkWinner follows the line both ways from the last piece", () => {
+    const rows = [
+      ".......",
+      ".......",
+      ".......",
+      ".......",
+      "YYYY...",
+      "RRRRR..",
+    ];
+    expect(checkWinner(board(rows), 5, 2, "red")).toHaveLength(5);
+    expect(checkWinner(board(rows), 5, 2, "yellow")).toBeNull();
+  });
+});
+
+// ===== DRAWS =====
+
+describe("isDraw", () => {
+  const full = [
+    "RYRYRYR",
+    "RYRYRYR",
+    "YRYRYRY",
+    "YRYRYRY",
+    "RYRYRYR",
+    "RYRYRYR",
+  ];
+
+  test("is a draw when the board is full and nobody has won", () => {
+    expect(isDraw(board(full))).toBe(true);
+  });
+
+  test("is not a draw while a column has room", () => {
+    expect(isDraw(board([".YRYRYR", ...full.slice(1)]))).toBe(false);
+  });
+});
+
+// ===== MOVES =====
+
+describe("moves", () => {
+  test("red moves first and the players alternate", () => {
+    expect(getCurrentPlayer(createInitialBoard())).toBe("red");
+    expect(getCurrentPlayer(applyMove(createInitialBoard(), 3, "red").board)).toBe("yellow");
+    expect(otherPlayer("red")).toBe("yellow");
+    expect(otherPlayer("yellow")).toBe("red");
+  });
+
+  test("pieces fall to the lowest free row", () => {
+    const first = applyMove(createInitialBoard(), 2, "red");
+    expect(first.position).toEqual([5, 2]);
+
+    const second = applyMove(first.board, 2, "yellow");
+    expect(second.position).toEqual([4, 2]);
+    expect(second.board[4][2]).toBe("yellow");
+    expect(first.board[4][2]).toBeNull();     // The original board is unchanged
+  });
+
+  test("rejects a full column", () => {
+    const rows = [
+      "R......",
+      "Y......",
+      "R......",
+      "Y......",
+      "R......",
+      "Y......",
+    ];
+    expect(findDropRow(board(rows), 0)).toBeNull();
+    expect(applyMove(board(rows), 0, "red")).toBeNull();
+    expect(getLegalMoves(board(rows))).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  test("has no legal moves once the game is won", () => {
+    expect(getLegalMoves(board([
+      ".......",
+      ".......",
+      ".......",
+      ".......",
+      "YYY....",
+      "RRRR...",
+    ]))).toEqual([]);
+  });
+});
\ No newline at end of file
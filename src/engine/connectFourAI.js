@@ -0,0 +1,342 @@
+/**
+ * CONNECT FOUR COMPUTER OPPONENT
+ * 
+ * Chooses a column for the computer player using minimax search with
+ * alpha-beta pruning (written in the compact "negamax" form, where the score
+ * for one player is simply the negated score for the other).
+ * 
+ * The search reuses the real game rules from connectFour.js:
+ * - findDropRow for gravity (the same bottom-up loop the board uses)
+ * - checkWinner for the directional scan after each simulated drop
+ * 
+ * This module is pure JavaScript so it can run inside a Web Worker
+ * (see c4app/c4ai.worker.js) and keep the board responsive while it thinks.
+ * The same search scores positions for post-game analysis (analyzePosition).
+ * givesAwayWin warns about drops that hand the opponent an immediate win.
+ */
+
+import { CLASSIC_CONFIG, applyMove, findDropRow, checkWinner, getWinner, otherPlayer } from "./connectFour";
+
+// ===== DIFFICULTY SETTINGS =====
+/**
+ * SEARCH DEPTH PER DIFFICULTY
+ * 
+ * How many moves ahead (plies) the computer looks.
+ * - easy: Only sees immediate wins, otherwise plays on simple heuristics
+ * - medium: Sees two full turns ahead, blocks most simple threats
+ * - hard: Deep search that sets up and defends multi-move threats
+ */
+export const DIFFICULTY_DEPTHS = {
+  easy: 1,
+  medium: 4,
+  hard: 7,
+};
+
+// Search depth for post-game analysis (between medium and hard, so a whole game is analyzed quickly)
+export const ANALYSIS_DEPTH = 5;
+
+// Score for a won position (large enough to dominate every heuristic score)
+const WIN_SCORE = 1000000;
+
+/**
+ * SEARCH ORDER
+ * 
+ * Central columns take part in the most winning windows, so exploring
+ * them first lets alpha-beta prune far more of the tree.
+ * 
+ * @param {number} cols - Board width
+ * @returns {Array} Column indices, center first
+ */
+function centerFirstColumns(cols) {
+  return Array.from({ length: cols }, (_, i) => i)
+    .sort((a, b) => Math.abs(a - (cols - 1) / 2) - Math.abs(b - (cols - 1) / 2));
+}
+
+/**
+ * WINDOW SCORING
+ * 
+ * Scores a run of winLength cells (four in the classic game) from the
+ * point of view of `player`.
+ * Windows containing both colors can never become a win, so they score 0.
+ * 
+ * @param {Array} cells - Cell values (null, "red" or "yellow")
+ * @param {string} player - Player we are scoring for
+ * @returns {number} - Heuristic score for this window
+ */
+function scoreWindow(cells, player) {
+  const opponent = otherPlayer(player);
+  const mine = cells.filter((cell) => cell === player).length;
+  const theirs = cells.filter((cell) => cell === opponent).length;
+  const size = cells.length;
+
+  if (mine > 0 && theirs > 0) return 0;
+  if (mine === size - 1) return 5;      // One short, with the last cell open
+  if (mine === size - 2) return 2;      // Two short, room to grow
+  if (theirs === size - 1) return -4;   // Opponent threat we have not blocked
+  return 0;
+}
+
+/**
+ * POSITION HEURISTIC
+ * 
+ * Estimates how good a (non-terminal) board is for `player` by summing
+ * every horizontal, vertical and diagonal window of winLength cells, plus
+ * a small bonus for owning the center column.
+ * 
+ * @param {Array} board - Board to evaluate
+ * @param {string} player - Player we are scoring for
+ * @param {Object} config - { rows, cols, winLength }
+ * @returns {number} - Positive is good for `player`, negative is bad
+ */
+function scorePosition(board, player, config) {
+  const { rows, cols, winLength } = config;
+  const offsets = Array.from({ length: winLength }, (_, k) => k);
+  let score = 0;
+
+  // CENTER COLUMN PREFERENCE
+  const center = Math.floor(cols / 2);
+  for (let row = 0; row < rows; row++) {
+    if (board[row][center] === player) score += 3;
+  }
+
+  // ALL WINDOWS OF winLength CELLS
+  // Same four directions as checkWinner: right, down, down-right, down-left
+  const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      for (let [dr, dc] of directions) {
+        const endRow = row + (winLength - 1) * dr;
+        const endCol = col + (winLength - 1) * dc;
+        if (endRow < 0 || endRow >= rows || endCol < 0 || endCol >= cols) continue;
+
+        const cells = offsets.map((k) => board[row + k * dr][col + k * dc]);
+        score += scoreWindow(cells, player);
+      }
+    }
+  }
+
+  return score;
+}
+
+/**
+ * NEGAMAX SEARCH WITH ALPHA-BETA PRUNING
+ * 
+ * Mutates `board` while searching (placing and then removing pieces) to
+ * avoid copying the whole board at every node; it is always restored
+ * before returning.
+ * 
+ * @param {Array} board - Working copy of the board
+ * @param {number} depth - Remaining plies to search
+ * @param {number} alpha - Best score the current player is already assured of
+ * @param {number} beta - Best score the opponent is already assured of
+ * @param {string} player - Player to move at this node
+ * @param {Object} config - { rows, cols, winLength }
+ * @param {Array} columnOrder - Columns in search order (center first)
+ * @returns {number} - Score of the position for `player`
+ */
+function negamax(board, depth, alpha, beta, player, config, columnOrder) {
+  const moves = columnOrder.filter((col) => findDropRow(board, col, config) !== null);
+
+  // DRAW: no legal moves left and nobody has won
+  if (moves.length === 0) return 0;
+
+  // SEARCH HORIZON: fall back to the heuristic
+  if (depth === 0) return scorePosition(board, player, config);
+
+  let best = -Infinity;
+  for (let col of moves) {
+    const row = findDropRow(board, col, config);
+    board[row][col] = player;
+
+    // Quicker wins score higher (remaining depth is added on)
+    const score = checkWinner(board, row, col, player, config)
+      ? WIN_SCORE + depth
+      : -negamax(board, depth - 1, -beta, -alpha, otherPlayer(player), config, columnOrder);
+
+    board[row][col] = null;   // Undo the simulated move
+
+    best = Math.max(best, score);
+    alpha = Math.max(alpha, score);
+    if (alpha >= beta) break;   // Opponent will never allow this line
+  }
+
+  return best;
+}
+
+/**
+ * SEARCH DEPTH FOR A BOARD
+ * 
+ * Wide boards: every extra column multiplies the size of the tree,
+ * so look one ply less for each two columns beyond the classic seven.
+ * 
+ * @param {number} baseDepth - Depth on the classic board
+ * @param {Object} config - { rows, cols, winLength }
+ * @returns {number} Depth to search (at least 1)
+ */
+function depthForBoard(baseDepth, config) {
+  const extraCols = Math.max(0, config.cols - CLASSIC_CONFIG.cols);
+  return Math.max(1, baseDepth - Math.ceil(extraCols / 2));
+}
+
+/**
+ * COLUMN SCORES
+ * 
+ * Searches every legal column to the given depth. Each column gets its own
+ * full-window search, so every score is exact (not just the best one).
+ * 
+ * @param {Array} board - Current game board (not modified)
+ * @param {string} player - Player to move
+ * @param {number} depth - Plies to search, including this move
+ * @param {Object} config - { rows, cols, winLength }
+ * @returns {Object} { scores, bestScore, bestCols } - scores maps column -> score for `player`
+ */
+function scoreColumns(board, player, depth, config) {
+  const workingBoard = board.map((r) => [...r]);
+  const columnOrder = centerFirstColumns(config.cols);
+
+  const scores = {};
+  let bestScore = -Infinity;
+  let bestCols = [];
+
+  for (let col of columnOrder) {
+    const row = findDropRow(workingBoard, col, config);
+    if (row === null) continue;
+
+    workingBoard[row][col] = player;
+    const score = checkWinner(workingBoard, row, col, player, config)
+      ? WIN_SCORE + depth
+      : -negamax(workingBoard, depth - 1, -Infinity, Infinity, otherPlayer(player), config, columnOrder);
+    workingBoard[row][col] = null;
+    scores[col] = score;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestCols = [col];
+    } else if (score === bestScore) {
+      bestCols.push(col);
+    }
+  }
+
+  return { scores, bestScore, bestCols };
+}
+
+/**
+ * CHOOSE THE COMPUTER'S MOVE
+ * 
+ * Searches every legal column and returns the best one for `player`.
+ * When several columns score equally, one is picked at random so the
+ * computer does not play the exact same game every time.
+ * 
+ * @param {Array} board - Current game board (not modified)
+ * @param {string} player - Player the computer is moving for
+ * @param {string} difficulty - "easy", "medium" or "hard"
+ * @param {Object} [config] - { rows, cols, winLength } (classic 6x7 by default)
+ * @returns {number|null} - Chosen column, or null if the board is full
+ */
+export function findBestMove(board, player, difficulty, config = CLASSIC_CONFIG) {
+  const depth = depthForBoard(DIFFICULTY_DEPTHS[difficulty] ?? DIFFICULTY_DEPTHS.medium, config);
+  const { bestCols } = scoreColumns(board, player, depth, config);
+
+  if (bestCols.length === 0) return null;
+  return bestCols[Math.floor(Math.random() * bestCols.length)];
+}
+
+// ===== DROP SAFETY =====
+
+/**
+ * RISKY DROP CHECK
+ * 
+ * Would this drop let the opponent win on their very next move? That is
+ * the case when the drop does not win by itself and the opponent then has
+ * a winning column: usually the cell right on top of the new piece, or a
+ * threat elsewhere that the drop fails to block.
+ * 
+ * @param {Array} board - Current game board (not modified)
+ * @param {number} col - Column the player is thinking of
+ * @param {string} player - Player to move
+ * @param {Object} [config] - { rows, cols, winLength } (classic 6x7 by default)
+ * @returns {boolean} True if the opponent could win straight after (false for a full column)
+ */
+export function givesAwayWin(board, col, player, config = CLASSIC_CONFIG) {
+  const move = applyMove(board, col, player, config);
+  if (!move || checkWinner(move.board, move.position[0], col, player, config)) return false;
+
+  const opponent = otherPlayer(player);
+  for (let reply = 0; reply < config.cols; reply++) {
+    const result = applyMove(move.board, reply, opponent, config);
+    if (result && checkWinner(result.board, result.position[0], reply, opponent, config)) return true;
+  }
+  return false;
+}
+
+// ===== POST-GAME ANALYSIS =====
+
+/**
+ * FORCED RESULT
+ * 
+ * Scores beyond the heuristic range mean the search found a forced win
+ * or loss. The remaining depth added to WIN_SCORE tells how soon.
+ * 
+ * @param {number} score - Search score for the player to move
+ * @param {number} depth - Depth the score was searched to
+ * @returns {Object} { outcome, distance } - "win", "loss" or null (no forced
+ *                   result within the search), and moves until it happens
+ */
+function describeScore(score, depth) {
+  if (Math.abs(score) < WIN_SCORE) return { outcome: null, distance: null };
+  return {
+    outcome: score > 0 ? "win" : "loss",
+    distance: depth - (Math.abs(score) - WIN_SCORE) + 1,
+  };
+}
+
+/**
+ * POSITION ANALYSIS
+ * 
+ * Evaluates a position for reviewing a finished game move by move.
+ * Connect Four is too big to search to the end, so this is the heuristic
+ * score at ANALYSIS_DEPTH, plus any forced win or loss the search can see.
+ * 
+ * @param {Array} board - Board to analyze (not modified)
+ * @param {string} player - Player to move
+ * @param {Object} [config] - { rows, cols, winLength } (classic 6x7 by default)
+ * @returns {Object|null} null once the game is over, otherwise:
+ *   - score: Heuristic score for `player` with the best move (positive = better for `player`)
+ *   - outcome / distance: Forced "win" or "loss" for `player` within the search, and how many moves away
+ *   - bestMoves: Columns with the best score
+ *   - moveOutcomes: Column -> forced outcome for `player` after playing there (or null)
+ */
+export function analyzePosition(board, player, config = CLASSIC_CONFIG) {
+  if (getWinner(board, config)[0]) return null;
+
+  const depth = depthForBoard(ANALYSIS_DEPTH, config);
+  const { scores, bestScore, bestCols } = scoreColumns(board, player, depth, config);
+  if (bestCols.length === 0) return null;
+
+  const moveOutcomes = {};
+  for (const [col, score] of Object.entries(scores)) {
+    moveOutcomes[col] = describeScore(score, depth).outcome;
+  }
+
+  return {
+    score: Math.abs(bestScore) < WIN_SCORE ? bestScore : Math.sign(bestScore) * WIN_SCORE,
+    ...describeScore(bestScore, depth),
+    bestMoves: bestCols,
+    moveOutcomes,
+  };
+}
+
+/**
+ * BLUNDER CHECK
+ * 
+ * Only forced results count: throwing away a win the search could see,
+ * or walking into a loss it could see, when a better column existed.
+ * 
+ * @param {Object} analysis - analyzePosition result for the position before the move
+ * @param {number} col - Column that was played
+ * @returns {boolean} True if the move gave away a better result
+ */
+export function isBlunder(analysis, col) {
+  const rank = (outcome) => (outcome === "win" ? 2 : outcome === "loss" ? 0 : 1);
+  return rank(analysis.moveOutcomes[col]) < rank(analysis.outcome);
+}
\ No newline at end of file
@@ -0,0 +1,333 @@
+/**
+ * CONNECT FOUR RULE VARIANTS
+ * 
+ * Pure, React-free rules for the Connect Four variants offered next to
+ * the classic game, built on the classic rules in connectFour.js:
+ * - PopOut: on your turn, either drop a piece or pop one of your own
+ *   pieces out of the bottom row (everything above it falls one row)
+ * - Pop Ten: the players first fill the whole board row by row, then take
+ *   turns popping their own bottom pieces. A popped piece that was part of
+ *   a line is set aside and its owner moves again; any other popped piece
+ *   is dropped back into any column with room, its own included. First to
+ *   set aside ten pieces wins.
+ * - 5-in-a-Row: classic drops on a 9x6 board whose outer columns start
+ *   filled with alternating pieces, and five in a row are needed to win
+ * 
+ * Turns are no longer strictly alternating (Pop Ten's extra turns), and a
+ * pop can complete lines for both players at once, so variants work on a
+ * game state rather than a bare board:
+ * 
+ *     { board, player, setAside: { red, yellow }, isSetup }
+ * 
+ * - board: Same representation as connectFour.js
+ * - player: Whose turn it is
+ * - setAside: Pieces each player has set aside (Pop Ten)
+ * - isSetup: True while a Pop Ten board is still being filled
+ * 
+ * Moves are objects:
+ * - { type: "drop", col }: Drop a piece into a column
+ * - { type: "pop", col }: Pop your own piece out of a column's bottom row
+ *   (in Pop Ten, dropCol is the column the piece is dropped back into, or
+ *   null when it was set aside)
+ * - { type: "pass" }: Nothing else is legal (no piece of your own to pop)
+ */
+
+import { CLASSIC_CONFIG, PLAYERS, checkWinner, createInitialBoard, findDropRow, otherPlayer } from "./connectFour";
+
+// ===== VARIANT DEFINITIONS =====
+
+/**
+ * VARIANTS
+ * 
+ * label: Name shown in the rules dropdown and game records
+ * config: The board the variant is played on
+ * hasPops: True when pieces can be popped out of the bottom row
+ * prefilledEdges: True when the outer columns start filled
+ * setAsideTarget: Pieces to set aside to win (Pop Ten)
+ */
+export const VARIANTS = {
+  classic: { label: "Classic", config: CLASSIC_CONFIG },
+  popOut: { label: "PopOut", config: CLASSIC_CONFIG, hasPops: true },
+  popTen: { label: "Pop Ten", config: CLASSIC_CONFIG, hasPops: true, setAsideTarget: 10 },
+  fiveInARow: { label: "5-in-a-Row", config: { rows: 6, cols: 9, winLength: 5 }, prefilledEdges: true },
+};
+
+// Positions seen this many times end a game with pops in a draw
+export const REPETITION_LIMIT = 3;
+
+// ===== HELPERS =====
+
+/**
+ * POP A COLUMN
+ * 
+ * Removes the bottom piece of a column and lets everything above it fall
+ * one row (immutable update).
+ * 
+ * @param {Array} board - Board state
+ * @param {number} col - Column to pop
+ * @returns {Array} The board after the pop
+ */
+export function popColumn(board, col) {
+  const nextBoard = board.map((r) => [...r]);
+  for (let row = nextBoard.length - 1; row > 0; row--) {
+    nextBoard[row][col] = nextBoard[row - 1][col];
+  }
+  nextBoard[0][col] = null;
+  return nextBoard;
+}
+
+/**
+ * DROP INTO A BOARD
+ * 
+ * @param {Array} board - Board state
+ * @param {number} col - Column to drop into
+ * @param {string} player - "red" or "yellow"
+ * @param {Object} config - { rows, cols, winLength }
+ * @returns {Object|null} { board, row } or null if the column is full
+ */
+function dropInto(board, col, player, config) {
+  const row = findDropRow(board, col, config);
+  if (row === null) return null;
+
+  const nextBoard = board.map((r) => [...r]);
+  nextBoard[row][col] = player;
+  return { board: nextBoard, row };
+}
+
+/**
+ * LINE SEARCH
+ * 
+ * Scans every piece of one player with checkWinner. Needed after a pop,
+ * which moves a whole column at once.
+ * 
+ * @param {Array} board - Board state
+ * @param {string} player - "red" or "yellow"
+ * @param {Object} config - { rows, cols, winLength }
+ * @returns {Array|null} Cells of a winning line, or null
+ */
+function findLine(board, player, config) {
+  for (let row = 0; row < config.rows; row++) {
+    for (let col = 0; col < config.cols; col++) {
+      if (board[row][col] !== player) continue;
+
+      const cells = checkWinner(board, row, col, player, config);
+      if (cells) return cells;
+    }
+  }
+  return null;
+}
+
+/**
+ * SETUP ROW (Pop Ten)
+ * 
+ * The board is filled one row at a time, so only the lowest row with an
+ * empty cell takes pieces.
+ * 
+ * @param {Array} board - Board state
+ * @param {Object} config - { rows, cols, winLength }
+ * @returns {number|null} Row being filled, or null once the board is full
+ */
+function setupRow(board, config) {
+  for (let row = config.rows - 1; row >= 0; row--) {
+    if (board[row].some((cell) => cell === null)) return row;
+  }
+  return null;
+}
+
+// ===== GAME STATE =====
+
+/**
+ * INITIAL STATE
+ * 
+ * 5-in-a-Row's outer columns alternate from the bottom up, red first on
+ * the left and yellow first on the right, so both players start with the
+ * same number of pieces.
+ * 
+ * @param {string} variant - Key of VARIANTS
+ * @param {Object} [config] - { rows, cols, winLength } (the variant's board by default)
+ * @returns {Object} Game state with red to move
+ */
+export function createInitialState(variant, config = VARIANTS[variant].config) {
+  const board = createInitialBoard(config);
+
+  if (VARIANTS[variant].prefilledEdges) {
+    for (let row = 0; row < config.rows; row++) {
+      const isRedRow = (config.rows - 1 - row) % 2 === 0;
+      board[row][0] = isRedRow ? "red" : "yellow";
+      board[row][config.cols - 1] = isRedRow ? "yellow" : "red";
+    }
+  }
+
+  return {
+    board,
+    player: PLAYERS[0],
+    setAside: { red: 0, yellow: 0 },
+    isSetup: variant === "popTen",
+  };
+}
+
+/**
+ * RESULT
+ * 
+ * - Pop Ten is won by setting aside enough pieces; lines alone win nothing
+ * - Otherwise a line wins. A pop can complete lines for both players at
+ *   once: then the player who popped wins.
+ * - A full board is a draw, except with pops (pops are still possible)
+ * 
+ * Repeated positions are checked separately (see isRepetition).
+ * 
+ * @param {Object} state - Game state
+ * @param {string} variant - Key of VARIANTS
+ * @param {Object} [config] - { rows, cols, winLength } (the variant's board by default)
+ * @returns {Object} { winner, winningCells, isDraw } - winner is "red", "yellow"
+ *                   or null, winningCells a list of [row, col] (empty without a line)
+ */
+export function getResult(state, variant, config = VARIANTS[variant].config) {
+  const rules = VARIANTS[variant];
+  const { board, player, setAside } = state;
+
+  if (rules.setAsideTarget) {
+    const winner = PLAYERS.find((p) => setAside[p] >= rules.setAsideTarget) ?? null;
+    return { winner, winningCells: [], isDraw: false };
+  }
+
+  // The player who just moved is checked first, so they win a double line
+  for (const candidate of [otherPlayer(player), player]) {
+    const cells = findLine(board, candidate, config);
+    if (cells) return { winner: candidate, winningCells: cells, isDraw: false };
+  }
+
+  const isFull = board[0].every((cell) => cell !== null);
+  return { winner: null, winningCells: [], isDraw: isFull && !rules.hasPops };
+}
+
+/**
+ * LEGAL MOVES
+ * 
+ * @param {Object} state - Game state
+ * @param {string} variant - Key of VARIANTS
+ * @param {Object} [config] - { rows, cols, winLength } (the variant's board by default)
+ * @returns {Array} Moves the player to move may make ([] once the game is over)
+ */
+export function getLegalMoves(state, variant, config = VARIANTS[variant].config) {
+  const result = getResult(state, variant, config);
+  if (result.winner || result.isDraw) return [];
+
+  const rules = VARIANTS[variant];
+  const { board, player, isSetup } = state;
+  const bottom = config.rows - 1;
+  const columns = Array.from({ length: config.cols }, (_, col) => col);
+  const openColumns = columns.filter((col) => findDropRow(board, col, config) !== null);
+
+  let moves;
+  if (variant === "popTen" && isSetup) {
+    // SETUP: only into the row being filled
+    const row = setupRow(board, config);
+    moves = openColumns
+      .filter((col) => findDropRow(board, col, config) === row)
+      .map((col) => ({ type: "drop", col }));
+  } else if (variant === "popTen") {
+    // POPS: set aside a piece in a line, or drop it back into any column
+    moves = [];
+    for (const col of columns.filter((c) => board[bottom][c] === player)) {
+      if (checkWinner(board, bottom, col, player, config)) {
+        moves.push({ type: "pop", col, dropCol: null });
+        continue;
+      }
+
+      // Any column with room after the pop, including the popped one (which always has room)
+      const popped = popColumn(board, col);
+      for (const dropCol of columns.filter((c) => findDropRow(popped, c, config) !== null)) {
+        moves.push({ type: "pop", col, dropCol });
+      }
+    }
+  } else {
+    moves = openColumns.map((col) => ({ type: "drop", col }));
+    if (rules.hasPops) {
+      for (const col of columns.filter((c) => board[bottom][c] === player)) {
+        moves.push({ type: "pop", col });
+      }
+    }
+  }
+
+  return moves.length > 0 ? moves : [{ type: "pass" }];
+}
+
+/**
+ * MOVE COMPARISON
+ * 
+ * @param {Object} a - Move
+ * @param {Object} b - Move
+ * @returns {boolean} True when both are the same move
+ */
+export function isSameMove(a, b) {
+  return a.type === b.type && a.col === b.col && (a.dropCol ?? null) === (b.dropCol ?? null);
+}
+
+/**
+ * APPLY MOVE
+ * 
+ * Plays a move without modifying the original state (immutable update).
+ * 
+ * @param {Object} state - Game state
+ * @param {Object} move - A move from getLegalMoves
+ * @param {string} variant - Key of VARIANTS
+ * @param {Object} [config] - { rows, cols, winLength } (the variant's board by default)
+ * @returns {Object|null} { state, position } where position is the [row, col]
+ *                        the move is shown at (the landing cell of a drop, the
+ *                        bottom cell of a pop), or null if the move is illegal
+ */
+export function applyMove(state, move, variant, config = VARIANTS[variant].config) {
+  if (!getLegalMoves(state, variant, config).some((legal) => isSameMove(legal, move))) return null;
+
+  const { board, player, setAside } = state;
+  const opponent = otherPlayer(player);
+  const bottom = config.rows - 1;
+
+  // PASS
+  if (move.type === "pass") {
+    return { state: { ...state, player: opponent }, position: [null, null] };
+  }
+
+  // DROP (the last setup drop starts Pop Ten's popping phase)
+  if (move.type === "drop") {
+    const { board: nextBoard, row } = dropInto(board, move.col, player, config);
+    const isSetup = state.isSetup && setupRow(nextBoard, config) !== null;
+    return { state: { ...state, board: nextBoard, player: opponent, isSetup }, position: [row, move.col] };
+  }
+
+  // POP
+  const popped = popColumn(board, move.col);
+  const position = [bottom, move.col];
+
+  // Pop Ten: a piece from a line is set aside, and its owner moves again
+  if (variant === "popTen" && move.dropCol === null) {
+    const nextSetAside = { ...setAside, [player]: setAside[player] + 1 };
+    return { state: { ...state, board: popped, setAside: nextSetAside }, position };
+  }
+
+  // Pop Ten: any other popped piece is dropped back in
+  if (variant === "popTen") {
+    const { board: nextBoard, row } = dropInto(popped, move.dropCol, player, config);
+    return { state: { ...state, board: nextBoard, player: opponent }, position: [row, move.dropCol] };
+  }
+
+  return { state: { ...state, board: popped, player: opponent }, position };
+}
+
+/**
+ * REPEATED POSITION
+ * 
+ * With pops a game can go round in circles, so it is drawn once the same
+ * position (with the same player to move) has come up REPETITION_LIMIT times.
+ * 
+ * @param {Array} states - Game states in play order, up to the position to check
+ * @returns {boolean} True when the last state has occurred REPETITION_LIMIT times
+ */
+export function isRepetition(states) {
+  const key = ({ board, player, setAside }) =>
+    `${player}:${setAside.red}:${setAside.yellow}:${board.flat().map((cell) => (cell ? cell[0] : "-")).join("")}`;
+
+  const last = key(states[states.length - 1]);
+  return states.filter((state) => key(state) === last).length >= REPETITION_LIMIT;
+}
\ No newline at end of file
@@ -0,0 +1,205 @@
+/**
+ * CONNECT FOUR RULE VARIANTS TESTS
+ * 
+ * Boards are written as one string per row, top row first
+ * ("R" = red, "Y" = yellow, "." = empty), like connectFour.test.js.
+ */
+
+import {
+  applyMove,
+  createInitialState,
+  getLegalMoves,
+  getResult,
+  isRepetition,
+} from "./connectFourVariants";
+
+// Cell letters used in the test boards
+const PIECES = { R: "red", Y: "yellow", ".": null };
+
+// Empty rows above the pieces of a test board
+const EMPTY_ROW = ".......";
+
+/**
+ * STATE FROM ROWS
+ * 
+ * @param {Array} rows - The bottom rows of the board, top one first (empty rows are added above)
+ * @param {Object} [fields] - Other state fields, e.g. { player: "yellow" }
+ * @returns {Object} Game state with red to move, outside Pop Ten's setup
+ */
+function state(rows, fields = {}) {
+  const fullRows = [...Array(6 - rows.length).fill(EMPTY_ROW), ...rows];
+  return {
+    board: fullRows.map((row) => [...row].map((cell) => PIECES[cell])),
+    player: "red",
+    setAside: { red: 0, yellow: 0 },
+    isSetup: false,
+    ...fields,
+  };
+}
+
+/**
+ * PLAY MOVES
+ * 
+ * @param {Object} start - Game state
+ * @param {Array} moves - Moves in play order (each must be legal)
+ * @param {string} variant - Key of VARIANTS
+ * @returns {Array} Every state from start to the last move
+ */
+function play(start, moves, variant) {
+  const states = [start];
+  for (const move of moves) {
+    states.push(applyMove(states[states.length - 1], move, variant).state);
+  }
+  return states;
+}
+
+// A full board without any line
+const FULL_BOARD = [
+  "RYRYRYR",
+  "RYRYRYR",
+  "YRYRYRY",
+  "YRYRYRY",
+  "RYRYRYR",
+  "RYRYRYR",
+];
+
+// ===== POPOUT =====
+
+describe("PopOut", () => {
+  test("offers pops of the player's own bottom pieces only", () => {
+    const moves = getLegalMoves(state(["RY....."]), "popOut");
+    expect(moves).toContainEqual({ type: "pop", col: 0 });
+    expect(moves).not.toContainEqual({ type: "pop", col: 1 });
+    expect(moves.filter((move) => move.type === "drop")).toHaveLength(7);
+  });
+
+  test("a pop moves the column down one row", () => {
+    const { state: next, position } = applyMove(state(["Y......", "R......"]), { type: "pop", col: 0 }, "popOut");
+    expect(position).toEqual([5, 0]);
+    expect(next.board[5][0]).toBe("yellow");
+    expect(next.board[4][0]).toBeNull();
+    expect(next.player).toBe("yellow");
+  });
+
+  test("the popper wins when a pop completes lines for both players", () => {
+    const before = state([
+      "R......",
+      "YRRR...",
+      "RYYY...",
+    ]);
+    expect(getResult(before, "popOut").winner).toBeNull();
+
+    const { state: after } = applyMove(before, { type: "pop", col: 0 }, "popOut");
+    const result = getResult(after, "popOut");
+    expect(result.winner).toBe("red");
+    expect(result.winningCells).toEqual(expect.arrayContaining([[4, 0], [4, 1], [4, 2], [4, 3]]));
+  });
+
+  test("a full board is not a draw while pops are possible", () => {
+    expect(getResult(state(FULL_BOARD), "popOut").isDraw).toBe(false);
+    expect(getResult(state(FULL_BOARD), "classic").isDraw).toBe(true);
+  });
+
+  test("a position seen for the third time is a repetition", () => {
+    // Both players pop their piece and drop it back, so every four moves repeat
+    const cycle = [
+      { type: "pop", col: 0 },
+      { type: "pop", col: 1 },
+      { type: "drop", col: 0 },
+      { type: "drop", col: 1 },
+    ];
+    const states = play(state(["RY....."]), [...cycle, ...cycle], "popOut");
+
+    expect(isRepetition(states.slice(0, 5))).toBe(false);     // Second time
+    expect(isRepetition(states)).toBe(true);                  // Third time
+    expect(isRepetition(states.slice(0, 8))).toBe(false);
+  });
+});
+
+// ===== POP TEN =====
+
+describe("Pop Ten", () => {
+  test("starts by filling the board one row at a time", () => {
+    const start = createInitialState("popTen");
+    expect(start.isSetup).toBe(true);
+
+    const [, afterDrop] = play(start, [{ type: "drop", col: 3 }], "popTen");
+    // Only the bottom row takes pieces until it is full
+    expect(getLegalMoves(afterDrop, "popTen").map((move) => move.col)).toEqual([0, 1, 2, 4, 5, 6]);
+  });
+
+  test("a popped piece from a line is set aside and its owner moves again", () => {
+    const before = state(["RRRRYYY"]);
+    expect(getLegalMoves(before, "popTen")).toContainEqual({ type: "pop", col: 0, dropCol: null });
+
+    const { state: after, position } = applyMove(before, { type: "pop", col: 0, dropCol: null }, "popTen");
+    expect(position).toEqual([5, 0]);
+    expect(after.setAside).toEqual({ red: 1, yellow: 0 });
+    expect(after.player).toBe("red");
+    expect(after.board[5][0]).toBeNull();
+  });
+
+  test("setting aside the tenth piece wins", () => {
+    const before = state(["RRRRYYY"], { setAside: { red: 9, yellow: 4 } });
+    expect(getResult(before, "popTen").winner).toBeNull();
+
+    const { state: after } = applyMove(before, { type: "pop", col: 1, dropCol: null }, "popTen");
+    expect(getResult(after, "popTen")).toEqual({ winner: "red", winningCells: [], isDraw: false });
+  });
+
+  test("any other popped piece is dropped back into any column with room", () => {
+    const before = state(["RYRYRYR"]);
+    const popsOfColumn0 = getLegalMoves(before, "popTen").filter((move) => move.col === 0);
+    expect(popsOfColumn0.map((move) => move.dropCol)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+
+    const { state: after, position } = applyMove(before, { type: "pop", col: 0, dropCol: 1 }, "popTen");
+    expect(position).toEqual([4, 1]);
+    expect(after.board[4][1]).toBe("red");
+    expect(after.board[5][0]).toBeNull();
+    expect(after.player).toBe("yellow");
+    expect(after.setAside).toEqual({ red: 0, yellow: 0 });
+  });
+
+  test("a popped piece may go back into its own column", () => {
+    const before = state(["Y......", "R......"]);
+    const { state: after, position } = applyMove(before, { type: "pop", col: 0, dropCol: 0 }, "popTen");
+    expect(position).toEqual([4, 0]);
+    expect(after.board[5][0]).toBe("yellow");
+    expect(after.board[4][0]).toBe("red");
+    expect(after.player).toBe("yellow");
+  });
+
+  test("a popped piece goes back into its own column when no other has room", () => {
+    const before = state(FULL_BOARD);
+    expect(getLegalMoves(before, "popTen").filter((move) => move.col === 0)).toEqual([
+      { type: "pop", col: 0, dropCol: 0 },
+    ]);
+  });
+
+  test("a player without a bottom piece passes", () => {
+    const before = state(["Y.YY..."]);
+    expect(getLegalMoves(before, "popTen")).toEqual([{ type: "pass" }]);
+
+    const { state: after, position } = applyMove(before, { type: "pass" }, "popTen");
+    expect(position).toEqual([null, null]);
+    expect(after.player).toBe("yellow");
+    expect(after.board).toBe(before.board);
+  });
+
+  test("rejects moves that are not legal", () => {
+    const before = state(["RYRYRYR"]);
+    expect(applyMove(before, { type: "pop", col: 1, dropCol: 0 }, "popTen")).toBeNull();     // Not red's piece
+    expect(applyMove(before, { type: "pop", col: 0, dropCol: null }, "popTen")).toBeNull();  // Not in a line
+    expect(applyMove(before, { type: "drop", col: 3 }, "popTen")).toBeNull();               // No drops after setup
+  });
+});
+
+// ===== 5-IN-A-ROW =====
+
+describe("5-in-a-Row", () => {
+  test("starts with alternating pieces in the outer columns", () => {
+    const { board } = createInitialState("fiveInARow");
+    expect(board.map((row) => row[0])).toEqual(["yellow", "red", "yellow", "red", "yellow", "red"]);
+    expect(board.map((row) => row[8])).toEqual(["red", "yellow", "red", "yellow", "red", "yellow"]);
+  });
+});
\ No newline at end of file
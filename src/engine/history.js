@@ -0,0 +1,37 @@
+/**
+ * GAME HISTORY REPLAY
+ * 
+ * Rebuilds a full move history from a plain list of moves, for any game
+ * module that implements the common engine interface (see ticTacToe.js).
+ * Used when restoring saved or shared games, which only store the moves.
+ */
+
+/**
+ * REPLAY MOVES
+ * 
+ * Plays the moves in order from the empty board, alternating players.
+ * Replay stops at the first illegal move (or once somebody has won), so a
+ * corrupted or hand-edited save still restores every valid move before it.
+ * 
+ * @param {Object} game - Engine module, e.g. the ticTacToe or connectFour namespace
+ * @param {Array} moves - Moves in play order (square indices or columns)
+ * @param {Object} [config] - { rows, cols, winLength } (the game's classic board by default)
+ * @returns {Array} History entries [{ board, position }, ...], starting with the
+ *                  empty board (position [null, null])
+ */
+export function replayMoves(game, moves, config = game.CLASSIC_CONFIG) {
+  const history = [{ board: game.createInitialBoard(config), position: [null, null] }];
+
+  for (const move of moves) {
+    const { board } = history[history.length - 1];
+    if (game.getWinner(board, config)[0]) break;     // No moves after the game is won
+    const player = game.PLAYERS[(history.length - 1) % game.PLAYERS.length];
+
+    const result = game.applyMove(board, move, player, config);
+    if (!result) break;     // Illegal move: keep what was valid so far
+
+    history.push(result);
+  }
+
+  return history;
+}
\ No newline at end of file
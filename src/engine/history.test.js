@@ -0,0 +1,50 @@
+/**
+ * GAME HISTORY REPLAY TESTS
+ * 
+ * replayMoves works with any engine module, so it is checked with both
+ * tic-tac-toe and Connect Four.
+ */
+
+import { connectFour, replayMoves, ticTacToe } from "./index";
+
+describe("replayMoves", () => {
+  test("starts from the empty board", () => {
+    expect(replayMoves(ticTacToe, [])).toEqual([
+      { board: ticTacToe.createInitialBoard(), position: [null, null] },
+    ]);
+  });
+
+  test("plays the moves in order, alternating players", () => {
+    const history = replayMoves(ticTacToe, [4, 0, 8]);
+    expect(history).toHaveLength(4);
+    expect(history[3].board).toEqual(["O", null, null, null, "X", null, null, null, "X"]);
+    expect(history.map(({ position }) => position)).toEqual([[null, null], [1, 1], [0, 0], [2, 2]]);
+  });
+
+  test("uses the given board configuration", () => {
+    const config = { rows: 4, cols: 4, winLength: 3 };
+    const history = replayMoves(ticTacToe, [5, 15], config);
+    expect(history[2].board).toHaveLength(16);
+    expect(history[2].position).toEqual([3, 3]);
+  });
+
+  test("stops at the first illegal move", () => {
+    // 4 is already taken, so 8 is never played
+    expect(replayMoves(ticTacToe, [4, 4, 8])).toHaveLength(2);
+
+    // Column 0 holds six pieces, so the seventh drop is rejected
+    const history = replayMoves(connectFour, [0, 0, 0, 0, 0, 0, 0, 1]);
+    expect(history).toHaveLength(7);
+    expect(history[6].board.map((row) => row[0])).toEqual(["yellow", "red", "yellow", "red", "yellow", "red"]);
+  });
+
+  test("ignores moves played after the game was won", () => {
+    // X wins the top row with its third move
+    expect(replayMoves(ticTacToe, [0, 3, 1, 4, 2, 5])).toHaveLength(6);
+
+    // Red wins column 0 with its fourth piece
+    const history = replayMoves(connectFour, [0, 1, 0, 1, 0, 1, 0, 1]);
+    expect(history).toHaveLength(8);
+    expect(connectFour.getWinner(history[7].board)[0]).toBe("red");
+  });
+});
\ No newline at end of file
@@ -0,0 +1,46 @@
+/**
+ * GAME ENGINE ENTRY POINT
+ * 
+ * Pure, React-free game rules for every game in the app, so rules can be
+ * unit-tested and tools (computer opponents, analysis) can be built on top
+ * without rendering anything.
+ * 
+ * Each game is exported as a namespace implementing the same interface:
+ * - createInitialBoard(): Empty starting board
+ * - getCurrentPlayer(board): Whose turn it is
+ * - otherPlayer(player): The opponent of a player
+ * - getLegalMoves(board): Moves that may be played (empty once the game is over)
+ * - applyMove(board, move, player): { board, position } or null if illegal
+ * - getWinner(board): [winner, winningLine]
+ * - isDraw(board): Full board with no winner
+ * 
+ * Connect Four's rule variants (PopOut, Pop Ten, 5-in-a-Row) have turns
+ * that do not simply alternate, so they work on game states instead of
+ * bare boards (see connectFourVariants.js). Tic-tac-toe's variants (Misère,
+ * Wild, Notakto, Order and Chaos) let players choose their mark, so their
+ * moves are { index, mark } objects (see ticTacToeVariants.js).
+ * 
+ * Ultimate tic-tac-toe's board is an object ({ squares, activeBoard }) since
+ * the last move decides where the next one may go (see ultimateTicTacToe.js).
+ * 
+ * Usage:
+ *   import { connectFour } from "../engine";
+ *   const { board } = connectFour.applyMove(connectFour.createInitialBoard(), 3, "red");
+ */
+
+export * as ticTacToe from "./ticTacToe";
+export * as connectFour from "./connectFour";
+export * as connectFourVariants from "./connectFourVariants";
+export * as ultimateTicTacToe from "./ultimateTicTacToe";
+export * as ticTacToeVariants from "./ticTacToeVariants";
+
+// Computer opponents built on the engines
+export { chooseComputerMove, suggestMoves as suggestTicTacToeMoves } from "./ticTacToeAI";
+export { findBestMove, givesAwayWin, DIFFICULTY_DEPTHS } from "./connectFourAI";
+
+// Post-game analysis (see each AI module for what the results contain)
+export { analyzePosition as analyzeTicTacToe, isBlunder as isTicTacToeBlunder } from "./ticTacToeAI";
+export { analyzePosition as analyzeConnectFour, isBlunder as isConnectFourBlunder } from "./connectFourAI";
+
+// Rebuilding histories from saved move lists
+export { replayMoves } from "./history";
\ No newline at end of file
@@ -0,0 +1,210 @@
+/**
+ * TIC-TAC-TOE RULES ENGINE
+ * 
+ * Pure, React-free implementation of the tic-tac-toe rules shared by the
+ * basic (ttt1app) and advanced (ttt2app) games.
+ * 
+ * Board representation:
+ * - A flat array of rows x cols squares, read left-to-right, top-to-bottom
+ * - Each square is 'X', 'O' or null (empty)
+ * 
+ *     0 | 1 | 2
+ *     3 | 4 | 5        (classic 3x3 board)
+ *     6 | 7 | 8
+ * 
+ * Board size and win length are configurable (m,n,k-games), so the same
+ * rules cover 4x4 tic-tac-toe, 15x15 Gomoku with five in a row, etc.
+ * Every function takes an optional config { rows, cols, winLength } as its
+ * last argument and defaults to the classic 3x3, three-in-a-row game.
+ * 
+ * Every game module in src/engine exposes the same interface:
+ * - createInitialBoard(config): Empty starting board
+ * - getCurrentPlayer(board): Whose turn it is
+ * - otherPlayer(player): The opponent of a player
+ * - getLegalMoves(board, config): Moves that may be played (empty once the game is over)
+ * - applyMove(board, move, player, config): { board, position } or null if illegal
+ * - getWinner(board, config): [winner, winningLine]
+ * - isDraw(board, config): Full board with no winner
+ */
+
+// ===== GAME CONSTANTS =====
+
+/**
+ * Players in turn order (X always moves first)
+ */
+export const PLAYERS = ["X", "O"];
+
+/**
+ * CLASSIC BOARD CONFIGURATION
+ * 
+ * rows / cols: Board height and width in squares
+ * winLength: How many marks in a row are needed to win
+ */
+export const CLASSIC_CONFIG = { rows: 3, cols: 3, winLength: 3 };
+
+/**
+ * LINE DIRECTIONS
+ * 
+ * [rowStep, colStep] for each way a line can run. Only "forward" directions
+ * are needed, since every line is found from its first square.
+ */
+const DIRECTIONS = [
+  [0, 1],     // Row: left to right
+  [1, 0],     // Column: top to bottom
+  [1, 1],     // Diagonal \: top-left to bottom-right
+  [1, -1],    // Diagonal /: top-right to bottom-left
+];
+
+// ===== COMMON ENGINE INTERFACE =====
+
+/**
+ * INITIAL BOARD
+ * 
+ * @param {Object} [config] - { rows, cols, winLength } (classic 3x3 by default)
+ * @returns {Array} A new board with rows x cols empty squares
+ */
+export function createInitialBoard(config = CLASSIC_CONFIG) {
+  return Array(config.rows * config.cols).fill(null);
+}
+
+/**
+ * CURRENT PLAYER
+ * 
+ * X moves first, so it is X's turn whenever both players have placed
+ * the same number of marks.
+ * 
+ * @param {Array} squares - Board state
+ * @returns {string} 'X' or 'O'
+ */
+export function getCurrentPlayer(squares) {
+  const filled = squares.filter((square) => square !== null).length;
+  return filled % 2 === 0 ? "X" : "O";
+}
+
+/**
+ * OPPONENT LOOKUP
+ * 
+ * @param {string} player - 'X' or 'O'
+ * @returns {string} The other player
+ */
+export function otherPlayer(player) {
+  return player === "X" ? "O" : "X";
+}
+
+/**
+ * LEGAL MOVES
+ * 
+ * @param {Array} squares - Board state
+ * @param {Object} [config] - { rows, cols, winLength }
+ * @returns {Array} Indices of empty squares, or [] if the game is already won
+ */
+export function getLegalMoves(squares, config = CLASSIC_CONFIG) {
+  if (calculateWinner(squares, config)[0]) return [];
+  return squares
+    .map((square, index) => (square === null ? index : null))
+    .filter((index) => index !== null);
+}
+
+/**
+ * APPLY MOVE
+ * 
+ * Places a mark without modifying the original board (immutable update).
+ * 
+ * @param {Array} squares - Board state
+ * @param {number} index - Square to play
+ * @param {string} player - 'X' or 'O'
+ * @param {Object} [config] - { rows, cols, winLength }
+ * @returns {Object|null} { board, position } where position is [row, col],
+ *                        or null if the square is taken or the game is over
+ */
+export function applyMove(squares, index, player, config = CLASSIC_CONFIG) {
+  if (squares[index] || calculateWinner(squares, config)[0]) return null;
+
+  const nextSquares = squares.slice();
+  nextSquares[index] = player;
+  return { board: nextSquares, position: squareCoords(index, config.cols) };
+}
+
+/**
+ * WIN DETECTION ALGORITHM
+ * 
+ * Determines if there's a winner on the current board.
+ * From every occupied square, walks winLength squares in each direction
+ * and checks that they all hold the same mark.
+ * 
+ * @param {Array} squares - Board state (rows x cols squares)
+ * @param {Object} [config] - { rows, cols, winLength }
+ * @returns {Array} - [winner, winningLine] where winner is 'X'|'O'|null and winningLine is array of
+ *                    indices, ordered from one end of the line to the other
+ */
+export function calculateWinner(squares, config = CLASSIC_CONFIG) {
+  const { rows, cols, winLength } = config;
+
+  for (let index = 0; index < squares.length; index++) {
+    const player = squares[index];
+    if (!player) continue;    // Lines can only start on an occupied square
+
+    const [row, col] = squareCoords(index, cols);
+
+    // CHECK EACH DIRECTION FROM THIS SQUARE
+    for (const [dr, dc] of DIRECTIONS) {
+      // Skip directions where the line would run off the board
+      const endRow = row + dr * (winLength - 1);
+      const endCol = col + dc * (winLength - 1);
+      if (endRow >= rows || endCol < 0 || endCol >= cols) continue;
+
+      const line = [];
+      for (let step = 0; step < winLength; step++) {
+        const lineIndex = (row + dr * step) * cols + (col + dc * step);
+        if (squares[lineIndex] !== player) break;
+        line.push(lineIndex);
+      }
+
+      // WINNER FOUND
+      if (line.length === winLength) {
+        return [player, line];          // Return winner and winning positions
+      }
+    }
+  }
+
+  // NO WINNER
+  return [null, null];
+}
+
+/**
+ * DRAW DETECTION
+ * 
+ * @param {Array} squares - Board state
+ * @param {Object} [config] - { rows, cols, winLength }
+ * @returns {boolean} True when every square is filled and nobody has won
+ */
+export function isDraw(squares, config = CLASSIC_CONFIG) {
+  return !squares.includes(null) && !calculateWinner(squares, config)[0];
+}
+
+/**
+ * Common-interface name for calculateWinner
+ */
+export const getWinner = calculateWinner;
+
+// ===== TIC-TAC-TOE HELPERS =====
+
+/**
+ * COORDINATE CONVERSION UTILITY
+ * 
+ * Converts a square index to row/column coordinates for display.
+ * 
+ * @param {number} i - Square index
+ * @param {number} [cols] - Board width in squares (3 for the classic board)
+ * @returns {Array} - [row, column] coordinates (0-indexed)
+ * 
+ * Examples (3x3 board):
+ * squareCoords(0) returns [0, 0] (top-left)
+ * squareCoords(4) returns [1, 1] (center)
+ * squareCoords(8) returns [2, 2] (bottom-right)
+ */
+export function squareCoords(i, cols = 3) {
+  const row = Math.trunc(i / cols);    // Integer division (3x3: 0-2→0, 3-5→1, 6-8→2)
+  const col = i % cols;                // Remainder (3x3: 0,3,6→0, 1,4,7→1, 2,5,8→2)
+  return [row, col];
+}
\ No newline at end of file
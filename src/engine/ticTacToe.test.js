@@ -0,0 +1,113 @@
+/**
+ * TIC-TAC-TOE RULES ENGINE TESTS
+ * 
+ * Boards are written as strings, one character per square read
+ * left-to-right, top-to-bottom ("." = empty), so each test shows the
+ * position it checks.
+ */
+
+import {
+  applyMove,
+  calculateWinner,
+  createInitialBoard,
+  getCurrentPlayer,
+  getLegalMoves,
+  isDraw,
+  otherPlayer,
+  squareCoords,
+} from "./ticTacToe";
+
+/**
+ * BOARD FROM STRING
+ * 
+ * @param {string} text - e.g. "XX.OO...." ("." = empty)
+ * @returns {Array} Board state
+ */
+function board(text) {
+  return [...text].map((square) => (square === "." ? null : square));
+}
+
+// ===== WIN DETECTION =====
+
+describe("calculateWinner", () => {
+  test("finds no winner on an empty board", () => {
+    expect(calculateWinner(createInitialBoard())).toEqual([null, null]);
+  });
+
+  test("finds a row", () => {
+    expect(calculateWinner(board("OO.XXX..."))).toEqual(["X", [3, 4, 5]]);
+  });
+
+  test("finds a column", () => {
+    expect(calculateWinner(board("XO.XO..O."))).toEqual(["O", [1, 4, 7]]);
+  });
+
+  test("finds both diagonals", () => {
+    expect(calculateWinner(board("XO.OX...X"))).toEqual(["X", [0, 4, 8]]);
+    expect(calculateWinner(board("XXO.O.OX."))).toEqual(["O", [2, 4, 6]]);
+  });
+
+  test("does not join lines across the edge of the board", () => {
+    // 2, 3, 4 are consecutive indices but not a row
+    expect(calculateWinner(board("..XXX...."))[0]).toBeNull();
+  });
+
+  test("uses the configured board size and win length", () => {
+    const config = { rows: 4, cols: 4, winLength: 4 };
+    expect(calculateWinner(board("XXX.OOO........."), config)[0]).toBeNull();
+    expect(calculateWinner(board("XXXXOOO........."), config)).toEqual(["X", [0, 1, 2, 3]]);
+    expect(calculateWinner(board("...X..X..X..X..."), config)).toEqual(["X", [3, 6, 9, 12]]);
+  });
+});
+
+// ===== DRAWS =====
+
+describe("isDraw", () => {
+  test("is a draw when the board is full and nobody has won", () => {
+    expect(isDraw(board("XOXXOOOXX"))).toBe(true);
+  });
+
+  test("is not a draw while squares are empty", () => {
+    expect(isDraw(board("XOXXOOOX."))).toBe(false);
+  });
+
+  test("is not a draw when the last move fills the board and wins", () => {
+    expect(isDraw(board("XOXOXOOXX"))).toBe(false);
+  });
+});
+
+// ===== MOVES =====
+
+describe("moves", () => {
+  test("X moves first and the players alternate", () => {
+    expect(getCurrentPlayer(createInitialBoard())).toBe("X");
+    expect(getCurrentPlayer(board("X........"))).toBe("O");
+    expect(getCurrentPlayer(board("X...O...."))).toBe("X");
+    expect(otherPlayer("X")).toBe("O");
+    expect(otherPlayer("O")).toBe("X");
+  });
+
+  test("lists the empty squares as legal moves", () => {
+    expect(getLegalMoves(board("XO.X.O..X"))).toEqual([2, 4, 6, 7]);
+  });
+
+  test("has no legal moves once the game is won", () => {
+    expect(getLegalMoves(board("XXXOO...."))).toEqual([]);
+  });
+
+  test("places a mark without changing the original board", () => {
+    const squares = createInitialBoard();
+    expect(applyMove(squares, 5, "X")).toEqual({ board: board(".....X..."), position: [1, 2] });
+    expect(squares).toEqual(createInitialBoard());
+  });
+
+  test("rejects a taken square and moves after a win", () => {
+    expect(applyMove(board("X........"), 0, "O")).toBeNull();
+    expect(applyMove(board("XXXOO...."), 8, "O")).toBeNull();
+  });
+
+  test("converts indices to [row, col] for the board width", () => {
+    expect(squareCoords(4)).toEqual([1, 1]);
+    expect(squareCoords(7, 4)).toEqual([1, 3]);
+  });
+});
\ No newline at end of file
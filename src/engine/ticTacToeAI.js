@@ -0,0 +1,286 @@
+/**
+ * TIC-TAC-TOE COMPUTER OPPONENT
+ * 
+ * Chooses a square for the computer player at one of three skill levels,
+ * using the rules from ticTacToe.js. The perfect-play level is a full
+ * minimax search, which is cheap enough on a 3x3 board to run on the
+ * main thread.
+ * 
+ * Larger boards (4x4, Gomoku, ...) are far too big to search completely,
+ * so there the computer plays tactically instead: win if it can, block an
+ * immediate loss, otherwise play next to the marks already on the board.
+ * 
+ * The same search powers post-game analysis (analyzePosition), which is
+ * therefore only available on the classic board.
+ */
+
+import { CLASSIC_CONFIG, calculateWinner, getLegalMoves, otherPlayer, squareCoords } from "./ticTacToe";
+
+/**
+ * MINIMAX RESULT CACHE
+ * 
+ * Maps a board layout (e.g. "XO-X-----") to its minimax score.
+ * The player to move is implied by the layout, so it is not part of the key.
+ */
+const minimaxCache = new Map();
+
+/**
+ * MINIMAX SEARCH
+ * 
+ * Scores a position by exploring every possible continuation, assuming both
+ * players play perfectly. Tic-tac-toe has at most 9! move sequences, so a
+ * full search is instant and needs no depth limit.
+ * 
+ * Scoring (from the point of view of `player`, who is about to move):
+ * - Positive: `player` can force a win (faster wins score higher)
+ * - Zero: Best play leads to a draw
+ * - Negative: The opponent can force a win (slower losses score higher)
+ * 
+ * Results are cached by board layout: there are only a few thousand
+ * reachable positions, so after the first search every lookup is instant.
+ * 
+ * @param {Array} squares - Board state (9 elements)
+ * @param {string} player - Player to move ('X' or 'O')
+ * @returns {number} Score of the position for `player`
+ */
+function minimax(squares, player) {
+  const key = squares.map((square) => square || "-").join("");
+  if (minimaxCache.has(key)) return minimaxCache.get(key);
+
+  const opponent = otherPlayer(player);
+  const emptyCount = squares.filter((square) => square === null).length;
+  let best = -Infinity;
+
+  for (let i = 0; i < squares.length; i++) {
+    if (squares[i]) continue;
+
+    const nextSquares = squares.slice();
+    nextSquares[i] = player;
+
+    // Winning now scores by how many squares were still free (quicker = better)
+    const score = calculateWinner(nextSquares)[0]
+      ? emptyCount
+      : -minimax(nextSquares, opponent);
+
+    best = Math.max(best, score);
+  }
+
+  // No empty squares left and no winner: draw
+  const result = best === -Infinity ? 0 : best;
+  minimaxCache.set(key, result);
+  return result;
+}
+
+/**
+ * COMPUTER MOVE SELECTION
+ * 
+ * Picks a square for the computer according to its skill level.
+ * Ties between equally good squares are broken at random so games vary.
+ * 
+ * @param {Array} squares - Current board state
+ * @param {string} player - Symbol the computer plays ('X' or 'O')
+ * @param {string} level - "random", "mistakes" or "unbeatable"
+ * @param {Object} [config] - { rows, cols, winLength } (classic 3x3 by default)
+ * @returns {number|null} Square index to play, or null if the board is full
+ */
+export function chooseComputerMove(squares, player, level, config = CLASSIC_CONFIG) {
+  const emptySquares = getLegalMoves(squares, config);
+
+  if (emptySquares.length === 0) return null;
+
+  // RANDOM PLAY
+  // "random" always guesses; "mistakes" guesses about a third of the time
+  const guess = level === "random" || (level === "mistakes" && Math.random() < 0.35);
+  if (guess) {
+    return emptySquares[Math.floor(Math.random() * emptySquares.length)];
+  }
+
+  // LARGE BOARDS: TACTICAL PLAY
+  const isClassic = config.rows === 3 && config.cols === 3 && config.winLength === 3;
+  if (!isClassic) {
+    return chooseTacticalMove(squares, player, emptySquares, config);
+  }
+
+  // PERFECT PLAY
+  // Score every empty square and keep the best ones
+  const { bestMoves } = scoreMoves(squares, player, emptySquares);
+  return bestMoves[Math.floor(Math.random() * bestMoves.length)];
+}
+
+/**
+ * MOVE SCORES (CLASSIC BOARD)
+ * 
+ * Minimax score of every empty square for `player`, who is about to move.
+ * 
+ * @param {Array} squares - Current board state
+ * @param {string} player - Player to move ('X' or 'O')
+ * @param {Array} emptySquares - Legal moves (non-empty)
+ * @returns {Object} { scores, bestScore, bestMoves } - scores maps square index -> score
+ */
+function scoreMoves(squares, player, emptySquares) {
+  const opponent = otherPlayer(player);
+  const scores = {};
+  let bestScore = -Infinity;
+  let bestMoves = [];
+
+  for (const index of emptySquares) {
+    const nextSquares = squares.slice();
+    nextSquares[index] = player;
+
+    const score = calculateWinner(nextSquares)[0]
+      ? emptySquares.length
+      : -minimax(nextSquares, opponent);
+    scores[index] = score;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestMoves = [index];
+    } else if (score === bestScore) {
+      bestMoves.push(index);
+    }
+  }
+
+  return { scores, bestScore, bestMoves };
+}
+
+// ===== POST-GAME ANALYSIS =====
+
+/**
+ * OUTCOME RANKING
+ * 
+ * Results for the player to move, worst first. A move is a blunder when it
+ * leads to a worse result than the best move would have.
+ */
+const OUTCOME_RANK = { loss: 0, draw: 1, win: 2 };
+
+/**
+ * SCORE TO OUTCOME
+ * 
+ * Minimax scores encode the number of empty squares left when the game
+ * was won, so the distance to the end can be recovered from them.
+ * 
+ * @param {number} score - Minimax score for the player to move
+ * @param {number} emptyCount - Empty squares in the position being scored
+ * @returns {Object} { outcome, distance } - "win" / "draw" / "loss", and moves
+ *                   until the game is decided with best play (null for a draw)
+ */
+function describeScore(score, emptyCount) {
+  if (score === 0) return { outcome: "draw", distance: null };
+  return {
+    outcome: score > 0 ? "win" : "loss",
+    distance: emptyCount - Math.abs(score) + 1,
+  };
+}
+
+/**
+ * POSITION ANALYSIS
+ * 
+ * Perfect-play evaluation of a classic 3x3 position, for reviewing a
+ * finished game move by move.
+ * 
+ * @param {Array} squares - Board state
+ * @param {string} player - Player to move ('X' or 'O')
+ * @param {Object} [config] - { rows, cols, winLength } (classic 3x3 by default)
+ * @returns {Object|null} null on other board sizes or once the game is over, otherwise:
+ *   - outcome: "win", "draw" or "loss" for `player` with best play from both sides
+ *   - distance: Moves until the game is won or lost (null for a draw)
+ *   - bestMoves: Square indices that keep the best outcome (fastest win / slowest loss)
+ *   - moveOutcomes: Square index -> outcome for `player` after playing there
+ */
+export function analyzePosition(squares, player, config = CLASSIC_CONFIG) {
+  const isClassic = config.rows === 3 && config.cols === 3 && config.winLength === 3;
+  const emptySquares = getLegalMoves(squares, config);
+  if (!isClassic || emptySquares.length === 0) return null;
+
+  const { scores, bestScore, bestMoves } = scoreMoves(squares, player, emptySquares);
+
+  const moveOutcomes = {};
+  for (const index of emptySquares) {
+    moveOutcomes[index] = describeScore(scores[index], emptySquares.length).outcome;
+  }
+
+  return { ...describeScore(bestScore, emptySquares.length), bestMoves, moveOutcomes };
+}
+
+/**
+ * HINT
+ * 
+ * The strongest moves for the player to move: every move that keeps the
+ * best perfect-play result on the classic board, or the tactical choice
+ * (win, block, build next to the marks already placed) on larger boards.
+ * 
+ * @param {Array} squares - Board state
+ * @param {string} player - Player to move ('X' or 'O')
+ * @param {Object} [config] - { rows, cols, winLength } (classic 3x3 by default)
+ * @returns {Array} Square indices to suggest (empty once the game is over)
+ */
+export function suggestMoves(squares, player, config = CLASSIC_CONFIG) {
+  const analysis = analyzePosition(squares, player, config);
+  if (analysis) return analysis.bestMoves;
+
+  const move = chooseComputerMove(squares, player, "unbeatable", config);
+  return move === null ? [] : [move];
+}
+
+/**
+ * BLUNDER CHECK
+ * 
+ * @param {Object} analysis - analyzePosition result for the position before the move
+ * @param {number} index - Square that was played
+ * @returns {boolean} True if the move gave away a better result (a win or a draw)
+ */
+export function isBlunder(analysis, index) {
+  return OUTCOME_RANK[analysis.moveOutcomes[index]] < OUTCOME_RANK[analysis.outcome];
+}
+
+/**
+ * TACTICAL MOVE SELECTION (LARGE BOARDS)
+ * 
+ * Priority order:
+ * 1. Complete a winning line
+ * 2. Block the opponent's winning square
+ * 3. Play next to an existing mark (or the center on an empty board)
+ * 
+ * @param {Array} squares - Current board state
+ * @param {string} player - Symbol the computer plays
+ * @param {Array} emptySquares - Legal moves (non-empty)
+ * @param {Object} config - { rows, cols, winLength }
+ * @returns {number} Square index to play
+ */
+function chooseTacticalMove(squares, player, emptySquares, config) {
+  const pick = (options) => options[Math.floor(Math.random() * options.length)];
+
+  // Squares where `who` would complete a line
+  const winningSquares = (who) => emptySquares.filter((index) => {
+    const nextSquares = squares.slice();
+    nextSquares[index] = who;
+    return calculateWinner(nextSquares, config)[0] === who;
+  });
+
+  const wins = winningSquares(player);
+  if (wins.length > 0) return pick(wins);
+
+  const blocks = winningSquares(otherPlayer(player));
+  if (blocks.length > 0) return pick(blocks);
+
+  // EMPTY BOARD: start in the middle
+  if (emptySquares.length === squares.length) {
+    return Math.floor(config.rows / 2) * config.cols + Math.floor(config.cols / 2);
+  }
+
+  // NEIGHBOR PREFERENCE: squares touching any mark (including diagonally)
+  const neighbors = emptySquares.filter((index) => {
+    const [row, col] = squareCoords(index, config.cols);
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const r = row + dr;
+        const c = col + dc;
+        if (r < 0 || r >= config.rows || c < 0 || c >= config.cols) continue;
+        if (squares[r * config.cols + c]) return true;
+      }
+    }
+    return false;
+  });
+
+  return pick(neighbors.length > 0 ? neighbors : emptySquares);
+}
\ No newline at end of file
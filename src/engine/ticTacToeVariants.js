@@ -0,0 +1,237 @@
+/**
+ * TIC-TAC-TOE RULE VARIANTS
+ * 
+ * Pure, React-free rules for the tic-tac-toe variants offered next to the
+ * classic game, built on calculateWinner from ticTacToe.js:
+ * - Misère: completing a line loses instead of winning
+ * - Wild: on each turn, place either an X or an O; whoever completes a
+ *   line (of either mark) wins
+ * - Notakto: both players place X on three boards. A board with three in
+ *   a row is dead and takes no more marks; whoever kills the last board loses.
+ * - Order and Chaos: on a 6x6 board, both players place X or O. Order
+ *   (moving first) wins with exactly five of the same mark in a row (six
+ *   in a row is an overline and does not count); Chaos wins by filling
+ *   the board without one.
+ * 
+ * Boards are square arrays as in ticTacToe.js; Notakto's boards are stored
+ * one after another in a single array (squares 0-8 are the first board).
+ * Players are still "X" (moving first) and "O", even in variants where the
+ * marks do not belong to a player, so turns alternate as usual.
+ * 
+ * Moves are objects: { index, mark } - the square and the mark placed on it.
+ */
+
+import { CLASSIC_CONFIG, calculateWinner, otherPlayer } from "./ticTacToe";
+
+// ===== VARIANT DEFINITIONS =====
+
+/**
+ * VARIANTS
+ * 
+ * label: Name shown in the rules dropdown
+ * config: The board the variant is played on (none: any board size)
+ * boards: Number of boards played side by side (Notakto)
+ * choosesMark: True when players pick X or O for every move
+ * playerNames: Names for the first and second player, when the marks
+ *              do not name them
+ */
+export const VARIANTS = {
+  misere: { label: "Misère" },
+  wild: { label: "Wild", choosesMark: true, playerNames: ["Player 1", "Player 2"] },
+  notakto: { label: "Notakto", config: CLASSIC_CONFIG, boards: 3, playerNames: ["Player 1", "Player 2"] },
+  orderAndChaos: {
+    label: "Order and Chaos",
+    config: { rows: 6, cols: 6, winLength: 5 },
+    choosesMark: true,
+    playerNames: ["Order", "Chaos"],
+  },
+};
+
+// ===== HELPERS =====
+
+/**
+ * LAST MOVER
+ * 
+ * @param {Array} squares - Board state
+ * @returns {string|null} Player who made the last move ('X'|'O'), or null on an empty board
+ */
+function lastMover(squares) {
+  const filled = squares.filter((square) => square !== null).length;
+  if (filled === 0) return null;
+  return filled % 2 === 1 ? "X" : "O";
+}
+
+/**
+ * NOTAKTO BOARD LINES
+ * 
+ * @param {Array} squares - All boards, one after another
+ * @param {string} variant - Key of VARIANTS
+ * @param {Object} config - Size of each board { rows, cols, winLength }
+ * @returns {Array} One entry per board: its line (indices within that board)
+ *                  if the board is dead, otherwise null
+ */
+function boardLines(squares, variant, config) {
+  const size = config.rows * config.cols;
+  return Array.from({ length: VARIANTS[variant].boards }, (_, board) =>
+    calculateWinner(squares.slice(board * size, (board + 1) * size), config)[1]
+  );
+}
+
+/**
+ * EXACT LINE SEARCH (Order and Chaos)
+ * 
+ * Like calculateWinner, but a run of marks only counts when it is exactly
+ * winLength long: the squares just before and after it (if on the board)
+ * must not hold the same mark, so an overline wins nothing.
+ * 
+ * @param {Array} squares - Board state
+ * @param {Object} config - { rows, cols, winLength }
+ * @returns {Array} [mark, line] - the mark of the first exact line and its
+ *                  indices, or [null, null]
+ */
+function findExactLine(squares, config) {
+  const { rows, cols, winLength } = config;
+  const markAt = (row, col) => (row >= 0 && row < rows && col >= 0 && col < cols ? squares[row * cols + col] : null);
+
+  for (let index = 0; index < squares.length; index++) {
+    const mark = squares[index];
+    if (!mark) continue;
+    const row = Math.trunc(index / cols);
+    const col = index % cols;
+
+    for (const [dr, dc] of [[0, 1], [1, 0], [1, 1], [1, -1]]) {
+      if (markAt(row - dr, col - dc) === mark) continue;    // Not the start of the run
+
+      let length = 1;
+      while (markAt(row + dr * length, col + dc * length) === mark) length++;
+      if (length === winLength) {
+        return [mark, Array.from({ length }, (_, step) => (row + dr * step) * cols + col + dc * step)];
+      }
+    }
+  }
+  return [null, null];
+}
+
+// ===== GAME STATE =====
+
+/**
+ * INITIAL BOARD
+ * 
+ * @param {string} variant - Key of VARIANTS
+ * @param {Object} config - { rows, cols, winLength } (each board's size for Notakto)
+ * @returns {Array} Empty board(s)
+ */
+export function createInitialBoard(variant, config) {
+  return Array(config.rows * config.cols * (VARIANTS[variant].boards ?? 1)).fill(null);
+}
+
+/**
+ * CURRENT PLAYER
+ * 
+ * @param {Array} squares - Board state
+ * @returns {string} 'X' (first player) or 'O' (second player)
+ */
+export function getCurrentPlayer(squares) {
+  return lastMover(squares) === "X" ? "O" : "X";
+}
+
+export { otherPlayer };
+
+/**
+ * PLACEABLE MARKS
+ * 
+ * @param {string} variant - Key of VARIANTS
+ * @param {string} player - 'X' or 'O'
+ * @returns {Array} Marks the player may place: their own (Misère), only X
+ *                  (Notakto) or either one
+ */
+export function getMarks(variant, player) {
+  if (variant === "notakto") return ["X"];
+  return VARIANTS[variant].choosesMark ? ["X", "O"] : [player];
+}
+
+/**
+ * RESULT
+ * 
+ * - Misère: the owner of a line loses; a full board is a draw
+ * - Wild: the player who completed a line wins; a full board is a draw
+ * - Notakto: once every board is dead, the player who killed the last
+ *   one has lost (there are no draws: a full 3x3 board of X always has a line)
+ * - Order and Chaos: a line of exactly winLength wins for Order ('X'), a
+ *   full board without one for Chaos ('O')
+ * 
+ * @param {Array} squares - Board state
+ * @param {string} variant - Key of VARIANTS
+ * @param {Object} config - { rows, cols, winLength } (each board's size for Notakto)
+ * @returns {Object} { winner, winningLine, isDraw, deadBoards } - winner is 'X', 'O'
+ *                   or null; winningLine the line that decided the game (or null);
+ *                   deadBoards the lines of Notakto's boards (see boardLines)
+ */
+export function getResult(squares, variant, config) {
+  if (variant === "notakto") {
+    const deadBoards = boardLines(squares, variant, config);
+    const winner = deadBoards.every((line) => line !== null) ? getCurrentPlayer(squares) : null;
+    return { winner, winningLine: null, isDraw: false, deadBoards };
+  }
+
+  const isFull = !squares.includes(null);
+
+  if (variant === "orderAndChaos") {
+    const [owner, winningLine] = findExactLine(squares, config);
+    const winner = owner ? "X" : isFull ? "O" : null;
+    return { winner, winningLine, isDraw: false, deadBoards: null };
+  }
+
+  const [owner, winningLine] = calculateWinner(squares, config);
+
+  let winner = null;
+  if (owner) winner = variant === "misere" ? otherPlayer(owner) : lastMover(squares);
+  return { winner, winningLine, isDraw: !owner && isFull, deadBoards: null };
+}
+
+/**
+ * LEGAL MOVES
+ * 
+ * @param {Array} squares - Board state
+ * @param {string} variant - Key of VARIANTS
+ * @param {Object} config - { rows, cols, winLength } (each board's size for Notakto)
+ * @returns {Array} { index, mark } moves for the player to move ([] once the game is over)
+ */
+export function getLegalMoves(squares, variant, config) {
+  const { winner, isDraw, deadBoards } = getResult(squares, variant, config);
+  if (winner || isDraw) return [];
+
+  const size = config.rows * config.cols;
+  const marks = getMarks(variant, getCurrentPlayer(squares));
+  const moves = [];
+  squares.forEach((square, index) => {
+    if (square !== null) return;
+    if (deadBoards && deadBoards[Math.trunc(index / size)]) return;    // Notakto: dead boards are closed
+    for (const mark of marks) moves.push({ index, mark });
+  });
+  return moves;
+}
+
+/**
+ * APPLY MOVE
+ * 
+ * Places a mark without modifying the original board (immutable update).
+ * 
+ * @param {Array} squares - Board state
+ * @param {Object} move - { index, mark }
+ * @param {string} variant - Key of VARIANTS
+ * @param {Object} config - { rows, cols, winLength } (each board's size for Notakto)
+ * @returns {Object|null} { board, position } where position is [row, col] within
+ *                        the square's board, or null if the move is not legal
+ */
+export function applyMove(squares, move, variant, config) {
+  const isLegal = getLegalMoves(squares, variant, config)
+    .some(({ index, mark }) => index === move.index && mark === move.mark);
+  if (!isLegal) return null;
+
+  const board = squares.slice();
+  board[move.index] = move.mark;
+
+  const cell = move.index % (config.rows * config.cols);
+  return { board, position: [Math.trunc(cell / config.cols), cell % config.cols] };
+}
\ No newline at end of file
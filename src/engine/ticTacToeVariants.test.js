@@ -0,0 +1,131 @@
+/**
+ * TIC-TAC-TOE RULE VARIANTS TESTS
+ * 
+ * Boards are written as strings, one character per square read
+ * left-to-right, top-to-bottom ("." = empty), like ticTacToe.test.js.
+ * Notakto's three boards are written one after another.
+ */
+
+import { CLASSIC_CONFIG } from "./ticTacToe";
+import { VARIANTS, applyMove, getLegalMoves, getMarks, getResult } from "./ticTacToeVariants";
+
+/**
+ * BOARD FROM STRINGS
+ * 
+ * @param {...string} parts - Squares, split into as many strings as is readable
+ * @returns {Array} Board state
+ */
+function board(...parts) {
+  return [...parts.join("")].map((square) => (square === "." ? null : square));
+}
+
+// ===== MISÈRE =====
+
+describe("Misère", () => {
+  test("the player who completes a line loses", () => {
+    const result = getResult(board("XXXOO...."), "misere", CLASSIC_CONFIG);
+    expect(result.winner).toBe("O");
+    expect(result.winningLine).toEqual([0, 1, 2]);
+  });
+
+  test("a full board without a line is a draw", () => {
+    expect(getResult(board("XOXXOOOXX"), "misere", CLASSIC_CONFIG)).toMatchObject({ winner: null, isDraw: true });
+  });
+
+  test("players only place their own mark", () => {
+    expect(getMarks("misere", "X")).toEqual(["X"]);
+    expect(getMarks("misere", "O")).toEqual(["O"]);
+    expect(applyMove(board("X........"), { index: 1, mark: "X" }, "misere", CLASSIC_CONFIG)).toBeNull();
+  });
+});
+
+// ===== WILD =====
+
+describe("Wild", () => {
+  test("either player may place either mark", () => {
+    expect(getMarks("wild", "O")).toEqual(["X", "O"]);
+    expect(getLegalMoves(board("XO.OX.XO."), "wild", CLASSIC_CONFIG)).toEqual([
+      { index: 2, mark: "X" },
+      { index: 2, mark: "O" },
+      { index: 5, mark: "X" },
+      { index: 5, mark: "O" },
+      { index: 8, mark: "X" },
+      { index: 8, mark: "O" },
+    ]);
+  });
+
+  test("the player who completes a line wins, whatever its mark", () => {
+    // Four marks placed: the second player completed the row of X
+    expect(getResult(board("XXXO....."), "wild", CLASSIC_CONFIG).winner).toBe("O");
+    // Five marks placed: the first player completed it
+    expect(getResult(board("XXXOO...."), "wild", CLASSIC_CONFIG).winner).toBe("X");
+  });
+});
+
+// ===== NOTAKTO =====
+
+describe("Notakto", () => {
+  const { config } = VARIANTS.notakto;
+
+  test("both players place X", () => {
+    expect(getMarks("notakto", "O")).toEqual(["X"]);
+  });
+
+  test("a board with three in a row is dead and takes no more marks", () => {
+    const squares = board("XXX......", "X........", ".........");
+    const { winner, deadBoards } = getResult(squares, "notakto", config);
+    expect(winner).toBeNull();
+    expect(deadBoards).toEqual([[0, 1, 2], null, null]);
+
+    const moves = getLegalMoves(squares, "notakto", config);
+    expect(moves.every(({ index }) => index >= 9)).toBe(true);
+    expect(moves).toHaveLength(17);
+    expect(applyMove(squares, { index: 5, mark: "X" }, "notakto", config)).toBeNull();
+  });
+
+  test("moves are placed within their own board", () => {
+    const { position } = applyMove(board(".........", ".........", "........."), { index: 13, mark: "X" }, "notakto", config);
+    expect(position).toEqual([1, 1]);
+  });
+
+  test("the player who kills the last board loses", () => {
+    // Nine marks: the first player killed the last board, so the second wins
+    const result = getResult(board("XXX......", "X..X..X..", "X...X...X"), "notakto", config);
+    expect(result.winner).toBe("O");
+    expect(result.isDraw).toBe(false);
+    expect(result.deadBoards.every((line) => line !== null)).toBe(true);
+  });
+});
+
+// ===== ORDER AND CHAOS =====
+
+describe("Order and Chaos", () => {
+  const { config } = VARIANTS.orderAndChaos;
+
+  // A full 6x6 board with no five in a row
+  const FULL = ["XXOOXX", "OOXXOO", "XXOOXX", "OOXXOO", "XXOOXX", "OOXXOO"];
+  const EMPTY_ROWS = Array(5).fill("......");
+
+  test("five in a row of either mark wins for Order", () => {
+    const xLine = getResult(board("XXXXXO", ...EMPTY_ROWS), "orderAndChaos", config);
+    expect(xLine).toMatchObject({ winner: "X", winningLine: [0, 1, 2, 3, 4] });
+
+    const oLine = getResult(board("......", "O.....", ".O....", "..O...", "...O..", "....O."), "orderAndChaos", config);
+    expect(oLine).toMatchObject({ winner: "X", winningLine: [6, 13, 20, 27, 34] });
+  });
+
+  test("a full board without five in a row wins for Chaos", () => {
+    expect(getResult(board(...FULL), "orderAndChaos", config)).toMatchObject({ winner: "O", isDraw: false });
+  });
+
+  test("six in a row is an overline and does not count", () => {
+    expect(getResult(board("XXXXXX", ...EMPTY_ROWS), "orderAndChaos", config).winner).toBeNull();
+    expect(getResult(board("XXXXXX", ...FULL.slice(1)), "orderAndChaos", config).winner).toBe("O");
+  });
+
+  test("the game goes on while nobody has won", () => {
+    const squares = board("XXXX..", ...EMPTY_ROWS);
+    expect(getResult(squares, "orderAndChaos", config).winner).toBeNull();
+    expect(getLegalMoves(squares, "orderAndChaos", config)).toHaveLength(64);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,211 @@
+/**
+ * ULTIMATE TIC-TAC-TOE RULES ENGINE
+ * 
+ * Nine classic 3x3 boards ("small boards") arranged in a 3x3 "big board":
+ * - Winning three in a row on a small board wins that board
+ * - Winning three small boards in a row wins the game
+ * - The square you play sends your opponent to the small board in the
+ *   same position (play the top-right square, and they must play in the
+ *   top-right board). If that board is already won or full, they may play
+ *   on any board that is still open.
+ * 
+ * Board representation:
+ * - { squares, activeBoard }
+ * - squares: 81 squares, grouped by small board: squares 0-8 are the top-left
+ *   board, 9-17 the top board and so on, each in the classic order (see
+ *   ticTacToe.js), so a small board is simply squares.slice(b * 9, b * 9 + 9)
+ * - activeBoard: Small board the next move must be played on, or null for any
+ * 
+ * Implements the common engine interface (see ticTacToe.js) with a move
+ * being a square index (0-80). The board size is fixed, so the optional
+ * config arguments of the interface are ignored.
+ */
+
+import { calculateWinner, otherPlayer } from "./ticTacToe";
+
+// ===== GAME CONSTANTS =====
+
+/**
+ * Players in turn order (X always moves first)
+ */
+export const PLAYERS = ["X", "O"];
+
+/**
+ * BOARD CONFIGURATION
+ * 
+ * The squares form a 9x9 grid, with three small boards in a row needed to
+ * win (used by shared helpers such as replayMoves).
+ */
+export const CLASSIC_CONFIG = { rows: 9, cols: 9, winLength: 3 };
+
+// Squares per small board, and small boards per big board
+const SIZE = 9;
+
+export { otherPlayer };
+
+// ===== ULTIMATE HELPERS =====
+
+/**
+ * SMALL BOARD SQUARES
+ * 
+ * @param {Object} board - Ultimate board
+ * @param {number} boardIndex - Small board (0-8, classic order)
+ * @returns {Array} The small board's nine squares
+ */
+function subBoardSquares(board, boardIndex) {
+  return board.squares.slice(boardIndex * SIZE, (boardIndex + 1) * SIZE);
+}
+
+/**
+ * SMALL BOARD RESULTS
+ * 
+ * @param {Object} board - Ultimate board
+ * @returns {Array} One { winner, line, isDecided } per small board: the winner
+ *                  ('X'|'O'|null), its winning line (indices 0-8 within the small
+ *                  board, or null) and whether the board takes no more moves
+ *                  (won or full)
+ */
+export function getSubBoardResults(board) {
+  return Array.from({ length: SIZE }, (_, boardIndex) => {
+    const squares = subBoardSquares(board, boardIndex);
+    const [winner, line] = calculateWinner(squares);
+    return { winner, line, isDecided: winner !== null || !squares.includes(null) };
+  });
+}
+
+/**
+ * OPEN BOARDS
+ * 
+ * The small boards the next move may be played on: the one the last move
+ * sent the player to, or every open board when that one is won or full.
+ * 
+ * @param {Object} board - Ultimate board
+ * @returns {Array} Small board indices ([] once the game is over)
+ */
+export function getActiveBoards(board) {
+  if (getWinner(board)[0]) return [];
+
+  const results = getSubBoardResults(board);
+  const { activeBoard } = board;
+  if (activeBoard !== null && !results[activeBoard].isDecided) return [activeBoard];
+
+  return results
+    .map(({ isDecided }, boardIndex) => (isDecided ? null : boardIndex))
+    .filter((boardIndex) => boardIndex !== null);
+}
+
+/**
+ * SQUARE POSITION
+ * 
+ * Where a square sits on the 9x9 grid of squares.
+ * 
+ * @param {number} index - Square index (0-80)
+ * @returns {Array} [row, col] on the 9x9 grid (0-indexed)
+ * 
+ * Example: square 10 (the top board's second square) is at [0, 4]
+ */
+export function squarePosition(index) {
+  const boardIndex = Math.trunc(index / SIZE);
+  const cell = index % SIZE;
+  return [
+    Math.trunc(boardIndex / 3) * 3 + Math.trunc(cell / 3),
+    (boardIndex % 3) * 3 + (cell % 3),
+  ];
+}
+
+/**
+ * SQUARE AT A POSITION
+ * 
+ * @param {number} row - Row on the 9x9 grid (0-8)
+ * @param {number} col - Column on the 9x9 grid (0-8)
+ * @returns {number} Square index (0-80), the reverse of squarePosition
+ */
+export function squareAt(row, col) {
+  const boardIndex = Math.trunc(row / 3) * 3 + Math.trunc(col / 3);
+  return boardIndex * SIZE + (row % 3) * 3 + (col % 3);
+}
+
+// ===== COMMON ENGINE INTERFACE =====
+
+/**
+ * INITIAL BOARD
+ * 
+ * @returns {Object} Empty ultimate board; the first move may go anywhere
+ */
+export function createInitialBoard() {
+  return { squares: Array(SIZE * SIZE).fill(null), activeBoard: null };
+}
+
+/**
+ * CURRENT PLAYER
+ * 
+ * @param {Object} board - Ultimate board
+ * @returns {string} 'X' or 'O'
+ */
+export function getCurrentPlayer(board) {
+  const filled = board.squares.filter((square) => square !== null).length;
+  return filled % 2 === 0 ? "X" : "O";
+}
+
+/**
+ * LEGAL MOVES
+ * 
+ * @param {Object} board - Ultimate board
+ * @returns {Array} Empty squares on the open boards ([] once the game is over)
+ */
+export function getLegalMoves(board) {
+  return getActiveBoards(board).flatMap((boardIndex) =>
+    subBoardSquares(board, boardIndex)
+      .map((square, cell) => (square === null ? boardIndex * SIZE + cell : null))
+      .filter((index) => index !== null)
+  );
+}
+
+/**
+ * APPLY MOVE
+ * 
+ * Places a mark without modifying the original board (immutable update).
+ * The square's position within its small board picks the next board.
+ * 
+ * @param {Object} board - Ultimate board
+ * @param {number} index - Square to play (0-80)
+ * @param {string} player - 'X' or 'O'
+ * @returns {Object|null} { board, position } where position is [row, col] on
+ *                        the 9x9 grid, or null if the move is not legal
+ */
+export function applyMove(board, index, player) {
+  if (!getLegalMoves(board).includes(index)) return null;
+
+  const squares = board.squares.slice();
+  squares[index] = player;
+  return {
+    board: { squares, activeBoard: index % SIZE },
+    position: squarePosition(index),
+  };
+}
+
+/**
+ * WIN DETECTION
+ * 
+ * Three small boards in a row, using the classic rules on a 3x3 board of
+ * small board winners (a full board with no winner counts for nobody).
+ * 
+ * @param {Object} board - Ultimate board
+ * @returns {Array} [winner, winningBoards] where winner is 'X'|'O'|null and
+ *                  winningBoards the small board indices of the line (or null)
+ */
+export function getWinner(board) {
+  const winners = getSubBoardResults(board).map(({ winner }) => winner);
+  return calculateWinner(winners);
+}
+
+/**
+ * DRAW DETECTION
+ * 
+ * @param {Object} board - Ultimate board
+ * @returns {boolean} True when every small board is won or full and nobody
+ *                    has three in a row
+ */
+export function isDraw(board) {
+  return !getWinner(board)[0] && getActiveBoards(board).length === 0;
+}
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * ULTIMATE TIC-TAC-TOE RULES ENGINE TESTS
+ * 
+ * Boards are written as nine strings, one per small board in the classic
+ * order, each with one character per square ("." = empty).
+ */
+
+import {
+  applyMove,
+  createInitialBoard,
+  getActiveBoards,
+  getLegalMoves,
+  getSubBoardResults,
+  getWinner,
+  isDraw,
+  squareAt,
+  squarePosition,
+} from "./ultimateTicTacToe";
+
+// Small boards used to build test positions
+const EMPTY = ".........";
+const WON_BY_X = "XXXOO....";
+const WON_BY_O = "OOOXX.X..";
+const DRAWN = "XOXXOOOXX";
+
+/**
+ * BOARD FROM SMALL BOARDS
+ * 
+ * @param {Array} subBoards - Nine strings, one per small board
+ * @param {number|null} activeBoard - Small board the next move must be played on
+ * @returns {Object} Ultimate board
+ */
+function board(subBoards, activeBoard = null) {
+  const squares = [...subBoards.join("")].map((square) => (square === "." ? null : square));
+  return { squares, activeBoard };
+}
+
+// ===== ACTIVE BOARD RULE =====
+
+describe("active board", () => {
+  test("the first move may go anywhere", () => {
+    expect(getLegalMoves(createInitialBoard())).toHaveLength(81);
+  });
+
+  test("a move sends the opponent to the board in the same position", () => {
+    // X plays the top-right square of the top-left board
+    const { board: next, position } = applyMove(createInitialBoard(), 2, "X");
+    expect(position).toEqual([0, 2]);
+    expect(next.activeBoard).toBe(2);
+    expect(getActiveBoards(next)).toEqual([2]);
+    expect(getLegalMoves(next)).toEqual([18, 19, 20, 21, 22, 23, 24, 25, 26]);
+  });
+
+  test("rejects moves outside the active board and on taken squares", () => {
+    const { board: next } = applyMove(createInitialBoard(), 2, "X");
+    expect(applyMove(next, 40, "O")).toBeNull();
+    expect(applyMove(applyMove(next, 20, "O").board, 2, "X")).toBeNull();
+  });
+
+  test("any open board may be played when the target board is won", () => {
+    const position = board([EMPTY, EMPTY, EMPTY, EMPTY, WON_BY_X, EMPTY, EMPTY, EMPTY, EMPTY], 4);
+    expect(getActiveBoards(position)).toEqual([0, 1, 2, 3, 5, 6, 7, 8]);
+    expect(getLegalMoves(position)).toHaveLength(72);
+  });
+
+  test("any open board may be played when the target board is full", () => {
+    const position = board([EMPTY, DRAWN, WON_BY_O, EMPTY, EMPTY, EMPTY, EMPTY, EMPTY, EMPTY], 1);
+    expect(getActiveBoards(position)).toEqual([0, 3, 4, 5, 6, 7, 8]);
+  });
+});
+
+// ===== SMALL BOARDS =====
+
+describe("getSubBoardResults", () => {
+  test("reports each small board's winner, line and whether it is decided", () => {
+    const results = getSubBoardResults(board([WON_BY_X, DRAWN, WON_BY_O, EMPTY, EMPTY, EMPTY, EMPTY, EMPTY, EMPTY]));
+    expect(results[0]).toEqual({ winner: "X", line: [0, 1, 2], isDecided: true });
+    expect(results[1]).toEqual({ winner: null, line: null, isDecided: true });
+    expect(results[2]).toEqual({ winner: "O", line: [0, 1, 2], isDecided: true });
+    expect(results[3]).toEqual({ winner: null, line: null, isDecided: false });
+  });
+});
+
+// ===== BIG BOARD RESULT =====
+
+describe("big board", () => {
+  test("three won boards in a row win the game", () => {
+    const position = board([WON_BY_O, EMPTY, EMPTY, EMPTY, WON_BY_O, EMPTY, EMPTY, EMPTY, WON_BY_O]);
+    expect(getWinner(position)).toEqual(["O", [0, 4, 8]]);
+    expect(getActiveBoards(position)).toEqual([]);
+    expect(getLegalMoves(position)).toEqual([]);
+    expect(isDraw(position)).toBe(false);
+  });
+
+  test("a full small board counts for nobody", () => {
+    const position = board([WON_BY_X, WON_BY_X, DRAWN, EMPTY, EMPTY, EMPTY, EMPTY, EMPTY, EMPTY]);
+    expect(getWinner(position)[0]).toBeNull();
+  });
+
+  test("is a draw once every board is decided without three in a row", () => {
+    // Big board: X O X / X O O / O X and a drawn board
+    const position = board([
+      WON_BY_X, WON_BY_O, WON_BY_X,
+      WON_BY_X, WON_BY_O, WON_BY_O,
+      WON_BY_O, WON_BY_X, DRAWN,
+    ]);
+    expect(getWinner(position)[0]).toBeNull();
+    expect(isDraw(position)).toBe(true);
+    expect(getLegalMoves(position)).toEqual([]);
+  });
+
+  test("is not a draw while a board is open", () => {
+    const position = board([
+      WON_BY_X, WON_BY_O, WON_BY_X,
+      WON_BY_X, WON_BY_O, WON_BY_O,
+      WON_BY_O, WON_BY_X, EMPTY,
+    ]);
+    expect(isDraw(position)).toBe(false);
+  });
+});
+
+// ===== POSITIONS =====
+
+describe("square positions", () => {
+  test("converts between square indices and the 9x9 grid", () => {
+    expect(squarePosition(10)).toEqual([0, 4]);
+    expect(squarePosition(80)).toEqual([8, 8]);
+    for (let index = 0; index < 81; index++) {
+      expect(squareAt(...squarePosition(index))).toBe(index);
+    }
+  });
+});
\ No newline at end of file
@@ -2,20 +2,19 @@
  * REACT GAMES APPLICATION ENTRY POINT
  * 
  * This is the main entry point for the React Games application.
- * It demonstrates how to mount multiple React applications on a single page,
- * each targeting different DOM elements.
+ * It mounts a single React application (the app shell) into the page;
+ * the shell picks which game to show from the URL.
  * 
  * Architecture Pattern:
- * - Multi-app approach: Each game is a separate React application
- * - Independent rendering: Games don't share state or interfere with each other
- * - Modular design: Each game can be developed and maintained separately
- * - Flexible deployment: Games can be shown/hidden or deployed independently
+ * - Single app with routing: One React root, games selected by URL fragment
+ * - Lazy loading: Each game is its own bundle, downloaded when first opened
+ * - Shared layout: Header, game picker and footer live in the shell
+ * - Modular design: Each game can still be developed and maintained separately
  * 
  * React concepts demonstrated:
  * - createRoot API (React 18+)
  * - StrictMode for development best practices
- * - Multiple React app instances on one page
- * - Component importing and usage
+ * - Code splitting with React.lazy (see src/shell)
  * - Global CSS integration
  * 
  * Learning value:
@@ -60,7 +59,7 @@ import { createRoot } from "react-dom/client";
 /**
  * Global CSS import
  * 
- * This import applies styles globally across all React applications.
+ * This import applies styles globally across the shell and every game.
  * The CSS includes:
  * - CSS custom properties (variables)
  * - Base styles for typography and layout
@@ -73,127 +72,41 @@ import { createRoot } from "react-dom/client";
  */
 import "./global.css";
 
-// ===== GAME COMPONENT IMPORTS =====
+// ===== APP SHELL IMPORT =====
 
 /**
- * Game component imports
+ * Shell - Header, game picker, routing and footer
  * 
- * Each game is imported as a separate React component.
- * This modular approach allows for:
- * - Independent development of each game
- * - Easy addition/removal of games
- * - Clear separation of concerns
- * - Potential code splitting in the future
- */
-
-/**
- * App1 - Basic Tic-Tac-Toe Game
- * 
- * The foundational tic-tac-toe implementation based on the React tutorial.
- * Features:
- * - Classic white board appearance
- * - Basic move history
- * - Win detection and highlighting
- * - Simple, clean interface
- * 
- * Learning focus: React fundamentals, state management, event handling
- */
-import App1 from "./ttt1app/ttt1app";
-
-/**
- * App2 - Advanced Tic-Tac-Toe Game
- * 
- * Enhanced version with additional features and modern styling.
- * Features:
- * - Dark theme with CSS variables
- * - Sound effects for moves and wins
- * - Animated winning line overlay
- * - Enhanced move history with coordinates
- * - Hover effects and smooth transitions
- * 
- * Learning focus: Advanced React patterns, CSS animations, audio integration
+ * The games themselves are not imported here: the shell loads each one
+ * with React.lazy the first time it is opened, so visiting one game does
+ * not download the others.
  */
-import App2 from "./ttt2app/ttt2app";
-
-/**
- * App3 - Connect Four Game
- * 
- * A different game genre showcasing game logic complexity.
- * Features:
- * - 6x7 game board with gravity simulation
- * - Two-player gameplay with piece dropping
- * - Win detection in four directions
- * - Visual hover effects and piece highlighting
- * - Game reset functionality
- * 
- * Learning focus: Complex game algorithms, 2D array manipulation, event handling
- */
-import App3 from "./c4app/c4app";
+import Shell from "./shell/shell";
 
 // ===== APPLICATION RENDERING =====
 
 /**
- * MULTI-APP RENDERING PATTERN
+ * APPLICATION MOUNT
  * 
- * This section demonstrates how to render multiple React applications
- * on a single HTML page. Each app targets a different DOM element
- * and operates independently.
+ * Renders the shell into the DOM element with id "root".
  * 
- * Benefits of this approach:
- * - Games don't interfere with each other
- * - Each game can have its own state management
- * - Easy to show/hide games individually
- * - Simpler than complex routing for this use case
- * - Each game can be tested independently
+ * ERROR HANDLING
+ * If the page has no mount point (for example a stale or edited
+ * index.html), an error is logged instead of letting createRoot throw,
+ * so the rest of the page keeps working.
  */
+const rootElement = document.getElementById("root");
 
-/**
- * BASIC TIC-TAC-TOE APPLICATION MOUNT
- * 
- * Renders the basic tic-tac-toe game into the DOM element with id "rootttt1"
- */
-
-// Create React root for the first tic-tac-toe game
-const rootttt1 = createRoot(document.getElementById("rootttt1"));
-
-// Render the basic tic-tac-toe app with StrictMode
-rootttt1.render(
-  <StrictMode>
-    <App1 />
-  </StrictMode>
-);
-
-/**
- * ADVANCED TIC-TAC-TOE APPLICATION MOUNT
- * 
- * Renders the advanced tic-tac-toe game into the DOM element with id "rootttt2"
- */
-
-// Create React root for the second tic-tac-toe game
-const rootttt2 = createRoot(document.getElementById("rootttt2"));
-
-// Render the advanced tic-tac-toe app with StrictMode
-rootttt2.render(
-  <StrictMode>
-    <App2 />
-  </StrictMode>
-);
-
-/**
- * CONNECT FOUR APPLICATION MOUNT
- * 
- * Renders the Connect Four game into the DOM element with id "rootc4"
- */
-
-// Create React root for the Connect Four game
-const rootc4 = createRoot(document.getElementById("rootc4"));
-
-// Render the Connect Four app with StrictMode
-rootc4.render(
-  <StrictMode>
-    <App3 />
-  </StrictMode>
-);
+if (rootElement) {
+  const root = createRoot(rootElement);
+  root.render(
+    <StrictMode>
+      <Shell />
+    </StrictMode>
+  );
+} else {
+  console.error('Could not find the element with id "root"; the games were not loaded.');
+}
 
 /**
  * STRICT MODE EXPLANATION
@@ -233,28 +146,10 @@ rootc4.render(
  * For this JavaScript to work, the HTML file must contain:
  * 
  * ```html
- * <div id="rootttt1"></div>   <!-- Basic Tic-Tac-Toe mount point -->
- * <div id="rootttt2"></div>   <!-- Advanced Tic-Tac-Toe mount point -->
- * <div id="rootc4"></div>     <!-- Connect Four mount point -->
+ * <div id="root"></div>   <!-- App shell mount point -->
  * ```
  * 
- * Each div serves as a mount point for its respective React application.
- */
-
-/**
- * ERROR HANDLING CONSIDERATIONS
- * 
- * In a production application, you might want to add error handling:
- * 
- * ```javascript
- * const rootElement = document.getElementById("rootttt1");
- * if (rootElement) {
- *     const rootttt1 = createRoot(rootElement);
- *     rootttt1.render(<StrictMode><App1 /></StrictMode>);
- * } else {
- *     console.error("Could not find element with id 'rootttt1'");
- * }
- * ```
+ * The shell renders the header, the selected game and the footer inside it.
  */
 
 /**
@@ -262,41 +157,29 @@ rootc4.render(
  * 
  * Other approaches for organizing multiple games:
  * 
- * 1. SINGLE APP WITH ROUTING
- *    - Use React Router to navigate between games
- *    - Single root element with route-based rendering
- *    - Better for complex applications with shared state
+ * 1. MULTIPLE REACT ROOTS (the original version of this page)
+ *    - One createRoot per game, each on its own <div>
+ *    - Games load together and cannot share a header or navigation
+ * 
+ * 2. REACT ROUTER
+ *    - Full-featured routing library (nested routes, loaders)
+ *    - More than three pages need; a small hash router is enough here
  * 
- * 2. MICRO-FRONTEND APPROACH
+ * 3. MICRO-FRONTEND APPROACH
  *    - Each game as a separate deployed application
  *    - Iframe or module federation integration
  *    - Better for large teams with independent deployment needs
  * 
- * 3. COMPONENT SWITCHING
- *    - Single React app with conditional rendering
- *    - State-based game selection
- *    - Simpler than routing for small applications
- * 
- * The current approach is optimal for:
- * - Learning projects
- * - Portfolio demonstrations
- * - Independent game development
- * - Simple deployment scenarios
+ * Hash routing (#/ttt) is used because GitHub Pages only serves real
+ * files: a path like /LearningReact/ttt would be a 404 on reload.
  */
 
 /**
  * PERFORMANCE CONSIDERATIONS
  * 
- * Current implications:
- * - Each game loads immediately (no lazy loading)
- * - All game JavaScript bundles together
- * - Suitable for small to medium applications
- * 
- * Potential optimizations:
- * - Code splitting with React.lazy()
- * - Conditional rendering based on visibility
- * - Service worker caching for repeat visits
- * - Bundle optimization and tree shaking
+ * - Only the shell loads up front; each game is code-split with React.lazy()
+ * - A game's bundle is cached by the browser after the first visit
+ * - Suspense shows a loading message while a game downloads
  */
 
 /**
@@ -304,7 +187,7 @@ rootc4.render(
  * 
  * This structure supports:
  * - Independent game development
- * - Easy testing of individual games
+ * - Easy testing of individual games (open #/ttt, #/ttt-advanced or #/connect-four)
  * - Clear separation of concerns
  * - Simple build and deployment process
  * - Educational progression (basic → advanced concepts)
@@ -0,0 +1,192 @@
+/**
+ * CHESS CLOCKS
+ * 
+ * Optional per-player clocks for the two-player games, as in chess:
+ * - Fischer: each player starts with a time budget and gains a fixed
+ *   increment after every move they make
+ * - Per move: every move must be made within a fixed time
+ * A player whose clock reaches zero loses ("flags").
+ * 
+ * Each game keeps the players' remaining times in its history entries
+ * (entry.clock, e.g. { X: 58000, O: 60000 } in milliseconds), so time
+ * travel shows the clocks as they were after every move. This hook only
+ * times the turn in progress at the latest position.
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { playSound } from "./sound";
+
+// ===== TIME CONTROLS =====
+
+/**
+ * TIME CONTROLS
+ * 
+ * Offered in each game's "Clock" menu. initial is each player's starting
+ * time (Fischer) or the time for every move (per move), in milliseconds.
+ */
+export const TIME_CONTROLS = {
+  off: { label: "Off" },
+  bullet: { label: "1 min + 1 s", type: "fischer", initial: 60 * 1000, increment: 1000 },
+  blitz: { label: "3 min + 2 s", type: "fischer", initial: 3 * 60 * 1000, increment: 2000 },
+  rapid: { label: "10 min + 5 s", type: "fischer", initial: 10 * 60 * 1000, increment: 5000 },
+  perMove5: { label: "5 s per move", type: "perMove", initial: 5000 },
+  perMove15: { label: "15 s per move", type: "perMove", initial: 15000 },
+};
+
+// Time left when the warning sounds (or a third of the starting time, if shorter)
+const LOW_TIME = 10 * 1000;
+
+// How often a running clock is redrawn (ms)
+const TICK = 100;
+
+// ===== HELPERS =====
+
+/**
+ * STARTING TIMES
+ * 
+ * @param {Object} control - A TIME_CONTROLS entry
+ * @param {Array} players - Player ids, e.g. ["X", "O"]
+ * @returns {Object|null} Starting time for every player, or null when the clocks are off
+ */
+export function initialClock(control, players) {
+  if (!control.type) return null;
+  return Object.fromEntries(players.map((player) => [player, control.initial]));
+}
+
+/**
+ * TIME AFTER A MOVE
+ * 
+ * @param {Object} control - A TIME_CONTROLS entry (not "off")
+ * @param {number} timeLeft - Mover's time left when the move was made (ms)
+ * @returns {number} Mover's time for their next turn: plus the increment
+ *                   (Fischer), or the full time again (per move)
+ */
+export function timeAfterMove(control, timeLeft) {
+  return control.type === "fischer" ? timeLeft + control.increment : control.initial;
+}
+
+/**
+ * CLOCK TEXT
+ * 
+ * @param {number} ms - Time left
+ * @returns {string} "m:ss", or seconds with tenths under ten seconds, e.g. "9.4"
+ */
+export function formatClock(ms) {
+  if (ms < 10 * 1000) return (Math.ceil(ms / 100) / 10).toFixed(1);
+
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+// ===== HOOK =====
+
+/**
+ * CHESS CLOCK HOOK
+ * 
+ * Times the turn in progress. The time used so far is kept across
+ * pauses, and starts over whenever turnKey changes (a new turn).
+ * 
+ * @param {Object} options - Clock inputs:
+ *   - control: A TIME_CONTROLS entry ("off" keeps the clock stopped)
+ *   - turnKey: Anything that changes when a turn starts, e.g. the latest history entry
+ *   - remaining: Time the player to move had when their turn started (ms)
+ *   - isRunning: False while the clock must stand still (game over, time travel, replay...)
+ *   - onFlag: Called once when the player to move runs out of time
+ * @returns {Object} Clock state and actions:
+ *   - timeLeft: Time left for the player to move (ms), or null when the clocks are off
+ *   - readTimeLeft: Reads that time to the millisecond (for the move being made)
+ *   - isLow: True when that time is running low (the warning has sounded)
+ *   - isTicking: True while the clock is actually running
+ *   - isPaused / setPaused: Pause and resume (a paused game takes no moves)
+ */
+export function useChessClock({ control, turnKey, remaining, isRunning, onFlag }) {
+  /**
+   * TURN STATE
+   * key: The turn being timed (turnKey)
+   * banked: Time used before the last pause (ms)
+   * since: When the clock last started (Date.now()), or null while stopped
+   */
+  const [turn, setTurn] = useState({ key: turnKey, banked: 0, since: null });
+  const [now, setNow] = useState(Date.now);
+  const [isPaused, setPaused] = useState(false);
+
+  const isOn = control.type !== undefined;
+  const isTicking = isOn && isRunning && !isPaused;
+
+  // NEW TURN: the time used starts over (adjusted during render, so the
+  // new turn never shows the previous turn's time)
+  let current = turn;
+  if (turn.key !== turnKey) {
+    current = { key: turnKey, banked: 0, since: null };
+    setTurn(current);
+  }
+
+  /**
+   * TICKING EFFECT
+   * 
+   * Starts the clock and redraws it every TICK while it runs; stopping it
+   * (pause, move, game over) banks the time used.
+   */
+  useEffect(() => {
+    if (!isTicking) return;
+
+    const start = Date.now();
+    setNow(start);
+    setTurn((state) => ({ ...state, since: start }));
+    const timer = setInterval(() => setNow(Date.now()), TICK);
+
+    return () => {
+      clearInterval(timer);
+      const stop = Date.now();
+      setTurn((state) => (state.key === turnKey ? { ...state, banked: state.banked + stop - start, since: null } : state));
+    };
+  }, [isTicking, turnKey]);
+
+  // TIME LEFT
+  const elapsed = current.banked + (current.since !== null ? Math.max(0, now - current.since) : 0);
+  const timeLeft = isOn ? Math.max(0, remaining - elapsed) : null;
+  const isLow = isOn && timeLeft <= Math.min(LOW_TIME, control.initial / 3);
+
+  /**
+   * LATEST INPUTS
+   * The game recreates onFlag on every render, and moves read the time from
+   * event handlers and timers, so both go through refs holding the newest values.
+   */
+  const onFlagRef = useRef(onFlag);
+  const timingRef = useRef(null);
+  useEffect(() => {
+    onFlagRef.current = onFlag;
+    timingRef.current = { isOn, remaining, banked: current.banked, since: current.since };
+  });
+
+  /**
+   * EXACT TIME LEFT
+   * 
+   * timeLeft is only redrawn every TICK, so a move reads the clock with this
+   * instead: the whole time it took (a computer's thinking time included)
+   * comes off the mover's clock.
+   * 
+   * @returns {number|null} Time left for the player to move right now (ms), or null when the clocks are off
+   */
+  const readTimeLeft = () => {
+    const timing = timingRef.current;
+    if (!timing.isOn) return null;
+
+    const running = timing.since !== null ? Math.max(0, Date.now() - timing.since) : 0;
+    return Math.max(0, timing.remaining - timing.banked - running);
+  };
+
+  // FLAG: out of time while the clock runs
+  const hasFlagged = isTicking && timeLeft === 0;
+  useEffect(() => {
+    if (hasFlagged) onFlagRef.current();
+  }, [hasFlagged]);
+
+  // LOW-TIME WARNING: once per turn (and again after a resume)
+  const shouldWarn = isTicking && isLow;
+  useEffect(() => {
+    if (shouldWarn) playSound("lowTime");
+  }, [shouldWarn, turnKey]);
+
+  return { timeLeft, readTimeLeft, isLow, isTicking, isPaused, setPaused };
+}
\ No newline at end of file
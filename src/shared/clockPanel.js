@@ -0,0 +1,67 @@
+/**
+ * CHESS CLOCK PANEL COMPONENT
+ * 
+ * Both players' clocks side by side, shown next to a game's status line
+ * (see chessClock.js), with a button to pause and resume the game:
+ * - The clock of the player to move is highlighted
+ * - It turns to the warning color when its time runs low
+ * - A player who ran out of time is marked "flag"
+ */
+
+import { formatClock } from "./chessClock";
+
+/**
+ * @param {Object} props - Component properties
+ * @param {Object} props.times - Time left for each player (ms), in turn order, e.g. { X: 58000, O: 60000 }
+ * @param {Object} props.playerNames - Display name for each player, e.g. { X: "X", O: "O" }
+ * @param {string|null} props.activePlayer - Player whose turn is timed, or null when no clock runs
+ * @param {boolean} props.isLow - True when the active player's time is running low
+ * @param {string|null} props.flagged - Player who ran out of time, or null
+ * @param {boolean} props.isPaused - True while the game is paused
+ * @param {boolean} props.canPause - False when there is nothing to pause (game over, time travel...)
+ * @param {Function} props.onPauseChange - Called with the new paused state
+ * @param {string} props.className - CSS class for the wrapper
+ * @param {string} props.buttonClassName - CSS class for the pause button
+ * @returns {JSX.Element} Two clocks and a pause button
+ */
+export default function ClockPanel({
+  times,
+  playerNames,
+  activePlayer,
+  isLow,
+  flagged,
+  isPaused,
+  canPause,
+  onPauseChange,
+  className,
+  buttonClassName,
+}) {
+  return (
+    <div className={className}>
+      {Object.keys(times).map((player) => {
+        const isActive = player === activePlayer;
+        const classes = ["clock"];
+        if (isActive) classes.push("active");
+        if (isActive && isLow) classes.push("low");
+        if (player === flagged) classes.push("flagged");
+
+        return (
+          <div key={player} className={classes.join(" ")} role="timer" aria-label={`${playerNames[player]} clock`}>
+            <span className="clock-name">{playerNames[player]}</span>
+            <span className="clock-time">{formatClock(times[player])}</span>
+            {player === flagged && <span className="clock-flag"> flag</span>}
+          </div>
+        );
+      })}
+
+      <button
+        className={buttonClassName}
+        onClick={() => onPauseChange(!isPaused)}
+        disabled={!canPause && !isPaused}
+        aria-pressed={isPaused}
+      >
+        {isPaused ? "Resume" : "Pause"}
+      </button>
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,245 @@
+/**
+ * GAME RECORDS
+ * 
+ * Whole games as plain text, modeled on chess's PGN (Portable Game
+ * Notation): a few [Name "value"] header lines, a blank line, then the
+ * moves and the result.
+ * 
+ *     [Game "Connect Four"]
+ *     [Variant "Classic"]
+ *     [Date "2026.10.19"]
+ *     [Red "Player 1"]
+ *     [Yellow "Computer (hard)"]
+ *     [Result "1-0"]
+ *     [Columns "7"]
+ *     [Rows "6"]
+ *     [WinLength "4"]
+ * 
+ *     4453343 1-0
+ * 
+ * Moves use each game's own notation (see TIC_TAC_TOE_NOTATION and
+ * CONNECT_FOUR_NOTATION). Results follow PGN: "1-0" first player won,
+ * "0-1" second player won, "1/2-1/2" draw, "*" unfinished.
+ * 
+ * Reading a record replays its moves with the game's engine, so only
+ * legal games are ever loaded; the Result header is recomputed rather
+ * than trusted.
+ */
+
+import { ticTacToe, connectFour, replayMoves } from "../engine";
+
+// ===== MOVE NOTATIONS =====
+
+/**
+ * TIC-TAC-TOE NOTATION
+ * 
+ * Each move is the square's (row,col), counted from 1 at the top left as in
+ * the move list (squareCoords plus one), numbered in pairs like PGN:
+ * 
+ *     1. (2,2) (1,1) 2. (1,3) (3,1) 3. (2,1) *
+ */
+export const TIC_TAC_TOE_NOTATION = {
+  game: ticTacToe,
+  name: "Tic-Tac-Toe",
+  playerHeaders: ["X", "O"],
+  moveExample: "(2,2) (1,3)",
+
+  formatMoves(moves, config) {
+    return moves
+      .map((move, i) => {
+        const [row, col] = ticTacToe.squareCoords(move, config.cols);
+        const square = `(${row + 1},${col + 1})`;
+        return i % 2 === 0 ? `${i / 2 + 1}. ${square}` : square;
+      })
+      .join(" ");
+  },
+
+  parseMoves(text, config) {
+    // Move numbers are optional; anything else left over is an error
+    const rest = text.replace(/\d+\.(\.\.)?/g, " ");
+    const squares = [...rest.matchAll(/\(\s*(\d+)\s*,\s*(\d+)\s*\)/g)];
+    if (rest.replace(/\(\s*\d+\s*,\s*\d+\s*\)/g, "").trim() !== "") return null;
+
+    const moves = [];
+    for (const [, rowText, colText] of squares) {
+      const row = Number(rowText);
+      const col = Number(colText);
+      if (row < 1 || row > config.rows || col < 1 || col > config.cols) return null;
+      moves.push((row - 1) * config.cols + (col - 1));
+    }
+    return moves;
+  },
+};
+
+/**
+ * CONNECT FOUR NOTATION
+ * 
+ * The usual column sequence, counted from 1 at the left: "4453" means
+ * columns 4, 4, 5 and 3. Boards wider than 9 columns separate the numbers
+ * with spaces ("10 4 11"); single digits may always be separated.
+ */
+export const CONNECT_FOUR_NOTATION = {
+  game: connectFour,
+  name: "Connect Four",
+  playerHeaders: ["Red", "Yellow"],
+  moveExample: "4453",
+
+  formatMoves(moves, config) {
+    return moves.map((col) => col + 1).join(config.cols > 9 ? " " : "");
+  },
+
+  parseMoves(text, config) {
+    const moves = [];
+    for (const token of text.split(/\s+/).filter(Boolean)) {
+      if (!/^\d+$/.test(token)) return null;
+
+      // "4453" is four moves on a board with single-digit columns
+      const numbers = config.cols <= 9 ? [...token].map(Number) : [Number(token)];
+      for (const number of numbers) {
+        if (number < 1 || number > config.cols) return null;
+        moves.push(number - 1);
+      }
+    }
+    return moves;
+  },
+};
+
+// ===== RESULTS AND HEADERS =====
+
+/**
+ * GAME RESULT
+ * 
+ * @param {Object} notation - TIC_TAC_TOE_NOTATION or CONNECT_FOUR_NOTATION
+ * @param {Array} history - History entries from replayMoves
+ * @param {Object} config - { rows, cols, winLength }
+ * @returns {string} "1-0", "0-1", "1/2-1/2" or "*"
+ */
+function resultOf(notation, history, config) {
+  const { game } = notation;
+  const { board } = history[history.length - 1];
+  const [winner] = game.getWinner(board, config);
+
+  if (winner) return winner === game.PLAYERS[0] ? "1-0" : "0-1";
+  return game.isDraw(board, config) ? "1/2-1/2" : "*";
+}
+
+/**
+ * HEADER VALUE QUOTING
+ * 
+ * @param {string} value - Any header value
+ * @returns {string} The value in double quotes, with quotes and backslashes escaped
+ */
+function quote(value) {
+  return `"${String(value).replace(/[\\"]/g, "\\$&")}"`;
+}
+
+/**
+ * TODAY'S DATE
+ * 
+ * @returns {string} PGN date, e.g. "2026.10.19"
+ */
+function today() {
+  const date = new Date();
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+}
+
+// ===== PUBLIC API =====
+
+/**
+ * WRITE GAME RECORD
+ * 
+ * @param {Object} notation - TIC_TAC_TOE_NOTATION or CONNECT_FOUR_NOTATION
+ * @param {Object} game - The game to write:
+ *   - moves: Moves in play order (square indices or columns)
+ *   - config: { rows, cols, winLength }
+ *   - players: Display names in turn order, e.g. ["Player 1", "Computer (hard)"]
+ *   - variant: Name of the board or rules, e.g. "Classic" or "Gomoku 15x15"
+ * @returns {string} The record (headers, a blank line, then the moves and result)
+ */
+export function formatRecord(notation, { moves, config, players, variant }) {
+  const result = resultOf(notation, replayMoves(notation.game, moves, config), config);
+
+  const headers = [
+    ["Game", notation.name],
+    ["Variant", variant],
+    ["Date", today()],
+    [notation.playerHeaders[0], players[0]],
+    [notation.playerHeaders[1], players[1]],
+    ["Result", result],
+    ["Columns", config.cols],
+    ["Rows", config.rows],
+    ["WinLength", config.winLength],
+  ];
+
+  const headerText = headers.map(([name, value]) => `[${name} ${quote(value)}]`).join("\n");
+  const moveText = notation.formatMoves(moves, config);
+  return `${headerText}\n\n${moveText ? `${moveText} ` : ""}${result}\n`;
+}
+
+/**
+ * READ GAME RECORD
+ * 
+ * Accepts anything formatRecord writes, plus hand-written records: headers
+ * are optional (a missing board size means the classic board), {comments}
+ * are skipped and the result at the end may be left out.
+ * 
+ * @param {Object} notation - TIC_TAC_TOE_NOTATION or CONNECT_FOUR_NOTATION
+ * @param {string} text - The record
+ * @returns {Object} Either { error } with a message for the player, or
+ *   { headers, config, moves, history }, where headers maps names to values
+ *   and history is the replayed game (see replayMoves)
+ */
+export function parseRecord(notation, text) {
+  // HEADERS: one [Name "value"] per line
+  const headers = {};
+  const headerPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]\s*$/;
+  const moveLines = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = headerPattern.exec(line);
+    if (match) {
+      headers[match[1]] = match[2].replace(/\\(.)/g, "$1");
+    } else {
+      moveLines.push(line);
+    }
+  }
+
+  if (headers.Game !== undefined && headers.Game !== notation.name) {
+    return { error: `This is a ${headers.Game} record, not ${notation.name}.` };
+  }
+
+  // BOARD SIZE (the classic board when the headers are missing)
+  const classic = notation.game.CLASSIC_CONFIG;
+  const sizeHeader = (name, fallback) => (headers[name] === undefined ? fallback : Number(headers[name]));
+  const config = {
+    rows: sizeHeader("Rows", classic.rows),
+    cols: sizeHeader("Columns", classic.cols),
+    winLength: sizeHeader("WinLength", classic.winLength),
+  };
+  if (!Object.values(config).every((value) => Number.isInteger(value) && value > 0)) {
+    return { error: "The board size headers are not valid." };
+  }
+
+  // MOVES: without comments and the closing result
+  const moveText = moveLines
+    .join(" ")
+    .replace(/\{[^}]*\}/g, " ")
+    .replace(/(1-0|0-1|1\/2-1\/2|\*)\s*$/, "");
+
+  const moves = notation.parseMoves(moveText, config);
+  if (!moves) {
+    return {
+      error: `The moves could not be read. Expected moves like ${notation.moveExample} ` +
+        `on a ${config.cols}x${config.rows} board.`,
+    };
+  }
+
+  // REPLAY: every move must be legal
+  const history = replayMoves(notation.game, moves, config);
+  if (history.length - 1 < moves.length) {
+    return { error: `Move ${history.length} is not legal.` };
+  }
+
+  return { headers, config, moves, history };
+}
\ No newline at end of file
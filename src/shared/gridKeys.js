@@ -0,0 +1,53 @@
+/**
+ * GRID KEYBOARD NAVIGATION
+ * 
+ * Shared arrow-key handling for the game boards. Each board keeps one
+ * focusable square (a "roving" tab stop) and moves it with these keys:
+ * - Arrow keys: One square up, down, left or right (stopping at the edges)
+ * - Home / End: First / last square of the current row
+ */
+
+/**
+ * NEXT FOCUSED SQUARE
+ * 
+ * @param {string} key - KeyboardEvent.key
+ * @param {number} index - Currently focused square (row * cols + col)
+ * @param {number} rows - Board height in squares
+ * @param {number} cols - Board width in squares
+ * @returns {number|null} Square to focus next, or null if the key is not a navigation key
+ */
+export function getNextGridIndex(key, index, rows, cols) {
+  const row = Math.trunc(index / cols);
+  const col = index % cols;
+
+  switch (key) {
+    case "ArrowUp":
+      return row > 0 ? index - cols : index;
+    case "ArrowDown":
+      return row < rows - 1 ? index + cols : index;
+    case "ArrowLeft":
+      return col > 0 ? index - 1 : index;
+    case "ArrowRight":
+      return col < cols - 1 ? index + 1 : index;
+    case "Home":
+      return row * cols;
+    case "End":
+      return row * cols + cols - 1;
+    default:
+      return null;
+  }
+}
+
+/**
+ * SQUARE LABEL
+ * 
+ * Screen-reader description of a square, e.g. "Row 2, Column 3, X".
+ * 
+ * @param {number} row - Row number as shown to the player (1-based)
+ * @param {number} col - Column number as shown to the player (1-based)
+ * @param {string|null} value - Contents of the square (null when empty)
+ * @returns {string} Label for aria-label
+ */
+export function squareLabel(row, col, value) {
+  return `Row ${row}, Column ${col}, ${value ?? "empty"}`;
+}
\ No newline at end of file
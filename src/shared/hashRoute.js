@@ -0,0 +1,84 @@
+/**
+ * HASH ROUTING
+ * 
+ * The page is served by GitHub Pages, which cannot send every URL to
+ * index.html, so the current game lives in the URL fragment instead:
+ * 
+ *     #/connect-four?c4=4433.2&ttt1=408
+ * 
+ * - The path (before "?") picks the game shown by the app shell
+ * - The parameters (after "?") hold saved games (see savedGames.js)
+ * 
+ * Links shared before routing existed have only parameters (#c4=4433.2);
+ * they parse with an empty path.
+ */
+
+import { useEffect, useState } from "react";
+
+/**
+ * PARSE FRAGMENT
+ * 
+ * @param {string} hash - window.location.hash, e.g. "#/ttt?ttt1=408"
+ * @returns {Object} { path, params } where path is e.g. "/ttt" (or "" when
+ *                   there is none) and params is a URLSearchParams
+ */
+export function parseHash(hash) {
+  const text = hash.replace(/^#/, "");
+
+  // OLD-STYLE FRAGMENT: parameters only
+  if (!text.startsWith("/")) {
+    return { path: "", params: new URLSearchParams(text) };
+  }
+
+  const queryStart = text.indexOf("?");
+  if (queryStart === -1) {
+    return { path: text, params: new URLSearchParams() };
+  }
+  return { path: text.slice(0, queryStart), params: new URLSearchParams(text.slice(queryStart + 1)) };
+}
+
+/**
+ * FORMAT FRAGMENT
+ * 
+ * @param {string} path - Route path, e.g. "/ttt" (or "")
+ * @param {URLSearchParams} params - Fragment parameters
+ * @returns {string} Fragment including the "#", or "" when both are empty
+ */
+export function formatHash(path, params) {
+  const query = params.toString();
+  if (!path) return query ? `#${query}` : "";
+  return `#${path}${query ? `?${query}` : ""}`;
+}
+
+/**
+ * REPLACE FRAGMENT
+ * 
+ * Changes the fragment with history.replaceState, which adds no browser
+ * history entry and does not fire "hashchange" (so the shown game stays).
+ * 
+ * @param {string} hash - New fragment from formatHash
+ */
+export function replaceHash(hash) {
+  const { pathname, search } = window.location;
+  window.history.replaceState(window.history.state, "", pathname + search + hash);
+}
+
+/**
+ * ROUTE HOOK
+ * 
+ * Follows the fragment's path. Links (<a href="#/ttt">) and the browser's
+ * back and forward buttons fire "hashchange", which re-renders the app.
+ * 
+ * @returns {string} Current route path, e.g. "/ttt" (or "")
+ */
+export function useHashRoute() {
+  const [path, setPath] = useState(() => parseHash(window.location.hash).path);
+
+  useEffect(() => {
+    const handleHashChange = () => setPath(parseHash(window.location.hash).path);
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, []);
+
+  return path;
+}
\ No newline at end of file
@@ -0,0 +1,199 @@
+/**
+ * ONLINE GAME CONNECTION
+ * 
+ * React hook that connects a game to the local multiplayer server
+ * (server/server.mjs) over a WebSocket.
+ * 
+ * The server owns the game: the app sends moves with sendMove and redraws
+ * whenever a new room state arrives (room.moves is the whole game so far).
+ * If the connection drops, the hook keeps reconnecting and rejoins the
+ * same room, and the server replies with the full state again.
+ * 
+ * The server address defaults to ws://localhost:8080 and can be changed
+ * with the REACT_APP_GAME_SERVER environment variable.
+ */
+
+import { useEffect, useRef, useState } from "react";
+
+const SERVER_URL = process.env.REACT_APP_GAME_SERVER || "ws://localhost:8080";
+
+// Reconnect delays grow 1s, 2s, 4s... up to this limit
+const MAX_RECONNECT_DELAY = 10 * 1000;
+
+/**
+ * CLIENT ID
+ * 
+ * Identifies this browser tab to the server, which uses it to give a
+ * reconnecting player their seat back. Kept in sessionStorage so it also
+ * survives a page refresh.
+ * 
+ * @returns {string} Random id, the same for the lifetime of the tab
+ */
+function getClientId() {
+  const key = "learningreact.clientId";
+  try {
+    let id = window.sessionStorage.getItem(key);
+    if (!id) {
+      id = Math.random().toString(36).slice(2) + Date.now().toString(36);
+      window.sessionStorage.setItem(key, id);
+    }
+    return id;
+  } catch (error) {
+    // Storage disabled: the id only lasts until the page is reloaded
+    return Math.random().toString(36).slice(2);
+  }
+}
+
+/**
+ * ONLINE GAME HOOK
+ * 
+ * @param {string} gameKey - Game type on the server ("ttt" or "c4")
+ * @returns {Object} Connection state and actions:
+ *   - status: "offline", "connecting", "connected" or "reconnecting"
+ *   - room: Latest room state from the server ({ code, config, moves, seats, spectators }), or null
+ *   - role: This client's player symbol, "spectator", or null when not in a room
+ *   - error: Last error message from the server or connection, or null
+ *   - createRoom(config): Start a new room and take the first seat
+ *   - joinRoom(code, spectate): Join a room by code (spectate = only watch)
+ *   - sendMove(move): Ask the server to play a move
+ *   - restartGame(): Ask the server to clear the board
+ *   - leaveRoom(): Give up the seat and disconnect
+ */
+export function useOnlineGame(gameKey) {
+  const [status, setStatus] = useState("offline");
+  const [room, setRoom] = useState(null);
+  const [role, setRole] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * CONNECTION REFERENCES
+   * 
+   * socketRef: The open (or opening) WebSocket
+   * roomCodeRef: Room to rejoin after a dropped connection (null = do not reconnect)
+   * retryRef: Reconnect attempts so far and the pending reconnect timer
+   */
+  const socketRef = useRef(null);
+  const roomCodeRef = useRef(null);
+  const retryRef = useRef({ attempts: 0, timer: null });
+  const clientIdRef = useRef(null);
+  if (clientIdRef.current === null) clientIdRef.current = getClientId();
+
+  /**
+   * OPEN CONNECTION
+   * 
+   * Opens a socket and sends firstMessage (create or join) once it is open.
+   * 
+   * @param {Object} firstMessage - Message to send when connected
+   */
+  function connect(firstMessage) {
+    socketRef.current?.close();
+
+    const socket = new WebSocket(SERVER_URL);
+    socketRef.current = socket;
+    setStatus(roomCodeRef.current ? "reconnecting" : "connecting");
+
+    socket.onopen = () => {
+      retryRef.current.attempts = 0;
+      setStatus("connected");
+      socket.send(JSON.stringify({ ...firstMessage, clientId: clientIdRef.current }));
+    };
+
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === "state") {
+        roomCodeRef.current = message.room.code;
+        setRoom(message.room);
+        setRole(message.role);
+        setError(null);
+      } else if (message.type === "error") {
+        setError(message.message);
+      }
+    };
+
+    socket.onclose = () => {
+      // Ignore sockets that were replaced or closed on purpose
+      if (socketRef.current !== socket) return;
+      socketRef.current = null;
+
+      // NOT IN A ROOM YET: give up (the server is probably not running)
+      if (!roomCodeRef.current) {
+        setStatus("offline");
+        setError(`Could not connect to the game server at ${SERVER_URL}.`);
+        return;
+      }
+
+      // IN A ROOM: keep retrying with a growing delay, then rejoin
+      const retry = retryRef.current;
+      const delay = Math.min(MAX_RECONNECT_DELAY, 1000 * 2 ** retry.attempts);
+      retry.attempts++;
+      setStatus("reconnecting");
+      retry.timer = setTimeout(() => connect({ type: "join", code: roomCodeRef.current }), delay);
+    };
+  }
+
+  /**
+   * SEND MESSAGE
+   * 
+   * Messages sent while disconnected are dropped; the state resync after
+   * reconnecting shows what actually happened.
+   * 
+   * @param {Object} message - Message for the server
+   */
+  function send(message) {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * DISCONNECT
+   * 
+   * Stops reconnecting and closes the socket without triggering a retry.
+   */
+  function disconnect() {
+    clearTimeout(retryRef.current.timer);
+    roomCodeRef.current = null;
+
+    const socket = socketRef.current;
+    socketRef.current = null;
+    socket?.close();
+  }
+
+  // CLOSE THE CONNECTION ON UNMOUNT
+  // (the seat is kept on the server, so the player could rejoin later)
+  useEffect(() => disconnect, []);
+
+  // ===== ACTIONS =====
+
+  function createRoom(config) {
+    disconnect();
+    setError(null);
+    connect({ type: "create", game: gameKey, config });
+  }
+
+  function joinRoom(code, spectate = false) {
+    disconnect();
+    setError(null);
+    connect({ type: "join", code: code.trim().toUpperCase(), spectate });
+  }
+
+  function sendMove(move) {
+    send({ type: "move", move });
+  }
+
+  function restartGame() {
+    send({ type: "restart" });
+  }
+
+  function leaveRoom() {
+    send({ type: "leave" });
+    disconnect();
+    setStatus("offline");
+    setRoom(null);
+    setRole(null);
+    setError(null);
+  }
+
+  return { status, room, role, error, createRoom, joinRoom, sendMove, restartGame, leaveRoom };
+}
\ No newline at end of file
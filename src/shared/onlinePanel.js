@@ -0,0 +1,88 @@
+/**
+ * ONLINE PANEL COMPONENT
+ * 
+ * Room controls shared by the games that support online play:
+ * - Not in a room: create a room, or join / watch one by its code
+ * - In a room: the room code to share, who is connected, and a Leave button
+ * 
+ * The panel renders inline elements only, so it takes on the look of
+ * the controls row it is placed in.
+ */
+
+import { useState } from "react";
+
+/**
+ * @param {Object} props - Component properties
+ * @param {Object} props.online - Result of useOnlineGame
+ * @param {Object} props.config - Board configuration for a new room { rows, cols, winLength }
+ * @param {Object} props.playerNames - Display name for each player symbol, e.g. { red: "Red", yellow: "Yellow" }
+ * @param {string} props.buttonClassName - CSS class for the panel's buttons
+ * @returns {JSX.Element} Online room controls
+ */
+export default function OnlinePanel({ online, config, playerNames, buttonClassName }) {
+  // ROOM CODE INPUT STATE
+  const [code, setCode] = useState("");
+
+  const { status, room, role, error } = online;
+
+  // ===== NOT IN A ROOM =====
+  if (!room) {
+    const isBusy = status === "connecting";
+    const canJoin = code.trim().length === 4 && !isBusy;
+
+    return (
+      <>
+        <button className={buttonClassName} onClick={() => online.createRoom(config)} disabled={isBusy}>
+          Create room
+        </button>
+        <label>
+          Code:
+          <input
+            className="room-code-input"
+            value={code}
+            maxLength={4}
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+          />
+        </label>
+        <button className={buttonClassName} onClick={() => online.joinRoom(code)} disabled={!canJoin}>
+          Join
+        </button>
+        <button className={buttonClassName} onClick={() => online.joinRoom(code, true)} disabled={!canJoin}>
+          Watch
+        </button>
+        {isBusy && <span>Connecting...</span>}
+        {error && <span role="alert">{error}</span>}
+      </>
+    );
+  }
+
+  // ===== IN A ROOM =====
+
+  /**
+   * SEAT DESCRIPTIONS
+   * e.g. "Red: you", "Yellow: waiting for a player", "Yellow: disconnected"
+   */
+  const seats = Object.entries(room.seats).map(([player, seat]) => {
+    let state = "connected";
+    if (player === role) state = "you";
+    else if (!seat.taken) state = "waiting for a player";
+    else if (!seat.connected) state = "disconnected";
+    return `${playerNames[player]}: ${state}`;
+  });
+
+  return (
+    <>
+      <span>
+        Room <b>{room.code}</b>
+        {role === "spectator" && " (watching)"}
+      </span>
+      <span>{seats.join(", ")}</span>
+      {room.spectators > 0 && <span>{room.spectators} watching</span>}
+      {status === "reconnecting" && <span>Reconnecting...</span>}
+      {error && <span role="alert">{error}</span>}
+      <button className={buttonClassName} onClick={online.leaveRoom}>
+        Leave
+      </button>
+    </>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * PLAYER PROFILES PANEL COMPONENT
+ * 
+ * Picks who plays a pass-and-play game (see profiles.js), shared by every
+ * game:
+ * - A profile (or a guest) for each of the two seats, and which side each
+ *   player ends up on
+ * - "Swap sides between games", so the players take turns starting
+ * - A collapsible editor to add, rename and delete profiles and to choose
+ *   their avatar and preferred side
+ */
+
+import {
+  AVATARS,
+  MAX_NAME_LENGTH,
+  addProfile,
+  deleteProfile,
+  gameSeats,
+  profileName,
+  setSeat,
+  setSwapSides,
+  updateProfile,
+  useProfiles,
+  useSeatedProfiles,
+} from "./profiles";
+
+/**
+ * @param {Object} props - Component properties
+ * @param {string} props.gameKey - Game identifier, e.g. "c4" (same keys as saved games)
+ * @param {Object} props.sides - Display name for each side, in turn order, e.g. { X: "X", O: "O" }
+ * @param {string} props.preferenceKey - Profile field holding the preferred side: "preferredMark" or "preferredColor"
+ * @param {string} props.className - CSS class for the wrapper
+ * @param {string} props.buttonClassName - CSS class for the panel's buttons
+ * @returns {JSX.Element} Seat pickers, swap option and profile editor
+ */
+export default function ProfilePanel({ gameKey, sides, preferenceKey, className, buttonClassName }) {
+  const current = useProfiles();
+  const { players, swapSides } = gameSeats(current, gameKey);
+  const sideKeys = Object.keys(sides);
+  const seated = useSeatedProfiles(gameKey, sideKeys, preferenceKey);
+
+  // Seat pickers use strings; "" is a guest
+  const changeSeat = (seat, value) => setSeat(gameKey, seat, value === "" ? null : Number(value));
+
+  return (
+    <div className={className}>
+      {/* SEATS */}
+      {[0, 1].map((seat) => (
+        <label key={seat}>
+          Player {seat + 1}:
+          <select value={players[seat] ?? ""} onChange={(e) => changeSeat(seat, e.target.value)}>
+            <option value="">Guest</option>
+            {current.profiles.map((profile) => (
+              <option key={profile.id} value={profile.id} disabled={profile.id === players[1 - seat]}>
+                {profileName(profile, "Unnamed")}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+
+      <label>
+        <input type="checkbox" checked={swapSides} onChange={(e) => setSwapSides(gameKey, e.target.checked)} />
+        Swap sides between games
+      </label>
+
+      {/* WHO PLAYS WHICH SIDE (the first side moves first) */}
+      <p className="profile-sides">
+        {sideKeys.map((side) => `${sides[side]}: ${profileName(seated[side], "Guest")}`).join(", ")}
+      </p>
+
+      {/* PROFILE EDITOR */}
+      <details>
+        <summary>Edit profiles</summary>
+
+        {current.profiles.length === 0 && <p>No profiles yet.</p>}
+        {current.profiles.map((profile) => (
+          <div key={profile.id} className="profile-row">
+            <select
+              aria-label={`Avatar for ${profile.name}`}
+              value={profile.avatar}
+              onChange={(e) => updateProfile(profile.id, { avatar: e.target.value })}
+            >
+              {AVATARS.map((avatar) => (
+                <option key={avatar} value={avatar}>{avatar}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              aria-label="Name"
+              maxLength={MAX_NAME_LENGTH}
+              value={profile.name}
+              onChange={(e) => updateProfile(profile.id, { name: e.target.value })}
+            />
+            <label>
+              Prefers:
+              <select
+                value={profile[preferenceKey]}
+                onChange={(e) => updateProfile(profile.id, { [preferenceKey]: e.target.value })}
+              >
+                <option value="">Either side</option>
+                {sideKeys.map((side) => (
+                  <option key={side} value={side}>{sides[side]}</option>
+                ))}
+              </select>
+            </label>
+            <button className={buttonClassName} onClick={() => deleteProfile(profile.id)}>
+              Delete
+            </button>
+          </div>
+        ))}
+
+        <button className={buttonClassName} onClick={addProfile}>
+          Add profile
+        </button>
+      </details>
+    </div>
+  );
+}
\ No newline at end of file
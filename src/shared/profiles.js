@@ -0,0 +1,278 @@
+/**
+ * PLAYER PROFILES
+ * 
+ * Named players for pass-and-play games (two people at one screen),
+ * kept in localStorage so they are there on the next visit:
+ * - Each profile has a name, an avatar emoji and the side it prefers to
+ *   play in each kind of game (X or O, red or yellow)
+ * - Each game remembers who sits in its two seats ("Player 1" and
+ *   "Player 2"), and whether the players swap sides between games so
+ *   they take turns starting
+ * 
+ * Games show the seated players with useSeatedProfiles and pick them in
+ * ProfilePanel (see profilePanel.js). An empty seat is a guest, named
+ * after their side as before.
+ */
+
+import { useMemo, useSyncExternalStore } from "react";
+
+// ===== OPTIONS =====
+
+// Avatars profiles can pick
+export const AVATARS = ["🙂", "😎", "🦊", "🐼", "🐸", "🦉", "🐙", "🦄", "🚀", "🌵", "🍕", "⚽"];
+
+// Longest name a profile can have
+export const MAX_NAME_LENGTH = 20;
+
+// Sides a profile can prefer ("" = no preference)
+const PREFERENCES = {
+  preferredMark: ["", "X", "O"],
+  preferredColor: ["", "red", "yellow"],
+};
+
+// Key for the saved profiles (same prefix as saved games)
+const STORAGE_KEY = "learningreact.profiles";
+
+/**
+ * EMPTY STORE
+ * 
+ * profiles: [{ id, name, avatar, preferredMark, preferredColor }, ...]
+ *   - preferredMark: Tic-tac-toe side the player likes to play ("X", "O" or "")
+ *   - preferredColor: Connect Four side ("red", "yellow" or "")
+ * seats: Game key -> { players, swapSides, swapped }
+ *   - players: Profile ids in seats 1 and 2 (null for a guest)
+ *   - swapSides: True when the players change sides after every game
+ *   - swapped: True while they play the other way round
+ */
+const EMPTY_STORE = { profiles: [], seats: {} };
+
+// Seats of a game nobody has picked players for yet
+const EMPTY_SEATS = { players: [null, null], swapSides: false, swapped: false };
+
+// ===== PROFILE STORE =====
+
+/**
+ * LOAD PROFILES
+ * 
+ * Profiles without an id or a name are dropped, and anything else
+ * missing or unknown falls back to a default.
+ * 
+ * @returns {Object} Store in the shape of EMPTY_STORE
+ */
+function loadProfiles() {
+  let saved = null;
+  try {
+    saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    // Storage disabled or unreadable: start without profiles
+  }
+  if (!saved || typeof saved !== "object") return EMPTY_STORE;
+
+  const pick = (value, options, fallback) => (options.includes(value) ? value : fallback);
+
+  const profiles = (Array.isArray(saved.profiles) ? saved.profiles : [])
+    .filter((profile) => Number.isInteger(profile?.id) && typeof profile.name === "string")
+    .map(({ id, name, avatar, preferredMark, preferredColor }) => ({
+      id,
+      name: name.slice(0, MAX_NAME_LENGTH),
+      avatar: pick(avatar, AVATARS, AVATARS[0]),
+      preferredMark: pick(preferredMark, PREFERENCES.preferredMark, ""),
+      preferredColor: pick(preferredColor, PREFERENCES.preferredColor, ""),
+    }));
+
+  const ids = profiles.map(({ id }) => id);
+  const seats = {};
+  for (const [gameKey, entry] of Object.entries(saved.seats ?? {})) {
+    if (!entry || typeof entry !== "object") continue;
+    seats[gameKey] = {
+      players: [0, 1].map((seat) => (ids.includes(entry.players?.[seat]) ? entry.players[seat] : null)),
+      swapSides: entry.swapSides === true,
+      swapped: entry.swapped === true,
+    };
+  }
+
+  return { profiles, seats };
+}
+
+// Current profiles and seats (replaced, never mutated, so React sees every change)
+let store = loadProfiles();
+
+// Components to re-render when the profiles change (see useProfiles)
+const listeners = new Set();
+
+/**
+ * UPDATE STORE
+ * 
+ * @param {Object} nextStore - New profiles and seats
+ */
+function updateStore(nextStore) {
+  store = nextStore;
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch (error) {
+    console.error(error);
+  }
+
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * UPDATE SEATS
+ * 
+ * @param {string} gameKey - Game whose seats change
+ * @param {Object} changes - Any fields of the game's seats, e.g. { swapSides: true }
+ */
+function updateSeats(gameKey, changes) {
+  const seats = store.seats[gameKey] ?? EMPTY_SEATS;
+  updateStore({ ...store, seats: { ...store.seats, [gameKey]: { ...seats, ...changes } } });
+}
+
+// ===== PUBLIC API =====
+
+/**
+ * ADD PROFILE
+ * 
+ * Creates a profile named "Player N" with the next avatar, ready to be renamed.
+ * 
+ * @returns {number} The new profile's id
+ */
+export function addProfile() {
+  const id = Math.max(0, ...store.profiles.map((profile) => profile.id)) + 1;
+  const profile = {
+    id,
+    name: `Player ${store.profiles.length + 1}`,
+    avatar: AVATARS[store.profiles.length % AVATARS.length],
+    preferredMark: "",
+    preferredColor: "",
+  };
+  updateStore({ ...store, profiles: [...store.profiles, profile] });
+  return id;
+}
+
+/**
+ * UPDATE PROFILE
+ * 
+ * @param {number} id - Profile to change
+ * @param {Object} changes - Any of name, avatar, preferredMark, preferredColor
+ */
+export function updateProfile(id, changes) {
+  const profiles = store.profiles.map((profile) => (profile.id === id ? { ...profile, ...changes } : profile));
+  updateStore({ ...store, profiles });
+}
+
+/**
+ * DELETE PROFILE
+ * 
+ * Removes the profile and makes every seat it sat in a guest seat.
+ * 
+ * @param {number} id - Profile to delete
+ */
+export function deleteProfile(id) {
+  const seats = {};
+  for (const [gameKey, entry] of Object.entries(store.seats)) {
+    seats[gameKey] = { ...entry, players: entry.players.map((player) => (player === id ? null : player)) };
+  }
+  updateStore({ profiles: store.profiles.filter((profile) => profile.id !== id), seats });
+}
+
+/**
+ * SEAT SETTER
+ * 
+ * @param {string} gameKey - Game identifier, e.g. "c4" (same keys as saved games)
+ * @param {number} seat - 0 for Player 1, 1 for Player 2
+ * @param {number|null} id - Profile to seat, or null for a guest
+ */
+export function setSeat(gameKey, seat, id) {
+  const players = (store.seats[gameKey] ?? EMPTY_SEATS).players.slice();
+  players[seat] = id;
+  updateSeats(gameKey, { players });
+}
+
+/**
+ * SWAP SIDES SETTER
+ * 
+ * @param {string} gameKey - Game identifier
+ * @param {boolean} swapSides - True to change sides after every game
+ */
+export function setSwapSides(gameKey, swapSides) {
+  updateSeats(gameKey, { swapSides, swapped: false });
+}
+
+/**
+ * NEXT GAME
+ * 
+ * Call when a new game replaces one that was played: with "swap sides"
+ * on, the players change sides, so the other one starts.
+ * 
+ * @param {string} gameKey - Game identifier
+ */
+export function startNextGame(gameKey) {
+  const seats = store.seats[gameKey];
+  if (seats?.swapSides) updateSeats(gameKey, { swapped: !seats.swapped });
+}
+
+/**
+ * PROFILES HOOK
+ * 
+ * @returns {Object} Store in the shape of EMPTY_STORE (re-renders on every change)
+ */
+export function useProfiles() {
+  return useSyncExternalStore(
+    (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    () => store
+  );
+}
+
+/**
+ * GAME SEATS
+ * 
+ * @param {Object} current - Result of useProfiles
+ * @param {string} gameKey - Game identifier
+ * @returns {Object} The game's seats in the shape of EMPTY_SEATS
+ */
+export function gameSeats(current, gameKey) {
+  return current.seats[gameKey] ?? EMPTY_SEATS;
+}
+
+/**
+ * SEATED PROFILES HOOK
+ * 
+ * Which profile plays which side. Player 1 takes the first side unless a
+ * preference says otherwise (Player 1 wants the second side, or only
+ * Player 2 wants the first); swapping sides then turns that around.
+ * 
+ * @param {string} gameKey - Game identifier
+ * @param {Array} sides - The game's players in turn order, e.g. ["X", "O"]
+ * @param {string} preferenceKey - "preferredMark" or "preferredColor"
+ * @returns {Object} Side -> profile (or null for a guest), e.g. { X: {...}, O: null }
+ */
+export function useSeatedProfiles(gameKey, sides, preferenceKey) {
+  const current = useProfiles();
+  const [firstSide, secondSide] = sides;
+
+  return useMemo(() => {
+    const { players, swapped } = gameSeats(current, gameKey);
+    const [first, second] = players.map((id) => current.profiles.find((profile) => profile.id === id) ?? null);
+
+    const prefersSwap = first?.[preferenceKey] === secondSide ||
+      (second?.[preferenceKey] === firstSide && first?.[preferenceKey] !== firstSide);
+    const [playerA, playerB] = prefersSwap !== swapped ? [second, first] : [first, second];
+    return { [firstSide]: playerA, [secondSide]: playerB };
+  }, [current, gameKey, firstSide, secondSide, preferenceKey]);
+}
+
+/**
+ * PLAYER DISPLAY NAME
+ * 
+ * @param {Object|null} profile - Seated profile, or null for a guest
+ * @param {string} fallback - Name used without a profile, e.g. "X" or "Red"
+ * @returns {string} e.g. "🦊 Alice", or the fallback (a profile whose name
+ *                   was erased keeps its avatar and the fallback)
+ */
+export function profileName(profile, fallback) {
+  return profile ? `${profile.avatar} ${profile.name.trim() || fallback}` : fallback;
+}
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * GAME RECORD PANEL COMPONENT
+ * 
+ * Export and import of whole games as text (see gameRecord.js), shared by
+ * the games that support it. Collapsed into a <details> under the board:
+ * - Export writes the current game into the text box, ready to copy or
+ *   download
+ * - A record pasted into the box (or opened from a file) is loaded with
+ *   "Load game"; problems are reported instead of loading half a game
+ */
+
+import { useState } from "react";
+import { formatRecord, parseRecord } from "./gameRecord";
+
+/**
+ * @param {Object} props - Component properties
+ * @param {Object} props.notation - TIC_TAC_TOE_NOTATION or CONNECT_FOUR_NOTATION
+ * @param {Object} props.game - Current game for formatRecord: { moves, config, players, variant }
+ * @param {Function} props.onLoad - Called with the parseRecord result of a valid record; may return
+ *                                  an error message to refuse it (e.g. a board size the game does not offer)
+ * @param {boolean} props.canLoad - False while games cannot be replaced (e.g. online)
+ * @param {string} props.className - CSS class for the wrapper
+ * @param {string} props.buttonClassName - CSS class for the panel's buttons
+ * @returns {JSX.Element} Collapsible record text box and buttons
+ */
+export default function RecordPanel({ notation, game, onLoad, canLoad, className, buttonClassName }) {
+  /**
+   * PANEL STATE
+   * text: Contents of the record text box
+   * message: { text, isError } - Outcome of the last action, or null
+   */
+  const [text, setText] = useState("");
+  const [message, setMessage] = useState(null);
+
+  // ===== ACTIONS =====
+
+  function exportGame() {
+    setText(formatRecord(notation, game));
+    setMessage(null);
+  }
+
+  // The clipboard API is missing on insecure (http://) pages
+  function copyRecord() {
+    const failed = () => setMessage({ text: "Copying failed; select the text and copy it instead.", isError: true });
+    if (!navigator.clipboard) {
+      failed();
+      return;
+    }
+
+    navigator.clipboard.writeText(text)
+      .then(() => setMessage({ text: "Copied to the clipboard.", isError: false }))
+      .catch(failed);
+  }
+
+  /**
+   * DOWNLOAD
+   * A temporary object URL and <a download> link save the text as a file.
+   */
+  function downloadRecord() {
+    const url = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${notation.name.toLowerCase().replace(/\W+/g, "-")}-game.txt`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Reads a chosen file into the text box (it is loaded with "Load game")
+  function openFile(event) {
+    const file = event.target.files[0];
+    event.target.value = "";      // Choosing the same file again still fires onChange
+    if (!file) return;
+
+    file.text()
+      .then((contents) => {
+        setText(contents);
+        setMessage(null);
+      })
+      .catch(() => setMessage({ text: "The file could not be read.", isError: true }));
+  }
+
+  function loadRecord() {
+    const record = parseRecord(notation, text);
+    if (record.error) {
+      setMessage({ text: record.error, isError: true });
+      return;
+    }
+
+    const refusal = onLoad(record);
+    if (refusal) {
+      setMessage({ text: refusal, isError: true });
+      return;
+    }
+
+    const moveCount = record.moves.length;
+    setMessage({ text: `Loaded ${moveCount} ${moveCount === 1 ? "move" : "moves"}.`, isError: false });
+  }
+
+  return (
+    <details className={className}>
+      <summary>Game record</summary>
+
+      {/* RECORD TEXT (editable, so records can be pasted in) */}
+      <textarea
+        aria-label="Game record"
+        rows={8}
+        spellCheck={false}
+        value={text}
+        placeholder={`Paste a record here, or just the moves, e.g. ${notation.moveExample}`}
+        onChange={(e) => setText(e.target.value)}
+      />
+
+      <div>
+        <button className={buttonClassName} onClick={exportGame}>
+          Export game
+        </button>
+        <button className={buttonClassName} onClick={copyRecord} disabled={!text}>
+          Copy
+        </button>
+        <button className={buttonClassName} onClick={downloadRecord} disabled={!text}>
+          Download
+        </button>
+        <button className={buttonClassName} onClick={loadRecord} disabled={!text.trim() || !canLoad}>
+          Load game
+        </button>
+        <label>
+          Open file:
+          <input type="file" accept=".txt,.pgn,text/plain" onChange={openFile} disabled={!canLoad} />
+        </label>
+      </div>
+
+      {/* OUTCOME OF THE LAST ACTION */}
+      {message && <p role={message.isError ? "alert" : "status"}>{message.text}</p>}
+    </details>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * REPLAY CONTROLS COMPONENT
+ * 
+ * A media-player style bar over a game's move history, shared by all
+ * three games so recorded games can be shown hands-free:
+ * - Play / Pause steps through the moves automatically (from the start
+ *   again once the last move is reached)
+ * - Step back / Step forward move one position at a time
+ * - Speed sets the pause between moves
+ * - The slider jumps to any position
+ * 
+ * Whether the replay is playing belongs to the game, which locks its
+ * board meanwhile; the game also decides what a step looks and sounds
+ * like (onStep), while slider jumps and steps back stay silent (onJump).
+ */
+
+import { useEffect, useRef, useState } from "react";
+
+// Playback speed -> label; the pause between moves is BASE_DELAY / speed
+const SPEEDS = [
+  [0.5, "0.5x"],
+  [1, "1x"],
+  [2, "2x"],
+  [4, "4x"],
+];
+const BASE_DELAY = 1000;
+
+/**
+ * @param {Object} props - Component properties
+ * @param {number} props.currentMove - Position being shown (0 = empty board)
+ * @param {number} props.lastMove - Latest position in the history
+ * @param {boolean} props.isPlaying - True while the replay advances by itself
+ * @param {Function} props.onPlayingChange - Called with the new playing state
+ * @param {Function} props.onStep - Called with the next position, to show it with its sounds
+ * @param {Function} props.onJump - Called with a position to show silently
+ * @param {string} props.className - CSS class for the wrapper
+ * @param {string} props.buttonClassName - CSS class for the buttons
+ * @returns {JSX.Element} Replay buttons, speed select and position slider
+ */
+export default function ReplayControls({
+  currentMove,
+  lastMove,
+  isPlaying,
+  onPlayingChange,
+  onStep,
+  onJump,
+  className,
+  buttonClassName,
+}) {
+  // PLAYBACK SPEED (a SPEEDS value)
+  const [speed, setSpeed] = useState(1);
+
+  // Latest callbacks (the games recreate them on every render), for the timer below
+  const callbacksRef = useRef({ onPlayingChange, onStep });
+  useEffect(() => {
+    callbacksRef.current = { onPlayingChange, onStep };
+  });
+
+  /**
+   * AUTO-ADVANCE EFFECT
+   * 
+   * While playing, shows the next move after the delay, and stops at the
+   * latest one. Any change (a step, a jump, a new move) restarts the timer.
+   */
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (currentMove >= lastMove) {
+      callbacksRef.current.onPlayingChange(false);
+      return;
+    }
+
+    const timer = setTimeout(() => callbacksRef.current.onStep(currentMove + 1), BASE_DELAY / speed);
+    return () => clearTimeout(timer);
+  }, [isPlaying, currentMove, lastMove, speed]);
+
+  // PLAY FROM THE START when the latest move is already showing
+  function togglePlaying() {
+    if (isPlaying) {
+      onPlayingChange(false);
+      return;
+    }
+    if (currentMove >= lastMove) onJump(0);
+    onPlayingChange(true);
+  }
+
+  function stepBack() {
+    onPlayingChange(false);
+    onJump(currentMove - 1);
+  }
+
+  function stepForward() {
+    onPlayingChange(false);
+    onStep(currentMove + 1);
+  }
+
+  return (
+    <div className={className}>
+      <button className={buttonClassName} onClick={stepBack} disabled={currentMove === 0}>
+        Step back
+      </button>
+      <button className={buttonClassName} onClick={togglePlaying} disabled={lastMove === 0} aria-pressed={isPlaying}>
+        {isPlaying ? "Pause" : "Play"}
+      </button>
+      <button className={buttonClassName} onClick={stepForward} disabled={currentMove >= lastMove}>
+        Step forward
+      </button>
+
+      <label>
+        Speed:
+        <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+          {SPEEDS.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      {/* POSITION SLIDER */}
+      <label>
+        Move {currentMove} of {lastMove}
+        <input
+          type="range"
+          min={0}
+          max={lastMove}
+          value={currentMove}
+          onChange={(e) => onJump(Number(e.target.value))}
+          disabled={lastMove === 0}
+        />
+      </label>
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,178 @@
+/**
+ * SAVED AND SHARED GAMES
+ * 
+ * Keeps every game's history alive across page refreshes (localStorage)
+ * and in the address bar (URL fragment), so the current position can be
+ * shared by copying the link.
+ * 
+ * Only the moves are stored, never whole boards. Each game is saved as a
+ * compact string:
+ * 
+ *     [<cols>x<rows>x<winLength>_]<moves>[.<cursor>]
+ * 
+ * - The board size prefix is left out for the game's classic board
+ * - Each move is one base-36 character (two when the game has more than
+ *   36 possible moves, e.g. a 15x15 Gomoku board)
+ * - The cursor is the move being shown (time travel), left out when it is
+ *   the latest move
+ * 
+ * All three games share the parameters after the route in the fragment,
+ * e.g. #/connect-four?ttt1=408&c4=4433.2 (see hashRoute.js)
+ * 
+ * Each app describes its save format with an object:
+ * - key: Name used in the URL fragment and in localStorage ("ttt1", "c4", ...)
+ * - defaultConfig: The classic { rows, cols, winLength } board
+ * - moveRange(config): How many different moves exist on that board
+ */
+
+import { formatHash, parseHash, replaceHash } from "./hashRoute";
+
+// Prefix that keeps these keys apart from anything else on the same origin
+const STORAGE_PREFIX = "learningreact.";
+
+// Largest number that fits in two base-36 characters
+const MAX_MOVE_RANGE = 36 * 36;
+
+// ===== ENCODING =====
+
+/**
+ * CONFIG COMPARISON
+ * 
+ * @param {Object} a - { rows, cols, winLength }
+ * @param {Object} b - { rows, cols, winLength }
+ * @returns {boolean} True when both describe the same board and win length
+ */
+export function isSameConfig(a, b) {
+  return a.rows === b.rows && a.cols === b.cols && a.winLength === b.winLength;
+}
+
+/**
+ * CHARACTERS PER MOVE
+ * 
+ * @param {number} moveRange - Number of different moves on the board
+ * @returns {number} 1 or 2
+ */
+function moveWidth(moveRange) {
+  return moveRange > 36 ? 2 : 1;
+}
+
+/**
+ * ENCODE GAME
+ * 
+ * @param {Object} game - { moves, cursor, config }
+ * @param {Object} format - Save format (see top of file)
+ * @returns {string} Compact game string, e.g. "4433.2"
+ */
+export function encodeGame({ moves, cursor, config }, format) {
+  const width = moveWidth(format.moveRange(config));
+  const size = isSameConfig(config, format.defaultConfig)
+    ? ""
+    : `${config.cols}x${config.rows}x${config.winLength}_`;
+
+  const moveText = moves.map((move) => move.toString(36).padStart(width, "0")).join("");
+  const cursorText = cursor === moves.length ? "" : `.${cursor}`;
+
+  return size + moveText + cursorText;
+}
+
+/**
+ * DECODE GAME
+ * 
+ * Parses a string written by encodeGame. Moves outside the board are
+ * dropped (along with everything after them); the moves themselves are
+ * checked against the rules when the app replays them.
+ * 
+ * @param {string} text - Compact game string
+ * @param {Object} format - Save format (see top of file)
+ * @returns {Object|null} { moves, cursor, config }, or null if the text is not a saved game
+ */
+export function decodeGame(text, format) {
+  const match = /^(?:(\d+)x(\d+)x(\d+)_)?([0-9a-z]*)(?:\.(\d+))?$/.exec(text);
+  if (!match) return null;
+
+  const [, cols, rows, winLength, moveText, cursorText] = match;
+  const config = cols
+    ? { rows: Number(rows), cols: Number(cols), winLength: Number(winLength) }
+    : format.defaultConfig;
+
+  const moveRange = format.moveRange(config);
+  if (moveRange > MAX_MOVE_RANGE) return null;
+
+  const width = moveWidth(moveRange);
+  if (moveText.length % width !== 0) return null;
+
+  // SPLIT INTO MOVES, STOPPING AT THE FIRST ONE OFF THE BOARD
+  const moves = [];
+  for (let i = 0; i < moveText.length; i += width) {
+    const move = parseInt(moveText.slice(i, i + width), 36);
+    if (move >= moveRange) break;
+    moves.push(move);
+  }
+
+  const cursor = cursorText === undefined ? moves.length : Math.min(Number(cursorText), moves.length);
+  return { moves, cursor, config };
+}
+
+// ===== BROWSER STORAGE =====
+
+/**
+ * LOAD GAME
+ * 
+ * A game in the URL fragment (a shared link) wins over the one saved in
+ * localStorage on this device.
+ * 
+ * @param {Object} format - Save format (see top of file)
+ * @returns {Object|null} { moves, cursor, config }, or null if nothing was saved
+ */
+export function loadGame(format) {
+  let text = parseHash(window.location.hash).params.get(format.key);
+
+  if (text === null) {
+    try {
+      text = window.localStorage.getItem(STORAGE_PREFIX + format.key);
+    } catch (error) {
+      // Storage can be disabled (private browsing, blocked cookies)
+      console.error(error);
+    }
+  }
+
+  return text ? decodeGame(text, format) : null;
+}
+
+/**
+ * SAVE GAME
+ * 
+ * Writes the game to localStorage and to the URL fragment. The fragment is
+ * updated with history.replaceState, so moves do not add browser history
+ * entries. An empty classic board is removed from both (an empty board of
+ * another size is kept, so the chosen size survives a refresh).
+ * 
+ * @param {Object} format - Save format (see top of file)
+ * @param {Object} game - { moves, cursor, config }
+ */
+export function saveGame(format, game) {
+  const isEmpty = game.moves.length === 0 && isSameConfig(game.config, format.defaultConfig);
+  const text = isEmpty ? null : encodeGame(game, format);
+
+  // LOCAL STORAGE
+  try {
+    if (text) {
+      window.localStorage.setItem(STORAGE_PREFIX + format.key, text);
+    } else {
+      window.localStorage.removeItem(STORAGE_PREFIX + format.key);
+    }
+  } catch (error) {
+    console.error(error);
+  }
+
+  // URL FRAGMENT
+  // The route and other games' entries are kept, only this game's key changes
+  const { path, params } = parseHash(window.location.hash);
+  if (text) {
+    params.set(format.key, text);
+  } else {
+    params.delete(format.key);
+  }
+
+  replaceHash(formatHash(path, params));
+}
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * SCOREBOARD COMPONENT
+ * 
+ * Shows a game's saved statistics (see stats.js) next to its status:
+ * wins for each side, draws, streaks, average game length and the
+ * fastest win, with a button to start the scoreboard over.
+ */
+
+import { resetStats, useGameStats } from "./stats";
+
+/**
+ * @param {Object} props - Component properties
+ * @param {string} props.gameKey - Game identifier, e.g. "c4"
+ * @param {Object} props.playerNames - Display name for each player, in turn order, e.g. { X: "X", O: "O" }
+ * @param {string} props.className - CSS class for the wrapper
+ * @param {string} props.buttonClassName - CSS class for the reset button
+ * @returns {JSX.Element} Statistics table and reset button
+ */
+export default function Scoreboard({ gameKey, playerNames, className, buttonClassName }) {
+  const stats = useGameStats(gameKey);
+  const players = Object.keys(playerNames);
+
+  // STREAK TEXT, e.g. "X, 3 in a row" (nothing after a draw or a reset)
+  const { streak, fastestWin } = stats;
+  const streakText = streak.player ? `${playerNames[streak.player]}, ${streak.length} in a row` : "None";
+
+  // AVERAGE LENGTH, rounded to one decimal place
+  const averageText = stats.games > 0 ? `${Math.round((stats.totalMoves / stats.games) * 10) / 10} moves` : "-";
+
+  return (
+    <div className={className}>
+      <table>
+        <caption>Scoreboard</caption>
+        <tbody>
+          {/* WINS AND BEST STREAK FOR EACH SIDE */}
+          {players.map((player) => (
+            <tr key={player}>
+              <th scope="row">{playerNames[player]} wins</th>
+              <td>
+                {stats.wins[player] ?? 0}
+                {stats.bestStreaks[player] > 1 && ` (best streak ${stats.bestStreaks[player]})`}
+              </td>
+            </tr>
+          ))}
+          <tr>
+            <th scope="row">Draws</th>
+            <td>{stats.draws}</td>
+          </tr>
+          <tr>
+            <th scope="row">Current streak</th>
+            <td>{streakText}</td>
+          </tr>
+          <tr>
+            <th scope="row">Average game</th>
+            <td>{averageText}</td>
+          </tr>
+          <tr>
+            <th scope="row">Fastest win</th>
+            <td>{fastestWin ? `${playerNames[fastestWin.player]}, ${fastestWin.moves} moves` : "-"}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <button className={buttonClassName} onClick={() => resetStats(gameKey)} disabled={stats.games === 0}>
+        Reset stats
+      </button>
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,322 @@
+/**
+ * SOUND MANAGER
+ * 
+ * One audio service shared by every game, so sounds behave the same
+ * everywhere and one mute button silences them all.
+ * 
+ * Features:
+ * - Per-event sound mapping: games ask for "xMove" or "piece", not file names
+ * - Web Audio API buffers: each sound file is downloaded and decoded once,
+ *   and every play starts a new source, so rapid moves overlap instead of
+ *   cutting each other off
+ * - Master volume and mute, saved in localStorage
+ * - Silent no-op when audio is unavailable or blocked: browsers refuse to
+ *   start audio before the first click or key press (autoplay policy), and
+ *   sounds requested before then are simply skipped
+ * 
+ * Browsers without the Web Audio API fall back to a new <audio> element
+ * per play.
+ */
+
+import { useSyncExternalStore } from "react";
+
+// ===== SOUND EVENTS =====
+/**
+ * SOUND FILES
+ * 
+ * Event name -> file in public/sounds
+ */
+const SOUND_FILES = {
+  xMove: "x.mp3",         // X placed (tic-tac-toe)
+  oMove: "o.mp3",         // O placed (tic-tac-toe)
+  piece: "piece.mp3",     // Piece landed (Connect Four)
+  winX: "win-x.mp3",      // X / red won
+  winO: "win-o.mp3",      // O / yellow won
+  draw: "draw.mp3",       // Board filled with no winner
+  lowTime: "low-time.wav", // A chess clock is running low
+};
+
+/**
+ * GENERATED TONES
+ * 
+ * Events without a sound file, played as a short fading tone.
+ * Event name -> { type, frequency, duration } (oscillator wave, Hz, seconds)
+ */
+const TONES = {
+  reject: { type: "square", frequency: 110, duration: 0.15 },     // Low buzz for a move that is not allowed
+};
+
+// Key for the saved preferences (same prefix as saved games)
+const STORAGE_KEY = "learningreact.sound";
+
+const DEFAULT_PREFERENCES = { muted: false, volume: 0.8 };
+
+// Longest wait for a suspended context to resume before a sound is dropped (ms)
+const RESUME_TIMEOUT = 200;
+
+// ===== PREFERENCES =====
+
+/**
+ * LOAD PREFERENCES
+ * 
+ * @returns {Object} { muted, volume } from localStorage, or the defaults
+ */
+function loadPreferences() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (saved && typeof saved.muted === "boolean" && saved.volume >= 0 && saved.volume <= 1) {
+      return { muted: saved.muted, volume: saved.volume };
+    }
+  } catch (error) {
+    // Storage disabled or unreadable: use the defaults
+  }
+  return DEFAULT_PREFERENCES;
+}
+
+// Current preferences (replaced, never mutated, so React sees every change)
+let preferences = loadPreferences();
+
+// Components to re-render when the preferences change (see useSoundSettings)
+const listeners = new Set();
+
+/**
+ * UPDATE PREFERENCES
+ * 
+ * @param {Object} changes - Any of { muted, volume }
+ */
+function updatePreferences(changes) {
+  preferences = { ...preferences, ...changes };
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    console.error(error);
+  }
+
+  applyVolume();
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * MUTE TOGGLE
+ * 
+ * @param {boolean} muted - True to silence every game
+ */
+export function setMuted(muted) {
+  updatePreferences({ muted });
+}
+
+/**
+ * MASTER VOLUME
+ * 
+ * @param {number} volume - 0 (silent) to 1 (full volume)
+ */
+export function setVolume(volume) {
+  updatePreferences({ volume: Math.min(1, Math.max(0, volume)) });
+}
+
+// ===== WEB AUDIO SETUP =====
+
+/**
+ * AUDIO STATE
+ * 
+ * context: The shared AudioContext (created on first use), or null
+ * masterGain: Gain node every sound passes through (volume and mute)
+ * buffers: Event name -> promise of its decoded AudioBuffer
+ */
+let context = null;
+let masterGain = null;
+const buffers = new Map();
+
+/**
+ * AUDIO CONTEXT
+ * 
+ * Created lazily: browsers warn about contexts made before the user has
+ * interacted with the page. A context created early starts "suspended"
+ * and is resumed by the first click or key press.
+ * 
+ * @returns {AudioContext|null} The shared context, or null without Web Audio
+ */
+function getContext() {
+  if (context) return context;
+
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return null;
+
+  try {
+    context = new AudioContext();
+  } catch (error) {
+    console.error(error);
+    return null;
+  }
+
+  masterGain = context.createGain();
+  masterGain.connect(context.destination);
+  applyVolume();
+
+  // UNLOCK ON THE FIRST USER GESTURE (autoplay policy)
+  const unlock = () => {
+    context.resume().catch(() => {});
+    window.removeEventListener("pointerdown", unlock);
+    window.removeEventListener("keydown", unlock);
+  };
+  window.addEventListener("pointerdown", unlock);
+  window.addEventListener("keydown", unlock);
+
+  return context;
+}
+
+/**
+ * APPLY VOLUME
+ * 
+ * Sets the master gain from the preferences (0 when muted).
+ */
+function applyVolume() {
+  if (masterGain) {
+    masterGain.gain.value = preferences.muted ? 0 : preferences.volume;
+  }
+}
+
+/**
+ * SOUND URL
+ * 
+ * @param {string} name - Event name from SOUND_FILES
+ * @returns {string} URL of the sound file
+ */
+function soundUrl(name) {
+  return `${process.env.PUBLIC_URL}/sounds/${SOUND_FILES[name]}`;
+}
+
+// ===== PUBLIC API =====
+
+/**
+ * PRELOAD SOUNDS
+ * 
+ * Downloads and decodes sound files ahead of time, so the first play is
+ * not delayed. Safe to call more than once: each file is fetched once.
+ * 
+ * @param {Array} names - Event names from SOUND_FILES
+ */
+export function preloadSounds(names) {
+  const audioContext = getContext();
+  if (!audioContext) return;
+
+  for (const name of names) {
+    if (buffers.has(name) || !SOUND_FILES[name]) continue;
+
+    const buffer = fetch(soundUrl(name))
+      .then((response) => response.arrayBuffer())
+      .then((data) => audioContext.decodeAudioData(data))
+      .catch((error) => {
+        console.error(error);
+        return null;     // Leave this sound silent rather than failing every play
+      });
+    buffers.set(name, buffer);
+  }
+}
+
+/**
+ * PLAY SOUND
+ * 
+ * Plays a sound event at the master volume. Never throws and never waits:
+ * when muted, blocked, or not loaded yet, it does nothing.
+ * 
+ * @param {string} name - Event name from SOUND_FILES or TONES
+ */
+export function playSound(name) {
+  if (preferences.muted) return;
+
+  const audioContext = getContext();
+
+  // FALLBACK: no Web Audio API
+  if (!audioContext) {
+    if (!SOUND_FILES[name]) return;
+    const audio = new Audio(soundUrl(name));
+    audio.volume = preferences.volume;
+    audio.play().catch(() => {});     // Blocked by autoplay policy
+    return;
+  }
+
+  // Load on first use if the game did not preload it
+  if (!TONES[name] && !buffers.has(name)) preloadSounds([name]);
+
+  whenRunning(audioContext, () => {
+    if (TONES[name]) {
+      playTone(audioContext, TONES[name]);
+      return;
+    }
+
+    buffers.get(name)?.then((buffer) => {
+      if (!buffer) return;
+      const source = audioContext.createBufferSource();
+      source.buffer = buffer;
+      source.connect(masterGain);
+      source.start();
+    });
+  });
+}
+
+/**
+ * WAIT FOR A RUNNING CONTEXT
+ * 
+ * A suspended context (no click or key press yet) is asked to resume.
+ * The sound only plays if that succeeds straight away; otherwise the
+ * browser is blocking audio and the sound is dropped, rather than
+ * playing late when the player eventually clicks.
+ * 
+ * @param {AudioContext} audioContext - Shared context
+ * @param {Function} start - Starts the sound
+ */
+function whenRunning(audioContext, start) {
+  if (audioContext.state === "running") {
+    start();
+    return;
+  }
+
+  const requestedAt = performance.now();
+  audioContext.resume()
+    .then(() => {
+      if (performance.now() - requestedAt < RESUME_TIMEOUT) start();
+    })
+    .catch(() => {});
+}
+
+/**
+ * GENERATED TONE
+ * 
+ * @param {AudioContext} audioContext - Running context
+ * @param {Object} tone - { type, frequency, duration } from TONES
+ */
+function playTone(audioContext, { type, frequency, duration }) {
+  const oscillator = audioContext.createOscillator();
+  const gain = audioContext.createGain();
+
+  // FADE OUT OVER THE TONE'S DURATION
+  oscillator.type = type;
+  oscillator.frequency.value = frequency;
+  gain.gain.setValueAtTime(0.1, audioContext.currentTime);
+  gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + duration);
+
+  oscillator.connect(gain);
+  gain.connect(masterGain);
+  oscillator.start();
+  oscillator.stop(audioContext.currentTime + duration);
+}
+
+/**
+ * SOUND SETTINGS HOOK
+ * 
+ * Re-renders the component whenever the mute or volume setting changes,
+ * wherever it was changed from.
+ * 
+ * @returns {Object} { muted, volume }
+ */
+export function useSoundSettings() {
+  return useSyncExternalStore(
+    (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    () => preferences
+  );
+}
\ No newline at end of file
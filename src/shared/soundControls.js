@@ -0,0 +1,41 @@
+/**
+ * SOUND CONTROLS COMPONENT
+ * 
+ * Mute button and master volume slider for the sound manager (sound.js).
+ * Shown once in the shared header; the setting applies to every game and
+ * is remembered between visits.
+ */
+
+import { setMuted, setVolume, useSoundSettings } from "./sound";
+
+/**
+ * @param {Object} props - Component properties
+ * @param {string} props.className - CSS class for the wrapper
+ * @returns {JSX.Element} Mute toggle and volume slider
+ */
+export default function SoundControls({ className }) {
+  const { muted, volume } = useSoundSettings();
+
+  return (
+    <div className={className}>
+      {/* MUTE TOGGLE */}
+      {/* aria-pressed tells screen readers whether sound is currently off */}
+      <button aria-pressed={muted} onClick={() => setMuted(!muted)}>
+        {muted ? "Sound off" : "Sound on"}
+      </button>
+
+      {/* MASTER VOLUME (0-100%) */}
+      <label>
+        Volume:
+        <input
+          type="range"
+          min={0}
+          max={100}
+          value={Math.round(volume * 100)}
+          disabled={muted}
+          onChange={(e) => setVolume(Number(e.target.value) / 100)}
+        />
+      </label>
+    </div>
+  );
+}
\ No newline at end of file
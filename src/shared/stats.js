@@ -0,0 +1,162 @@
+/**
+ * GAME STATISTICS
+ * 
+ * A scoreboard for each game, kept in localStorage so it survives
+ * restarts, new games and page reloads:
+ * - Wins for each side and draws
+ * - The current winning streak and each side's best streak
+ * - Average game length and the fastest win, in moves
+ * 
+ * Games report each finished game once with recordGame; components show
+ * the numbers with useGameStats (see scoreboard.js).
+ */
+
+import { useSyncExternalStore } from "react";
+
+// Key for the saved statistics (same prefix as saved games)
+const STORAGE_KEY = "learningreact.stats";
+
+/**
+ * EMPTY STATISTICS
+ * 
+ * games: Finished games (wins plus draws)
+ * wins: Player -> games won, e.g. { X: 3, O: 1 } (players appear after their first win)
+ * draws: Games that ended with no winner
+ * totalMoves: Moves played across all finished games (for the average)
+ * streak: { player, length } - Who won the latest games in a row (player is null after a draw)
+ * bestStreaks: Player -> longest run of wins in a row
+ * fastestWin: { player, moves } - The win in the fewest moves, or null
+ */
+const EMPTY_STATS = {
+  games: 0,
+  wins: {},
+  draws: 0,
+  totalMoves: 0,
+  streak: { player: null, length: 0 },
+  bestStreaks: {},
+  fastestWin: null,
+};
+
+// ===== STATISTICS STORE =====
+
+/**
+ * LOAD STATISTICS
+ * 
+ * Entries that are not objects are dropped; fields missing from an entry
+ * (saved by an older version) start from EMPTY_STATS.
+ * 
+ * @returns {Object} Game key -> statistics, e.g. { c4: {...}, ttt2: {...} }
+ */
+function loadStats() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!saved || typeof saved !== "object") return {};
+
+    const stats = {};
+    for (const [gameKey, entry] of Object.entries(saved)) {
+      if (entry && typeof entry === "object") stats[gameKey] = { ...EMPTY_STATS, ...entry };
+    }
+    return stats;
+  } catch (error) {
+    // Storage disabled or unreadable: start with an empty scoreboard
+    return {};
+  }
+}
+
+// Current statistics for every game (replaced, never mutated, so React sees every change)
+let allStats = loadStats();
+
+// Components to re-render when the statistics change (see useGameStats)
+const listeners = new Set();
+
+/**
+ * UPDATE STATISTICS
+ * 
+ * @param {string} gameKey - Game whose scoreboard changed
+ * @param {Object|undefined} stats - New statistics, or undefined to remove them
+ */
+function updateStats(gameKey, stats) {
+  const nextStats = { ...allStats };
+  if (stats) {
+    nextStats[gameKey] = stats;
+  } else {
+    delete nextStats[gameKey];
+  }
+  allStats = nextStats;
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(allStats));
+  } catch (error) {
+    console.error(error);
+  }
+
+  listeners.forEach((listener) => listener());
+}
+
+// ===== PUBLIC API =====
+
+/**
+ * RECORD A FINISHED GAME
+ * 
+ * Call once per game, when its final move is played.
+ * 
+ * @param {string} gameKey - Game identifier, e.g. "c4" (same keys as saved games)
+ * @param {string|null} winner - Winning player, or null for a draw
+ * @param {number} moves - Moves played in the game
+ */
+export function recordGame(gameKey, winner, moves) {
+  const stats = allStats[gameKey] ?? EMPTY_STATS;
+
+  // DRAW: counted, and ends any winning streak
+  if (!winner) {
+    updateStats(gameKey, {
+      ...stats,
+      games: stats.games + 1,
+      draws: stats.draws + 1,
+      totalMoves: stats.totalMoves + moves,
+      streak: { player: null, length: 0 },
+    });
+    return;
+  }
+
+  // WIN: extends the winner's streak, or starts a new one
+  const streakLength = stats.streak.player === winner ? stats.streak.length + 1 : 1;
+  const isFastest = !stats.fastestWin || moves < stats.fastestWin.moves;
+
+  updateStats(gameKey, {
+    ...stats,
+    games: stats.games + 1,
+    wins: { ...stats.wins, [winner]: (stats.wins[winner] ?? 0) + 1 },
+    totalMoves: stats.totalMoves + moves,
+    streak: { player: winner, length: streakLength },
+    bestStreaks: { ...stats.bestStreaks, [winner]: Math.max(stats.bestStreaks[winner] ?? 0, streakLength) },
+    fastestWin: isFastest ? { player: winner, moves } : stats.fastestWin,
+  });
+}
+
+/**
+ * RESET STATISTICS
+ * 
+ * @param {string} gameKey - Game whose scoreboard is cleared
+ */
+export function resetStats(gameKey) {
+  updateStats(gameKey, undefined);
+}
+
+/**
+ * GAME STATISTICS HOOK
+ * 
+ * Re-renders the component whenever this game's statistics change.
+ * 
+ * @param {string} gameKey - Game identifier, e.g. "c4"
+ * @returns {Object} Statistics in the shape of EMPTY_STATS
+ */
+export function useGameStats(gameKey) {
+  return useSyncExternalStore(
+    (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    () => allStats[gameKey] ?? EMPTY_STATS
+  );
+}
\ No newline at end of file
@@ -0,0 +1,312 @@
+/**
+ * THEMES AND PLAYER APPEARANCE
+ * 
+ * Runtime appearance settings shared by every game, saved in localStorage:
+ * - Theme: a whole color palette (dark, light, high contrast, colorblind-safe),
+ *   or "system" to follow the device's prefers-color-scheme / prefers-contrast
+ * - Connect Four: each player's piece color
+ * - Tic-tac-toe: each player's symbol and color
+ * 
+ * Everything is applied through CSS custom properties on <html>, so the
+ * stylesheets only ever use var(...) and pick up changes instantly:
+ * - data-theme="dark|light|high-contrast|colorblind" selects a palette in variables.css
+ * - --piece-red / --piece-yellow: Connect Four piece colors (by engine player)
+ * - --mark-x / --mark-o: Tic-tac-toe mark colors
+ * 
+ * Symbols cannot be set from CSS (screen readers need the text), so
+ * components read them with useAppearance.
+ */
+
+import { useSyncExternalStore } from "react";
+
+// ===== OPTIONS =====
+
+/**
+ * THEMES
+ * 
+ * Theme key -> label. Each theme (except "system") has a palette in
+ * variables.css and default player colors in THEME_PLAYER_COLORS.
+ */
+export const THEMES = {
+  system: "Match my device",
+  dark: "Dark",
+  light: "Light",
+  "high-contrast": "High contrast",
+  colorblind: "Colorblind-safe",
+};
+
+/**
+ * PIECE COLORS
+ * 
+ * Colors players can pick. Orange, sky blue, bluish green and reddish
+ * purple come from the Okabe-Ito palette, which stays distinguishable
+ * with the common kinds of color blindness.
+ */
+export const PIECE_COLORS = {
+  red: { label: "Red", value: "red" },
+  yellow: { label: "Yellow", value: "yellow" },
+  orange: { label: "Orange", value: "#e69f00" },
+  blue: { label: "Blue", value: "#0072b2" },
+  sky: { label: "Sky blue", value: "#56b4e9" },
+  green: { label: "Green", value: "#009e73" },
+  purple: { label: "Purple", value: "#cc79a7" },
+  white: { label: "White", value: "#ffffff" },
+};
+
+/**
+ * THEME PLAYER COLORS
+ * 
+ * Default colors for each theme, used until a player picks their own:
+ * - c4: Connect Four pieces [first player, second player]
+ * - ttt: Tic-tac-toe marks [X, O] (null = the theme's accent color)
+ */
+const THEME_PLAYER_COLORS = {
+  dark: { c4: ["red", "yellow"], ttt: [null, null] },
+  light: { c4: ["red", "yellow"], ttt: [null, null] },
+  "high-contrast": { c4: ["yellow", "white"], ttt: [null, null] },
+  colorblind: { c4: ["orange", "blue"], ttt: ["orange", "sky"] },
+};
+
+// Symbols tic-tac-toe players can use instead of X and O
+export const MARK_SYMBOLS = ["X", "O", "✕", "◯", "★", "♥", "▲", "■"];
+
+// Key for the saved settings (same prefix as saved games)
+const STORAGE_KEY = "learningreact.appearance";
+
+/**
+ * DEFAULT SETTINGS
+ * 
+ * theme: Key into THEMES
+ * pieceColors: Connect Four player -> PIECE_COLORS key ("" = theme default)
+ * markSymbols: Tic-tac-toe player -> symbol shown on the board
+ * markColors: Tic-tac-toe player -> PIECE_COLORS key ("" = theme default)
+ */
+const DEFAULT_SETTINGS = {
+  theme: "system",
+  pieceColors: { red: "", yellow: "" },
+  markSymbols: { X: "X", O: "O" },
+  markColors: { X: "", O: "" },
+};
+
+// ===== SETTINGS STORE =====
+
+/**
+ * LOAD SETTINGS
+ * 
+ * Anything missing or unknown in the saved settings falls back to the default.
+ * 
+ * @returns {Object} Settings in the shape of DEFAULT_SETTINGS
+ */
+function loadSettings() {
+  let saved = null;
+  try {
+    saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    // Storage disabled or unreadable: use the defaults
+  }
+  if (!saved || typeof saved !== "object") return DEFAULT_SETTINGS;
+
+  const pick = (value, isValid, fallback) => (isValid(value) ? value : fallback);
+  const isColor = (value) => value === "" || value in PIECE_COLORS;
+  const isSymbol = (value) => MARK_SYMBOLS.includes(value);
+
+  return {
+    theme: pick(saved.theme, (value) => value in THEMES, DEFAULT_SETTINGS.theme),
+    pieceColors: {
+      red: pick(saved.pieceColors?.red, isColor, ""),
+      yellow: pick(saved.pieceColors?.yellow, isColor, ""),
+    },
+    markSymbols: {
+      X: pick(saved.markSymbols?.X, isSymbol, "X"),
+      O: pick(saved.markSymbols?.O, isSymbol, "O"),
+    },
+    markColors: {
+      X: pick(saved.markColors?.X, isColor, ""),
+      O: pick(saved.markColors?.O, isColor, ""),
+    },
+  };
+}
+
+// Current settings (replaced, never mutated, so React sees every change)
+let settings = loadSettings();
+
+// Components to re-render when the appearance changes (see useAppearance)
+const listeners = new Set();
+
+/**
+ * UPDATE SETTINGS
+ * 
+ * @param {Object} changes - Any top-level settings fields, e.g. { theme: "light" }
+ */
+function updateSettings(changes) {
+  settings = { ...settings, ...changes };
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error(error);
+  }
+
+  applyAppearance();
+}
+
+/**
+ * THEME SETTER
+ * 
+ * @param {string} theme - Key into THEMES
+ */
+export function setTheme(theme) {
+  updateSettings({ theme });
+}
+
+/**
+ * CONNECT FOUR COLOR SETTER
+ * 
+ * @param {string} player - "red" or "yellow" (the engine's player names)
+ * @param {string} color - PIECE_COLORS key, or "" for the theme default
+ */
+export function setPieceColor(player, color) {
+  updateSettings({ pieceColors: { ...settings.pieceColors, [player]: color } });
+}
+
+/**
+ * TIC-TAC-TOE SYMBOL SETTER
+ * 
+ * @param {string} player - "X" or "O"
+ * @param {string} symbol - One of MARK_SYMBOLS
+ */
+export function setMarkSymbol(player, symbol) {
+  updateSettings({ markSymbols: { ...settings.markSymbols, [player]: symbol } });
+}
+
+/**
+ * TIC-TAC-TOE COLOR SETTER
+ * 
+ * @param {string} player - "X" or "O"
+ * @param {string} color - PIECE_COLORS key, or "" for the theme default
+ */
+export function setMarkColor(player, color) {
+  updateSettings({ markColors: { ...settings.markColors, [player]: color } });
+}
+
+// ===== APPLYING THE APPEARANCE =====
+
+// Media queries behind the "system" theme
+const lightQuery = window.matchMedia?.("(prefers-color-scheme: light)");
+const contrastQuery = window.matchMedia?.("(prefers-contrast: more)");
+
+/**
+ * RESOLVED THEME
+ * 
+ * @param {string} theme - Key into THEMES
+ * @returns {string} The palette to show ("system" resolved from the device settings)
+ */
+function resolveTheme(theme) {
+  if (theme !== "system") return theme;
+  if (contrastQuery?.matches) return "high-contrast";
+  return lightQuery?.matches ? "light" : "dark";
+}
+
+/**
+ * APPEARANCE SNAPSHOT
+ * 
+ * Everything components need, with theme defaults filled in.
+ * Rebuilt whenever the settings or the device theme change.
+ */
+let appearance = null;
+
+function buildAppearance() {
+  const resolvedTheme = resolveTheme(settings.theme);
+  const defaults = THEME_PLAYER_COLORS[resolvedTheme];
+
+  const defaultPieceColors = { red: defaults.c4[0], yellow: defaults.c4[1] };
+  const defaultMarkColors = { X: defaults.ttt[0], O: defaults.ttt[1] };
+
+  return {
+    ...settings,
+    resolvedTheme,
+    defaultPieceColors,
+    defaultMarkColors,
+    // Connect Four player -> PIECE_COLORS key actually shown
+    pieceColorKeys: {
+      red: settings.pieceColors.red || defaultPieceColors.red,
+      yellow: settings.pieceColors.yellow || defaultPieceColors.yellow,
+    },
+    // Tic-tac-toe player -> PIECE_COLORS key actually shown, or null for the accent color
+    markColorKeys: {
+      X: settings.markColors.X || defaultMarkColors.X,
+      O: settings.markColors.O || defaultMarkColors.O,
+    },
+  };
+}
+
+/**
+ * APPLY APPEARANCE
+ * 
+ * Writes the theme and player colors to <html> and notifies components.
+ */
+function applyAppearance() {
+  appearance = buildAppearance();
+
+  const root = document.documentElement;
+  root.dataset.theme = appearance.resolvedTheme;
+
+  root.style.setProperty("--piece-red", PIECE_COLORS[appearance.pieceColorKeys.red].value);
+  root.style.setProperty("--piece-yellow", PIECE_COLORS[appearance.pieceColorKeys.yellow].value);
+
+  // Marks without a chosen color use the theme's accent color (set in variables.css)
+  for (const [player, property] of [["X", "--mark-x"], ["O", "--mark-o"]]) {
+    const key = appearance.markColorKeys[player];
+    if (key) {
+      root.style.setProperty(property, PIECE_COLORS[key].value);
+    } else {
+      root.style.removeProperty(property);
+    }
+  }
+
+  listeners.forEach((listener) => listener());
+}
+
+// APPLY ON LOAD (before the first render, so the page never flashes the wrong theme)
+applyAppearance();
+
+// FOLLOW DEVICE CHANGES while the "system" theme is selected
+[lightQuery, contrastQuery].forEach((query) => {
+  query?.addEventListener?.("change", () => {
+    if (settings.theme === "system") applyAppearance();
+  });
+});
+
+// ===== REACT HOOK =====
+
+/**
+ * APPEARANCE HOOK
+ * 
+ * @returns {Object} Current settings (theme, pieceColors, markSymbols, markColors) plus:
+ *   - resolvedTheme: The palette being shown
+ *   - defaultPieceColors / defaultMarkColors: The theme's player colors
+ *   - pieceColorKeys / markColorKeys: The player colors being shown
+ */
+export function useAppearance() {
+  return useSyncExternalStore(
+    (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    () => appearance
+  );
+}
+
+/**
+ * CONNECT FOUR PLAYER NAME
+ * 
+ * Players are named after their piece color ("Red", "Orange", ...), so the
+ * text always matches the board.
+ * 
+ * @param {Object} current - Result of useAppearance
+ * @param {string} player - "red" or "yellow"
+ * @returns {string} Display name
+ */
+export function pieceColorName(current, player) {
+  return PIECE_COLORS[current.pieceColorKeys[player]].label;
+}
\ No newline at end of file
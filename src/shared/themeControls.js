@@ -0,0 +1,133 @@
+/**
+ * APPEARANCE CONTROLS COMPONENT
+ * 
+ * Theme picker and per-player colors and symbols (see theme.js).
+ * Shown once in the shared header, inside a collapsible <details> so it
+ * stays out of the way; every change applies to all games at once and
+ * is remembered between visits.
+ */
+
+import {
+  MARK_SYMBOLS,
+  PIECE_COLORS,
+  THEMES,
+  setMarkColor,
+  setMarkSymbol,
+  setPieceColor,
+  setTheme,
+  useAppearance,
+} from "./theme";
+
+/**
+ * COLOR SELECT
+ * 
+ * Dropdown of PIECE_COLORS plus a "theme default" entry. The other
+ * player's color is disabled, so the two players always look different.
+ * 
+ * @param {Object} props - Component properties
+ * @param {string} props.label - Visible label
+ * @param {string} props.value - Chosen PIECE_COLORS key, or "" for the theme default
+ * @param {string|null} props.otherColor - The other player's color as shown (PIECE_COLORS key)
+ * @param {string|null} props.defaultColor - This player's theme default (PIECE_COLORS key, or null = accent color)
+ * @param {Function} props.onChange - Called with the new value
+ * @returns {JSX.Element} Labelled dropdown
+ */
+function ColorSelect({ label, value, otherColor, defaultColor, onChange }) {
+  const defaultLabel = defaultColor ? PIECE_COLORS[defaultColor].label : "Accent";
+
+  return (
+    <label>
+      {label}
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="" disabled={defaultColor !== null && defaultColor === otherColor}>
+          Theme default ({defaultLabel})
+        </option>
+        {Object.entries(PIECE_COLORS).map(([key, { label: colorLabel }]) => (
+          <option key={key} value={key} disabled={key === otherColor}>{colorLabel}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * APPEARANCE CONTROLS
+ * 
+ * @param {Object} props - Component properties
+ * @param {string} props.className - CSS class for the wrapper
+ * @returns {JSX.Element} Collapsible appearance settings
+ */
+export default function ThemeControls({ className }) {
+  const {
+    theme,
+    pieceColors,
+    pieceColorKeys,
+    defaultPieceColors,
+    markSymbols,
+    markColors,
+    markColorKeys,
+    defaultMarkColors,
+  } = useAppearance();
+
+  return (
+    <details className={className}>
+      <summary>Appearance</summary>
+
+      {/* THEME */}
+      <label>
+        Theme:
+        <select value={theme} onChange={(e) => setTheme(e.target.value)}>
+          {Object.entries(THEMES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      {/* CONNECT FOUR PIECE COLORS */}
+      <fieldset>
+        <legend>Connect Four</legend>
+        <ColorSelect
+          label="First player:"
+          value={pieceColors.red}
+          otherColor={pieceColorKeys.yellow}
+          defaultColor={defaultPieceColors.red}
+          onChange={(color) => setPieceColor("red", color)}
+        />
+        <ColorSelect
+          label="Second player:"
+          value={pieceColors.yellow}
+          otherColor={pieceColorKeys.red}
+          defaultColor={defaultPieceColors.yellow}
+          onChange={(color) => setPieceColor("yellow", color)}
+        />
+      </fieldset>
+
+      {/* TIC-TAC-TOE SYMBOLS AND COLORS */}
+      <fieldset>
+        <legend>Tic-tac-toe</legend>
+        {["X", "O"].map((player) => {
+          const other = player === "X" ? "O" : "X";
+          return (
+            <div key={player}>
+              <label>
+                {player === "X" ? "First" : "Second"} player symbol:
+                <select value={markSymbols[player]} onChange={(e) => setMarkSymbol(player, e.target.value)}>
+                  {MARK_SYMBOLS.map((symbol) => (
+                    <option key={symbol} value={symbol} disabled={symbol === markSymbols[other]}>{symbol}</option>
+                  ))}
+                </select>
+              </label>
+              <ColorSelect
+                label="color:"
+                value={markColors[player]}
+                otherColor={markColorKeys[other]}
+                defaultColor={defaultMarkColors[player]}
+                onChange={(color) => setMarkColor(player, color)}
+              />
+            </div>
+          );
+        })}
+      </fieldset>
+    </details>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,301 @@
+/**
+ * APP SHELL COMPONENT
+ * 
+ * The single React application that hosts every game. It provides:
+ * - A shared header with a game picker (one link per game)
+ * - Hash-based routing that works on GitHub Pages (#/ttt, #/ttt-advanced, #/connect-four)
+ * - Lazy loading: each game's code is only downloaded when it is first opened
+ * - Sound controls (mute and volume) shared by every game
+ * - Appearance settings (theme, player colors and symbols) shared by every game
+ * - A shared footer
+ * 
+ * React concepts demonstrated:
+ * - React.lazy and Suspense for code splitting
+ * - Error boundaries (class components) for failed downloads
+ * - Custom hooks (useHashRoute) for browser events
+ * - Refs for moving focus after navigation
+ */
+
+import { Component, Suspense, lazy, useEffect, useRef } from "react";
+
+// ===== ROUTING IMPORTS =====
+/**
+ * parseHash / formatHash / replaceHash / useHashRoute: Game routes in the URL fragment (see src/shared)
+ */
+import { formatHash, parseHash, replaceHash, useHashRoute } from "../shared/hashRoute";
+
+// ===== SOUND IMPORTS =====
+/**
+ * SoundControls: Mute and volume for every game (see src/shared/sound.js)
+ */
+import SoundControls from "../shared/soundControls";
+
+// ===== APPEARANCE IMPORTS =====
+/**
+ * ThemeControls: Theme and player colors for every game (see src/shared/theme.js).
+ * Importing it also applies the saved theme before the first render.
+ */
+import ThemeControls from "../shared/themeControls";
+
+// ===== STYLESHEET IMPORT =====
+import "./shellstyles.css";
+
+// Page title shown on the game picker (games add their own name in front)
+const SITE_TITLE = "Learning React | Ashley K. W. Warren";
+
+// ===== GAME ROUTES =====
+/**
+ * GAMES
+ * 
+ * One entry per game, in the order they appear in the picker:
+ * - path: Route in the URL fragment
+ * - saveKey: The game's key in saved-game links (see src/shared/savedGames.js)
+ * - title: Name used in links and the page title
+ * - heading: Heading above the game
+ * - summary: One line shown in the game picker
+ * - Game: Lazily loaded component (webpack puts each import() in its own file)
+ * - intro: Description shown above the game
+ */
+const GAMES = [
+  {
+    path: "/ttt",
+    saveKey: "ttt1",
+    title: "Tic-tac-toe",
+    heading: "(1) Tic tac toe tutorial",
+    summary: "The official React tutorial, with its challenge improvements.",
+    Game: lazy(() => import("../ttt1app/ttt1app")),
+    intro: (
+      <>
+        <p>
+          This Tic Tac Toe game is based on the{" "}
+          <a href="https://react.dev/learn/tutorial-tic-tac-toe">official React Tic Tac Toe tutorial</a>.
+          At the end of the tutorial is a list of challenge improvements to the game, which I implemented here:
+        </p>
+        <ol className="checklist">
+          <li className="checked">For the current move only, show "You are at move #…" instead of a button.</li>
+          <li className="checked">Rewrote Board to use two loops to make the squares instead of hardcoding them.</li>
+          <li className="checked">Added a toggle button to sort the moves in either ascending or descending order.</li>
+          <li className="checked">Highlighted the three squares that caused the win.</li>
+          <li className="checked">Displayed the location for each move in the format (Row, Col).</li>
+        </ol>
+      </>
+    ),
+  },
+  {
+    path: "/ttt-advanced",
+    saveKey: "ttt2",
+    title: "Advanced Tic-tac-toe",
+    heading: "(2) My version",
+    summary: "Sound, animation, a computer opponent, bigger boards and online play.",
+    Game: lazy(() => import("../ttt2app/ttt2app")),
+    intro: (
+      <>
+        <p>Obviously I had to change the color scheme, layout, etc! Here are the changes I made using React, specifically:</p>
+        <ol className="checklist">
+          <li className="checked">Changed how a win is indicated by highlighting the winning row/column/diagonal.</li>
+          <li className="checked">Added sound effects for X play, O play, X win, O win, and draw.</li>
+          <li className="checked">Added hover effects to empty squares (and buttons).</li>
+          <li className="checked">Added an indicator of the current move when going back in time.</li>
+        </ol>
+      </>
+    ),
+  },
+  {
+    path: "/connect-four",
+    saveKey: "c4",
+    title: "Connect Four",
+    heading: "(3) Next level: Connect Four",
+    summary: "Falling pieces, a computer opponent, custom boards and online play.",
+    Game: lazy(() => import("../c4app/c4app")),
+    intro: <p>Here's my final challenge: a Connect Four game built using React!</p>,
+  },
+];
+
+/**
+ * OLD LINK REDIRECT
+ * 
+ * Links shared before routing existed only hold saved games (#c4=4433.2).
+ * They are rewritten to open the first game they contain, keeping the
+ * saved games, e.g. #/connect-four?c4=4433.2.
+ * Runs once, before the first render.
+ */
+function redirectOldLink() {
+  const { path, params } = parseHash(window.location.hash);
+  if (path) return;
+
+  const game = GAMES.find(({ saveKey }) => params.has(saveKey));
+  if (game) replaceHash(formatHash(game.path, params));
+}
+
+redirectOldLink();
+
+// ===== COMPONENT DEFINITIONS =====
+
+/**
+ * GAME ERROR BOUNDARY
+ * 
+ * Catches errors while a game downloads or renders (for example a lost
+ * connection when its code is fetched) and shows a message instead of
+ * leaving the page blank. Error boundaries must be class components.
+ */
+class GameErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    console.error(error);
+  }
+
+  render() {
+    if (!this.state.error) return this.props.children;
+
+    // A failed lazy import is not retried by React, so reloading is the way to try again
+    return (
+      <div className="shell-message" role="alert">
+        <p>Sorry, this game could not be loaded.</p>
+        <button className="shell-button" onClick={() => window.location.reload()}>
+          Try again
+        </button>
+      </div>
+    );
+  }
+}
+
+/**
+ * GAME PICKER COMPONENT
+ * 
+ * Shown when no game is selected (or the route is unknown).
+ * 
+ * @param {Object} props - Component properties
+ * @param {string} props.path - Current route path
+ * @returns {JSX.Element} List of games with links
+ */
+function GamePicker({ path }) {
+  return (
+    <>
+      <h2>Pick a game</h2>
+      <hr />
+      {path && path !== "/" && (
+        <p className="shell-message" role="alert">There is no game at #{path}.</p>
+      )}
+      <ul className="shell-picker">
+        {GAMES.map(({ path: gamePath, title, summary }) => (
+          <li key={gamePath}>
+            <a href={`#${gamePath}`}>{title}</a> - {summary}
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+}
+
+/**
+ * GAME PAGE COMPONENT
+ * 
+ * Heading, description and the lazily loaded game itself.
+ * 
+ * @param {Object} props - Component properties
+ * @param {Object} props.game - Entry from GAMES
+ * @param {Object} props.headingRef - Ref for the heading (focused after navigation)
+ * @returns {JSX.Element} One game with its introduction
+ */
+function GamePage({ game, headingRef }) {
+  const { Game } = game;
+
+  return (
+    <>
+      <h2 tabIndex={-1} ref={headingRef}>{game.heading}</h2>
+      <hr />
+      {game.intro}
+      <div className="jsapp">
+        <GameErrorBoundary>
+          <Suspense fallback={<p className="shell-message">Loading {game.title}...</p>}>
+            <Game />
+          </Suspense>
+        </GameErrorBoundary>
+      </div>
+    </>
+  );
+}
+
+/**
+ * MAIN SHELL COMPONENT
+ * 
+ * @returns {JSX.Element} Header, the selected game (or the game picker) and footer
+ */
+export default function Shell() {
+  // CURRENT ROUTE
+  const path = useHashRoute();
+  const game = GAMES.find((entry) => entry.path === path) ?? null;
+
+  /**
+   * NAVIGATION EFFECT
+   * 
+   * Updates the page title, and after switching games (not on the first
+   * load) moves keyboard focus to the new heading so screen readers
+   * announce the page change.
+   */
+  const headingRef = useRef(null);
+  const shownPathRef = useRef(path);     // Route of the previous run
+
+  useEffect(() => {
+    document.title = game ? `${game.title} | ${SITE_TITLE}` : SITE_TITLE;
+
+    if (shownPathRef.current === path) return;
+    shownPathRef.current = path;
+    headingRef.current?.focus();
+  }, [game, path]);
+
+  return (
+    <>
+      {/* SHARED HEADER */}
+      <header className="bigdiv">
+        <h1>Learning React</h1>
+        <hr />
+        <div className="shell-back-link">
+          <a href="https://wh33les.github.io/Projects/projects.html">Back to projects |</a>
+        </div>
+        <p>
+          While working on a long-term project, building an API for a video game database for Husband, I wanted
+          to learn React for the front end. This mini-project serves as my learning experience with React, with
+          apps of increasing difficulty.
+        </p>
+
+        {/* GAME PICKER LINKS */}
+        {/* aria-current marks the game being shown */}
+        <nav className="shell-nav" aria-label="Games">
+          {GAMES.map(({ path: gamePath, title }) => (
+            <a key={gamePath} href={`#${gamePath}`} aria-current={gamePath === path ? "page" : undefined}>
+              {title}
+            </a>
+          ))}
+        </nav>
+
+        {/* SOUND SETTINGS (apply to every game) */}
+        <SoundControls className="shell-sound" />
+
+        {/* APPEARANCE SETTINGS (apply to every game) */}
+        <ThemeControls className="shell-appearance" />
+      </header>
+
+      {/* SELECTED GAME */}
+      {/* key resets the page (and its error boundary) when the game changes */}
+      <main className="bigdiv" key={path}>
+        {game ? <GamePage game={game} headingRef={headingRef} /> : <GamePicker path={path} />}
+      </main>
+
+      {/* SHARED FOOTER */}
+      <footer className="bigdiv shell-footer">
+        <a href="#/">All games</a>
+        {" | "}
+        <a href="https://github.com/wh33les/LearningReact">Source on GitHub</a>
+      </footer>
+    </>
+  );
+}
\ No newline at end of file
@@ -13,6 +13,14 @@
  * - Draw game detection
  * - Move list sorting (ascending/descending)
  * - Winning square highlighting
+ * - Saved across page refreshes and shareable by link (URL fragment)
+ * - Keyboard play (arrow keys, Enter/Space) and screen-reader announcements
+ * - Scoreboard of finished games, kept between visits
+ * - Replay player (play/pause, step, speed, slider) over the move history
+ * - Player profiles (name and avatar) shown in the status and move list,
+ *   with an option to swap sides between games
+ * - Hints, with a choice of how many each game allows; moves made after
+ *   a hint are marked in the move list
  * 
  * React concepts demonstrated:
  * - Functional components with hooks
@@ -25,11 +33,70 @@
  * - Game state management patterns
  */
 
-// Import the useState hook from React for managing component state
-import { useState } from "react";
+// Import the useEffect, useRef and useState hooks from React for saving, focusing and managing component state
+import { useEffect, useRef, useState } from "react";
+// Import the shared tic-tac-toe rules (win/draw detection and coordinates)
+import { calculateWinner, isDraw, squareCoords } from "../engine/ticTacToe";
+// Import the engine namespace, history replay for restoring saved games and the hint search
+import { replayMoves, suggestTicTacToeMoves, ticTacToe } from "../engine";
+// Import save/load helpers (localStorage and shareable URL fragment)
+import { loadGame, saveGame } from "../shared/savedGames";
+// Import keyboard navigation and labels for the accessible board grid
+import { getNextGridIndex, squareLabel } from "../shared/gridKeys";
+// Import the saved scoreboard (wins, draws, streaks) and its display
+import { recordGame } from "../shared/stats";
+import Scoreboard from "../shared/scoreboard";
+// Import the replay player for the move history
+import ReplayControls from "../shared/replayControls";
+// Import the player profiles (who plays X and O) and their picker
+import { profileName, startNextGame, useSeatedProfiles } from "../shared/profiles";
+import ProfilePanel from "../shared/profilePanel";
 // Import CSS file containing all styles for this tic-tac-toe game
 import "./app1styles.css";
 
+/**
+ * SAVE FORMAT
+ * 
+ * Describes how this game is stored (see src/shared/savedGames.js).
+ * The basic game is always played on the classic 3x3 board.
+ */
+const SAVE_FORMAT = {
+  key: "ttt1",
+  defaultConfig: ticTacToe.CLASSIC_CONFIG,
+  moveRange: () => 9,
+};
+
+/**
+ * HINT BUDGET OPTIONS
+ * 
+ * Hints allowed per game -> label, the same choices as the other games.
+ * Infinity means no limit.
+ */
+const HINT_BUDGETS = [
+  [0, "None"],
+  [1, "1"],
+  [3, "3"],
+  [5, "5"],
+  [Infinity, "Unlimited"],
+];
+
+/**
+ * RESTORE SAVED GAME
+ * 
+ * Rebuilds the history from a shared link or the last visit, if any.
+ * 
+ * @returns {Object} { history, currentMove } - Starting state for the Game component
+ */
+function restoreGame() {
+  const saved = loadGame(SAVE_FORMAT);
+  const entries = replayMoves(ticTacToe, saved ? saved.moves : []);
+
+  return {
+    history: entries.map(({ board, position }) => ({ squares: board, position })),
+    currentMove: saved ? Math.min(saved.cursor, entries.length - 1) : 0,
+  };
+}
+
 /**
  * SQUARE COMPONENT
  * 
@@ -40,19 +107,34 @@ import "./app1styles.css";
  * @param {string|null} props.value - The current value ('X', 'O', or null for empty)
  * @param {Function} props.onSquareClick - Function to call when square is clicked
  * @param {boolean} props.isWinningSquare - Whether this square is part of the winning line
+ * @param {boolean} props.isHinted - Whether a hint recommends this square
+ * @param {string} props.label - Screen-reader description, e.g. "Row 2, Column 3, X"
+ * @param {boolean} props.isFocusable - Whether this square is the board's tab stop
+ * @param {Function} props.onFocus - Called when the square receives focus
+ * @param {Function} props.buttonRef - Ref callback so the board can move focus here
  * @returns {JSX.Element} A button element representing the square
  */
-function Square({ value, onSquareClick, isWinningSquare }) {
+function Square({ value, onSquareClick, isWinningSquare, isHinted, label, isFocusable, onFocus, buttonRef }) {
   return (
     <button
       // DYNAMIC CSS CLASSES
-      // Combines base 'square' class with conditional 'winning-square' class
+      // Combines base 'square' class with conditional 'winning-square' and 'hinted-square' classes
       // Template literal allows for dynamic class combination
-      className={`square ${isWinningSquare ? "winning-square" : ""}`}
+      className={`square ${isWinningSquare ? "winning-square" : ""} ${isHinted ? "hinted-square" : ""}`}
 
       // EVENT HANDLER
       // When clicked, call the function passed down from parent component
+      // (buttons also "click" on Enter and Space, so keyboard play comes for free)
       onClick={onSquareClick}
+
+      // ACCESSIBILITY
+      // Each square is a cell of the ARIA grid, described by its label.
+      // Only one square is in the tab order; the arrow keys move between the rest.
+      role="gridcell"
+      aria-label={label}
+      tabIndex={isFocusable ? 0 : -1}
+      onFocus={onFocus}
+      ref={buttonRef}
     >
       {/* DISPLAY VALUE */}
       {/* Shows 'X', 'O', or nothing (if value is null) */}
@@ -71,11 +153,37 @@ function Square({ value, onSquareClick, isWinningSquare }) {
  * @param {boolean} props.xIsNext - Whether X player should go next
  * @param {Array} props.squares - Array of 9 squares representing board state
  * @param {Function} props.onPlay - Callback when a move is made
- * @param {Array} props.history - Complete game history for game state analysis
- * @param {number} props.currentMove - Current move number for draw detection
+ * @param {Object} props.playerNames - Name of each player { X, O } ("X" and "O" without profiles)
+ * @param {Array} props.hintMoves - Squares the last hint recommends (outlined)
  * @returns {JSX.Element} The complete game board with status
  */
-function Board({ xIsNext, squares, onPlay, history, currentMove }) {
+function Board({ xIsNext, squares, onPlay, playerNames, hintMoves }) {
+
+  /**
+   * KEYBOARD FOCUS STATE
+   * 
+   * focusedIndex: The square that is in the tab order (0-8)
+   * squareRefs: The square buttons, so arrow keys can move focus to them
+   */
+  const [focusedIndex, setFocusedIndex] = useState(0);
+  const squareRefs = useRef([]);
+
+  /**
+   * ARROW KEY NAVIGATION
+   * 
+   * Moves focus around the 3x3 grid. Enter and Space are handled by the
+   * square buttons themselves.
+   * 
+   * @param {KeyboardEvent} event - Key pressed while a square has focus
+   */
+  function handleKeyDown(event) {
+    const nextIndex = getNextGridIndex(event.key, focusedIndex, 3, 3);
+    if (nextIndex === null) return;
+
+    event.preventDefault();    // Stop arrow keys from scrolling the page
+    setFocusedIndex(nextIndex);
+    squareRefs.current[nextIndex]?.focus();
+  }
 
   /**
    * HANDLE SQUARE CLICK
@@ -112,19 +220,23 @@ function Board({ xIsNext, squares, onPlay, history, currentMove }) {
   // Calculate current game status using the win detection algorithm
   const [winningPlayer, winningLine] = calculateWinner(squares);
 
+  // PLAYER LABELS
+  // A profile name is followed by its mark, e.g. "🦊 Alice (X)"
+  const label = (player) => (playerNames[player] === player ? player : `${playerNames[player]} (${player})`);
+
   // STATUS MESSAGE GENERATION
   let status;
   if (winningPlayer) {
     // GAME WON
-    status = "Winner: " + winningPlayer;
-  } else if (currentMove === history.length - 1 && history.length === 10) {
+    status = "Winner: " + label(winningPlayer);
+  } else if (isDraw(squares)) {
     // DRAW GAME
-    // All 9 squares filled (history length 10 includes initial state) and no winner
+    // All 9 squares filled and no winner
     status = "Draw!";
   } else {
     // GAME IN PROGRESS
     // Show whose turn it is next
-    status = "Next player: " + (xIsNext ? "X" : "O");
+    status = "Next player: " + label(xIsNext ? "X" : "O");
   }
 
   // COMPONENT RENDER
@@ -134,12 +246,14 @@ function Board({ xIsNext, squares, onPlay, history, currentMove }) {
       <div className="status">{status}</div>
 
       {/* GAME BOARD GENERATION */}
+      {/* The wrapper is an ARIA grid so screen readers can navigate by row and column */}
+      <div role="grid" aria-label="Tic-tac-toe board" onKeyDown={handleKeyDown}>
       {/* 
             Create 3 rows using Array(3).fill(null).map()
             This pattern creates [null, null, null] then maps over indices
             */}
       {Array(3).fill(null).map((_, row) => (
-        <div className="board-row" key={row}>
+        <div className="board-row" role="row" key={row}>
           {/* 
                     Create 3 columns for each row
                     Same pattern creates 3 squares per row
@@ -161,11 +275,17 @@ function Board({ xIsNext, squares, onPlay, history, currentMove }) {
                 value={squares[index]}                        // Current square value (X, O, or null)
                 onSquareClick={() => handleClick(index)}      // Click handler with index closure
                 isWinningSquare={isWinningSquare}            // Winning square highlighting
+                isHinted={hintMoves.includes(index)}         // Hint outline
+                label={squareLabel(row + 1, col + 1, squares[index])}  // e.g. "Row 1, Column 2, X"
+                isFocusable={index === focusedIndex}         // Roving tab stop
+                onFocus={() => setFocusedIndex(index)}       // Clicking also moves the tab stop
+                buttonRef={(element) => { squareRefs.current[index] = element; }}
               />
             );
           })}
         </div>
       ))}
+      </div>
     </>
   );
 }
@@ -181,6 +301,14 @@ function Board({ xIsNext, squares, onPlay, history, currentMove }) {
 export default function Game() {
   // ===== GAME STATE MANAGEMENT =====
 
+  /**
+   * RESTORED GAME
+   * 
+   * Read once on mount (the lazy initializer is not called again on re-render).
+   * Provides the starting history and current move below.
+   */
+  const [savedGame] = useState(restoreGame);
+
   /**
    * GAME HISTORY STATE
    * 
@@ -190,13 +318,9 @@ export default function Game() {
    * - position: [row, col] coordinates of the move that created this state
    * 
    * Starts with one entry representing the empty board
+   * (plus any moves restored from a saved game)
    */
-  const [history, setHistory] = useState([
-    {
-      squares: Array(9).fill(null),    // Empty 3x3 board
-      position: [null, null]           // No move for initial state
-    }
-  ]);
+  const [history, setHistory] = useState(savedGame.history);
 
   /**
    * CURRENT MOVE STATE
@@ -205,7 +329,7 @@ export default function Game() {
    * Allows players to "time travel" through the game history.
    * 0 = initial empty board, 1 = after first move, etc.
    */
-  const [currentMove, setCurrentMove] = useState(0);
+  const [currentMove, setCurrentMove] = useState(savedGame.currentMove);
 
   /**
    * MOVE LIST ORDERING STATE
@@ -215,6 +339,49 @@ export default function Game() {
    */
   const [isAscending, setIsAscending] = useState(true);
 
+  /**
+   * REPLAY STATE
+   * 
+   * True while the replay player is stepping through the history by itself.
+   * The board ignores clicks meanwhile, so a replay cannot be overwritten
+   * by accident.
+   */
+  const [isReplaying, setIsReplaying] = useState(false);
+
+  /**
+   * HINT STATE
+   * 
+   * hintBudget: Hints allowed in each game (a value from HINT_BUDGETS)
+   * hintsUsed: Hints taken in the current game (up to hintBudget)
+   * hint: The last hint, { squares, moves } - only shown while that board
+   *       is on screen, so it disappears once a move is made
+   */
+  const [hintBudget, setHintBudget] = useState(3);
+  const [hintsUsed, setHintsUsed] = useState(0);
+  const [hint, setHint] = useState(null);
+
+  /**
+   * SCOREBOARD FLAG
+   * 
+   * True once the game in progress has been added to the scoreboard, so
+   * replaying a different ending after time travel does not count twice.
+   * Cleared only when a new game starts (see startNewGame), so going back
+   * to the empty board and playing the game out again does not count either.
+   */
+  const statsRecordedRef = useRef(false);
+
+  /**
+   * SAVE EFFECT
+   * 
+   * Stores the game after every change, so a refresh restores it and the
+   * URL always links to the position being shown.
+   * Moves are stored as square indices (row * 3 + col).
+   */
+  useEffect(() => {
+    const moves = history.slice(1).map(({ position: [row, col] }) => row * 3 + col);
+    saveGame(SAVE_FORMAT, { moves, cursor: currentMove, config: ticTacToe.CLASSIC_CONFIG });
+  }, [history, currentMove]);
+
   // ===== DERIVED STATE =====
   // These values are calculated from the primary state above
 
@@ -237,6 +404,26 @@ export default function Game() {
    */
   const currentSquares = history[currentMove]?.squares || Array(9).fill(null);
 
+  /**
+   * PLAYER NAMES
+   * 
+   * The profiles playing X and O (see src/shared/profiles.js), or just
+   * "X" and "O" for guests.
+   */
+  const seated = useSeatedProfiles(SAVE_FORMAT.key, ["X", "O"], "preferredMark");
+  const playerNames = { X: profileName(seated.X, "X"), O: profileName(seated.O, "O") };
+
+  /**
+   * HINT AVAILABILITY
+   * 
+   * A hint is for the player to move, so none during a replay, once the
+   * game is over or while the last hint is still shown.
+   */
+  const hintMoves = hint && hint.squares === currentSquares ? hint.moves : [];
+  const hintsLeft = hintBudget - hintsUsed;
+  const canHint = !isReplaying && hintsLeft > 0 && hintMoves.length === 0 &&
+    ticTacToe.getLegalMoves(currentSquares).length > 0;
+
   /**
    * HANDLE PLAYER MOVE
    * 
@@ -247,6 +434,9 @@ export default function Game() {
    * @param {number} index - The square index where the move was made
    */
   function handlePlay(nextSquares, index) {
+    // REPLAY GUARD: the board is for watching while a replay plays
+    if (isReplaying) return;
+
     // CALCULATE MOVE POSITION
     // Convert square index to row/column coordinates for display
     const position = squareCoords(index);
@@ -256,12 +446,24 @@ export default function Game() {
     // we discard all "future" history and create a new timeline from that point
     const nextHistory = [
       ...history.slice(0, currentMove + 1),    // Keep history up to current move
-      { squares: nextSquares, position }        // Add new move
+      {
+        squares: nextSquares,                   // Add new move
+        position,
+        hinted: hintMoves.length > 0            // A hint was shown for this position
+      }
     ];
 
     // UPDATE STATE
     setHistory(nextHistory);                      // Save new history
     setCurrentMove(nextHistory.length - 1);      // Jump to the new latest move
+
+    // SCOREBOARD
+    // Count each game once, when its final move is played
+    const [winningPlayer] = calculateWinner(nextSquares);
+    if (!statsRecordedRef.current && (winningPlayer || isDraw(nextSquares))) {
+      recordGame(SAVE_FORMAT.key, winningPlayer, nextHistory.length - 1);
+      statsRecordedRef.current = true;
+    }
   }
 
   /**
@@ -276,6 +478,48 @@ export default function Game() {
     setCurrentMove(nextMove);
   }
 
+  /**
+   * HINT FUNCTION
+   * 
+   * Outlines the strongest squares for the player to move and takes one
+   * hint from this game's budget.
+   */
+  function requestHint() {
+    if (!canHint) return;
+
+    const moves = suggestTicTacToeMoves(currentSquares, xIsNext ? "X" : "O");
+    setHint({ squares: currentSquares, moves });
+    setHintsUsed(hintsUsed + 1);
+  }
+
+  /**
+   * HINT BUDGET CHANGE HANDLER
+   * 
+   * A new budget starts afresh, so the current game gets all of its hints.
+   * 
+   * @param {number} budget - Hints allowed per game (a value from HINT_BUDGETS)
+   */
+  function changeHintBudget(budget) {
+    setHintBudget(budget);
+    setHintsUsed(0);
+  }
+
+  /**
+   * NEW GAME FUNCTION
+   * 
+   * Clears the board and the move history. When the players swap sides
+   * between games, the other player now takes X and starts.
+   */
+  function startNewGame() {
+    if (history.length > 1) startNextGame(SAVE_FORMAT.key);
+    setHistory([{ squares: Array(9).fill(null), position: [null, null] }]);
+    setCurrentMove(0);
+    setIsReplaying(false);
+    setHint(null);
+    setHintsUsed(0);
+    statsRecordedRef.current = false;
+  }
+
   /**
    * TOGGLE MOVE LIST ORDER
    * 
@@ -338,9 +582,12 @@ export default function Game() {
         {/* MOVE POSITION DISPLAY */}
         {/* Show coordinates if this move placed a piece (position[0] not null) */}
         {position[0] !== null ?
-          ` (${player}: Row ${position[0] + 1}, Col ${position[1] + 1})` :
+          ` (${playerNames[player]}: Row ${position[0] + 1}, Col ${position[1] + 1})` :
           ''
         }
+
+        {/* HINT MARKER (the move was made after a hint) */}
+        {moveData.hinted && <span className="hint-used"> (hint used)</span>}
       </li>
     );
   });
@@ -351,6 +598,31 @@ export default function Game() {
     moves.reverse();
   }
 
+  // ===== SCREEN READER ANNOUNCEMENT =====
+
+  /**
+   * LIVE REGION TEXT
+   * 
+   * Describes the position being shown (the latest move and its result).
+   * The aria-live region below reads it out whenever it changes, so moves,
+   * wins, draws and time travel are all announced.
+   */
+  let announcement = `Game start. ${playerNames.X} to play.`;
+  if (currentMove > 0) {
+    const [row, col] = history[currentMove].position;
+    const [winningPlayer] = calculateWinner(currentSquares);
+    const mover = xIsNext ? "O" : "X";
+
+    announcement = `${playerNames[mover]} played row ${row + 1}, column ${col + 1}.`;
+    if (winningPlayer) {
+      announcement += ` ${playerNames[winningPlayer]} wins!`;
+    } else if (isDraw(currentSquares)) {
+      announcement += " Draw!";
+    } else {
+      announcement += ` ${playerNames[xIsNext ? "X" : "O"]} to play.`;
+    }
+  }
+
   // ===== COMPONENT RENDER =====
   return (
     <div className="game">
@@ -360,88 +632,63 @@ export default function Game() {
           xIsNext={xIsNext}           // Pass current player info
           squares={currentSquares}    // Pass current board state
           onPlay={handlePlay}         // Pass move handler
-          history={history}           // Pass complete history for context
-          currentMove={currentMove}   // Pass current move for status calculation
+          playerNames={playerNames}   // Pass the players' names
+          hintMoves={hintMoves}       // Pass the hinted squares
         />
+
+        {/* SCREEN READER ANNOUNCEMENTS (visually hidden) */}
+        <p className="sr-only" aria-live="polite">{announcement}</p>
+
+        {/* SAVED STATISTICS */}
+        <Scoreboard gameKey={SAVE_FORMAT.key} playerNames={{ X: "X", O: "O" }} className="scoreboard" />
       </div>
 
       {/* GAME CONTROLS AND HISTORY SECTION */}
       <div className="game-info">
-        {/* MOVE ORDER TOGGLE BUTTON */}
+        {/* PLAYERS (profiles for X and O, swapping sides between games) */}
+        <ProfilePanel
+          gameKey={SAVE_FORMAT.key}
+          sides={{ X: "X", O: "O" }}
+          preferenceKey="preferredMark"
+          className="profile-panel"
+          buttonClassName="mybutton"
+        />
+
+        {/* NEW GAME AND MOVE ORDER TOGGLE BUTTONS */}
+        <button onClick={startNewGame}>New game</button>{" "}
         <button onClick={toggleOrder}>
           {isAscending ? "Show Descending" : "Show Ascending"}
-        </button>
+        </button>{" "}
+
+        {/* HINTS (the budget applies to each game; hinted squares are outlined on the board) */}
+        <div>
+          <label>
+            Hints per game:{" "}
+            <select value={String(hintBudget)} onChange={(e) => changeHintBudget(Number(e.target.value))}>
+              {HINT_BUDGETS.map(([value, label]) => (
+                <option key={label} value={String(value)}>{label}</option>
+              ))}
+            </select>
+          </label>{" "}
+          <button onClick={requestHint} disabled={!canHint}>
+            Hint ({hintsLeft === Infinity ? "unlimited" : `${Math.max(0, hintsLeft)} left`})
+          </button>
+        </div>
+
+        {/* REPLAY PLAYER */}
+        <ReplayControls
+          currentMove={currentMove}
+          lastMove={history.length - 1}
+          isPlaying={isReplaying}
+          onPlayingChange={setIsReplaying}
+          onStep={jumpTo}
+          onJump={jumpTo}
+          className="replay-controls"
+        />
 
         {/* MOVE HISTORY LIST */}
         <ol>{moves}</ol>
       </div>
     </div>
   );
-}
-
-// ===== UTILITY FUNCTIONS =====
-
-/**
- * WIN DETECTION ALGORITHM
- * 
- * Determines if there's a winner on the current board.
- * Checks all possible winning combinations in tic-tac-toe.
- * 
- * @param {Array} squares - Array of 9 squares representing the board
- * @returns {Array} - [winner, winningLine] where winner is 'X'|'O'|null and winningLine is array of indices
- */
-function calculateWinner(squares) {
-  // WINNING COMBINATIONS
-  // All possible ways to win in tic-tac-toe (rows, columns, diagonals)
-  const lines = [
-    // ROWS
-    [0, 1, 2],    // Top row
-    [3, 4, 5],    // Middle row  
-    [6, 7, 8],    // Bottom row
-
-    // COLUMNS
-    [0, 3, 6],    // Left column
-    [1, 4, 7],    // Middle column
-    [2, 5, 8],    // Right column
-
-    // DIAGONALS
-    [0, 4, 8],    // Top-left to bottom-right
-    [2, 4, 6],    // Top-right to bottom-left
-  ];
-
-  // CHECK EACH WINNING COMBINATION
-  for (let i = 0; i < lines.length; i++) {
-    const [a, b, c] = lines[i];    // Destructure the three positions
-
-    // CHECK IF ALL THREE POSITIONS HAVE THE SAME NON-NULL VALUE
-    if (squares[a] &&                           // Position a is not empty
-      squares[a] === squares[b] &&            // Position a equals position b
-      squares[a] === squares[c]) {            // Position a equals position c
-
-      // WINNER FOUND
-      return [squares[a], lines[i]];          // Return winner and winning positions
-    }
-  }
-
-  // NO WINNER
-  return [null, null];
-}
-
-/**
- * COORDINATE CONVERSION UTILITY
- * 
- * Converts a square index (0-8) to row/column coordinates for display.
- * 
- * @param {number} i - Square index (0-8)
- * @returns {Array} - [row, column] coordinates (0-indexed)
- * 
- * Examples:
- * squareCoords(0) returns [0, 0] (top-left)
- * squareCoords(4) returns [1, 1] (center)  
- * squareCoords(8) returns [2, 2] (bottom-right)
- */
-function squareCoords(i) {
-  const row = Math.trunc(i / 3);    // Integer division: 0-2→0, 3-5→1, 6-8→2
-  const col = i % 3;                // Remainder: 0,3,6→0, 1,4,7→1, 2,5,8→2
-  return [row, col];
 }
\ No newline at end of file
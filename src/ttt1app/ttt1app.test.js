@@ -0,0 +1,134 @@
+/**
+ * BASIC TIC-TAC-TOE SCOREBOARD TESTS
+ * 
+ * Renders the game into jsdom and plays it by clicking squares, then
+ * reads the scoreboard saved in localStorage (see src/shared/stats.js).
+ */
+
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import { resetStats } from "../shared/stats";
+import Game from "./ttt1app";
+
+// Tell React these renders happen inside act()
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+// X takes the top row while O plays the middle row
+const X_WINS = [0, 3, 1, 4, 2];
+
+let container;
+let root;
+
+beforeEach(() => {
+  container = document.createElement("div");
+  document.body.appendChild(container);
+  root = createRoot(container);
+  act(() => root.render(<Game />));
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+  // The scoreboard is also kept in memory, so clear it through the store
+  resetStats("ttt1");
+  // Start the next test on an empty board (the game is saved in storage and the URL)
+  window.localStorage.clear();
+  window.history.replaceState(null, "", "/");
+});
+
+/**
+ * CLICK A BUTTON
+ * 
+ * @param {Element} button - Button to click
+ */
+function click(button) {
+  act(() => button.click());
+}
+
+/**
+ * BUTTON BY TEXT
+ * 
+ * @param {string} text - The button's full text
+ * @returns {Element} The first button showing that text
+ */
+function buttonWithText(text) {
+  return [...container.querySelectorAll("button")].find((button) => button.textContent === text);
+}
+
+/**
+ * PLAY MOVES
+ * 
+ * @param {Array} squares - Square indices in play order
+ */
+function play(squares) {
+  for (const index of squares) {
+    click(container.querySelectorAll(".square")[index]);
+  }
+}
+
+/**
+ * GAMES ON THE SCOREBOARD
+ * 
+ * @returns {number} Finished games recorded for this game
+ */
+function gamesRecorded() {
+  const saved = JSON.parse(window.localStorage.getItem("learningreact.stats"));
+  return saved?.ttt1?.games ?? 0;
+}
+
+// ===== SCOREBOARD =====
+
+describe("scoreboard", () => {
+  test("a game replayed from the start is recorded once", () => {
+    play(X_WINS);
+    expect(gamesRecorded()).toBe(1);
+
+    click(buttonWithText("Go to game start"));
+    play(X_WINS);
+    expect(gamesRecorded()).toBe(1);
+  });
+
+  test("a new game is recorded again", () => {
+    play(X_WINS);
+    click(buttonWithText("New game"));
+    play(X_WINS);
+    expect(gamesRecorded()).toBe(2);
+  });
+});
+
+// ===== HINTS =====
+
+describe("hints", () => {
+  /**
+   * CHOOSE A HINT BUDGET
+   * 
+   * @param {string} value - Option value, e.g. "1" or "Infinity"
+   */
+  function chooseBudget(value) {
+    const label = [...container.querySelectorAll("label")].find((element) => element.textContent.startsWith("Hints per game"));
+    const select = label.querySelector("select");
+    act(() => {
+      select.value = value;
+      select.dispatchEvent(new Event("change", { bubbles: true }));
+    });
+  }
+
+  test("each game allows the chosen number of hints", () => {
+    chooseBudget("1");
+    click(buttonWithText("Hint (1 left)"));
+    play([4]);
+    expect(buttonWithText("Hint (0 left)").disabled).toBe(true);
+
+    click(buttonWithText("New game"));
+    expect(buttonWithText("Hint (1 left)").disabled).toBe(false);
+  });
+
+  test("changing the budget refills it", () => {
+    click(buttonWithText("Hint (3 left)"));
+    chooseBudget("1");
+    expect(buttonWithText("Hint (1 left)")).toBeDefined();
+
+    chooseBudget("Infinity");
+    expect(buttonWithText("Hint (unlimited)")).toBeDefined();
+  });
+});
\ No newline at end of file
@@ -8,6 +8,27 @@
  * - Audio feedback system with preloaded sounds
  * - Animated SVG winning line overlay with stroke animation
  * - Enhanced move history with coordinate tracking
+ * - Single-player mode against a computer opponent (three skill levels)
+ * - Configurable board size and win length (4x4, Gomoku, custom m,n,k-games)
+ * - Saved across page refreshes and shareable by link (URL fragment)
+ * - Keyboard play (arrow keys, Enter/Space) and screen-reader announcements
+ * - Online play against another browser through the local game server
+ * - Scoreboard of finished games (wins, draws, streaks), kept between visits
+ * - Post-game analysis: perfect-play evaluation of every position, best
+ *   moves highlighted on the board and blunders flagged in the move list
+ * - Game records: export and import whole games as text ((row,col) moves
+ *   with PGN-style headers)
+ * - Replay player (play/pause, step, speed, slider) with move sounds and
+ *   the winning line animation
+ * - Hints during play, with a per-game budget; assisted moves are marked
+ *   in the move list
+ * - Ultimate tic-tac-toe: nine small boards inside a big one, where the
+ *   square you play picks your opponent's next board
+ * - Rule variants: Misère, Wild, Notakto and Order and Chaos
+ * - Chess clocks (Fischer increment or a fixed time per move) with loss on
+ *   time, pause / resume and a low-time warning
+ * - Player profiles (name and avatar) for two-player games, shown in the
+ *   status and move list, with an option to swap sides between games
  * - Performance optimization with React.useMemo
  * - Modern dark theme with CSS custom properties
  * - Hover effects and visual state management
@@ -31,6 +52,7 @@
  * - Performance optimization techniques
  * - Accessibility considerations
  * - Modern ES6+ JavaScript features
+ * - Minimax game-tree search for perfect play
  */
 
 // ===== REACT HOOKS IMPORTS =====
@@ -39,9 +61,104 @@
  * 
  * useEffect: Manages side effects (audio preloading, animation triggers)
  * useMemo: Optimizes performance by memoizing expensive calculations
+ * useRef: Holds the square buttons so arrow keys can move focus (and the scoreboard flag)
  * useState: Manages component state (game state, UI state)
  */
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
+
+// ===== GAME ENGINE IMPORTS =====
+/**
+ * Shared, React-free game rules (see src/engine)
+ * 
+ * calculateWinner / getLegalMoves / isDraw / squareCoords: Tic-tac-toe rules shared with ttt1app
+ * createInitialBoard / CLASSIC_CONFIG: Empty boards of any configured size
+ * chooseComputerMove: Computer opponent for single-player mode
+ * analyzePosition / isBlunder: Perfect-play evaluation for post-game analysis
+ * suggestMoves: Strongest moves for the hint button
+ */
+import {
+  CLASSIC_CONFIG,
+  calculateWinner,
+  createInitialBoard,
+  getLegalMoves,
+  isDraw,
+  squareCoords,
+} from "../engine/ticTacToe";
+import { analyzePosition, chooseComputerMove, isBlunder, suggestMoves } from "../engine/ticTacToeAI";
+import { replayMoves, ticTacToe, ticTacToeVariants, ultimateTicTacToe } from "../engine";
+
+// ===== SAVED GAME IMPORTS =====
+/**
+ * loadGame / saveGame: localStorage and shareable URL fragment (see src/shared)
+ * isSameConfig: Compares two board configurations
+ */
+import { isSameConfig, loadGame, saveGame } from "../shared/savedGames";
+
+// ===== ACCESSIBILITY IMPORTS =====
+/**
+ * getNextGridIndex / squareLabel: Arrow-key navigation and ARIA labels (see src/shared)
+ */
+import { getNextGridIndex, squareLabel } from "../shared/gridKeys";
+
+// ===== ONLINE PLAY IMPORTS =====
+/**
+ * useOnlineGame: Connection to the local multiplayer server (see server/)
+ * OnlinePanel: Create / join / watch room controls
+ */
+import { useOnlineGame } from "../shared/onlineGame";
+import OnlinePanel from "../shared/onlinePanel";
+
+// ===== GAME RECORD IMPORTS =====
+/**
+ * TIC_TAC_TOE_NOTATION: (row,col) move notation for game records (see src/shared)
+ * RecordPanel: Export / import of whole games as text
+ */
+import { TIC_TAC_TOE_NOTATION } from "../shared/gameRecord";
+import RecordPanel from "../shared/recordPanel";
+
+// ===== REPLAY IMPORTS =====
+/**
+ * ReplayControls: Play / pause / step / speed / slider over the move history
+ */
+import ReplayControls from "../shared/replayControls";
+
+// ===== CHESS CLOCK IMPORTS =====
+/**
+ * useChessClock: Times the turn in progress (see src/shared/chessClock.js)
+ * TIME_CONTROLS / initialClock / timeAfterMove: Time control settings and clock arithmetic
+ * ClockPanel: Both clocks and the pause button, shown above the status line
+ */
+import { TIME_CONTROLS, initialClock, timeAfterMove, useChessClock } from "../shared/chessClock";
+import ClockPanel from "../shared/clockPanel";
+
+// ===== SOUND IMPORTS =====
+/**
+ * preloadSounds / playSound: Shared sound manager (mute, volume, overlapping plays)
+ */
+import { playSound, preloadSounds } from "../shared/sound";
+
+// ===== APPEARANCE IMPORTS =====
+/**
+ * useAppearance: Each player's chosen symbol (colors come from CSS variables, see src/shared/theme.js)
+ */
+import { useAppearance } from "../shared/theme";
+
+// ===== SCOREBOARD IMPORTS =====
+/**
+ * recordGame: Adds a finished game to the saved statistics (see src/shared/stats.js)
+ * Scoreboard: Wins, draws, streaks and game lengths
+ */
+import { recordGame } from "../shared/stats";
+import Scoreboard from "../shared/scoreboard";
+
+// ===== PLAYER PROFILE IMPORTS =====
+/**
+ * useSeatedProfiles / profileName: The profiles playing X and O (see src/shared/profiles.js)
+ * startNextGame: Swaps sides for the next game, when the players asked for it
+ * ProfilePanel: Seat pickers, swap option and profile editor
+ */
+import { profileName, startNextGame, useSeatedProfiles } from "../shared/profiles";
+import ProfilePanel from "../shared/profilePanel";
 
 // ===== STYLESHEET IMPORT =====
 /**
@@ -58,32 +175,223 @@ import "./app2styles.css";
 
 // ===== AUDIO SYSTEM SETUP =====
 /**
- * PRELOADED GAME AUDIO FILES
+ * GAME SOUNDS
+ * 
+ * Played through the shared sound manager (see src/shared/sound.js), which
+ * handles preloading, overlapping plays, mute and volume.
+ * 
+ * xMove / oMove: A mark was placed
+ * winX / winO: X or O won
+ * draw: Board filled with no winner
+ * lowTime: A chess clock is running low
+ */
+const GAME_SOUNDS = ["xMove", "oMove", "winX", "winO", "draw", "lowTime"];
+
+/**
+ * MOVE SOUNDS
+ * 
+ * Plays the sound for a move, then the win or draw sound if that move
+ * ended the game. Used for local moves and for moves arriving from the
+ * online game server.
+ * 
+ * @param {string} symbol - Symbol that was just placed ('X'|'O')
+ * @param {Object} result - positionResult of the position after the move
+ */
+function playMoveSounds(symbol, { winner, isDrawn }) {
+  // AUDIO FEEDBACK FOR MOVES
+  // Play different sounds for X and O moves
+  playSound(symbol === "X" ? "xMove" : "oMove");
+
+  // GAME END AUDIO FEEDBACK
+  // Play the victory or draw sound if this move ended the game
+  if (winner === "X") {
+    playSound("winX");     // X victory sound
+  } else if (winner === "O") {
+    playSound("winO");     // O victory sound
+  } else if (isDrawn) {
+    playSound("draw");     // Draw game sound
+  }
+}
+
+// ===== RULE SETS =====
+const { VARIANTS } = ticTacToeVariants;
+
+/**
+ * RULES
+ * 
+ * Rule sets offered in the rules menu:
+ * - classic: Tic-tac-toe on the board chosen in the board size menu
+ * - misere, wild, notakto, orderAndChaos: Rule variants (see
+ *   src/engine/ticTacToeVariants.js), with a one-line reminder of the goal
+ * - ultimate: Nine 3x3 boards inside a big one (see src/engine/ultimateTicTacToe.js);
+ *   history entries also hold the board the next move must be played on
+ * 
+ * Rules with a config are always played on that board; the others use
+ * the board size menu.
+ */
+const RULES = {
+  classic: { label: "Classic" },
+  misere: { ...VARIANTS.misere, goal: "Misère: whoever completes a line loses." },
+  wild: { ...VARIANTS.wild, goal: "Wild: place X or O on each turn; whoever completes a line wins." },
+  notakto: {
+    ...VARIANTS.notakto,
+    goal: "Notakto: both players place X. A board with three in a row is dead; whoever kills the last board loses.",
+  },
+  orderAndChaos: {
+    ...VARIANTS.orderAndChaos,
+    goal: "Order and Chaos: both place X or O. Order wins with exactly five alike in a row, Chaos by filling the board without.",
+  },
+  ultimate: { label: "Ultimate", config: ultimateTicTacToe.CLASSIC_CONFIG },
+};
+
+/**
+ * POSITION RESULT
+ * 
+ * @param {string} rules - Key of RULES
+ * @param {Object} entry - History entry { squares, ... }
+ * @param {Object} config - Board size and win length { rows, cols, winLength }
+ * @returns {Object} { winner, winningLine, isDrawn, deadBoards, flagged } - winner
+ *                   is 'X', 'O' or null; winningLine the squares (small boards for
+ *                   ultimate) to circle; deadBoards Notakto's dead board lines;
+ *                   flagged the player who ran out of time, if any
+ */
+function positionResult(rules, entry, config) {
+  // LOSS ON TIME: the board stays as it was, and the other player wins
+  if (entry.flag) {
+    const result = positionResult(rules, { ...entry, flag: null }, config);
+    return { ...result, winner: entry.flag === "X" ? "O" : "X", winningLine: null, isDrawn: false, flagged: entry.flag };
+  }
+
+  if (rules === "ultimate") {
+    const [winner, winningLine] = ultimateTicTacToe.getWinner(entry);
+    return { winner, winningLine, isDrawn: ultimateTicTacToe.isDraw(entry), deadBoards: null };
+  }
+
+  if (VARIANTS[rules]) {
+    const { winner, winningLine, isDraw: isDrawn, deadBoards } = ticTacToeVariants.getResult(entry.squares, rules, config);
+    return { winner, winningLine, isDrawn, deadBoards };
+  }
+
+  const [winner, winningLine] = calculateWinner(entry.squares, config);
+  return { winner, winningLine, isDrawn: isDraw(entry.squares, config), deadBoards: null };
+}
+
+// ===== BOARD SIZE PRESETS =====
+/**
+ * BOARD PRESETS
+ * 
+ * Named m,n,k-game configurations offered in the board size menu.
+ * "custom" is not listed here: it keeps whatever rows, columns and win
+ * length were typed into the number inputs.
+ */
+const BOARD_PRESETS = {
+  classic: { label: "Classic 3x3", config: CLASSIC_CONFIG },
+  four: { label: "4x4, four in a row", config: { rows: 4, cols: 4, winLength: 4 } },
+  gomoku: { label: "Gomoku 15x15, five in a row", config: { rows: 15, cols: 15, winLength: 5 } },
+};
+
+// Limits for the custom board inputs
+const MIN_SIZE = 3;
+const MAX_SIZE = 15;
+
+// ===== HINT BUDGETS =====
+/**
+ * HINT BUDGET OPTIONS
+ * 
+ * Hints allowed per game -> label. Infinity means no limit.
+ */
+const HINT_BUDGETS = [
+  [0, "None"],
+  [1, "1"],
+  [3, "3"],
+  [5, "5"],
+  [Infinity, "Unlimited"],
+];
+
+// Shared empty move list, so the memoized board is not rebuilt on every render
+const NO_MOVES = [];
+
+/**
+ * CUSTOM CONFIG VALIDATION
  * 
- * Audio files are created at module level (outside component) to prevent
- * recreation on every render. This improves performance and ensures
- * consistent audio behavior across game sessions.
+ * Keeps typed-in values whole numbers within range. The win length can
+ * never exceed the longest side, otherwise nobody could ever win.
  * 
- * process.env.PUBLIC_URL: React environment variable that provides the
- * correct path to public assets regardless of deployment configuration
+ * @param {Object} config - { rows, cols, winLength } (possibly out of range)
+ * @returns {Object} A playable { rows, cols, winLength }
  */
+function clampConfig({ rows, cols, winLength }) {
+  const clamp = (value, min, max) => Math.min(max, Math.max(min, Math.round(value) || min));
+  const nextRows = clamp(rows, MIN_SIZE, MAX_SIZE);
+  const nextCols = clamp(cols, MIN_SIZE, MAX_SIZE);
+  return {
+    rows: nextRows,
+    cols: nextCols,
+    winLength: clamp(winLength, MIN_SIZE, Math.max(nextRows, nextCols)),
+  };
+}
+
+/**
+ * SQUARE SIZE CALCULATION
+ * 
+ * Classic-sized boards use 50px squares; bigger boards shrink their squares
+ * so a 15x15 Gomoku board still fits beside the move history.
+ * 
+ * @param {Object} config - { rows, cols, winLength }
+ * @returns {number} Square size in pixels
+ */
+function getSquareSize(config) {
+  const longestSide = Math.max(config.rows, config.cols);
+  return longestSide <= 6 ? 50 : Math.max(24, Math.floor(360 / longestSide));
+}
 
+// ===== SAVED GAMES =====
 /**
- * Move sound effects - played when players make moves
+ * SAVE FORMAT
+ * 
+ * Describes how this game is stored (see src/shared/savedGames.js).
+ * Every square on the board is a possible move.
  */
-const xSound = new Audio(process.env.PUBLIC_URL + "/sounds/x.mp3");    // X player move sound
-const oSound = new Audio(process.env.PUBLIC_URL + "/sounds/o.mp3");    // O player move sound
+const SAVE_FORMAT = {
+  key: "ttt2",
+  defaultConfig: CLASSIC_CONFIG,
+  moveRange: (config) => config.rows * config.cols,
+};
 
 /**
- * Victory sound effects - played when games are won
+ * PRESET LOOKUP
+ * 
+ * @param {Object} config - { rows, cols, winLength }
+ * @returns {string} Key of the matching BOARD_PRESETS entry, or "custom"
  */
-const winXSound = new Audio(process.env.PUBLIC_URL + "/sounds/win-x.mp3");  // X player victory
-const winOSound = new Audio(process.env.PUBLIC_URL + "/sounds/win-o.mp3");  // O player victory
+function presetFor(config) {
+  return Object.keys(BOARD_PRESETS)
+    .find((key) => isSameConfig(BOARD_PRESETS[key].config, config)) ?? "custom";
+}
 
 /**
- * Game end sound effect - played for draw games
+ * RESTORE SAVED GAME
+ * 
+ * Rebuilds the board size and history from a shared link or the last
+ * visit. A saved board size outside the custom limits is not trusted,
+ * and the classic empty board is used instead.
+ * 
+ * @returns {Object} { boardPreset, boardConfig, history, currentMove }
  */
-const drawSound = new Audio(process.env.PUBLIC_URL + "/sounds/draw.mp3");   // Draw game sound
+function restoreGame() {
+  let saved = loadGame(SAVE_FORMAT);
+  if (saved && !isSameConfig(clampConfig(saved.config), saved.config)) saved = null;
+
+  const boardConfig = saved ? saved.config : CLASSIC_CONFIG;
+  const entries = replayMoves(ticTacToe, saved ? saved.moves : [], boardConfig);
+
+  return {
+    boardPreset: presetFor(boardConfig),
+    boardConfig,
+    history: entries.map(({ board, position }) => ({ squares: board, position })),
+    currentMove: saved ? Math.min(saved.cursor, entries.length - 1) : 0,
+  };
+}
 
 // ===== COMPONENT DEFINITIONS =====
 
@@ -94,15 +402,21 @@ const drawSound = new Audio(process.env.PUBLIC_URL + "/sounds/draw.mp3");   // D
  * - Winning square highlighting
  * - Empty square detection for hover effects
  * - Dynamic CSS class management
- * - Accessibility improvements
+ * - Accessibility improvements (ARIA grid cell label, roving tab stop)
  * 
  * @param {Object} props - Component properties
  * @param {string|null} props.value - Square content ('X', 'O', or null)
+ * @param {string|null} props.symbol - Symbol shown for that player (see theme settings)
  * @param {Function} props.onSquareClick - Click event handler
  * @param {boolean} props.isWinningSquare - Whether this square is part of winning line
+ * @param {boolean} props.isBestMove - Whether analysis marks this square as a best move
+ * @param {string} props.label - Screen-reader description, e.g. "Row 2, Column 3, X"
+ * @param {boolean} props.isFocusable - Whether this square is the board's tab stop
+ * @param {Function} props.onFocus - Called when the square receives focus
+ * @param {Function} props.buttonRef - Ref callback so the board can move focus here
  * @returns {JSX.Element} Enhanced game square button
  */
-function Square({ value, onSquareClick, isWinningSquare }) {
+function Square({ value, symbol, onSquareClick, isWinningSquare, isBestMove, label, isFocusable, onFocus, buttonRef }) {
   // EMPTY STATE DETECTION
   // Used for applying hover effects only to clickable (empty) squares
   const isEmpty = value === null;
@@ -114,15 +428,27 @@ function Square({ value, onSquareClick, isWinningSquare }) {
       // - 'mysquare': Base styling for all squares
       // - 'my-winning-square': Applied only to winning squares
       // - 'empty': Applied only to empty squares (enables hover effects)
-      className={`mysquare ${isWinningSquare ? "my-winning-square" : ""} ${isEmpty ? "empty" : ""}`}
+      // - 'mark-x' / 'mark-o': The player's color (CSS variables --mark-x / --mark-o)
+      // - 'best-move': A best move for the player to move (post-game analysis)
+      className={`mysquare ${isWinningSquare ? "my-winning-square" : ""} ${
+        isEmpty ? "empty" : `mark-${value.toLowerCase()}`}${isBestMove ? " best-move" : ""}`}
 
       // EVENT HANDLER
       // Calls parent-provided function when square is clicked
+      // (Enter and Space click buttons too, so keyboard play needs no extra code)
       onClick={onSquareClick}
+
+      // ACCESSIBILITY
+      // A labelled cell of the ARIA grid; only the tab stop square is in the tab order
+      role="gridcell"
+      aria-label={label}
+      tabIndex={isFocusable ? 0 : -1}
+      onFocus={onFocus}
+      ref={buttonRef}
     >
       {/* SQUARE CONTENT */}
-      {/* Displays 'X', 'O', or nothing based on value */}
-      {value}
+      {/* Displays the player's symbol ('X', 'O' or a chosen one), or nothing */}
+      {symbol}
     </button>
   );
 }
@@ -135,13 +461,46 @@ function Square({ value, onSquareClick, isWinningSquare }) {
  * 
  * @param {Object} props - Component properties
  * @param {boolean} props.xIsNext - Whether X player goes next
- * @param {Array} props.squares - Current board state (9-element array)
+ * @param {Array} props.squares - Current board state (rows x cols array)
  * @param {Function} props.onPlay - Callback when move is made
- * @param {Array} props.history - Complete game history
- * @param {number} props.currentMove - Current move number
+ * @param {string|null} props.waitingFor - Who the board is waiting for ("computer", "opponent", ...), or null when clicks are allowed
+ * @param {Object} props.config - Board size and win length { rows, cols, winLength }
+ * @param {Array} props.bestMoves - Squares to highlight as best moves (post-game analysis)
+ * @param {Object} props.result - positionResult of this position under the current rules
+ * @param {string} props.mark - Mark the next click places ('X'|'O')
+ * @param {Object} props.playerNames - Name of each player { X, O } for the status line
  * @returns {JSX.Element} Complete game board with status and overlay
  */
-function Board({ xIsNext, squares, onPlay, history, currentMove }) {
+function Board({ xIsNext, squares, onPlay, waitingFor, config, bestMoves, result, mark, playerNames }) {
+
+  /**
+   * KEYBOARD FOCUS STATE
+   * 
+   * focusedIndex: The square that is in the tab order
+   * squareRefs: The square buttons, so arrow keys can move focus to them
+   */
+  const [focusedIndex, setFocusedIndex] = useState(0);
+  const squareRefs = useRef([]);
+
+  // Keep the tab stop on the board after switching to a smaller board
+  const tabStop = Math.min(focusedIndex, squares.length - 1);
+
+  /**
+   * ARROW KEY NAVIGATION
+   * 
+   * Moves focus around the grid, whatever its size. Enter and Space are
+   * handled by the square buttons themselves.
+   * 
+   * @param {KeyboardEvent} event - Key pressed while a square has focus
+   */
+  function handleKeyDown(event) {
+    const nextIndex = getNextGridIndex(event.key, tabStop, config.rows, config.cols);
+    if (nextIndex === null) return;
+
+    event.preventDefault();    // Stop arrow keys from scrolling the page
+    setFocusedIndex(nextIndex);
+    squareRefs.current[nextIndex]?.focus();
+  }
 
   /**
    * MOVE HANDLING FUNCTION
@@ -149,14 +508,15 @@ function Board({ xIsNext, squares, onPlay, history, currentMove }) {
    * Processes player moves with validation and state updates.
    * Implements game rules and prevents invalid moves.
    * 
-   * @param {number} i - Index of clicked square (0-8)
+   * @param {number} i - Index of clicked square (0 to rows x cols - 1)
    */
   function handleClick(i) {
     // MOVE VALIDATION
     // Prevent moves if:
     // 1. Square is already occupied
-    // 2. Game has already been won
-    if (squares[i] || calculateWinner(squares)[0]) {
+    // 2. Game has already been won (or drawn: a variant may end before the board is full)
+    // 3. It is not this player's turn (the computer or online opponent moves next)
+    if (squares[i] || result.winner || result.isDrawn || waitingFor) {
       return; // Exit early for invalid moves
     }
 
@@ -166,30 +526,41 @@ function Board({ xIsNext, squares, onPlay, history, currentMove }) {
     const nextSquares = squares.slice();
 
     // PLACE PLAYER MARK
-    // Determine which symbol to place based on turn order
-    nextSquares[i] = xIsNext ? "X" : "O";
+    // The player's own symbol, or the one chosen for this move (Wild, Order and Chaos)
+    nextSquares[i] = mark;
 
     // PROPAGATE CHANGE TO PARENT
     // Pass new state and move position to parent component
     onPlay(nextSquares, i);
   }
 
+  // PLAYER SYMBOLS
+  // X and O can be shown as other symbols (theme settings)
+  const { markSymbols } = useAppearance();
+
   // GAME STATE ANALYSIS
-  // Calculate current game status and winning information
-  const [winningPlayer, winningLine] = calculateWinner(squares);
+  // The result comes from the current rules (the line circled is the one that decided the game)
+  const { winner: winningPlayer, winningLine } = result;
+
+  // SQUARE SIZE FOR THIS BOARD
+  const squareSize = getSquareSize(config);
 
   // STATUS MESSAGE GENERATION
+  const player = xIsNext ? "X" : "O";
   let status;
   if (winningPlayer) {
-    // VICTORY CONDITION
-    status = "Winner: " + winningPlayer;
-  } else if (currentMove === history.length - 1 && history.length === 10) {
+    // VICTORY CONDITION (or the other player's clock ran out)
+    status = "Winner: " + playerNames[winningPlayer] + (result.flagged ? " on time" : "");
+  } else if (result.isDrawn) {
     // DRAW CONDITION
-    // All 9 squares filled (history length 10 includes initial empty state)
+    // Every square filled with no winner
     status = "Draw!";
   } else {
     // GAME IN PROGRESS
-    status = "Next player: " + (xIsNext ? "X" : "O");
+    // Say who the board is waiting for, so the player knows why clicks do nothing,
+    // and which mark a click places when the player's name does not already say so
+    const placing = playerNames[player] !== markSymbols[mark] ? ` placing ${markSymbols[mark]}` : "";
+    status = "Next player: " + playerNames[player] + (waitingFor ? ` (${waitingFor})` : placing);
   }
 
   // COMPONENT RENDER
@@ -201,27 +572,383 @@ function Board({ xIsNext, squares, onPlay, history, currentMove }) {
       </div>
 
       {/* BOARD CONTAINER WITH OVERLAY SYSTEM */}
-      <div className="board-container">
+      {/* CSS variables size the grid and squares from the board configuration */}
+      <div
+        className="board-container"
+        style={{ "--board-cols": config.cols, "--square-size": `${squareSize}px` }}
+      >
         {/* WINNING LINE ANIMATION OVERLAY */}
-        <WinningOverlay winningLine={winningLine} />
+        <WinningOverlay
+          winningLine={winningLine}
+          rows={config.rows}
+          cols={config.cols}
+          squareSize={squareSize}
+        />
 
         {/* GAME BOARD GRID */}
-        <div className="board">
-          {/* DYNAMIC SQUARE GENERATION */}
-          {squares.map((square, index) => {
-            // WINNING SQUARE DETECTION
-            // Check if current square is part of winning line
-            const isWinningSquare = winningLine?.includes(index);
+        {/* An ARIA grid: squares are grouped into rows for screen readers */}
+        <div className="board" role="grid" aria-label="Tic-tac-toe board" onKeyDown={handleKeyDown}>
+          {/* DYNAMIC ROW AND SQUARE GENERATION */}
+          {Array.from({ length: config.rows }, (_, row) => (
+            <div className="my-board-row" role="row" key={row}>
+              {squares.slice(row * config.cols, (row + 1) * config.cols).map((square, col) => {
+                const index = row * config.cols + col;
+
+                // WINNING SQUARE DETECTION
+                // Check if current square is part of winning line
+                const isWinningSquare = winningLine?.includes(index);
+
+                return (
+                  <Square
+                    key={index}                                    // React key for list reconciliation
+                    value={square}                                // Square content (X, O, or null)
+                    symbol={square && markSymbols[square]}        // How that player is drawn
+                    onSquareClick={() => handleClick(index)}      // Click handler with closure
+                    isWinningSquare={isWinningSquare}            // Winning state for styling
+                    isBestMove={bestMoves.includes(index)}       // Analysis highlight
+                    label={squareLabel(row + 1, col + 1, square && markSymbols[square])} // e.g. "Row 1, Column 2, X"
+                    isFocusable={index === tabStop}              // Roving tab stop
+                    onFocus={() => setFocusedIndex(index)}       // Clicking also moves the tab stop
+                    buttonRef={(element) => { squareRefs.current[index] = element; }}
+                  />
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+    </>
+  );
+}
+
+// ===== MULTI-BOARD COMPONENTS =====
+
+/**
+ * STABLE WINNING LINES HOOK
+ * 
+ * Boards made of several small boards recompute every small board's line
+ * on each move. Reusing the first array found for each line keeps
+ * WinningOverlay from animating lines that are already drawn.
+ * 
+ * @returns {Function} stableLine(line) - The cached array for that line (null for no line)
+ */
+function useStableLines() {
+  const linesRef = useRef(new Map());
+  return (line) => {
+    if (!line) return null;
+    const key = line.join();
+    if (!linesRef.current.has(key)) linesRef.current.set(key, line);
+    return linesRef.current.get(key);
+  };
+}
+
+// ===== ULTIMATE TIC-TAC-TOE BOARD =====
+
+// Square size on the ultimate board (81 squares still fit beside the move history)
+const ULTIMATE_SQUARE_SIZE = 34;
+
+// Space between the small boards, in pixels
+const ULTIMATE_GAP = 12;
+
+// Distance from one small board to the next: three squares (their borders
+// overlap by 1px), the 4px padding on each side and the gap
+const ULTIMATE_BOARD_STEP = 3 * (ULTIMATE_SQUARE_SIZE - 1) + 8 + ULTIMATE_GAP;
+
+// Small boards by position, for the status line and screen readers
+const SUB_BOARD_NAMES = [
+  "top left", "top", "top right",
+  "left", "center", "right",
+  "bottom left", "bottom", "bottom right",
+];
+
+/**
+ * ULTIMATE BOARD COMPONENT
+ * 
+ * Nine small boards inside a big one, built from the same Square and
+ * WinningOverlay pieces as the regular Board:
+ * - Each small board is its own grid, with its winning line circled and
+ *   its winner shown over it
+ * - The boards the next move may be played on are highlighted
+ * - Three small boards in a row are circled on the big board
+ * Arrow keys move across all 81 squares as one 9x9 grid.
+ * 
+ * @param {Object} props - Component properties
+ * @param {boolean} props.xIsNext - Whether X player goes next
+ * @param {Object} props.board - Ultimate board { squares, activeBoard } (see src/engine/ultimateTicTacToe.js)
+ * @param {Function} props.onPlay - Callback when move is made, with the next squares and the square index
+ * @param {string|null} props.waitingFor - Who the board is waiting for, or null when clicks are allowed
+ * @param {Object} props.result - positionResult of this position (winningLine holds the small boards in a row)
+ * @param {Object} props.playerNames - Name of each player { X, O } for the status line
+ * @returns {JSX.Element} Status line and the nested boards
+ */
+function UltimateBoard({ xIsNext, board, onPlay, waitingFor, result, playerNames }) {
+  // KEYBOARD FOCUS: square index (0-80) in the tab order, and the square buttons
+  const [focusedIndex, setFocusedIndex] = useState(0);
+  const squareRefs = useRef([]);
+  const stableLine = useStableLines();
+
+  const { markSymbols } = useAppearance();
+
+  // GAME STATE ANALYSIS
+  const subBoards = ultimateTicTacToe.getSubBoardResults(board);
+  // No board is open once a clock has run out
+  const activeBoards = result.flagged ? [] : ultimateTicTacToe.getActiveBoards(board);
+
+  /**
+   * ARROW KEY NAVIGATION
+   * 
+   * Squares are stored small board by small board, so focus moves on the
+   * 9x9 grid they are drawn on and is mapped back to a square index.
+   * 
+   * @param {KeyboardEvent} event - Key pressed while a square has focus
+   */
+  function handleKeyDown(event) {
+    const [row, col] = ultimateTicTacToe.squarePosition(focusedIndex);
+    const nextCell = getNextGridIndex(event.key, row * 9 + col, 9, 9);
+    if (nextCell === null) return;
+
+    event.preventDefault();
+    const nextIndex = ultimateTicTacToe.squareAt(Math.trunc(nextCell / 9), nextCell % 9);
+    setFocusedIndex(nextIndex);
+    squareRefs.current[nextIndex]?.focus();
+  }
+
+  /**
+   * MOVE HANDLING FUNCTION
+   * 
+   * The engine refuses squares outside the open boards (and any move
+   * once the game is over).
+   * 
+   * @param {number} index - Index of clicked square (0-80)
+   */
+  function handleClick(index) {
+    if (waitingFor || result.winner) return;
+
+    const move = ultimateTicTacToe.applyMove(board, index, xIsNext ? "X" : "O");
+    if (move) onPlay(move.board.squares, index);
+  }
+
+  // STATUS MESSAGE GENERATION
+  let status;
+  if (result.winner) {
+    status = "Winner: " + playerNames[result.winner] + (result.flagged ? " on time" : "");
+  } else if (result.isDrawn) {
+    status = "Draw!";
+  } else {
+    const where = activeBoards.length === 1 ? `in the ${SUB_BOARD_NAMES[activeBoards[0]]} board` : "on any board";
+    status = "Next player: " + playerNames[xIsNext ? "X" : "O"] + (waitingFor ? ` (${waitingFor})` : ` - play ${where}`);
+  }
+
+  // COMPONENT RENDER
+  return (
+    <>
+      {/* GAME STATUS DISPLAY */}
+      <div className="my-status">
+        <h3>{status}</h3>
+      </div>
+
+      <div className="board-container">
+        {/* BIG BOARD: the small boards in a 3x3 grid */}
+        <div
+          className="ultimate-board"
+          role="group"
+          aria-label="Ultimate tic-tac-toe board"
+          onKeyDown={handleKeyDown}
+          style={{ "--square-size": `${ULTIMATE_SQUARE_SIZE}px`, "--board-gap": `${ULTIMATE_GAP}px` }}
+        >
+          {subBoards.map(({ winner, line, isDecided }, boardIndex) => {
+            const name = SUB_BOARD_NAMES[boardIndex];
+            const isActive = activeBoards.includes(boardIndex);
 
             return (
-              <Square
-                key={index}                                    // React key for list reconciliation
-                value={square}                                // Square content (X, O, or null)
-                onSquareClick={() => handleClick(index)}      // Click handler with closure
-                isWinningSquare={isWinningSquare}            // Winning state for styling
-              />
+              <div
+                key={boardIndex}
+                className={`sub-board${isActive ? " active-board" : ""}${isDecided ? " decided-board" : ""}`}
+              >
+                {/* SMALL BOARD GRID */}
+                <div
+                  className="board"
+                  role="grid"
+                  aria-label={`${name} board${winner ? `, won by ${markSymbols[winner]}` : ""}${isActive ? ", open" : ""}`}
+                  style={{ "--board-cols": 3 }}
+                >
+                  {[0, 1, 2].map((subRow) => (
+                    <div className="my-board-row" role="row" key={subRow}>
+                      {[0, 1, 2].map((subCol) => {
+                        const cell = subRow * 3 + subCol;
+                        const index = boardIndex * 9 + cell;
+                        const square = board.squares[index];
+                        const [row, col] = ultimateTicTacToe.squarePosition(index);
+
+                        return (
+                          <Square
+                            key={index}
+                            value={square}
+                            symbol={square && markSymbols[square]}
+                            onSquareClick={() => handleClick(index)}
+                            isWinningSquare={line?.includes(cell)}
+                            isBestMove={false}
+                            label={squareLabel(row + 1, col + 1, square && markSymbols[square])}
+                            isFocusable={index === focusedIndex}
+                            onFocus={() => setFocusedIndex(index)}
+                            buttonRef={(element) => { squareRefs.current[index] = element; }}
+                          />
+                        );
+                      })}
+                    </div>
+                  ))}
+                </div>
+
+                {/* SMALL BOARD WINNING LINE AND WINNER */}
+                <WinningOverlay winningLine={stableLine(line)} rows={3} cols={3} squareSize={ULTIMATE_SQUARE_SIZE} />
+                {winner && (
+                  <span className={`sub-board-winner mark-${winner.toLowerCase()}`} aria-hidden="true">
+                    {markSymbols[winner]}
+                  </span>
+                )}
+              </div>
             );
           })}
+
+          {/* BIG BOARD WINNING LINE (after the small boards, so it is drawn over them) */}
+          <WinningOverlay winningLine={stableLine(result.winningLine)} rows={3} cols={3} squareSize={ULTIMATE_BOARD_STEP} />
+        </div>
+      </div>
+    </>
+  );
+}
+
+// ===== NOTAKTO BOARDS =====
+
+// Notakto's board size (every board is a classic 3x3 board)
+const NOTAKTO_CONFIG = VARIANTS.notakto.config;
+const NOTAKTO_BOARD_SQUARES = NOTAKTO_CONFIG.rows * NOTAKTO_CONFIG.cols;
+
+/**
+ * NOTAKTO BOARD COMPONENT
+ * 
+ * Notakto's boards side by side, built from Square and WinningOverlay
+ * like the regular Board. Both players place X; a dead board (three in a
+ * row) is faded with its line circled and takes no more marks.
+ * Arrow keys move across all boards as one 3-row grid.
+ * 
+ * @param {Object} props - Component properties
+ * @param {boolean} props.xIsNext - Whether the first player goes next
+ * @param {Array} props.squares - All boards, one after another
+ * @param {Function} props.onPlay - Callback when move is made, with the next squares and the square index
+ * @param {string|null} props.waitingFor - Who the board is waiting for, or null when clicks are allowed
+ * @param {Object} props.result - positionResult of this position (deadBoards holds each board's line)
+ * @param {Object} props.playerNames - Name of each player { X, O } for the status line
+ * @returns {JSX.Element} Status line and the boards
+ */
+function NotaktoBoard({ xIsNext, squares, onPlay, waitingFor, result, playerNames }) {
+  // KEYBOARD FOCUS: square index in the tab order, and the square buttons
+  const [focusedIndex, setFocusedIndex] = useState(0);
+  const squareRefs = useRef([]);
+  const stableLine = useStableLines();
+
+  const { markSymbols } = useAppearance();
+  const { rows, cols } = NOTAKTO_CONFIG;
+  const totalCols = cols * result.deadBoards.length;
+
+  /**
+   * ARROW KEY NAVIGATION
+   * 
+   * Focus moves on the grid the boards form side by side, and is mapped
+   * back to a square index (boards are stored one after another).
+   * 
+   * @param {KeyboardEvent} event - Key pressed while a square has focus
+   */
+  function handleKeyDown(event) {
+    const boardIndex = Math.trunc(focusedIndex / NOTAKTO_BOARD_SQUARES);
+    const cell = focusedIndex % NOTAKTO_BOARD_SQUARES;
+    const gridCell = Math.trunc(cell / cols) * totalCols + boardIndex * cols + (cell % cols);
+    const nextCell = getNextGridIndex(event.key, gridCell, rows, totalCols);
+    if (nextCell === null) return;
+
+    event.preventDefault();
+    const row = Math.trunc(nextCell / totalCols);
+    const col = nextCell % totalCols;
+    const nextIndex = Math.trunc(col / cols) * NOTAKTO_BOARD_SQUARES + row * cols + (col % cols);
+    setFocusedIndex(nextIndex);
+    squareRefs.current[nextIndex]?.focus();
+  }
+
+  /**
+   * MOVE HANDLING FUNCTION
+   * 
+   * The engine refuses filled squares, dead boards and any move once the
+   * game is over.
+   * 
+   * @param {number} index - Index of clicked square
+   */
+  function handleClick(index) {
+    if (waitingFor || result.winner) return;
+
+    const move = ticTacToeVariants.applyMove(squares, { index, mark: "X" }, "notakto", NOTAKTO_CONFIG);
+    if (move) onPlay(move.board, index);
+  }
+
+  // STATUS MESSAGE GENERATION (there are no draws)
+  const status = result.winner
+    ? "Winner: " + playerNames[result.winner] + (result.flagged ? " on time" : "")
+    : "Next player: " + playerNames[xIsNext ? "X" : "O"] + (waitingFor ? ` (${waitingFor})` : "");
+
+  // COMPONENT RENDER
+  return (
+    <>
+      {/* GAME STATUS DISPLAY */}
+      <div className="my-status">
+        <h3>{status}</h3>
+      </div>
+
+      <div className="board-container">
+        <div
+          className="notakto-boards"
+          role="group"
+          aria-label="Notakto boards"
+          onKeyDown={handleKeyDown}
+          style={{ "--square-size": `${getSquareSize(NOTAKTO_CONFIG)}px` }}
+        >
+          {result.deadBoards.map((line, boardIndex) => (
+            <div key={boardIndex} className={`sub-board${line ? " decided-board" : ""}`}>
+              {/* ONE BOARD */}
+              <div
+                className="board"
+                role="grid"
+                aria-label={`Board ${boardIndex + 1}${line ? ", dead" : ""}`}
+                style={{ "--board-cols": cols }}
+              >
+                {Array.from({ length: rows }, (_, row) => (
+                  <div className="my-board-row" role="row" key={row}>
+                    {Array.from({ length: cols }, (_, col) => {
+                      const cell = row * cols + col;
+                      const index = boardIndex * NOTAKTO_BOARD_SQUARES + cell;
+                      const square = squares[index];
+
+                      return (
+                        <Square
+                          key={index}
+                          value={square}
+                          symbol={square && markSymbols[square]}
+                          onSquareClick={() => handleClick(index)}
+                          isWinningSquare={line?.includes(cell)}
+                          isBestMove={false}
+                          label={squareLabel(row + 1, col + 1, square && markSymbols[square])}
+                          isFocusable={index === focusedIndex}
+                          onFocus={() => setFocusedIndex(index)}
+                          buttonRef={(element) => { squareRefs.current[index] = element; }}
+                        />
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+
+              {/* DEAD BOARD LINE */}
+              <WinningOverlay winningLine={stableLine(line)} rows={rows} cols={cols} squareSize={getSquareSize(NOTAKTO_CONFIG)} />
+            </div>
+          ))}
         </div>
       </div>
     </>
@@ -243,6 +970,14 @@ function Board({ xIsNext, squares, onPlay, history, currentMove }) {
 export default function Game() {
   // ===== STATE MANAGEMENT =====
 
+  /**
+   * RESTORED GAME
+   * 
+   * Read once on mount; provides the starting board size, history and
+   * current move for the state below.
+   */
+  const [savedGame] = useState(restoreGame);
+
   /**
    * SELECTED MOVE TRACKING
    * 
@@ -260,10 +995,8 @@ export default function Game() {
    * Uses useEffect with empty dependency array to run only once.
    */
   useEffect(() => {
-    // PRELOAD ALL AUDIO FILES
-    [xSound, oSound, winXSound, winOSound, drawSound].forEach((sound) => {
-      sound.load(); // Browser API to preload audio file
-    });
+    // PRELOAD ALL AUDIO FILES (downloaded and decoded once per page)
+    preloadSounds(GAME_SOUNDS);
   }, []); // Empty dependency array = run once on mount
 
   // ===== GAME STATE MANAGEMENT =====
@@ -275,13 +1008,40 @@ export default function Game() {
    * Each entry contains:
    * - squares: Board state after the move
    * - position: [row, col] coordinates of the move
+   * - hinted: True if a hint was shown before the move was made
+   * - activeBoard: Small board the next move must be played on (ultimate rules)
+   * - clock: Each player's time left after the move, e.g. { X: 58000, O: 60000 } (chess clocks)
+   * - flag: The player who ran out of time at this position (chess clocks)
+   * - mark: Mark placed by the move (rule variants, where it may not be the player's own)
+   * - boardIndex: Board the move was played on (Notakto)
+   * Starts with the empty board (plus any moves restored from a saved game)
    */
-  const [history, setHistory] = useState([
-    {
-      squares: Array(9).fill(null),    // Initial empty board
-      position: [null, null]           // No position for initial state
-    }
-  ]);
+  const [history, setHistory] = useState(savedGame.history);
+
+  /**
+   * RULES STATE
+   * 
+   * Key of RULES. Games under other rules than the classic ones are not
+   * saved and always start empty.
+   */
+  const [rules, setRules] = useState("classic");
+
+  /**
+   * CHOSEN MARK STATE
+   * 
+   * The mark the next click places when players choose their mark (Wild,
+   * Order and Chaos). Kept between moves, so it only needs changing when
+   * a player wants the other mark.
+   */
+  const [chosenMark, setChosenMark] = useState("X");
+
+  /**
+   * TIME CONTROL STATE
+   * 
+   * Key of TIME_CONTROLS ("off" for untimed games). Online games are
+   * always untimed.
+   */
+  const [timeControl, setTimeControl] = useState("off");
 
   /**
    * CURRENT MOVE STATE
@@ -289,7 +1049,7 @@ export default function Game() {
    * Index into history array representing current viewing position.
    * Enables time travel through game history.
    */
-  const [currentMove, setCurrentMove] = useState(0);
+  const [currentMove, setCurrentMove] = useState(savedGame.currentMove);
 
   /**
    * MOVE LIST ORDERING STATE
@@ -298,6 +1058,181 @@ export default function Game() {
    */
   const [isAscending, setIsAscending] = useState(true);
 
+  // ===== SINGLE-PLAYER STATE =====
+
+  /**
+   * GAME MODE STATE
+   * 
+   * "two-player": Hot-seat game on one device
+   * "computer": Human against the computer opponent
+   * "online": Against another browser through the local game server
+   */
+  const [gameMode, setGameMode] = useState("two-player");
+
+  /**
+   * HUMAN SYMBOL STATE
+   * 
+   * Which symbol the human plays against the computer.
+   * X always moves first, so choosing O lets the computer open.
+   */
+  const [humanSymbol, setHumanSymbol] = useState("X");
+
+  /**
+   * COMPUTER SKILL STATE
+   * 
+   * "random": Picks any empty square
+   * "mistakes": Plays perfectly most of the time, but sometimes slips
+   * "unbeatable": Full minimax search (best result is a draw)
+   */
+  const [computerLevel, setComputerLevel] = useState("unbeatable");
+
+  // ===== BOARD SIZE STATE =====
+
+  /**
+   * BOARD PRESET STATE
+   * 
+   * Key into BOARD_PRESETS, or "custom" for user-entered dimensions.
+   */
+  const [boardPreset, setBoardPreset] = useState(savedGame.boardPreset);
+
+  /**
+   * BOARD CONFIGURATION STATE
+   * 
+   * rows / cols: Board height and width in squares
+   * winLength: Marks in a row needed to win
+   */
+  const [boardConfig, setBoardConfig] = useState(savedGame.boardConfig);
+
+  /**
+   * PLAYER SYMBOLS
+   * 
+   * Symbols chosen for X and O in the appearance settings, used wherever
+   * a player is named (move list, announcements, menus).
+   */
+  const { markSymbols } = useAppearance();
+
+  /**
+   * SCOREBOARD FLAG
+   * 
+   * True once the game in progress has been added to the scoreboard, so
+   * replaying a different ending after time travel does not count twice.
+   * Cleared only when a new game starts: startNewGame (new game, mode,
+   * rules or board changes) or an online restart.
+   */
+  const statsRecordedRef = useRef(false);
+
+  // ===== ANALYSIS STATE =====
+
+  /**
+   * ANALYSIS MODE STATE
+   * 
+   * True while a finished game is being reviewed with the engine's
+   * evaluation. Only shown while the latest position is finished, so
+   * starting a new game ends it.
+   */
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+
+  /**
+   * REPLAY STATE
+   * 
+   * True while the replay player is stepping through the history by itself
+   * (the board waits meanwhile, see waitingFor).
+   */
+  const [isReplaying, setIsReplaying] = useState(false);
+
+  // ===== HINT STATE =====
+
+  /**
+   * HINT BUDGET STATE
+   * 
+   * hintBudget: Hints allowed in each game (a value from HINT_BUDGETS)
+   * hintsUsed: Hints taken in the current game
+   * hint: The last hint, { squares, moves } - only shown while that board
+   *       (the same array) is on screen, so any move or jump clears it
+   */
+  const [hintBudget, setHintBudget] = useState(3);
+  const [hintsUsed, setHintsUsed] = useState(0);
+  const [hint, setHint] = useState(null);
+
+  // ===== ONLINE STATE =====
+
+  /**
+   * ONLINE CONNECTION
+   * 
+   * Room, seat and actions for online games (see src/shared/onlineGame.js).
+   * While in a room, the server's move list replaces the local history.
+   */
+  const online = useOnlineGame("ttt");
+  const isOnline = gameMode === "online";
+
+  /**
+   * SAVE EFFECT
+   * 
+   * Stores the game after every change, so a refresh restores it and the
+   * URL always links to the position being shown.
+   * Moves are stored as square indices (row * cols + col).
+   */
+  useEffect(() => {
+    if (isOnline) return;     // Online games live on the server
+    if (rules !== "classic") return;     // Saved games hold classic moves only
+
+    const moves = history.slice(1).map(({ position: [row, col] }) => row * boardConfig.cols + col);
+    saveGame(SAVE_FORMAT, { moves, cursor: currentMove, config: boardConfig });
+  }, [history, currentMove, boardConfig, isOnline, rules]);
+
+  /**
+   * APPLY ROOM FUNCTION
+   * 
+   * Rebuilds the history from a room state sent by the server and jumps to
+   * the latest move. The server's move list is always the whole game, so
+   * joining late or reconnecting needs nothing special.
+   * A single new move plays its sounds, like a move made on this device.
+   * 
+   * @param {Object} room - Room state from the server ({ moves, config, ... })
+   */
+  function applyRoom(room) {
+    const entries = replayMoves(ticTacToe, room.moves, room.config);
+    const nextHistory = entries.map(({ board, position }) => ({ squares: board, position }));
+
+    // EMPTY ROOM: a new game (or the room's first), so it may be scored again
+    if (nextHistory.length === 1) statsRecordedRef.current = false;
+
+    // ONE NEW MOVE (history still ends one move earlier)
+    if (nextHistory.length === history.length + 1) {
+      const result = positionResult("classic", nextHistory[nextHistory.length - 1], room.config);
+      playMoveSounds(nextHistory.length % 2 === 0 ? "X" : "O", result);
+      if (online.role !== "spectator") recordIfFinished(result, nextHistory.length - 1);
+    }
+
+    setBoardConfig(room.config);
+    setBoardPreset(presetFor(room.config));
+    setHistory(nextHistory);
+    setCurrentMove(nextHistory.length - 1);
+    setSelectedMove(null);
+  }
+
+  // Latest applyRoom (it reads the current history) and the room it last showed
+  const applyRoomRef = useRef(applyRoom);
+  const appliedRoomRef = useRef(null);
+  useEffect(() => {
+    applyRoomRef.current = applyRoom;
+  });
+
+  /**
+   * ONLINE ROOM EFFECT
+   * 
+   * Runs whenever the server sends a new room state. Each state is applied
+   * once, so running the effect again for the same room (as React does in
+   * development) cannot play its sounds or record its result twice.
+   */
+  useEffect(() => {
+    const room = online.room;
+    if (!room || room === appliedRoomRef.current) return;
+
+    appliedRoomRef.current = room;
+    applyRoomRef.current(room);
+  }, [online.room]);
+
   // ===== DERIVED STATE CALCULATIONS =====
 
   /**
@@ -313,7 +1248,179 @@ export default function Game() {
    * 
    * Extracts board configuration for current move with fallback.
    */
-  const currentSquares = history[currentMove]?.squares || Array(9).fill(null);
+  const currentSquares = history[currentMove]?.squares || createInitialBoard(boardConfig);
+
+  // True when a chess clock ran out at the position being shown
+  const isFlagged = Boolean(history[currentMove]?.flag);
+
+  /**
+   * RULES-DEPENDENT VALUES
+   * 
+   * gameConfig: The board the current rules are played on (the chosen board
+   *             size unless the rules have their own)
+   * playerNames: How the players are named, e.g. "Order" and "Chaos" (the
+   *              mark symbols when the marks name the players), or the
+   *              seated profiles in two-player games
+   * mark: What the next click places - the player's own mark, the only
+   *       mark (Notakto) or the chosen one
+   */
+  const gameConfig = RULES[rules].config ?? boardConfig;
+  const seated = useSeatedProfiles(SAVE_FORMAT.key, ["X", "O"], "preferredMark");
+  const usesProfiles = gameMode === "two-player";
+  const playerNames = useMemo(() => {
+    const names = RULES[rules].playerNames;
+    const sideNames = names ? { X: names[0], O: names[1] } : markSymbols;
+    if (!usesProfiles) return sideNames;
+    return { X: profileName(seated.X, sideNames.X), O: profileName(seated.O, sideNames.O) };
+  }, [rules, markSymbols, usesProfiles, seated]);
+  const placeableMarks = VARIANTS[rules] ? ticTacToeVariants.getMarks(rules, xIsNext ? "X" : "O") : [xIsNext ? "X" : "O"];
+  const mark = placeableMarks.length === 1 ? placeableMarks[0] : chosenMark;
+
+  /**
+   * COMPUTER SYMBOL CALCULATION
+   * 
+   * The symbol the computer plays, or null when two humans are playing.
+   */
+  const computerSymbol = gameMode === "computer" ? (humanSymbol === "X" ? "O" : "X") : null;
+
+  /**
+   * COMPUTER TURN CALCULATION
+   * 
+   * True when the displayed position is still in play and the computer moves next.
+   */
+  const isComputerTurn =
+    computerSymbol === (xIsNext ? "X" : "O") && !isFlagged &&
+    getLegalMoves(currentSquares, boardConfig).length > 0;
+
+  // ===== POST-GAME ANALYSIS =====
+
+  /**
+   * FINISHED GAME DETECTION
+   * 
+   * Analysis is offered once the latest position is won or drawn, and
+   * only on the classic board (larger boards are too big to search).
+   */
+  const latestResult = positionResult(rules, history[history.length - 1], gameConfig);
+  const isGameFinished = latestResult.winner !== null || latestResult.isDrawn;
+  const canAnalyze = rules === "classic" && isSameConfig(boardConfig, CLASSIC_CONFIG);
+  const showAnalysis = isAnalyzing && isGameFinished && canAnalyze;
+
+  /**
+   * POSITION ANALYSES
+   * 
+   * One analyzePosition result per history entry (null for the final,
+   * finished position). Minimax results are cached, so this is instant.
+   */
+  const analysis = useMemo(() => {
+    if (!showAnalysis) return null;
+    return history.map(({ squares }, move) => analyzePosition(squares, move % 2 === 0 ? "X" : "O", boardConfig));
+  }, [showAnalysis, history, boardConfig]);
+
+  // Evaluation of the position being shown (null when not analyzing or at the end)
+  const shownAnalysis = analysis?.[currentMove] ?? null;
+
+  // ===== CHESS CLOCKS =====
+
+  /**
+   * CLOCK SETUP
+   * 
+   * The clock times the latest position's player to move, and stands
+   * still during time travel, replays and once the game is over. Entries
+   * without clock times (saved games, loaded records) count as the
+   * starting times.
+   */
+  const clockControl = isOnline ? TIME_CONTROLS.off : TIME_CONTROLS[timeControl];
+  const latestEntry = history[history.length - 1];
+  const latestMover = (history.length - 1) % 2 === 0 ? "X" : "O";
+  const entryClock = (entry) => entry.clock ?? initialClock(clockControl, ["X", "O"]);
+  const isLatestMove = currentMove === history.length - 1;
+
+  const clock = useChessClock({
+    control: clockControl,
+    turnKey: latestEntry,
+    remaining: entryClock(latestEntry)?.[latestMover] ?? 0,
+    isRunning: isLatestMove && !isGameFinished && !isReplaying,
+    onFlag: flagPlayer,
+  });
+
+  // Clock times shown: live at the latest position, as recorded elsewhere
+  const shownClock = isLatestMove && !isGameFinished && clock.timeLeft !== null
+    ? { ...entryClock(latestEntry), [latestMover]: clock.timeLeft }
+    : entryClock(history[currentMove]);
+
+  /**
+   * EVALUATION TEXT
+   * 
+   * e.g. "X to move wins in 3 moves with best play. Best: row 1, column 2."
+   */
+  let evaluation = null;
+  if (shownAnalysis) {
+    const mover = markSymbols[xIsNext ? "X" : "O"];
+    const { outcome, distance, bestMoves } = shownAnalysis;
+    const movesText = `${distance} ${distance === 1 ? "move" : "moves"}`;
+
+    if (outcome === "win") {
+      evaluation = `${mover} to move wins in ${movesText} with best play.`;
+    } else if (outcome === "loss") {
+      evaluation = `${mover} to move loses in ${movesText} with best play.`;
+    } else {
+      evaluation = `${mover} to move: a draw with best play.`;
+    }
+
+    const bestText = bestMoves
+      .map((index) => squareCoords(index, boardConfig.cols))
+      .map(([row, col]) => `row ${row + 1}, column ${col + 1}`)
+      .join("; ");
+    evaluation += ` Best: ${bestText}.`;
+  }
+
+  /**
+   * WAITING LABEL
+   * 
+   * Why the board is not accepting clicks, shown after "Next player":
+   * - "analysis": A finished game is being reviewed
+   * - "replay": The replay player is stepping through the moves
+   * - "paused": The chess clocks are paused
+   * - "computer": The computer is about to move
+   * - "not connected": Online mode, but not in a room yet
+   * - "spectating": Watching someone else's online game
+   * - "opponent": The other online player moves next (or an earlier move
+   *   is being shown - online moves are only made at the latest position)
+   */
+  let waitingFor = null;
+  if (showAnalysis) {
+    waitingFor = "analysis";
+  } else if (isReplaying) {
+    waitingFor = "replay";
+  } else if (clock.isPaused) {
+    waitingFor = "paused";
+  } else if (isComputerTurn) {
+    waitingFor = "computer";
+  } else if (isOnline && !online.room) {
+    waitingFor = "not connected";
+  } else if (isOnline && online.role === "spectator") {
+    waitingFor = "spectating";
+  } else if (isOnline && (online.role !== (xIsNext ? "X" : "O") || currentMove !== history.length - 1)) {
+    waitingFor = "opponent";
+  }
+
+  // ===== HINTS =====
+
+  /**
+   * HINT AVAILABILITY
+   * 
+   * A hint is for whoever may click the board right now, so none while the
+   * board is waiting (computer, analysis, ...) or once the game is over.
+   * Online games have no hints: the server's move list has no room for the
+   * "hint used" marks. Hints only know the classic rules.
+   */
+  const hintMoves = hint && hint.squares === currentSquares ? hint.moves : NO_MOVES;
+  const hintsLeft = hintBudget - hintsUsed;
+  const canHint = !waitingFor && !isOnline && !isFlagged && rules === "classic" && hintsLeft > 0 && hintMoves.length === 0 &&
+    getLegalMoves(currentSquares, boardConfig).length > 0;
+
+  // Moves made after a hint in the history being shown
+  const hintedMoves = history.filter((entry) => entry.hinted).length;
 
   // ===== GAME ACTION HANDLERS =====
 
@@ -327,39 +1434,281 @@ export default function Game() {
    * @param {number} index - Square index where move was made
    */
   function handlePlay(nextSquares, index) {
+    // ONLINE MOVE
+    // The server checks the move and sends it back to both players;
+    // the room effect above then adds it to the history
+    if (isOnline) {
+      online.sendMove(index);
+      return;
+    }
+
+    // NEW HISTORY ENTRY
+    // Ultimate moves also decide the next move's board (and sit on a 9x9 grid);
+    // variant moves note the mark placed, and Notakto the board played on
+    const entry = {
+      squares: nextSquares,
+      position: squareCoords(index, gameConfig.cols),   // Add new move with coordinates
+      hinted: hintMoves.length > 0                      // A hint was shown for this position
+    };
+    if (rules === "ultimate") {
+      const { board: nextBoard, position } = ultimateTicTacToe.applyMove(history[currentMove], index, xIsNext ? "X" : "O");
+      entry.activeBoard = nextBoard.activeBoard;
+      entry.position = position;
+    } else if (VARIANTS[rules]) {
+      const move = { index, mark: nextSquares[index] };
+      entry.position = ticTacToeVariants.applyMove(history[currentMove].squares, move, rules, gameConfig).position;
+      entry.mark = move.mark;
+      if (rules === "notakto") entry.boardIndex = Math.trunc(index / NOTAKTO_BOARD_SQUARES);
+    }
+
+    // CLOCK TIMES
+    // The mover's time when the move was made (a move from an earlier position
+    // continues from that position's times), plus the increment
+    if (clockControl.type) {
+      const mover = xIsNext ? "X" : "O";
+      const before = entryClock(history[currentMove]);
+      const timeLeft = isLatestMove ? clock.readTimeLeft() : before[mover];
+      entry.clock = { ...before, [mover]: timeAfterMove(clockControl, timeLeft) };
+    }
+
     // HISTORY UPDATE WITH TIME TRAVEL SUPPORT
     // When jumping back in time and making new move, discard "future" history
     const nextHistory = [
       ...history.slice(0, currentMove + 1),     // Keep history up to current point
-      {
-        squares: nextSquares,
-        position: squareCoords(index)          // Add new move with coordinates
-      }
+      entry
     ];
 
     // STATE UPDATES
     setHistory(nextHistory);                       // Update game history
     setCurrentMove(nextHistory.length - 1);       // Jump to latest move
 
-    // AUDIO FEEDBACK FOR MOVES
-    // Play different sounds for X and O moves
-    if (xIsNext) {
-      xSound.play().catch(console.error);       // Handle audio play failures gracefully
-    } else {
-      oSound.play().catch(console.error);
+    // AUDIO FEEDBACK
+    const result = positionResult(rules, entry, gameConfig);
+    playMoveSounds(entry.mark ?? (xIsNext ? "X" : "O"), result);
+
+    // SCOREBOARD
+    recordIfFinished(result, nextHistory.length - 1);
+  }
+
+  /**
+   * FLAG FUNCTION
+   * 
+   * Called by the chess clock when the player to move runs out of time:
+   * marks the latest position as lost on time, with the win sound and
+   * the scoreboard entry of a won game.
+   */
+  function flagPlayer() {
+    const flaggedEntry = { ...latestEntry, flag: latestMover, clock: { ...entryClock(latestEntry), [latestMover]: 0 } };
+    setHistory([...history.slice(0, -1), flaggedEntry]);
+
+    const result = positionResult(rules, flaggedEntry, gameConfig);
+    playSound(result.winner === "X" ? "winX" : "winO");
+    recordIfFinished(result, history.length - 1);
+  }
+
+  /**
+   * SCOREBOARD RECORDING FUNCTION
+   * 
+   * Adds the game to the scoreboard when a move ends it. Each game counts
+   * once, however often it is replayed from an earlier move.
+   * 
+   * @param {Object} result - positionResult of the position after the move
+   * @param {number} moveCount - Moves played so far, including this one
+   */
+  function recordIfFinished({ winner, isDrawn }, moveCount) {
+    if (statsRecordedRef.current || !(winner || isDrawn)) return;
+
+    recordGame(SAVE_FORMAT.key, winner, moveCount);
+    statsRecordedRef.current = true;
+  }
+
+  /**
+   * HINT FUNCTION
+   * 
+   * Highlights the strongest moves for the player to move and spends one
+   * hint from this game's budget.
+   */
+  function requestHint() {
+    if (!canHint) return;
+
+    const moves = suggestMoves(currentSquares, xIsNext ? "X" : "O", boardConfig);
+    setHint({ squares: currentSquares, moves });
+    setHintsUsed(hintsUsed + 1);
+  }
+
+  /**
+   * COMPUTER MOVE FUNCTION
+   * 
+   * Asks the computer for a square and submits it through handlePlay,
+   * exactly as if the square had been clicked. This keeps sounds, the
+   * winning overlay and move history identical for human and computer moves.
+   */
+  function playComputerMove() {
+    const index = chooseComputerMove(currentSquares, computerSymbol, computerLevel, boardConfig);
+    if (index === null) return;
+
+    const nextSquares = currentSquares.slice();
+    nextSquares[index] = computerSymbol;
+    handlePlay(nextSquares, index);
+  }
+
+  /**
+   * LATEST COMPUTER MOVE FUNCTION
+   * playComputerMove is recreated on every render; the timer below calls it
+   * through this ref so it always plays from the newest state.
+   */
+  const playComputerMoveRef = useRef(playComputerMove);
+  useEffect(() => {
+    playComputerMoveRef.current = playComputerMove;
+  });
+
+  /**
+   * COMPUTER TURN EFFECT
+   * 
+   * Plays the computer's move after a short pause when it is the computer's
+   * turn at the latest position. Earlier positions (reached by time travel)
+   * are left alone so the history can be browsed; the "Resume" button
+   * below lets the computer continue from one of them.
+   * The timeout is cleared if anything changes before it fires.
+   */
+  useEffect(() => {
+    if (!isComputerTurn || clock.isPaused || currentMove !== history.length - 1) return;
+
+    const timer = setTimeout(() => playComputerMoveRef.current(), 500);
+    return () => clearTimeout(timer);
+  }, [isComputerTurn, clock.isPaused, currentMove, history, computerLevel]);
+
+  /**
+   * NEW GAME FUNCTION
+   * 
+   * Clears the board and history. Used when the mode, side or board size
+   * changes, since an in-progress game cannot switch opponents (or grow
+   * new squares) halfway through.
+   * 
+   * @param {Object} [config] - Board configuration for the new game (defaults to the current one)
+   * @param {string} [nextRules] - Key of RULES for the new game (defaults to the current rules)
+   */
+  function startNewGame(config = boardConfig, nextRules = rules) {
+    let initialBoard = { squares: createInitialBoard(config) };
+    if (nextRules === "ultimate") {
+      initialBoard = ultimateTicTacToe.createInitialBoard();
+    } else if (VARIANTS[nextRules]) {
+      initialBoard = { squares: ticTacToeVariants.createInitialBoard(nextRules, RULES[nextRules].config ?? config) };
     }
 
-    // GAME END AUDIO FEEDBACK
-    // Check for victory or draw conditions and play appropriate sounds
-    const [winningPlayer] = calculateWinner(nextSquares);
+    setHistory([{ ...initialBoard, position: [null, null] }]);
+    setCurrentMove(0);
+    setSelectedMove(null);
+    setIsAnalyzing(false);
+    setHint(null);
+    setHintsUsed(0);
+    setIsReplaying(false);
+    clock.setPaused(false);
+    statsRecordedRef.current = false;
+  }
+
+  /**
+   * NEW GAME BUTTON HANDLER
+   * 
+   * Starts over with the same settings. In two-player games where the
+   * players swap sides between games, the other player now takes X.
+   */
+  function playNextGame() {
+    if (usesProfiles && history.length > 1) startNextGame(SAVE_FORMAT.key);
+    startNewGame();
+  }
 
-    if (winningPlayer === "X") {
-      winXSound.play().catch(console.error);     // X victory sound
-    } else if (winningPlayer === "O") {
-      winOSound.play().catch(console.error);     // O victory sound
-    } else if (nextHistory.length === 10) {
-      drawSound.play().catch(console.error);     // Draw game sound
+  /**
+   * GAME RECORD LOAD HANDLER
+   * 
+   * Replaces the game with an imported record (see RecordPanel) and shows
+   * its final position; every move can then be revisited with time travel.
+   * Imported games continue as two-player games, so the computer does not
+   * join in halfway through someone else's game.
+   * 
+   * @param {Object} record - parseRecord result: { config, history, ... }
+   * @returns {string|undefined} Why the record was refused, if it was
+   */
+  function loadRecord({ config, history: entries }) {
+    if (!isSameConfig(clampConfig(config), config)) {
+      return `Boards must be ${MIN_SIZE} to ${MAX_SIZE} squares on each side, with at least ${MIN_SIZE} in a row.`;
     }
+
+    if (gameMode === "computer") setGameMode("two-player");
+    setRules("classic");
+    setBoardConfig(config);
+    setBoardPreset(presetFor(config));
+    startNewGame(config, "classic");
+    setHistory(entries.map(({ board, position }) => ({ squares: board, position })));
+    setCurrentMove(entries.length - 1);
+  }
+
+  /**
+   * GAME MODE CHANGE HANDLER
+   * 
+   * Starts a new game in the chosen mode. Leaving online mode also leaves
+   * the room, which frees the seat for someone else.
+   * 
+   * @param {string} mode - "two-player", "computer" or "online"
+   */
+  function changeGameMode(mode) {
+    if (isOnline) online.leaveRoom();
+    setGameMode(mode);
+    startNewGame();
+  }
+
+  /**
+   * RULES CHANGE HANDLER
+   * 
+   * Starts a new game under the chosen rules. The computer opponent only
+   * knows the classic rules, so other rules switch to a two-player game.
+   * 
+   * @param {string} nextRules - Key of RULES
+   */
+  function changeRules(nextRules) {
+    if (nextRules !== "classic" && gameMode === "computer") setGameMode("two-player");
+    setRules(nextRules);
+    startNewGame(boardConfig, nextRules);
+  }
+
+  /**
+   * TIME CONTROL CHANGE HANDLER
+   * 
+   * Starts a new game with fresh clocks under the chosen time control.
+   * 
+   * @param {string} nextControl - Key of TIME_CONTROLS
+   */
+  function changeTimeControl(nextControl) {
+    setTimeControl(nextControl);
+    startNewGame();
+  }
+
+  /**
+   * BOARD PRESET CHANGE HANDLER
+   * 
+   * Picking a named preset loads its configuration; picking "custom"
+   * keeps the current dimensions so they can be edited.
+   * 
+   * @param {string} preset - Key into BOARD_PRESETS, or "custom"
+   */
+  function changeBoardPreset(preset) {
+    setBoardPreset(preset);
+    if (preset === "custom") return;
+
+    setBoardConfig(BOARD_PRESETS[preset].config);
+    startNewGame(BOARD_PRESETS[preset].config);
+  }
+
+  /**
+   * CUSTOM DIMENSION CHANGE HANDLER
+   * 
+   * @param {string} field - "rows", "cols" or "winLength"
+   * @param {string} value - Raw value from the number input
+   */
+  function changeBoardDimension(field, value) {
+    const nextConfig = clampConfig({ ...boardConfig, [field]: Number(value) });
+    setBoardConfig(nextConfig);
+    startNewGame(nextConfig);
   }
 
   /**
@@ -375,6 +1724,21 @@ export default function Game() {
     setSelectedMove(nextMove);    // Track jump for UI feedback
   }
 
+  /**
+   * REPLAY STEP FUNCTION
+   * 
+   * Shows the next position of a replay with the sounds of that move; a
+   * winning move also replays the WinningOverlay animation, which starts
+   * whenever a winning line appears.
+   * 
+   * @param {number} nextMove - Move number to show
+   */
+  function replayMove(nextMove) {
+    setCurrentMove(nextMove);
+    const entry = history[nextMove];
+    playMoveSounds(entry.mark ?? (nextMove % 2 === 1 ? "X" : "O"), positionResult(rules, entry, gameConfig));
+  }
+
   /**
    * MOVE ORDER TOGGLE FUNCTION
    * 
@@ -386,6 +1750,16 @@ export default function Game() {
 
   // ===== MOVE HISTORY GENERATION =====
 
+  /**
+   * PLACED MARK TEXT
+   * 
+   * @param {Object} entry - History entry
+   * @returns {string} e.g. "O at " when players choose their mark, otherwise ""
+   */
+  function placedText(entry) {
+    return RULES[rules].choosesMark ? `${markSymbols[entry.mark]} at ` : "";
+  }
+
   /**
    * MOVE LIST CREATION
    * 
@@ -409,6 +1783,11 @@ export default function Game() {
     // Determine which player made this move
     const player = move % 2 === 0 ? "O" : "X";
 
+    // BLUNDER FLAG (analysis mode)
+    // Judged against the analysis of the position before the move
+    const before = analysis?.[move - 1];
+    const isBlunderMove = before && isBlunder(before, position[0] * boardConfig.cols + position[1]);
+
     return (
       <li key={move}>
         {/* CONDITIONAL BUTTON RENDERING */}
@@ -428,11 +1807,14 @@ export default function Game() {
         )}
 
         {/* MOVE COORDINATE DISPLAY */}
-        {/* Show position if move placed a piece */}
+        {/* Show position if move placed a piece (with the mark and board when the rules need them) */}
         {position[0] !== null ?
-          ` (${player}: Row ${position[0] + 1}, Col ${position[1] + 1})` :
+          ` (${playerNames[player]}: ${placedText(moveData)}${moveData.boardIndex !== undefined ? `Board ${moveData.boardIndex + 1}, ` : ""}` +
+            `Row ${position[0] + 1}, Col ${position[1] + 1})` :
           ''
         }
+        {moveData.hinted && <span className="hint-used"> (hint used)</span>}
+        {isBlunderMove && <span className="blunder"> ?? blunder</span>}
       </li>
     );
   });
@@ -442,6 +1824,49 @@ export default function Game() {
     moves.reverse();
   }
 
+  // ===== SCREEN READER ANNOUNCEMENT =====
+
+  /**
+   * LIVE REGION TEXT
+   * 
+   * Describes the position being shown (the latest move and its result).
+   * The aria-live region reads it out whenever it changes, so human and
+   * computer moves, wins, draws and time travel are all announced.
+   */
+  let announcement = `Game start. ${playerNames.X} to play.`;
+  if (currentMove > 0) {
+    const entry = history[currentMove];
+    const [row, col] = entry.position;
+    const { winner, isDrawn } = positionResult(rules, entry, gameConfig);
+    const mover = xIsNext ? "O" : "X";
+    const moverName = playerNames[mover] + (mover === computerSymbol ? " (computer)" : "");
+    const boardText = entry.boardIndex !== undefined ? `board ${entry.boardIndex + 1}, ` : "";
+
+    announcement = `${moverName} played ${placedText(entry)}${boardText}row ${row + 1}, column ${col + 1}.`;
+    if (winner) {
+      announcement += ` ${playerNames[winner]} wins!`;
+    } else if (isDrawn) {
+      announcement += " Draw!";
+    } else {
+      announcement += ` ${playerNames[xIsNext ? "X" : "O"]} to play.`;
+    }
+
+    // ULTIMATE: where the next move must go
+    if (rules === "ultimate" && !winner && !isDrawn) {
+      const openBoards = ultimateTicTacToe.getActiveBoards(history[currentMove]);
+      announcement += openBoards.length === 1
+        ? ` Next move in the ${SUB_BOARD_NAMES[openBoards[0]]} board.`
+        : " Next move on any open board.";
+    }
+  }
+
+  // LOSS ON TIME (the flag fell instead of a move being made)
+  const { flag } = history[currentMove];
+  if (flag) {
+    announcement = `${playerNames[flag]} ran out of time. ${playerNames[flag === "X" ? "O" : "X"]} wins!`;
+  }
+  if (evaluation) announcement += ` ${evaluation}`;
+
   // ===== PERFORMANCE OPTIMIZATION =====
 
   /**
@@ -456,15 +1881,68 @@ export default function Game() {
    * - Improves game responsiveness
    * - Optimizes SVG animation performance
    */
-  const board = useMemo(() => (
-    <Board
-      xIsNext={xIsNext}
-      squares={currentSquares}
-      onPlay={handlePlay}
-      history={history}
-      currentMove={currentMove}
-    />
-  ), [currentSquares, currentMove]); // Dependencies for memoization
+  const board = useMemo(() => {
+    const result = positionResult(rules, history[currentMove], gameConfig);
+    if (rules === "ultimate") {
+      return (
+        <UltimateBoard
+          xIsNext={xIsNext}
+          board={history[currentMove]}
+          onPlay={handlePlay}
+          waitingFor={waitingFor}
+          result={result}
+          playerNames={playerNames}
+        />
+      );
+    }
+
+    if (rules === "notakto") {
+      return (
+        <NotaktoBoard
+          xIsNext={xIsNext}
+          squares={currentSquares}
+          onPlay={handlePlay}
+          waitingFor={waitingFor}
+          result={result}
+          playerNames={playerNames}
+        />
+      );
+    }
+
+    return (
+      <Board
+        xIsNext={xIsNext}
+        squares={currentSquares}
+        onPlay={handlePlay}
+        waitingFor={waitingFor}
+        config={gameConfig}
+        bestMoves={shownAnalysis ? shownAnalysis.bestMoves : hintMoves}
+        result={result}
+        mark={mark}
+        playerNames={playerNames}
+      />
+    );
+  }, [history, currentSquares, currentMove, waitingFor, gameConfig, shownAnalysis, hintMoves, rules, mark, playerNames]); // Dependencies for memoization
+
+  // ===== GAME RECORD =====
+
+  /**
+   * RECORD CONTENTS
+   * The whole game (not just up to the position shown), with the players
+   * named after the current mode, e.g. "You" and "Computer (unbeatable)".
+   */
+  const computerName = `Computer (${computerLevel})`;
+  const recordPlayers = {
+    "two-player": [seated.X?.name || "Player 1", seated.O?.name || "Player 2"],
+    computer: humanSymbol === "X" ? ["You", computerName] : [computerName, "You"],
+    online: online.role === "X" ? ["You", "Opponent"] : online.role === "O" ? ["Opponent", "You"] : ["?", "?"],
+  };
+  const gameRecord = {
+    moves: history.slice(1).map(({ position: [row, col] }) => row * boardConfig.cols + col),
+    config: boardConfig,
+    players: recordPlayers[gameMode],
+    variant: boardPreset === "custom" ? "Custom" : BOARD_PRESETS[boardPreset].label,
+  };
 
   // ===== COMPONENT RENDER =====
 
@@ -472,11 +1950,268 @@ export default function Game() {
     <div className="game">
       {/* GAME BOARD SECTION */}
       <div className="game-board">
+        {/* CHESS CLOCKS (when a time control is chosen) */}
+        {clockControl.type && (
+          <ClockPanel
+            times={shownClock}
+            playerNames={playerNames}
+            activePlayer={isLatestMove && !isGameFinished ? latestMover : null}
+            isLow={clock.isLow}
+            flagged={history[currentMove].flag ?? null}
+            isPaused={clock.isPaused}
+            canPause={isLatestMove && !isGameFinished}
+            onPauseChange={clock.setPaused}
+            className="clock-panel"
+            buttonClassName="mybutton"
+          />
+        )}
+
         {board} {/* Render memoized board component */}
+
+        {/* RULES REMINDER AND MARK CHOICE (rule variants) */}
+        {RULES[rules].goal && <p className="rules-goal">{RULES[rules].goal}</p>}
+        {RULES[rules].choosesMark && (
+          <div className="my-controls mark-choice" role="radiogroup" aria-label="Mark to place">
+            Place:
+            {["X", "O"].map((choice) => (
+              <label key={choice}>
+                <input
+                  type="radio"
+                  name="mark-choice"
+                  value={choice}
+                  checked={chosenMark === choice}
+                  onChange={() => setChosenMark(choice)}
+                />
+                {markSymbols[choice]}
+              </label>
+            ))}
+          </div>
+        )}
+
+        {/* ANALYSIS EVALUATION (best moves are outlined on the board) */}
+        {evaluation && <p className="analysis-eval">{evaluation}</p>}
+
+        {/* SCREEN READER ANNOUNCEMENTS (visually hidden) */}
+        <p className="sr-only" aria-live="polite">{announcement}</p>
+
+        {/* SAVED STATISTICS (all board sizes and opponents together) */}
+        <Scoreboard
+          gameKey={SAVE_FORMAT.key}
+          playerNames={markSymbols}
+          className="scoreboard"
+          buttonClassName="mybutton"
+        />
+
+        {/* GAME RECORD EXPORT / IMPORT (online games can be exported, not replaced) */}
+        {/* (records use the classic rules' notation) */}
+        {rules === "classic" && (
+          <RecordPanel
+            notation={TIC_TAC_TOE_NOTATION}
+            game={gameRecord}
+            onLoad={loadRecord}
+            canLoad={!isOnline}
+            className="game-record"
+            buttonClassName="mybutton"
+          />
+        )}
       </div>
 
       {/* GAME CONTROLS AND HISTORY */}
       <div className="my-game-info">
+        {/* RULES AND OPPONENT SETTINGS */}
+        {/* Changing rules, mode or side starts a new game; skill applies to the next computer move */}
+        {/* (the computer and online games only play the classic rules; online games are untimed) */}
+        <div className="my-controls">
+          <label>
+            Rules:
+            <select value={rules} onChange={(e) => changeRules(e.target.value)} disabled={isOnline}>
+              {Object.entries(RULES).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Clock:
+            <select value={timeControl} onChange={(e) => changeTimeControl(e.target.value)} disabled={isOnline}>
+              {Object.entries(TIME_CONTROLS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Opponent:
+            <select value={gameMode} onChange={(e) => changeGameMode(e.target.value)}>
+              <option value="two-player">Human</option>
+              <option value="computer" disabled={rules !== "classic"}>Computer</option>
+              <option value="online" disabled={rules !== "classic"}>Online</option>
+            </select>
+          </label>
+
+          {gameMode === "computer" && (
+            <>
+              <label>
+                You play:
+                <select
+                  value={humanSymbol}
+                  onChange={(e) => { setHumanSymbol(e.target.value); startNewGame(); }}
+                >
+                  <option value="X">{markSymbols.X}</option>
+                  <option value="O">{markSymbols.O}</option>
+                </select>
+              </label>
+              <label>
+                Skill:
+                <select value={computerLevel} onChange={(e) => setComputerLevel(e.target.value)}>
+                  <option value="random">Random</option>
+                  <option value="mistakes">Makes mistakes</option>
+                  <option value="unbeatable">Unbeatable</option>
+                </select>
+              </label>
+            </>
+          )}
+        </div>
+
+        {/* HINTS */}
+        {/* The budget applies to each new game; hinted squares are outlined on the board */}
+        {!isOnline && rules === "classic" && (
+          <div className="my-controls">
+            <label>
+              Hints per game:
+              <select value={String(hintBudget)} onChange={(e) => setHintBudget(Number(e.target.value))}>
+                {HINT_BUDGETS.map(([value, label]) => (
+                  <option key={label} value={String(value)}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <button className="mybutton" onClick={requestHint} disabled={!canHint}>
+              Hint ({hintsLeft === Infinity ? "unlimited" : `${Math.max(0, hintsLeft)} left`})
+            </button>
+          </div>
+        )}
+
+        {/* PLAYERS (two-player games: profiles for X and O, swapping sides between games) */}
+        {usesProfiles && (
+          <ProfilePanel
+            gameKey={SAVE_FORMAT.key}
+            sides={markSymbols}
+            preferenceKey="preferredMark"
+            className="profile-panel"
+            buttonClassName="mybutton"
+          />
+        )}
+
+        {/* NEW GAME (online rooms restart from the room controls) */}
+        {!isOnline && (
+          <div className="my-controls">
+            <button className="mybutton" onClick={playNextGame}>New game</button>
+          </div>
+        )}
+
+        {/* ONLINE ROOM CONTROLS */}
+        {/* A new room uses the board size chosen below */}
+        {isOnline && (
+          <div className="my-controls">
+            <OnlinePanel
+              online={online}
+              config={boardConfig}
+              playerNames={markSymbols}
+              buttonClassName="mybutton"
+            />
+            {online.room && online.role !== "spectator" && (
+              <button className="mybutton" onClick={online.restartGame}>
+                New game
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* BOARD SIZE SETTINGS */}
+        {/* Changing the board size or win length starts a new game */}
+        {/* (locked while in an online room: the room's board size is fixed, and for
+            rules played on their own board, such as Ultimate or Order and Chaos) */}
+        <fieldset className="my-controls" disabled={online.room !== null || RULES[rules].config !== undefined}>
+          <label>
+            Board:
+            <select value={boardPreset} onChange={(e) => changeBoardPreset(e.target.value)}>
+              {Object.entries(BOARD_PRESETS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+              <option value="custom">Custom</option>
+            </select>
+          </label>
+
+          {boardPreset === "custom" && (
+            <>
+              <label>
+                Rows:
+                <input
+                  type="number"
+                  min={MIN_SIZE}
+                  max={MAX_SIZE}
+                  value={boardConfig.rows}
+                  onChange={(e) => changeBoardDimension("rows", e.target.value)}
+                />
+              </label>
+              <label>
+                Columns:
+                <input
+                  type="number"
+                  min={MIN_SIZE}
+                  max={MAX_SIZE}
+                  value={boardConfig.cols}
+                  onChange={(e) => changeBoardDimension("cols", e.target.value)}
+                />
+              </label>
+              <label>
+                In a row:
+                <input
+                  type="number"
+                  min={MIN_SIZE}
+                  max={Math.max(boardConfig.rows, boardConfig.cols)}
+                  value={boardConfig.winLength}
+                  onChange={(e) => changeBoardDimension("winLength", e.target.value)}
+                />
+              </label>
+            </>
+          )}
+        </fieldset>
+
+        {/* RESUME BUTTON */}
+        {/* Shown when time travel lands on a position where the computer is to move */}
+        {isComputerTurn && currentMove !== history.length - 1 && !showAnalysis && (
+          <button className="mybutton resume-button" onClick={playComputerMove}>
+            Resume vs computer from here
+          </button>
+        )}
+
+        {/* ANALYSIS TOGGLE */}
+        {/* Offered once the game is over; step through the history to review each position */}
+        {isGameFinished && (
+          <div className="my-controls">
+            <button
+              className="mybutton"
+              aria-pressed={showAnalysis}
+              onClick={() => setIsAnalyzing(!showAnalysis)}
+              disabled={!canAnalyze}
+            >
+              {showAnalysis ? "Stop analysis" : "Analyze game"}
+            </button>
+            {!canAnalyze && <span>Analysis needs the classic rules on the 3x3 board.</span>}
+          </div>
+        )}
+
+        {/* REPLAY PLAYER */}
+        <ReplayControls
+          currentMove={currentMove}
+          lastMove={history.length - 1}
+          isPlaying={isReplaying}
+          onPlayingChange={setIsReplaying}
+          onStep={replayMove}
+          onJump={setCurrentMove}
+          className="replay-controls"
+          buttonClassName="mybutton"
+        />
+
         {/* MOVE ORDER TOGGLE */}
         <button className="desc-button" onClick={toggleOrder}>
           {isAscending ? "Show Descending" : "Show Ascending"}
@@ -485,6 +2220,13 @@ export default function Game() {
         {/* HISTORY SECTION HEADER */}
         <h4><u>History:</u></h4>
 
+        {/* ASSISTED GAME NOTE */}
+        {hintedMoves > 0 && (
+          <p className="hint-used">
+            Assisted game: {hintedMoves} {hintedMoves === 1 ? "move was" : "moves were"} made after a hint.
+          </p>
+        )}
+
         {/* MOVE LIST */}
         <ul>{moves}</ul>
 
@@ -499,72 +2241,24 @@ export default function Game() {
   );
 }
 
-// ===== UTILITY FUNCTIONS =====
-
-/**
- * WIN DETECTION ALGORITHM
- * 
- * Analyzes board state to determine if there's a winner.
- * Returns both the winning player and the winning line coordinates.
- * 
- * @param {Array} squares - Current board state (9 elements)
- * @returns {Array} [winner, winningLine] - Winner ('X'|'O'|null) and line coordinates
- */
-function calculateWinner(squares) {
-  // ALL POSSIBLE WINNING COMBINATIONS
-  const lines = [
-    [0, 1, 2],    // Top row
-    [3, 4, 5],    // Middle row
-    [6, 7, 8],    // Bottom row
-    [0, 3, 6],    // Left column
-    [1, 4, 7],    // Middle column
-    [2, 5, 8],    // Right column
-    [0, 4, 8],    // Diagonal: top-left to bottom-right
-    [2, 4, 6],    // Diagonal: top-right to bottom-left
-  ];
-
-  // CHECK EACH WINNING COMBINATION
-  for (let i = 0; i < lines.length; i++) {
-    const [a, b, c] = lines[i];
-
-    // WINNING CONDITION CHECK
-    if (squares[a] &&                      // Position a is occupied
-      squares[a] === squares[b] &&       // Positions a and b match
-      squares[a] === squares[c]) {       // Positions a and c match
-
-      return [squares[a], lines[i]];     // Return winner and winning line
-    }
-  }
-
-  return [null, null]; // No winner found
-}
-
-/**
- * COORDINATE CONVERSION UTILITY
- * 
- * Converts linear square index to 2D grid coordinates.
- * Used for displaying move positions in human-readable format.
- * 
- * @param {number} i - Square index (0-8)
- * @returns {Array} [row, col] - Zero-indexed coordinates
- */
-function squareCoords(i) {
-  const row = Math.trunc(i / 3);    // Integer division for row
-  const col = i % 3;                // Remainder for column
-  return [row, col];
-}
+// ===== WINNING LINE OVERLAY =====
 
 /**
  * WINNING OVERLAY COMPONENT
  * 
  * Creates an animated SVG overlay that highlights the winning line.
  * Features smooth stroke animation using CSS transitions and SVG techniques.
+ * Works on any board size: the line can run in any of the four directions
+ * and be as long as the configured win length.
  * 
  * @param {Object} props - Component properties
- * @param {Array|null} props.winningLine - Array of winning square indices
+ * @param {Array|null} props.winningLine - Array of winning square indices, ordered end to end
+ * @param {number} props.rows - Board height in squares
+ * @param {number} props.cols - Board width in squares
+ * @param {number} props.squareSize - Rendered square size in pixels
  * @returns {JSX.Element|null} Animated SVG overlay or null
  */
-function WinningOverlay({ winningLine }) {
+function WinningOverlay({ winningLine, rows, cols, squareSize: squarePixels }) {
   // ANIMATION STATE MANAGEMENT
   const [dashOffset, setDashOffset] = useState(null);
 
@@ -582,41 +2276,52 @@ function WinningOverlay({ winningLine }) {
   // ===== SVG COORDINATE CALCULATIONS =====
 
   // LAYOUT CONSTANTS
-  const squareSize = 100;                    // Size of each game square
-  const boardSize = 3 * squareSize;          // Total board size
+  // SVG units are independent of pixels: every square is 100 units wide and
+  // the SVG is scaled so that 100 units match the rendered square size
+  const squareSize = 100;                    // Size of each game square (SVG units)
+  const boardWidth = cols * squareSize;      // Total board width
+  const boardHeight = rows * squareSize;     // Total board height
   const padding = 50;                        // Extra space around board
+  const scale = squarePixels / squareSize;   // Pixels per SVG unit
 
-  // WINNING LINE COORDINATE MAPPING
-  // Convert square indices to pixel coordinates
-  const rowCoords = winningLine.map(index =>
-    Math.floor(index / 3) * squareSize + squareSize / 2
-  );
-  const colCoords = winningLine.map(index =>
-    (index % 3) * squareSize + squareSize / 2
-  );
+  // WINNING LINE ENDPOINTS
+  // The line is ordered end to end, so its first and last squares are the ends
+  const [startRow, startCol] = squareCoords(winningLine[0], cols);
+  const [endRow, endCol] = squareCoords(winningLine[winningLine.length - 1], cols);
+  const startX = startCol * squareSize + squareSize / 2;
+  const startY = startRow * squareSize + squareSize / 2;
+  const endX = endCol * squareSize + squareSize / 2;
+  const endY = endRow * squareSize + squareSize / 2;
 
   // ELLIPSE CENTER CALCULATION
-  // Find center point of winning line for ellipse positioning
-  const centerX = (Math.min(...colCoords) + Math.max(...colCoords)) / 2;
-  const centerY = (Math.min(...rowCoords) + Math.max(...rowCoords)) / 2;
+  // Midpoint of the winning line
+  const centerX = (startX + endX) / 2;
+  const centerY = (startY + endY) / 2;
+
+  // LINE LENGTH (center of first square to center of last square)
+  const span = Math.hypot(endX - startX, endY - startY);
 
   // ===== ELLIPSE DIMENSION CALCULATION =====
 
   let ellipseWidth, ellipseHeight, rotation = 0;
 
-  if (rowCoords[0] === rowCoords[1]) {
+  if (startRow === endRow) {
     // HORIZONTAL WINNING LINE
-    ellipseWidth = squareSize * 3.2;       // Wide ellipse
-    ellipseHeight = squareSize * 1.2;      // Narrow height
-  } else if (colCoords[0] === colCoords[1]) {
-    // VERTICAL WINNING LINE  
-    ellipseWidth = squareSize * 1.2;       // Narrow width
-    ellipseHeight = squareSize * 3.2;      // Tall ellipse
+    ellipseWidth = span + squareSize * 1.2;       // Wide ellipse
+    ellipseHeight = squareSize * 1.2;             // Narrow height
+  } else if (startCol === endCol) {
+    // VERTICAL WINNING LINE
+    ellipseWidth = squareSize * 1.2;              // Narrow width
+    ellipseHeight = span + squareSize * 1.2;      // Tall ellipse
   } else {
     // DIAGONAL WINNING LINE
-    ellipseWidth = squareSize * 4.2;       // Extra wide for diagonal
-    ellipseHeight = squareSize * 1.5;      // Medium height
-    rotation = winningLine[0] === 0 ? 45 : -45; // Rotation direction
+    ellipseWidth = span + squareSize * 1.37;      // Extra wide for diagonal
+    ellipseHeight = squareSize * 1.5;             // Medium height
+
+    // Rotation direction: the line's angle, folded into (-90, 90] degrees
+    rotation = Math.atan2(endY - startY, endX - startX) * 180 / Math.PI;
+    if (rotation > 90) rotation -= 180;
+    if (rotation <= -90) rotation += 180;
   }
 
   // ===== ANIMATION CALCULATION =====
@@ -638,9 +2343,9 @@ function WinningOverlay({ winningLine }) {
   return (
     <svg
       className="winning-overlay"
-      width={boardSize + 2 * padding}
-      height={boardSize + 2 * padding}
-      viewBox={`-${padding} -${padding} ${boardSize + 2 * padding} ${boardSize + 2 * padding}`}
+      width={(boardWidth + 2 * padding) * scale}
+      height={(boardHeight + 2 * padding) * scale}
+      viewBox={`-${padding} -${padding} ${boardWidth + 2 * padding} ${boardHeight + 2 * padding}`}
     >
       <ellipse
         cx={centerX}